@@ -0,0 +1,128 @@
+// --- Army Compositions ---
+// The host picks the army both players get: one of the presets, or a custom definition.
+// It travels in the setup message, so the peer checks it here before building units from it.
+// DOM-free, like rules.js.
+//
+// army = {
+//     name,
+//     units: { unitName: { attack, defense, quantity, canTraverse: [terrainType], rules: [ruleName] } }
+// }
+import { TERRAIN_TYPES, UNIT_TERRAIN_TYPES, UNIT_RULES, STANDARD_ARMY, unitStats, getArmySize } from './rules.js';
+
+export const ARMY_LIMITS = {
+    maxUnitTypes: 8,
+    minSize: 2, // A player left with only the command unit loses, so one unit is never enough
+    maxSize: 12, // Units per player
+    maxStat: 9
+};
+
+// Names end up in the board, memo pad and log markup, so they are kept to plain characters
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 .-]{0,23}$/;
+
+export const ARMY_PRESETS = {
+    standard: STANDARD_ARMY,
+    skirmish: {
+        name: 'Skirmish',
+        units: {
+            'Mobile Command': unitStats['Mobile Command'],
+            'Tank': { ...unitStats.Tank, quantity: 1 },
+            'Infantry': unitStats.Infantry,
+            'Special Ops': unitStats['Special Ops']
+        }
+    },
+    recon: {
+        name: 'Recon',
+        units: {
+            'Mobile Command': unitStats['Mobile Command'],
+            'Tank': { ...unitStats.Tank, quantity: 1 },
+            'Infantry': { ...unitStats.Infantry, quantity: 2 },
+            'Special Ops': { ...unitStats['Special Ops'], quantity: 2 },
+            'Sniper': {
+                attack: 3,
+                defense: 1,
+                quantity: 2,
+                canTraverse: [TERRAIN_TYPES.PLAINS, TERRAIN_TYPES.FOREST],
+                rules: ['piercing']
+            }
+        }
+    }
+};
+
+function isStat(value) {
+    return Number.isInteger(value) && value >= 0 && value <= ARMY_LIMITS.maxStat;
+}
+
+/**
+ * Checks an army definition, typically one received from the peer or typed by the host.
+ * @param {object} army - { name, units: { unitName: { attack, defense, quantity, canTraverse, rules? } } }
+ * @returns {string|null} Why the army cannot be played, or null if it can.
+ */
+export function validateArmy(army) {
+    if (!army || typeof army !== 'object') return 'Missing army.';
+    if (typeof army.name !== 'string' || !NAME_PATTERN.test(army.name)) return 'The army needs a name of up to 24 letters, digits, spaces, dots or dashes.';
+    if (!army.units || typeof army.units !== 'object' || Array.isArray(army.units)) return 'The army has no units.';
+
+    const unitNames = Object.keys(army.units);
+    if (unitNames.length === 0 || unitNames.length > ARMY_LIMITS.maxUnitTypes) return `An army has 1 to ${ARMY_LIMITS.maxUnitTypes} unit types.`;
+    let commandTypes = 0;
+    for (const unitName of unitNames) {
+        const stats = army.units[unitName];
+        if (!NAME_PATTERN.test(unitName)) return `Invalid unit name "${unitName}": use up to 24 letters, digits, spaces, dots or dashes.`;
+        if (!stats || typeof stats !== 'object') return `${unitName} has no stats.`;
+        if (!isStat(stats.attack) || !isStat(stats.defense)) return `${unitName} needs an attack and a defense from 0 to ${ARMY_LIMITS.maxStat}.`;
+        if (!Number.isInteger(stats.quantity) || stats.quantity < 1) return `${unitName} needs a quantity of at least 1.`;
+        // Rivers, bridges and hills apply to every unit alike (see terrainRules)
+        if (!Array.isArray(stats.canTraverse) || stats.canTraverse.length === 0 ||
+            stats.canTraverse.some(terrainType => !UNIT_TERRAIN_TYPES.includes(terrainType))) {
+            return `${unitName} must be able to cross at least one of: ${UNIT_TERRAIN_TYPES.join(', ')}.`;
+        }
+        const rules = stats.rules ?? [];
+        if (!Array.isArray(rules) || rules.some(rule => !Object.hasOwn(UNIT_RULES, rule))) {
+            return `${unitName} has an unknown rule (known rules: ${Object.keys(UNIT_RULES).join(', ')}).`;
+        }
+        if (rules.includes('command')) {
+            if (stats.quantity !== 1) return `${unitName} is the command unit: there can only be one.`;
+            commandTypes++;
+        }
+    }
+    if (commandTypes !== 1) return 'Exactly one unit type must have the "command" rule.';
+
+    const size = getArmySize(army);
+    if (size < ARMY_LIMITS.minSize || size > ARMY_LIMITS.maxSize) return `An army has ${ARMY_LIMITS.minSize} to ${ARMY_LIMITS.maxSize} units (this one has ${size}).`;
+    return null;
+}
+
+/**
+ * Copies a valid army, keeping only the fields the rules use (plus the image names of standard units).
+ * @param {object} army - An army that passed validateArmy.
+ * @returns {object} The clean army.
+ */
+export function normalizeArmy(army) {
+    const units = {};
+    Object.keys(army.units).forEach(unitName => {
+        const { attack, defense, quantity, canTraverse, rules = [] } = army.units[unitName];
+        units[unitName] = { attack, defense, quantity, canTraverse: [...new Set(canTraverse)], rules: [...new Set(rules)] };
+        // Standard units keep their card images, unless the stats printed on them no longer apply
+        const standard = unitStats[unitName];
+        if (standard && standard.attack === attack && standard.defense === defense) units[unitName].safeName = standard.safeName;
+    });
+    return { name: army.name, units };
+}
+
+/**
+ * Parses a custom army typed as JSON.
+ * @param {string} json - The army definition.
+ * @returns {object} The normalized army.
+ * @throws {Error} If the text is not a valid army.
+ */
+export function parseArmy(json) {
+    let army;
+    try {
+        army = JSON.parse(json);
+    } catch (err) {
+        throw new Error('The army is not valid JSON.');
+    }
+    const reason = validateArmy(army);
+    if (reason) throw new Error(reason);
+    return normalizeArmy(army);
+}
@@ -1,106 +1,326 @@
-// --- Constants (Consider moving to a shared constants module later) ---
-const START_GRID_COORD = 10;
-const TOTAL_CARD_PAIRS_TO_PLACE = 16; // 8 per player
-
-// --- Helper Functions ---
-
-// Fisher-Yates Shuffle (if needed internally, otherwise assume input is shuffled)
-// Not strictly needed here as we consume pairs sequentially, but good utility
-function shuffle(array) {
-    let newArray = [...array];
-    for (let i = newArray.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
+// Placement adjacency comes from the shared rules engine
+import {
+    TERRAIN_TYPES, START_GRID_COORD, UNKNOWN_UNIT, terrainRules, getPlacementSpots, getGridKey, isCommandUnit,
+    getArmySize, getTotalPairsToPlace, getTerrainCard, validateAction, applyAction
+} from './rules.js';
+import { isSameTerrainCard } from './terrainDecks.js';
+import { shuffle } from './random.js';
+
+// --- Strategies ---
+// Each player picks how its own cards are auto-placed. Strategies only look at where enemy cards
+// are, never at their units, which may be secret.
+export const AUTO_PLACEMENT_STRATEGIES = {
+    random: 'Random spots',
+    defensive: 'Defensive (command unit behind forest edges)',
+    aggressive: 'Aggressive (strong attackers on plains toward the enemy)',
+    compact: 'Compact front (each player holds its own half)'
+};
+
+const NEIGHBOR_OFFSETS = [
+    { dx: 0, dy: -1, edge: 'top' },
+    { dx: 1, dy: 0, edge: 'right' },
+    { dx: 0, dy: 1, edge: 'bottom' },
+    { dx: -1, dy: 0, edge: 'left' }
+];
+
+// --- Strategy Heuristics ---
+
+function cardAt(board, gridX, gridY) {
+    return board.find(card => card.gridX === gridX && card.gridY === gridY);
+}
+
+function isKnownUnit(unitData) {
+    return !!unitData && !unitData.unknown;
+}
+
+// Like the bot, units with 4+ attack are the ones worth pushing forward
+function isStriker(unitData) {
+    return isKnownUnit(unitData) && !isCommandUnit(unitData) && unitData.stats.attack >= 4;
+}
+
+// Distance from a cell to the nearest enemy card (0 while the enemy has none)
+function getEnemyDistance(board, owner, gridX, gridY) {
+    const distances = board
+        .filter(card => card.owner && card.owner !== owner)
+        .map(card => Math.abs(card.gridX - gridX) + Math.abs(card.gridY - gridY));
+    return distances.length ? Math.min(...distances) : 0;
+}
+
+// What lies beyond each edge of a spot: an own card, an enemy card, or open ground
+function getSurroundings(board, owner, gridX, gridY) {
+    return NEIGHBOR_OFFSETS.map(({ dx, dy, edge }) => {
+        const card = cardAt(board, gridX + dx, gridY + dy);
+        return { edge, gridX: gridX + dx, gridY: gridY + dy, side: !card ? 'open' : card.owner === owner ? 'own' : 'enemy' };
+    });
+}
+
+// How well an edge keeps attackers out: rivers stop everyone, forests give a defense bonus,
+// mountains stop the units that cannot climb them
+function getEdgeProtection(terrainType) {
+    const rules = terrainRules[terrainType];
+    if (rules.crossing === 'none') return 3;
+    return rules.defenseBonus * 2 + (terrainType === TERRAIN_TYPES.MOUNTAIN ? 1 : 0);
+}
+
+/**
+ * Scores putting a unit on a terrain card at a spot, for one strategy (higher is better).
+ * @param {Array} board - Cards already placed: { owner, gridX, gridY } at least.
+ * @param {1|2} owner - The player placing.
+ * @param {object|null} unitData - The unit placed (null or unknown when another client chooses the spot).
+ * @param {object} terrainData - { terrainIndex, terrainData: { top, right, bottom, left } }
+ * @param {number} gridX
+ * @param {number} gridY
+ * @param {string} strategy - A key of AUTO_PLACEMENT_STRATEGIES other than 'random'.
+ * @returns {number} The score.
+ */
+function scorePlacement(board, owner, unitData, terrainData, gridX, gridY, strategy) {
+    const edges = terrainData.terrainData;
+    const around = getSurroundings(board, owner, gridX, gridY);
+    const count = side => around.filter(n => n.side === side).length;
+
+    if (strategy === 'defensive') {
+        if (isKnownUnit(unitData) && isCommandUnit(unitData)) {
+            // Every side not covered by an own card should be hard to attack through
+            return around.reduce((score, n) => score + (n.side === 'own' ? 2 : getEdgeProtection(edges[n.edge])), 0) - count('enemy') * 4;
+        }
+        // The other units gather around the command, leaving it the forest edges
+        const nextToCommand = around.some(n => n.side === 'own' && isKnownUnit(cardAt(board, n.gridX, n.gridY).unitData) &&
+            isCommandUnit(cardAt(board, n.gridX, n.gridY).unitData));
+        const forestEdges = Object.values(edges).filter(terrainType => terrainType === TERRAIN_TYPES.FOREST).length;
+        return (nextToCommand ? 3 : 0) + count('own') - count('enemy') - forestEdges * 0.5;
+    }
+
+    if (strategy === 'aggressive') {
+        const distance = getEnemyDistance(board, owner, gridX, gridY);
+        if (isKnownUnit(unitData) && isCommandUnit(unitData)) return distance + count('own'); // Keep the command back
+        if (!isStriker(unitData)) return -distance;
+        // Open edges (plains, or hills to attack from) on the sides facing the enemy
+        const towardEnemy = around.filter(n => n.side === 'enemy' || (n.side === 'open' && getEnemyDistance(board, owner, n.gridX, n.gridY) < distance));
+        const openEdges = towardEnemy.filter(n => edges[n.edge] === TERRAIN_TYPES.PLAINS || edges[n.edge] === TERRAIN_TYPES.HILL).length;
+        return openEdges * 2 - distance * 3;
+    }
+
+    // Compact front: Player 1 holds the rows up to the first card, Player 2 the rows below, and
+    // both fill the front rows first
+    const frontRow = owner === 1 ? START_GRID_COORD : START_GRID_COORD + 1;
+    const inTerritory = owner === 1 ? gridY <= START_GRID_COORD : gridY > START_GRID_COORD;
+    return (inTerritory ? 10 : 0) - Math.abs(gridY - frontRow) * 2 + count('own');
+}
+
+// The order a strategy places units in: defensive keeps the command for last, when the other units
+// can shelter it; aggressive sends the strongest attackers first, to take the front
+function orderUnits(units, strategy) {
+    if (strategy === 'defensive') {
+        return [...units.filter(unitData => !isKnownUnit(unitData) || !isCommandUnit(unitData)), ...units.filter(unitData => isKnownUnit(unitData) && isCommandUnit(unitData))];
+    }
+    if (strategy === 'aggressive') {
+        const attack = unitData => (isKnownUnit(unitData) && !isCommandUnit(unitData) ? unitData.stats.attack : -1);
+        return [...units].sort((a, b) => attack(b) - attack(a)); // Stable: equal attacks keep their order
     }
-    return newArray;
+    return units;
+}
+
+function isStrategy(strategy) {
+    return Object.hasOwn(AUTO_PLACEMENT_STRATEGIES, strategy) && strategy !== 'random';
+}
+
+/**
+ * Picks one placement for a player on the current board.
+ * The random strategy takes the next unit and terrain in the order they were dealt and a random spot;
+ * the others take the unit their strategy places next, with its best terrain and spot.
+ * @param {Array} board - Cards placed so far: { owner, gridX, gridY } at least. Enemy units are never read.
+ * @param {1|2} owner - The player placing.
+ * @param {Array} units - The player's unitData objects still to place (null entries when they are secret here).
+ * @param {Array} terrains - The player's terrainData objects still to place.
+ * @param {string} strategy - A key of AUTO_PLACEMENT_STRATEGIES.
+ * @param {Function} [random=Math.random] - Source of randomness, returning [0, 1).
+ * @returns {object|null} { unitData, terrainData, gridX, gridY }, or null if nothing is left to place.
+ */
+export function chooseAutoPlacement(board, owner, units, terrains, strategy, random = Math.random) {
+    const spots = [...getPlacementSpots(board.map(card => getGridKey(card.gridX, card.gridY)))].map(key => key.split('_').map(Number));
+    if (units.length === 0 || terrains.length === 0 || spots.length === 0) return null;
+
+    if (!isStrategy(strategy)) {
+        const [gridX, gridY] = spots[Math.floor(random() * spots.length)];
+        return { unitData: units[0], terrainData: terrains[0], gridX, gridY };
+    }
+    const unitData = orderUnits(units, strategy)[0];
+    let best = null;
+    let bestScore = -Infinity;
+    terrains.forEach(terrainData => {
+        spots.forEach(([gridX, gridY]) => {
+            const score = scorePlacement(board, owner, unitData, terrainData, gridX, gridY, strategy) + random() * 0.1; // Random tie-breaker
+            if (score > bestScore) {
+                bestScore = score;
+                best = { unitData, terrainData, gridX, gridY };
+            }
+        });
+    });
+    return best;
+}
+
+/**
+ * Puts a player's units into the slots another client chose for it (online, the Host auto-places
+ * Player 2's terrains without knowing its units). Each unit, in strategy order, takes its best free slot.
+ * @param {Array} board - Every placed card, the slots included.
+ * @param {Array} slots - The player's placements, without units: { owner, terrainData, gridX, gridY, cardId }.
+ * @param {Array} units - The player's unitData objects, one per slot.
+ * @param {string} strategy - A key of AUTO_PLACEMENT_STRATEGIES.
+ * @param {Function} [random=Math.random] - Source of randomness, returning [0, 1).
+ * @returns {Array} The slots with their unitData, in the same order.
+ */
+export function assignAutoPlacementUnits(board, slots, units, strategy, random = Math.random) {
+    if (!isStrategy(strategy)) {
+        // The dealt order is sorted by name in the memo pad: shuffle so the placement order reveals nothing
+        const shuffled = shuffle(units, random);
+        return slots.map((slot, i) => ({ ...slot, unitData: shuffled[i] }));
+    }
+    const assigned = new Map();
+    orderUnits(units, strategy).forEach(unitData => {
+        let bestSlot = null;
+        let bestScore = -Infinity;
+        slots.forEach(slot => {
+            if (assigned.has(slot)) return;
+            // The slot's own card is part of the board: only its neighbors count
+            const score = scorePlacement(board, slot.owner, unitData, slot.terrainData, slot.gridX, slot.gridY, strategy) + random() * 0.1;
+            if (score > bestScore) {
+                bestScore = score;
+                bestSlot = slot;
+            }
+        });
+        assigned.set(bestSlot, unitData);
+    });
+    return slots.map(slot => ({ ...slot, unitData: assigned.get(slot) }));
 }
 
 // --- Core Auto-Placement Logic ---
 
 /**
- * Generates a sequence of placement actions for all cards, simulating
- * turn-by-turn placement onto random valid adjacent spots.
- * Assumes input arrays contain the full, shuffled sets of unit/terrain data objects.
+ * Generates a sequence of placement actions for all cards, simulating turn-by-turn placement
+ * with each player's strategy (see chooseAutoPlacement).
+ * Assumes input arrays contain the full, shuffled sets of unit/terrain data objects: one pair per
+ * unit of the army, so the number of placements follows from the army's size.
  * @param {Array} p1UnitsData - Array of Player 1's unitData objects.
  * @param {Array} p1TerrainsData - Array of Player 1's terrainData objects.
- * @param {Array} p2UnitsData - Array of Player 2's unitData objects.
+ * @param {Array} p2UnitsData - Array of Player 2's unitData objects (null entries when they are secret).
  * @param {Array} p2TerrainsData - Array of Player 2's terrainData objects.
  * @param {number} startingCardId - The next available card ID.
+ * @param {object} [strategies={ 1: 'random', 2: 'random' }] - Each player's key of AUTO_PLACEMENT_STRATEGIES.
+ * @param {Function} [random=Math.random] - Source of randomness, returning [0, 1); a seeded one replays the same placements.
+ * @param {1|2} [firstPlayer=1] - The player who places first (rematches alternate it).
  * @returns {Array|null} An array of placement action objects: { owner, unitData, terrainData, gridX, gridY, cardId }, or null on error.
  */
-export function generateAutoPlacements(p1UnitsData, p1TerrainsData, p2UnitsData, p2TerrainsData, startingCardId) {
+export function generateAutoPlacements(p1UnitsData, p1TerrainsData, p2UnitsData, p2TerrainsData, startingCardId, strategies = { 1: 'random', 2: 'random' }, random = Math.random, firstPlayer = 1) {
     const finalActions = [];
-    const placedPositions = new Set();
+    const placedCards = [];
     let currentCardId = startingCardId;
 
-    // Create the initial pairings for each player based on the input order
-    // (which should already be shuffled as per the game setup)
-    const p1Pairs = p1UnitsData.map((unitData, i) => ({ owner: 1, unitData, terrainData: p1TerrainsData[i] }));
-    const p2Pairs = p2UnitsData.map((unitData, i) => ({ owner: 2, unitData, terrainData: p2TerrainsData[i] }));
+    // What each player still has to place, in the order it was dealt
+    const remaining = {
+        1: { units: [...p1UnitsData], terrains: [...p1TerrainsData] },
+        2: { units: [...p2UnitsData], terrains: [...p2TerrainsData] }
+    };
+
+    // Both players place their whole army
+    const totalPairsToPlace = p1UnitsData.length + p2UnitsData.length;
 
     // Simulate turn-by-turn placement
-    for (let turn = 0; turn < TOTAL_CARD_PAIRS_TO_PLACE; turn++) {
-        const currentPlayer = (turn % 2) + 1; // Player 1 on turn 0, 2, ... Player 2 on turn 1, 3, ...
-        const currentPairsList = (currentPlayer === 1) ? p1Pairs : p2Pairs;
-        const pairIndex = Math.floor(turn / 2); // Index within the player's pair list
+    for (let turn = 0; turn < totalPairsToPlace; turn++) {
+        const currentPlayer = turn % 2 === 0 ? firstPlayer : 3 - firstPlayer; // The first player on turn 0, 2, ... the other on turn 1, 3, ...
+        const { units, terrains } = remaining[currentPlayer];
 
-        if (pairIndex >= currentPairsList.length) {
+        if (units.length === 0) {
             console.error(`Auto-placement error: Ran out of pairs for Player ${currentPlayer} at turn ${turn}`);
             return null; // Indicate failure
         }
 
-        const action = currentPairsList[pairIndex]; // Get the next pair for this player
-
-        // 1. Determine valid placement spots
-        const potentialSpots = new Set();
-        if (placedPositions.size === 0) {
-            potentialSpots.add(`${START_GRID_COORD}_${START_GRID_COORD}`);
-        } else {
-            placedPositions.forEach(posKey => {
-                const [x, y] = posKey.split('_').map(Number);
-                // Check adjacent spots (right, left, bottom, top)
-                const neighbors = [
-                    `${x + 1}_${y}`, `${x - 1}_${y}`,
-                    `${x}_${y + 1}`, `${x}_${y - 1}`
-                ];
-                neighbors.forEach(neighborKey => {
-                    // Add if it's not already occupied
-                    if (!placedPositions.has(neighborKey)) {
-                        potentialSpots.add(neighborKey);
-                    }
-                });
-            });
-        }
-
-        if (potentialSpots.size === 0) {
-            console.error(`Auto-placement failed: No potential spots found at turn ${turn}! Placed:`, placedPositions);
+        const placement = chooseAutoPlacement(placedCards, currentPlayer, units, terrains, strategies[currentPlayer], random);
+        if (!placement) {
+            console.error(`Auto-placement failed: No placement found at turn ${turn}! Placed:`, placedCards);
             return null; // Indicate failure
         }
+        units.splice(units.indexOf(placement.unitData), 1);
+        terrains.splice(terrains.indexOf(placement.terrainData), 1);
 
-        // 2. Choose a *random* spot from the available potential spots
-        const potentialSpotsArray = Array.from(potentialSpots);
-        const randomIndex = Math.floor(Math.random() * potentialSpotsArray.length);
-        const chosenSpotKey = potentialSpotsArray[randomIndex];
-        const [gridX, gridY] = chosenSpotKey.split('_').map(Number);
-
-        // 3. Add position and card ID to the action
         const completedAction = {
-            ...action,
-            gridX: gridX,
-            gridY: gridY,
+            owner: currentPlayer,
+            ...placement,
             cardId: currentCardId++
         };
         finalActions.push(completedAction);
-
-        // 4. Update placed positions for the next turn's calculation
-        placedPositions.add(chosenSpotKey);
-    }
-
-    if (finalActions.length !== TOTAL_CARD_PAIRS_TO_PLACE) {
-        console.warn(`Auto-placement generated ${finalActions.length} actions, expected ${TOTAL_CARD_PAIRS_TO_PLACE}.`);
-        // This might indicate an issue, but return what we have
+        placedCards.push(completedAction);
     }
 
     console.log("Generated Auto Placement Actions:", finalActions);
     return finalActions;
-}
\ No newline at end of file
+}
+
+// --- Checking a Peer's Auto-Placement ---
+// Online, the Host sends the whole auto-placement at once, and Player 2 sends back the commitments
+// for its units afterwards. Both are checked against the rules before they are applied, as a
+// placement sent one at a time would be.
+
+/**
+ * Checks an auto-placement received from the peer: it must fill the whole empty board, placement by
+ * placement, as the rules allow. Units stay secret, so only the sender's commitments are checked.
+ * @param {object} state - The rules state before the auto-placement (see createInitialState).
+ * @param {Array} actions - The received placements: { owner, terrainData, gridX, gridY, cardId, commitment? }.
+ * @param {1|2} sender - The player who generated the auto-placement.
+ * @returns {string|null} Why the auto-placement is wrong, or null if it may be applied.
+ */
+export function validateAutoPlacements(state, actions, sender) {
+    if (!Array.isArray(actions)) return 'Missing auto-placements.';
+    if (state.phase !== 'PLACEMENT') return 'Not in the placement phase.';
+    if (state.placedCount > 0 || state.board.length > 0) return 'Auto-placement only starts on an empty board.';
+    const totalPairsToPlace = getTotalPairsToPlace(state.army);
+    if (actions.length !== totalPairsToPlace) return `Expected ${totalPairsToPlace} auto-placements, got ${actions.length}.`;
+
+    // Each player places every terrain card of the deck once; the receiver does not know the order the
+    // sender's were dealt in, so any of them is available
+    const deck = [...Array(getArmySize(state.army)).keys()].map(terrainIndex => ({ terrainIndex, terrainData: getTerrainCard(state.terrainDeck, terrainIndex) }));
+    let placementState = { ...state, available: { units: { 1: [], 2: [] }, terrains: { 1: deck, 2: deck } } };
+
+    for (const [i, action] of actions.entries()) {
+        const reason = getAutoPlacementError(placementState, action, sender);
+        if (reason) return `Auto-placement ${i + 1}: ${reason}`;
+        placementState = applyAction(placementState, toPlacementAction(action));
+    }
+    return null;
+}
+
+function getAutoPlacementError(state, action, sender) {
+    if (!action) return 'Missing placement.';
+    if (action.cardId !== state.nextCardId) return 'Unexpected card ID.';
+    if (action.unitData) return 'A placement must not carry the unit.';
+    if (action.owner === sender && typeof action.commitment !== 'string') return 'The sender\'s placement must carry a commitment.';
+    if (action.owner !== sender && action.commitment) return 'Only the owner commits to a unit.';
+    const expected = getTerrainCard(state.terrainDeck, action.terrainData?.terrainIndex);
+    if (!isSameTerrainCard(action.terrainData?.terrainData, expected)) return 'Terrain is not a card of the terrain deck.';
+    return validateAction(state, toPlacementAction(action));
+}
+
+// The secret unit is stood in for by UNKNOWN_UNIT, as in a redacted view
+function toPlacementAction({ owner, terrainData, gridX, gridY, cardId }) {
+    return { type: 'placement', owner, unitData: UNKNOWN_UNIT, terrainData, gridX, gridY, cardId };
+}
+
+/**
+ * Checks the commitments received for the peer's units after an auto-placement: exactly one for
+ * each of its cards that is still waiting for one.
+ * @param {Array} board - The placed cards, with the commitments known so far.
+ * @param {1|2} owner - The player who sent the commitments.
+ * @param {Array} commitments - [{ cardId, commitment }].
+ * @returns {string|null} Why the commitments are wrong, or null if they may be applied.
+ */
+export function validateAutoPlacementCommitments(board, owner, commitments) {
+    if (!Array.isArray(commitments)) return 'Missing commitments.';
+    const awaited = new Set(board.filter(card => card.owner === owner && !card.commitment).map(card => card.id));
+    if (awaited.size === 0) return 'No placement is waiting for a commitment.';
+    if (commitments.length !== awaited.size) return `Expected ${awaited.size} commitments, got ${commitments.length}.`;
+    for (const entry of commitments) {
+        if (!awaited.has(entry?.cardId)) return `No commitment is expected for card ${entry?.cardId}.`;
+        if (typeof entry.commitment !== 'string' || !entry.commitment) return `Missing commitment for card ${entry.cardId}.`;
+        awaited.delete(entry.cardId); // A card committed to twice is not awaited anymore
+    }
+    return null;
+}
@@ -0,0 +1,60 @@
+// --- Board Navigation ---
+// Keyboard focus and screen-reader labels for the cells of the board. The board is sparse (cards
+// only exist where they were placed), so an arrow key moves to the nearest cell in its direction.
+// DOM-free, like rules.js: the game, the replay viewer and the spectator view share it.
+
+export const ARROW_KEY_DIRECTIONS = {
+    ArrowUp: { dx: 0, dy: -1 },
+    ArrowDown: { dx: 0, dy: 1 },
+    ArrowLeft: { dx: -1, dy: 0 },
+    ArrowRight: { dx: 1, dy: 0 }
+};
+
+const EDGE_NAMES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Finds the cell an arrow key moves to.
+ * @param {Array<object>} cells - Anything with gridX and gridY (cards, placement spots).
+ * @param {object} fromCell - The focused cell.
+ * @param {{ dx: number, dy: number }} direction - One of ARROW_KEY_DIRECTIONS.
+ * @returns {object|null} The nearest cell ahead, preferring the same row or column; null at the edge of the board.
+ */
+export function findCellInDirection(cells, fromCell, { dx, dy }) {
+    let best = null;
+    cells.forEach(cell => {
+        const offsetX = cell.gridX - fromCell.gridX;
+        const offsetY = cell.gridY - fromCell.gridY;
+        const ahead = offsetX * dx + offsetY * dy;
+        if (ahead <= 0) return;
+        const aside = Math.abs(offsetX * dy + offsetY * dx);
+        const score = ahead + 2 * aside; // Straight ahead first, then the closest off to the side
+        if (!best || score < best.score || (score === best.score && aside < best.aside)) best = { cell, score, aside };
+    });
+    return best ? best.cell : null;
+}
+
+/**
+ * Names the four edges of a terrain card, which the card art only shows as pictures.
+ * @param {object} edges - { top, right, bottom, left } terrain types.
+ * @returns {string} E.g. "Edges: top Plains, right Forest, bottom Plains, left Forest."
+ */
+export function describeEdges(edges) {
+    return `Edges: ${EDGE_NAMES.map(edge => `${edge} ${edges[edge]}`).join(', ')}.`;
+}
+
+/**
+ * Describes a cell of the board for a screen reader.
+ * @param {object} card - A board card: { owner, unitData, hidden, gridX, gridY, terrainData }.
+ * @param {Function} [canNameFaceDown] - Whether the viewer may hear the name of this face-down unit
+ *   (its own units, or any known unit in a replay); by default face-down units stay unnamed.
+ * @returns {string} The position, the unit (its owner, whether it is revealed) and the four edges.
+ */
+export function describeCell(card, canNameFaceDown = () => false) {
+    const position = `(${card.gridX}, ${card.gridY})`;
+    const edges = describeEdges(card.terrainData.terrainData);
+    if (!card.unitData) return `${position}: empty. ${edges}`;
+    const { unitName, stats, unknown } = card.unitData;
+    const named = !unknown && (!card.hidden || canNameFaceDown(card));
+    const unitText = named ? `Player ${card.owner} ${unitName} (attack ${stats.attack}, defense ${stats.defense})` : `Player ${card.owner} unit`;
+    return `${position}: ${unitText}, ${card.hidden ? 'face-down' : 'revealed'}. ${edges}`;
+}
@@ -0,0 +1,100 @@
+// --- Board View ---
+// Read-only rendering of a rules.js game state, shared by the replay viewer and the spectator view.
+// Cards are drawn from the state alone: nothing here is clickable.
+import { describeCell } from './boardNavigation.js';
+
+function getUnitText(unitData) {
+    return !unitData || unitData.unknown ? 'a face-down unit' : unitData.unitName;
+}
+
+export function describeStep(step, viewedState, getPlayerName) {
+    const { action } = step;
+    if (!action) return 'Start of the placement phase.';
+    const card = id => viewedState.board.find(c => c.id === id);
+
+    if (action.type === 'placement') {
+        const placed = card(action.cardId);
+        return `${getPlayerName(action.owner)} placed ${getUnitText(placed.unitData)} on terrain #${action.terrainData.terrainIndex + 1} at (${action.gridX}, ${action.gridY}).`;
+    }
+    if (action.type === 'reveal') {
+        const revealed = card(action.cardId);
+        return `${getPlayerName(revealed.owner)} revealed ${getUnitText(revealed.unitData)}.`;
+    }
+    if (action.type === 'timeout') return `${getPlayerName(action.player)} ran out of time. ${step.state.winMessage}`;
+    // A move, attack or pass may also end the game through a rule variant (command survival)
+    const withWinMessage = text => (step.state.phase === 'GAMEOVER' ? `${text} ${step.state.winMessage}` : text);
+    if (action.type === 'pass') {
+        return withWinMessage(`${getPlayerName(action.player)}'s time for the turn ran out: turn passed.`);
+    }
+    if (action.type === 'move') {
+        const moved = card(action.targetCardId);
+        return withWinMessage(`${getPlayerName(moved.owner)} moved ${getUnitText(moved.unitData)} to (${moved.gridX}, ${moved.gridY}).`);
+    }
+    if (action.loserCardId === null) { // A missed ranged attack
+        const attacker = card(action.attackerCardId);
+        const target = card(action.targetCardId);
+        return withWinMessage(`Combat: ${getPlayerName(attacker.owner)}'s ${getUnitText(attacker.unitData)} misses ${getPlayerName(target.owner)}'s ${getUnitText(target.unitData)}.`);
+    }
+    // attackResult: the loser is the last defeated unit
+    const winner = card(action.attackerMoved ? action.loserCardId : action.winnerCardId);
+    const defeated = viewedState.defeatedUnits[viewedState.defeatedUnits.length - 1];
+    return withWinMessage(`Combat: ${getPlayerName(winner.owner)}'s ${getUnitText(winner.unitData)} defeats ${getPlayerName(defeated.owner)}'s ${getUnitText(defeated.unitData)}.`);
+}
+
+function createCardImage(src, alt, className = '') {
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = alt;
+    img.className = className;
+    // Keep the alt text readable if the card image is missing
+    img.onerror = () => { img.replaceWith(Object.assign(document.createElement('div'), { className: 'fallback-content', textContent: alt })); };
+    return img;
+}
+
+// "<Player 1> vs <Player 2>" and `text`. Names come from a record file or a peer, so they are
+// only ever set as text, never parsed as HTML
+export function renderPlayerNames(element, getPlayerName, text = '') {
+    const createName = player => Object.assign(document.createElement('span'), { className: `player${player}-text`, textContent: getPlayerName(player) });
+    element.replaceChildren(createName(1), ' vs ', createName(2), text);
+}
+
+export function renderBoard(viewedState) {
+    const boardDiv = document.getElementById('board');
+    boardDiv.innerHTML = '';
+    viewedState.board.forEach(card => {
+        const cardDiv = document.createElement('div');
+        cardDiv.className = `card player${card.owner || ''}${card.hidden ? ' hidden' : ''}`;
+        cardDiv.style.gridColumn = card.gridX;
+        cardDiv.style.gridRow = card.gridY;
+        // The viewed state only holds the units this viewer may know, face-down or not
+        cardDiv.setAttribute('role', 'img');
+        cardDiv.setAttribute('aria-label', describeCell(card, () => true));
+
+        const terrainLayerDiv = document.createElement('div');
+        terrainLayerDiv.className = 'terrain-layer';
+        const edges = card.terrainData.terrainData;
+        terrainLayerDiv.appendChild(createCardImage(card.terrainData.imagePath, `Terrain [T:${edges.top}, R:${edges.right}, B:${edges.bottom}, L:${edges.left}]`));
+        cardDiv.appendChild(terrainLayerDiv);
+
+        // Face-down units known to the viewer are shown see-through; unknown ones stay under their terrain
+        if (card.unitData && !card.unitData.unknown) {
+            const unitLayerDiv = document.createElement('div');
+            unitLayerDiv.className = `unit-layer${card.hidden ? ' replay-face-down' : ''}`;
+            const { unitName, stats } = card.unitData;
+            unitLayerDiv.appendChild(createCardImage(card.unitData.imagePath, `Player ${card.owner} ${unitName} (A:${stats.attack} D:${stats.defense})`));
+            cardDiv.appendChild(unitLayerDiv);
+        }
+        boardDiv.appendChild(cardDiv);
+    });
+}
+
+export function renderDefeatedUnits(viewedState) {
+    const defeatedDiv = document.getElementById('defeated-units');
+    defeatedDiv.innerHTML = '<h4>Defeated Units</h4>';
+    viewedState.defeatedUnits.forEach(defeated => {
+        const defeatedCardDiv = document.createElement('div');
+        defeatedCardDiv.className = `defeated-card player${defeated.owner}`;
+        defeatedCardDiv.appendChild(createCardImage(defeated.unitData.imagePath, `Defeated: Player ${defeated.owner} ${defeated.unitData.unitName}`));
+        defeatedDiv.appendChild(defeatedCardDiv);
+    });
+}
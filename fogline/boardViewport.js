@@ -0,0 +1,97 @@
+// --- Board Viewport ---
+// Pan and zoom over the board, for phones where it does not fit the screen: one finger drags the
+// board, two fingers pinch-zoom it, and until the player moves it the board is fitted to the screen
+// as it grows. DOM-free, like rules.js: the game turns pointer positions into a view here.
+//
+// view = { x, y, scale } // Where the board's top-left corner shows in the viewport, and its zoom
+
+export const ZOOM_LIMITS = { min: 0.25, max: 2.5 };
+
+// How far a finger may drift and still tap, or long-press, a card
+export const TAP_SLOP_PX = 10;
+
+// How long a finger rests on a card to inspect its neighbors (the touch screen's Shift-click)
+export const LONG_PRESS_MS = 500;
+
+// The space kept around the board when it is fitted, or when a focused cell is panned into view
+export const VIEW_MARGIN_PX = 12;
+
+export const DEFAULT_VIEW = Object.freeze({ x: 0, y: 0, scale: 1 });
+
+export function clampScale(scale) {
+    return Math.min(ZOOM_LIMITS.max, Math.max(ZOOM_LIMITS.min, scale));
+}
+
+export function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Drags the board.
+ * @param {object} view - The view when the drag started.
+ * @param {number} dx - How far the finger moved since then, in viewport pixels.
+ * @param {number} dy
+ * @returns {object} The new view.
+ */
+export function panView(view, dx, dy) {
+    return { ...view, x: view.x + dx, y: view.y + dy };
+}
+
+/**
+ * Zooms the board, keeping the point under the finger (or the mouse) in place.
+ * @param {object} view - The current view.
+ * @param {number} scale - The wanted zoom, clamped to ZOOM_LIMITS.
+ * @param {{ x: number, y: number }} point - In viewport pixels.
+ * @returns {object} The new view.
+ */
+export function zoomAt(view, scale, point) {
+    const newScale = clampScale(scale);
+    const ratio = newScale / view.scale;
+    return { x: point.x - (point.x - view.x) * ratio, y: point.y - (point.y - view.y) * ratio, scale: newScale };
+}
+
+/**
+ * Follows a two-finger pinch: the board zooms with the distance between the fingers and moves with
+ * the point between them.
+ * @param {object} startView - The view when the second finger came down.
+ * @param {Array<{ x: number, y: number }>} startPoints - Both fingers then.
+ * @param {Array<{ x: number, y: number }>} points - Both fingers now.
+ * @returns {object} The new view.
+ */
+export function pinchView(startView, [startA, startB], [a, b]) {
+    const startDistance = distance(startA, startB);
+    const scale = startDistance > 0 ? startView.scale * distance(a, b) / startDistance : startView.scale;
+    const startMiddle = { x: (startA.x + startB.x) / 2, y: (startA.y + startB.y) / 2 };
+    const zoomed = zoomAt(startView, scale, startMiddle);
+    return panView(zoomed, (a.x + b.x) / 2 - startMiddle.x, (a.y + b.y) / 2 - startMiddle.y);
+}
+
+/**
+ * Fits the board in the viewport, centered. A board that already fits keeps its size.
+ * @param {{ width: number, height: number }} board - The board's unzoomed size.
+ * @param {{ width: number, height: number }} viewport
+ * @returns {object} The view.
+ */
+export function fitView(board, viewport) {
+    const room = { width: viewport.width - 2 * VIEW_MARGIN_PX, height: viewport.height - 2 * VIEW_MARGIN_PX };
+    const scale = clampScale(Math.min(1, room.width / board.width, room.height / board.height));
+    return { x: (viewport.width - board.width * scale) / 2, y: (viewport.height - board.height * scale) / 2, scale };
+}
+
+/**
+ * Pans just enough to bring a cell into view, e.g. when the keyboard focuses one off screen.
+ * @param {object} view - The current view.
+ * @param {{ left: number, top: number, width: number, height: number }} rect - The cell, in viewport pixels.
+ * @param {{ width: number, height: number }} viewport
+ * @returns {object} The view, unchanged if the cell is already in view.
+ */
+export function panToShow(view, rect, viewport) {
+    const shift = (start, size, room) => {
+        if (start < VIEW_MARGIN_PX) return VIEW_MARGIN_PX - start;
+        if (start + size > room - VIEW_MARGIN_PX) return Math.max(VIEW_MARGIN_PX - start, room - VIEW_MARGIN_PX - start - size);
+        return 0;
+    };
+    const dx = shift(rect.left, rect.width, viewport.width);
+    const dy = shift(rect.top, rect.height, viewport.height);
+    return dx || dy ? panView(view, dx, dy) : view;
+}
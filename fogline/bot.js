@@ -0,0 +1,181 @@
+// --- Computer Opponent ---
+// Chooses placement and gameplay actions for a bot player. It only ever receives a
+// redacted view (see redactState in rules.js), so face-down enemy units are UNKNOWN_UNIT
+// placeholders and the bot cannot read the human's hidden unitData.
+import {
+    TERRAIN_TYPES, legalActions, findCard, findCardAt, canUnitTraverse, getHiddenUnitPool,
+    isCommandUnit, getDefenseBonus, forecastAttack, terrainRules
+} from './rules.js';
+
+export const BOT_DIFFICULTIES = {
+    easy: 'Easy (random)',
+    medium: 'Medium (heuristic)'
+};
+
+const EDGES = ['top', 'right', 'bottom', 'left'];
+const NEIGHBOR_OFFSETS = [
+    { dx: 0, dy: -1, edge: 'top' },
+    { dx: 1, dy: 0, edge: 'right' },
+    { dx: 0, dy: 1, edge: 'bottom' },
+    { dx: -1, dy: 0, edge: 'left' }
+];
+const OPPOSITE_EDGES = { top: 'bottom', right: 'left', bottom: 'top', left: 'right' };
+
+/**
+ * Picks the bot's next action.
+ * @param {object} view - The game state redacted for `botPlayer`.
+ * @param {1|2} botPlayer - The player the bot controls.
+ * @param {string} difficulty - A key of BOT_DIFFICULTIES.
+ * @param {Function} [random=Math.random] - Source of randomness, returning [0, 1).
+ * @returns {object|null} A rules action ('placement', 'move' or 'attack'), or null if none is legal.
+ */
+export function chooseBotAction(view, botPlayer, difficulty, random = Math.random) {
+    const actions = legalActions(view);
+    if (actions.length === 0) return null;
+    if (difficulty !== 'medium') {
+        return actions[Math.floor(random() * actions.length)];
+    }
+
+    let bestAction = null;
+    let bestScore = -Infinity;
+    actions.forEach(action => {
+        const score = (action.type === 'placement'
+            ? scorePlacement(view, botPlayer, action)
+            : scoreGameplayAction(view, botPlayer, action)) + random() * 0.1; // Random tie-breaker
+        if (score > bestScore) {
+            bestScore = score;
+            bestAction = action;
+        }
+    });
+    return bestAction;
+}
+
+// --- Heuristics ---
+
+function unitValue(unitData) {
+    if (isCommandUnit(unitData)) return 50;
+    return unitData.stats.attack + unitData.stats.defense;
+}
+
+function getNeighbors(view, card) {
+    return NEIGHBOR_OFFSETS
+        .map(n => ({ ...n, card: findCardAt(view, card.gridX + n.dx, card.gridY + n.dy) }))
+        .filter(n => n.card);
+}
+
+function countEdges(terrainEdges, terrainType) {
+    return EDGES.filter(edge => terrainEdges[edge] === terrainType).length;
+}
+
+/**
+ * Probability that an attack wins, assuming a face-down defender is drawn uniformly
+ * from the enemy's remaining hidden pool.
+ */
+function winChance(forecast) {
+    if (forecast.defender) return forecast.defender.attackerWins ? 1 : 0;
+    let total = 0;
+    let beaten = 0;
+    forecast.candidates.forEach(({ count, attackerWins }) => {
+        total += count;
+        if (attackerWins) beaten += count;
+    });
+    return total === 0 ? 0 : beaten / total;
+}
+
+/**
+ * Probability that a unit sitting on `card` (with `defense`) is beaten by `enemyCard`
+ * attacking through the edge of `card` on side `edge`.
+ */
+function threatFrom(view, enemyCard, edge, card, defense, enemyPool) {
+    const edgeTerrain = card.terrainData.terrainData[edge];
+    // Attacks out of a Hill edge get its bonus
+    const attackBonus = terrainRules[enemyCard.terrainData.terrainData[OPPOSITE_EDGES[edge]]]?.attackBonus || 0;
+    if (!enemyCard.unitData.unknown) {
+        if (!canUnitTraverse(enemyCard.unitData, edgeTerrain)) return 0;
+        return enemyCard.unitData.stats.attack + attackBonus > defense + getDefenseBonus(enemyCard.unitData, edgeTerrain) ? 1 : 0;
+    }
+    let total = 0;
+    let dangerous = 0;
+    for (const unitName in enemyPool) {
+        total += enemyPool[unitName];
+        const stats = view.army.units[unitName];
+        if (canUnitTraverse(stats, edgeTerrain) && stats.attack + attackBonus > defense + getDefenseBonus(stats, edgeTerrain)) dangerous += enemyPool[unitName];
+    }
+    return total === 0 ? 0 : dangerous / total;
+}
+
+// Highest chance that any adjacent enemy beats `unitData` if it stands on `card`
+function dangerAt(view, botPlayer, card, unitData, ignoreCardId) {
+    const enemyPool = getHiddenUnitPool(view, botPlayer === 1 ? 2 : 1);
+    let danger = 0;
+    getNeighbors(view, card).forEach(n => {
+        if (n.card.id === ignoreCardId || !n.card.unitData || n.card.owner === botPlayer) return;
+        danger = Math.max(danger, threatFrom(view, n.card, n.edge, card, unitData.stats.defense, enemyPool));
+    });
+    return danger;
+}
+
+function scorePlacement(view, botPlayer, action) {
+    const { unitData, terrainData, gridX, gridY } = action;
+    const edges = terrainData.terrainData;
+    const forestEdges = countEdges(edges, TERRAIN_TYPES.FOREST);
+    const plainsEdges = countEdges(edges, TERRAIN_TYPES.PLAINS);
+    let score = 0;
+
+    // Placed cards around the spot: own cards shelter, enemy cards threaten
+    let ownNeighbors = 0;
+    let enemyNeighbors = 0;
+    NEIGHBOR_OFFSETS.forEach(n => {
+        const neighbor = findCardAt(view, gridX + n.dx, gridY + n.dy);
+        if (!neighbor) return;
+        if (neighbor.owner === botPlayer) ownNeighbors++;
+        else enemyNeighbors++;
+    });
+
+    if (isCommandUnit(unitData)) {
+        // Hide the command behind forest (defense bonus) and away from plains-only attackers
+        score += forestEdges * 3 + (4 - plainsEdges) * 2 + ownNeighbors * 2 - enemyNeighbors * 4;
+    } else if (canUnitTraverse(unitData, TERRAIN_TYPES.FOREST)) {
+        // Infantry and Special Ops go anywhere: put them on the front line
+        score += enemyNeighbors * 2;
+    } else {
+        // Plains-only units need open edges to move at all
+        score += plainsEdges * 2 + enemyNeighbors * (unitData.stats.attack >= 4 ? 1 : -1);
+    }
+    return score;
+}
+
+function scoreGameplayAction(view, botPlayer, action) {
+    const attackerCard = findCard(view, action.attackerCardId);
+    const targetCard = findCard(view, action.targetCardId);
+    const attackerUnit = attackerCard.unitData;
+
+    if (action.type === 'attack') {
+        const forecast = forecastAttack(view, attackerCard, targetCard);
+        const chance = winChance(forecast);
+        const gain = targetCard.unitData.unknown
+            ? 8 // Average value of an unknown unit, plus the information gained
+            : unitValue(targetCard.unitData);
+        const risk = forecast.ranged ? 0 : unitValue(attackerUnit); // A missed shot costs nothing
+        return chance * gain - (1 - chance) * risk;
+    }
+
+    // Move: avoid stepping into danger, keep the command still, close in on the enemy
+    const danger = dangerAt(view, botPlayer, targetCard, attackerUnit, attackerCard.id);
+    let score = -danger * unitValue(attackerUnit);
+    if (isCommandUnit(attackerUnit)) {
+        const currentDanger = dangerAt(view, botPlayer, attackerCard, attackerUnit, null);
+        score += (currentDanger - danger) * unitValue(attackerUnit) - 2;
+    } else {
+        score += distanceGain(view, botPlayer, attackerCard, targetCard);
+    }
+    return score;
+}
+
+// How much closer a move brings the unit to the nearest enemy unit
+function distanceGain(view, botPlayer, fromCard, toCard) {
+    const enemies = view.board.filter(card => card.unitData && card.owner && card.owner !== botPlayer);
+    if (enemies.length === 0) return 0;
+    const nearest = card => Math.min(...enemies.map(e => Math.abs(e.gridX - card.gridX) + Math.abs(e.gridY - card.gridY)));
+    return nearest(fromCard) - nearest(toCard);
+}
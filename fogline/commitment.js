@@ -0,0 +1,42 @@
+// --- Commit-Reveal for Face-Down Units ---
+// Each client keeps its own units secret. At placement it only sends a SHA-256 commitment
+// per card; the unit and the salt are disclosed on reveal (or in combat), and the receiver
+// recomputes the hash to check the disclosure. Uses the Web Crypto API, which browsers and
+// Node both provide as `globalThis.crypto`.
+
+export const COMMITMENT_SCHEME = 'sha256-v1';
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export async function sha256Hex(text) {
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return toHex(new Uint8Array(digest));
+}
+
+// 128 random bits, so a commitment cannot be brute-forced from the few possible units
+export function createSalt() {
+    return toHex(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+}
+
+/**
+ * Hashes a unit disclosure into a commitment.
+ * The card ID and owner are part of the hash, so a commitment cannot be replayed for another card.
+ * @param {object} disclosure - { cardId, owner, unitName, instance, salt }
+ * @returns {Promise<string>} The hex-encoded SHA-256 commitment.
+ */
+export async function createCommitment({ cardId, owner, unitName, instance, salt }) {
+    return sha256Hex([COMMITMENT_SCHEME, cardId, owner, unitName, instance, salt].join('|'));
+}
+
+/**
+ * Checks a disclosed unit against the commitment received at placement.
+ * @param {string} commitment - The commitment sent with the placement.
+ * @param {object} disclosure - { cardId, owner, unitName, instance, salt }
+ * @returns {Promise<boolean>} True if the disclosure matches.
+ */
+export async function verifyCommitment(commitment, disclosure) {
+    if (!commitment || !disclosure || typeof disclosure.salt !== 'string') return false;
+    return (await createCommitment(disclosure)) === commitment;
+}
@@ -0,0 +1,166 @@
+// --- Game Record ---
+// An ordered, versioned log of every setup, placement, reveal, move, attackResult, pass and timeout of a match,
+// and the board states rebuilt from it for the replay viewer. DOM-free, like rules.js.
+//
+// record = {
+//     format: 'fogline-game-record', version: 1, createdAt,
+//     players: { 1: name, 2: name }, // Added when the record is exported
+//     actions: [
+//         { type: 'setup', matchId, mode, recordedBy, army, terrainDeck, variants, seed, strict, timeControl, firstPlayer }, // Missing from records of standard games made before they were configurable
+//         { type: 'placement', owner, unitData, terrainData, gridX, gridY, cardId }, // unitData is null while the unit is secret
+//         { type: 'reveal', cardId, unitData? },    // unitData when a face-down enemy unit was disclosed
+//         { type: 'move', attackerCardId, targetCardId },
+//         { type: 'attackResult', winnerCardId, loserCardId, attackerMoved, gameOver, winMessage }, // Ranged attacks add { ranged, attackerCardId, targetCardId }
+//         { type: 'pass', player }, // The player's time for the turn ran out
+//         { type: 'timeout', player }, // The player's chess clock ran out
+//         { type: 'disclosure', units: [{ cardId, unitData }] } // The opponent's units, disclosed at game over
+//     ]
+// }
+import { UNKNOWN_UNIT, STANDARD_ARMY, STANDARD_TERRAIN_DECK, NO_VARIANTS, createInitialState, applyAction, getAttackCardIds } from './rules.js';
+
+export const GAME_RECORD_FORMAT = 'fogline-game-record';
+export const GAME_RECORD_VERSION = 1;
+
+const BOARD_ACTION_TYPES = ['placement', 'reveal', 'move', 'attackResult', 'pass', 'timeout'];
+const TURN_ACTION_TYPES = ['placement', 'move', 'attackResult', 'pass']; // The board actions that end a player's turn
+
+export function createGameRecord() {
+    return {
+        format: GAME_RECORD_FORMAT,
+        version: GAME_RECORD_VERSION,
+        createdAt: new Date().toISOString(),
+        actions: []
+    };
+}
+
+/**
+ * Parses and checks an exported game record.
+ * @param {string} json - The content of a game record file.
+ * @returns {object} The record.
+ * @throws {Error} If the file is not a game record this version can replay.
+ */
+export function parseGameRecord(json) {
+    let record;
+    try {
+        record = JSON.parse(json);
+    } catch (err) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!record || record.format !== GAME_RECORD_FORMAT || !Array.isArray(record.actions)) {
+        throw new Error('The file is not a Fogline game record.');
+    }
+    if (record.version !== GAME_RECORD_VERSION) {
+        throw new Error(`Unsupported game record version ${record.version} (expected ${GAME_RECORD_VERSION}).`);
+    }
+    return record;
+}
+
+export function getRecordSetup(record) {
+    return record.actions.find(action => action.type === 'setup') || null;
+}
+
+// A face-down unit never moves (selecting it reveals it), so a unit disclosed on a card
+// is the one placed on that card
+function collectDisclosedUnits(actions) {
+    const disclosed = {};
+    actions.forEach(action => {
+        if (action.type === 'reveal' && action.unitData) disclosed[action.cardId] = action.unitData;
+        if (action.type === 'disclosure') action.units.forEach(({ cardId, unitData }) => { disclosed[cardId] = unitData; });
+    });
+    return disclosed;
+}
+
+/**
+ * Rebuilds the omniscient board state after each recorded board action.
+ * Units the recorder never saw (an online opponent who left before disclosing) stay UNKNOWN_UNIT.
+ * @param {object} record - A game record.
+ * @returns {Array<{ state: object, action: object|null }>} The placement-phase start, then the state after
+ *   each recorded board action (the action as recorded).
+ * @throws {Error} If a recorded action is illegal.
+ */
+export function buildReplaySteps(record) {
+    const disclosed = collectDisclosedUnits(record.actions);
+    const placements = record.actions
+        .filter(action => action.type === 'placement')
+        .map(action => ({ ...action, unitData: action.unitData || disclosed[action.cardId] || UNKNOWN_UNIT }));
+    const ownedBy = (owner, key) => placements.filter(p => p.owner === owner && !p[key].unknown).map(p => p[key]);
+
+    let state = createInitialState({
+        units: { 1: ownedBy(1, 'unitData'), 2: ownedBy(2, 'unitData') },
+        terrains: { 1: ownedBy(1, 'terrainData'), 2: ownedBy(2, 'terrainData') },
+        army: getRecordSetup(record)?.army || STANDARD_ARMY,
+        terrainDeck: getRecordSetup(record)?.terrainDeck || STANDARD_TERRAIN_DECK,
+        variants: getRecordSetup(record)?.variants || NO_VARIANTS,
+        firstPlayer: getRecordSetup(record)?.firstPlayer || 1
+    });
+    const steps = [{ state, action: null }];
+    let placementIndex = 0;
+
+    record.actions.forEach((action, index) => {
+        if (!BOARD_ACTION_TYPES.includes(action.type)) return;
+        let rulesAction;
+        if (action.type === 'placement') {
+            rulesAction = { ...placements[placementIndex++], type: 'placement' };
+        } else if (action.type === 'attackResult') {
+            rulesAction = { type: 'attack', ...getAttackCardIds(action) };
+        } else {
+            rulesAction = action;
+        }
+        try {
+            state = applyAction(state, rulesAction);
+        } catch (err) {
+            throw new Error(`Action ${index + 1} (${action.type}) cannot be replayed: ${err.message}`);
+        }
+        steps.push({ state, action });
+    });
+    return steps;
+}
+
+/**
+ * Takes back a player's last turn (a placement, move, attack or pass) and every turn played since.
+ * Reveals recorded since are kept: a card once shown stays known to the opponent.
+ * @param {object} record - A game record.
+ * @param {number} player - The player taking back its turn.
+ * @returns {{ record: object, state: object, turnNumber: number, turnsUndone: number }|null} The shortened record and the
+ *   board state it leaves, which turn was taken back (counting from 1, so both peers can check they take back the same
+ *   one) and how many turns were removed with it; null if the player has not played a turn yet.
+ * @throws {Error} If a recorded action is illegal.
+ */
+export function takeBackLastTurn(record, player) {
+    const steps = buildReplaySteps(record);
+    let turnCount = 0;
+    let lastTurn = null;
+    steps.forEach((step, i) => {
+        if (!step.action || !TURN_ACTION_TYPES.includes(step.action.type)) return;
+        turnCount++;
+        if (steps[i - 1].state.currentPlayer === player) lastTurn = { action: step.action, turnNumber: turnCount };
+    });
+    if (!lastTurn) return null;
+
+    const index = record.actions.indexOf(lastTurn.action);
+    const actions = [...record.actions.slice(0, index), ...record.actions.slice(index + 1).filter(action => action.type === 'reveal')];
+    const shortened = { ...record, actions };
+    return {
+        record: shortened,
+        state: buildReplaySteps(shortened).at(-1).state,
+        turnNumber: lastTurn.turnNumber,
+        turnsUndone: turnCount - lastTurn.turnNumber + 1
+    };
+}
+
+/**
+ * Checks a takeback the opponent asked for against this client's record. The request may have crossed a turn
+ * played since (the requester then asked for a turn that is no longer its last one), or arrive in strict mode:
+ * either way it is declined right away rather than treated as a protocol violation.
+ * @param {object} record - This client's game record.
+ * @param {number} requester - The player asking to take back its last turn.
+ * @param {number} turnNumber - The turn the requester asked to take back.
+ * @param {boolean} [strict] - Strict mode, where takebacks are off.
+ * @returns {object|null} The takeback to offer the player (see takeBackLastTurn), or null to decline it.
+ */
+export function getRequestedTakeback(record, requester, turnNumber, strict = false) {
+    if (strict) return null;
+    const takeback = takeBackLastTurn(record, requester);
+    if (!takeback || takeback.turnsUndone !== 1 || takeback.turnNumber !== turnNumber) return null;
+    return takeback;
+}
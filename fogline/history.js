@@ -0,0 +1,129 @@
+// --- Fogline Match History ---
+// Lists the matches finished in this browser, with the statistics computed by matchHistory.js:
+// win rates by player, average game length and the unit types lost most often. The history can
+// be exported to a JSON file and imported on another browser.
+import { computeStats, exportMatchHistory, parseMatchHistory } from './matchHistory.js';
+import { loadMatchHistory, importMatchHistory, clearMatchHistory } from './historyStore.js';
+import { formatClock } from './timeControls.js';
+
+const VICTORY_TYPE_NAMES = {
+    command: 'Command captured',
+    elimination: 'Elimination',
+    survival: 'Command survived',
+    time: 'On time',
+    unknown: 'Unknown'
+};
+
+const GAME_MODE_NAMES = { online: 'Online', hotseat: 'Hot-seat', bot: 'Vs. computer' };
+
+let historyEntries = [];
+
+function setInfo(text) {
+    document.getElementById('info').textContent = text;
+}
+
+function formatPercent(rate) {
+    return `${Math.round(rate * 100)}%`;
+}
+
+function describeCounts(counts, limit = 3) {
+    return counts.slice(0, limit).map(({ unitName, count }) => `${unitName} ×${count}`).join(', ') || '—';
+}
+
+// Fills a table body with one row per entry of `rows`, each an array of cell texts
+function fillTable(tableId, rows) {
+    const tbody = document.querySelector(`#${tableId} tbody`);
+    tbody.replaceChildren(...rows.map(cells => {
+        const row = document.createElement('tr');
+        cells.forEach(text => row.appendChild(Object.assign(document.createElement('td'), { textContent: text })));
+        return row;
+    }));
+}
+
+function renderHistory() {
+    const stats = computeStats(historyEntries);
+    if (stats.games === 0) {
+        setInfo('No finished matches yet: they are added here when a game ends.');
+    } else {
+        const victories = stats.victoryTypes.map(({ victoryType, count }) => `${VICTORY_TYPE_NAMES[victoryType] || victoryType} ${count}`).join(', ');
+        setInfo(`${stats.games} match${stats.games === 1 ? '' : 'es'}, ${formatClock(stats.averageDurationMs)} and ${stats.averageTurns.toFixed(1)} turns on average. Victories: ${victories}.`);
+    }
+
+    fillTable('history-players-table', stats.players.map(player => [
+        player.name, player.games, player.wins, formatPercent(player.winRate), describeCounts(player.unitLosses)
+    ]));
+    fillTable('history-units-table', stats.unitLosses.map(({ unitName, count }) => [unitName, count]));
+    fillTable('history-matches-table', [...historyEntries].reverse().map(entry => [
+        new Date(entry.endedAt).toLocaleString(),
+        GAME_MODE_NAMES[entry.gameMode] || entry.gameMode,
+        `${entry.players[1]} vs ${entry.players[2]}`,
+        entry.players[entry.winner],
+        VICTORY_TYPE_NAMES[entry.victoryType || 'unknown'],
+        formatClock(entry.durationMs),
+        entry.turnCount,
+        entry.defeatedUnits.length
+    ]));
+}
+
+async function refreshHistory() {
+    try {
+        historyEntries = await loadMatchHistory();
+    } catch (err) {
+        console.error('Cannot load the match history:', err);
+        setInfo(`Cannot load the match history: ${err.message}`);
+        return;
+    }
+    renderHistory();
+}
+
+function exportHistory() {
+    const history = exportMatchHistory(historyEntries);
+    const blob = new Blob([JSON.stringify(history, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `fogline-history-${history.exportedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0); // Once the download has started
+}
+
+function loadHistoryFile(file) {
+    const reader = new FileReader();
+    reader.onload = async () => {
+        let entries;
+        try {
+            entries = parseMatchHistory(reader.result);
+            await importMatchHistory(entries);
+        } catch (err) {
+            console.error('Cannot import match history:', err);
+            setInfo(`Cannot import ${file.name}: ${err.message}`);
+            return;
+        }
+        await refreshHistory();
+        setInfo(`Imported ${entries.length} match${entries.length === 1 ? '' : 'es'} from ${file.name}. ${document.getElementById('info').textContent}`);
+    };
+    reader.readAsText(file);
+}
+
+async function clearHistory() {
+    if (!confirm('Delete every match of the history kept in this browser? Export it first to keep a copy.')) return;
+    try {
+        await clearMatchHistory();
+    } catch (err) {
+        console.error('Cannot clear the match history:', err);
+        setInfo(`Cannot clear the match history: ${err.message}`);
+        return;
+    }
+    await refreshHistory();
+}
+
+window.exportHistory = exportHistory;
+window.clearHistory = clearHistory;
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('history-file-input').addEventListener('change', event => {
+        const file = event.target.files[0];
+        if (file) loadHistoryFile(file);
+        event.target.value = ''; // The same file can be imported again
+    });
+    refreshHistory();
+});
@@ -0,0 +1,63 @@
+// --- Match History Store ---
+// Keeps the finished matches of matchHistory.js in IndexedDB. Unlike the match in progress (see
+// savedMatch.js), they pile up over time, beyond what localStorage is meant to hold. Entries are
+// keyed by match ID, so importing the same history twice does not count its matches twice.
+
+const DB_NAME = 'fogline';
+const DB_VERSION = 1;
+const STORE_NAME = 'matchHistory';
+
+function openHistoryDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs `operate` in one transaction on the store; resolves with its request's result once the transaction is done
+async function withHistoryStore(mode, operate) {
+    const db = await openHistoryDb();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operate(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Adds a finished match, replacing any entry with the same match ID.
+ * @param {object} entry - From createHistoryEntry.
+ * @returns {Promise<void>}
+ */
+export function addMatchToHistory(entry) {
+    return withHistoryStore('readwrite', store => { store.put(entry); });
+}
+
+/**
+ * @returns {Promise<Array<object>>} Every history entry, oldest first.
+ */
+export async function loadMatchHistory() {
+    const entries = await withHistoryStore('readonly', store => store.getAll());
+    return entries.sort((a, b) => a.endedAt.localeCompare(b.endedAt));
+}
+
+/**
+ * Adds imported matches; those already in the history are replaced, not doubled.
+ * @param {Array<object>} entries - Checked by parseMatchHistory.
+ * @returns {Promise<void>}
+ */
+export function importMatchHistory(entries) {
+    return withHistoryStore('readwrite', store => { entries.forEach(entry => store.put(entry)); });
+}
+
+export function clearMatchHistory() {
+    return withHistoryStore('readwrite', store => { store.clear(); });
+}
@@ -0,0 +1,150 @@
+// --- Match History ---
+// A summary of each finished match, kept in IndexedDB (see historyStore.js) for the history and
+// statistics page (history.html), and the statistics computed from them. The history can be
+// exported and imported as JSON, so an imported file is checked here. DOM-free, like rules.js.
+//
+// entry = {
+//     id, // The match ID: both browsers of an online match keep an entry under the same ID
+//     startedAt, endedAt, durationMs, // ISO dates, and the time between them
+//     gameMode, localPlayerRole, // 'online', 'hotseat' or 'bot', and the player this browser played (1 in local games)
+//     players: { 1: name, 2: name }, opponentName,
+//     winner, victoryType, // 1 | 2, and 'command' | 'elimination' | 'survival' | 'time' (null if unknown)
+//     turnCount, // Gameplay turns (moves, attacks and passes) played
+//     defeatedUnits: [{ owner, unitName }] // In the order they were lost
+// }
+// history file = { format: 'fogline-match-history', version: 1, exportedAt, matches: [entry] }
+
+export const MATCH_HISTORY_FORMAT = 'fogline-match-history';
+export const MATCH_HISTORY_VERSION = 1;
+
+const GAME_MODES = ['online', 'hotseat', 'bot'];
+
+/**
+ * Summarizes a finished match.
+ * @param {object} match - { matchId, startedAt, endedAt, gameMode, localPlayerRole, players, winner, victoryType,
+ *   turnCount, defeatedUnits } where defeatedUnits are the board's { unitData, owner } entries.
+ * @returns {object} The history entry.
+ */
+export function createHistoryEntry({ matchId, startedAt, endedAt, gameMode, localPlayerRole, players, winner, victoryType, turnCount, defeatedUnits }) {
+    return {
+        id: matchId,
+        startedAt,
+        endedAt,
+        durationMs: Math.max(0, Date.parse(endedAt) - Date.parse(startedAt)),
+        gameMode,
+        localPlayerRole,
+        players: { 1: players[1], 2: players[2] },
+        opponentName: players[localPlayerRole === 1 ? 2 : 1],
+        winner,
+        victoryType: victoryType || null,
+        turnCount,
+        defeatedUnits: defeatedUnits.map(({ unitData, owner }) => ({ owner, unitName: unitData.unitName }))
+    };
+}
+
+/**
+ * Checks a history entry, typically one read from an imported file.
+ * @param {object} entry
+ * @returns {string|null} Why the entry cannot be kept, or null if it can.
+ */
+export function validateHistoryEntry(entry) {
+    if (!entry || typeof entry !== 'object') return 'Missing match.';
+    if (typeof entry.id !== 'string' || !entry.id) return 'Missing match ID.';
+    if (Number.isNaN(Date.parse(entry.startedAt)) || Number.isNaN(Date.parse(entry.endedAt))) return 'Invalid match dates.';
+    if (!GAME_MODES.includes(entry.gameMode)) return 'Unknown game mode.';
+    if (![1, 2].includes(entry.localPlayerRole) || ![1, 2].includes(entry.winner)) return 'Invalid players.';
+    if (!entry.players || typeof entry.players[1] !== 'string' || typeof entry.players[2] !== 'string') return 'Missing player names.';
+    if (!Number.isInteger(entry.turnCount) || entry.turnCount < 0 || !Number.isFinite(entry.durationMs) || entry.durationMs < 0) return 'Invalid match length.';
+    if (!Array.isArray(entry.defeatedUnits) || !entry.defeatedUnits.every(unit => [1, 2].includes(unit?.owner) && typeof unit.unitName === 'string')) {
+        return 'Invalid defeated units.';
+    }
+    return null;
+}
+
+/**
+ * Wraps the history for export.
+ * @param {Array<object>} entries - The history entries.
+ * @param {string} [exportedAt] - ISO date, now by default.
+ * @returns {object} The history file content.
+ */
+export function exportMatchHistory(entries, exportedAt = new Date().toISOString()) {
+    return { format: MATCH_HISTORY_FORMAT, version: MATCH_HISTORY_VERSION, exportedAt, matches: entries };
+}
+
+/**
+ * Parses and checks an exported history.
+ * @param {string} json - The content of a history file.
+ * @returns {Array<object>} The history entries.
+ * @throws {Error} If the file is not a history this version can import, or one of its matches is invalid.
+ */
+export function parseMatchHistory(json) {
+    let history;
+    try {
+        history = JSON.parse(json);
+    } catch (err) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!history || history.format !== MATCH_HISTORY_FORMAT || !Array.isArray(history.matches)) {
+        throw new Error('The file is not a Fogline match history.');
+    }
+    if (history.version !== MATCH_HISTORY_VERSION) {
+        throw new Error(`Unsupported match history version ${history.version} (expected ${MATCH_HISTORY_VERSION}).`);
+    }
+    history.matches.forEach((entry, index) => {
+        const reason = validateHistoryEntry(entry);
+        if (reason) throw new Error(`Match ${index + 1}: ${reason}`);
+    });
+    return history.matches;
+}
+
+// Sorts counts from the highest, then by name
+function sortCounts(counts, key) {
+    return Object.entries(counts)
+        .map(([name, count]) => ({ [key]: name, count }))
+        .sort((a, b) => b.count - a.count || a[key].localeCompare(b[key]));
+}
+
+/**
+ * Computes the statistics of the history page.
+ * @param {Array<object>} entries - The history entries.
+ * @returns {object} {
+ *   games, averageDurationMs, averageTurns,
+ *   victoryTypes: [{ victoryType, count }],
+ *   players: [{ name, games, wins, winRate, unitLosses: [{ unitName, count }] }], // By display name, most games first
+ *   unitLosses: [{ unitName, count }] // The unit types lost most often first
+ * }
+ */
+export function computeStats(entries) {
+    const games = entries.length;
+    const average = key => (games ? entries.reduce((sum, entry) => sum + entry[key], 0) / games : 0);
+    const victoryTypes = {};
+    const players = {};
+    const unitLosses = {};
+
+    entries.forEach(entry => {
+        const victoryType = entry.victoryType || 'unknown';
+        victoryTypes[victoryType] = (victoryTypes[victoryType] || 0) + 1;
+        [1, 2].forEach(player => {
+            const name = entry.players[player];
+            players[name] = players[name] || { name, games: 0, wins: 0, unitLosses: {} };
+            players[name].games++;
+            if (entry.winner === player) players[name].wins++;
+        });
+        entry.defeatedUnits.forEach(({ owner, unitName }) => {
+            unitLosses[unitName] = (unitLosses[unitName] || 0) + 1;
+            const ownLosses = players[entry.players[owner]].unitLosses;
+            ownLosses[unitName] = (ownLosses[unitName] || 0) + 1;
+        });
+    });
+
+    return {
+        games,
+        averageDurationMs: average('durationMs'),
+        averageTurns: average('turnCount'),
+        victoryTypes: sortCounts(victoryTypes, 'victoryType'),
+        players: Object.values(players)
+            .map(player => ({ ...player, winRate: player.wins / player.games, unitLosses: sortCounts(player.unitLosses, 'unitName') }))
+            .sort((a, b) => b.games - a.games || a.name.localeCompare(b.name)),
+        unitLosses: sortCounts(unitLosses, 'unitName')
+    };
+}
@@ -0,0 +1,78 @@
+// --- Seeded Randomness ---
+// Dealing the cards and auto-placing them draw from a seeded generator instead of Math.random,
+// so sharing a seed replays the same opening. The seed travels in the setup message, so the peer
+// checks it here. DOM-free, like rules.js.
+
+export const SEED_LIMITS = {
+    maxLength: 32
+};
+
+const SEED_PATTERN = /^[A-Za-z0-9_-]+$/;
+const SEED_ALPHABET = '123456789bcdfghjkmnpqrstvwxyz'; // The peer ID alphabet: easy to read out and type
+
+/**
+ * Draws a fresh seed for a match whose host did not pick one.
+ * @returns {string} A 10-character seed.
+ */
+export function createSeed() {
+    const bytes = globalThis.crypto.getRandomValues(new Uint8Array(10));
+    return Array.from(bytes, byte => SEED_ALPHABET[byte % SEED_ALPHABET.length]).join('');
+}
+
+/**
+ * Checks a seed, typically one typed by the host or received from the peer.
+ * @param {string} seed
+ * @returns {string|null} Why the seed cannot be used, or null if it can.
+ */
+export function validateSeed(seed) {
+    if (typeof seed !== 'string' || seed.length === 0 || seed.length > SEED_LIMITS.maxLength || !SEED_PATTERN.test(seed)) {
+        return `The seed needs 1 to ${SEED_LIMITS.maxLength} letters, digits, dashes or underscores.`;
+    }
+    return null;
+}
+
+// cyrb53: hashes any text into 53 bits, so similar seeds still start far apart
+function hashSeed(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * Creates a seeded source of randomness, a drop-in for Math.random.
+ * The same seed always gives the same sequence (mulberry32).
+ * @param {string} seed - Any text; seeds are often suffixed to split one match seed into independent streams.
+ * @returns {Function} Returns a number in [0, 1) on each call.
+ */
+export function createRandom(seed) {
+    let state = hashSeed(String(seed)) >>> 0;
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Shuffles a copy of an array (Fisher-Yates).
+ * @param {Array} array - Left untouched.
+ * @param {Function} [random=Math.random] - Source of randomness, returning [0, 1).
+ * @returns {Array} The shuffled copy.
+ */
+export function shuffle(array, random = Math.random) {
+    const newArray = [...array];
+    for (let i = newArray.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
+    }
+    return newArray;
+}
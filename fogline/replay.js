@@ -0,0 +1,90 @@
+// --- Fogline Replay Viewer ---
+// Loads a game record exported at GAMEOVER and steps through the board states rebuilt
+// by gameRecord.js, either omniscient or with one player's fog of war.
+import { redactState } from './rules.js';
+import { parseGameRecord, buildReplaySteps, getRecordSetup } from './gameRecord.js';
+import { describeStep, renderBoard, renderDefeatedUnits, renderPlayerNames } from './boardView.js';
+
+let replaySteps = []; // [{ state, action }] from buildReplaySteps
+let replayRecord = null;
+let currentStepIndex = 0;
+let replayView = 'all'; // 'all' (omniscient), '1' or '2'
+
+function loadRecordFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const record = parseGameRecord(reader.result);
+            replaySteps = buildReplaySteps(record);
+            replayRecord = record;
+        } catch (err) {
+            console.error('Cannot load game record:', err);
+            document.getElementById('info').textContent = `Cannot load ${file.name}: ${err.message}`;
+            return;
+        }
+        currentStepIndex = 0;
+        document.getElementById('replay-view-select').disabled = false;
+        renderReplay();
+    };
+    reader.readAsText(file);
+}
+
+function goToReplayStep(index) {
+    if (replaySteps.length === 0) return;
+    currentStepIndex = Math.max(0, Math.min(index, replaySteps.length - 1));
+    renderReplay();
+}
+
+function stepReplay(delta) {
+    goToReplayStep(currentStepIndex + delta);
+}
+
+function setReplayView(view) {
+    replayView = view;
+    renderReplay();
+}
+
+function getPlayerName(player) {
+    return replayRecord.players?.[player] || `Player ${player}`;
+}
+
+// The state as the selected viewer knew it: face-down enemy units become UNKNOWN_UNIT
+function getViewedState(state) {
+    return replayView === 'all' ? state : redactState(state, Number(replayView));
+}
+
+function renderReplay() {
+    if (replaySteps.length === 0) return;
+    const step = replaySteps[currentStepIndex];
+    const viewedState = getViewedState(step.state);
+    const lastIndex = replaySteps.length - 1;
+
+    const setup = getRecordSetup(replayRecord);
+    const recordedBy = setup ? ` (${setup.mode} game recorded by Player ${setup.recordedBy})` : '';
+    renderPlayerNames(document.getElementById('info'), getPlayerName, recordedBy);
+    document.getElementById('replay-step-counter').textContent = `Step ${currentStepIndex} / ${lastIndex}`;
+    document.getElementById('replay-step-description').textContent = describeStep(step, viewedState, getPlayerName);
+    document.getElementById('replay-first-button').disabled = currentStepIndex === 0;
+    document.getElementById('replay-back-button').disabled = currentStepIndex === 0;
+    document.getElementById('replay-forward-button').disabled = currentStepIndex === lastIndex;
+    document.getElementById('replay-last-button').disabled = currentStepIndex === lastIndex;
+
+    renderBoard(viewedState);
+    renderDefeatedUnits(viewedState);
+}
+
+window.goToReplayStep = goToReplayStep;
+window.stepReplay = stepReplay;
+window.setReplayView = setReplayView;
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('replay-file-input').addEventListener('change', event => {
+        const file = event.target.files[0];
+        if (file) loadRecordFile(file);
+    });
+    // Arrow keys step through the replay
+    document.addEventListener('keydown', event => {
+        if (event.key === 'ArrowLeft') stepReplay(-1);
+        if (event.key === 'ArrowRight') stepReplay(1);
+    });
+});
@@ -0,0 +1,106 @@
+// --- Room Codes ---
+// The short code a host reads out or shares instead of a raw peer ID, and the invite URL that
+// carries it (?join=<code>). A room code maps to a peer ID on the signaling server, so joining a
+// room is connecting to its host. Codes leave out vowels (no words) and look-alike characters,
+// and are typed in any case, with or without the dash. DOM-free, like rules.js.
+
+export const ROOM_CODE_ALPHABET = '123456789BCDFGHJKMNPQRSTVWXYZ';
+export const ROOM_CODE_LENGTH = 6;
+const ROOM_PEER_ID_PREFIX = 'fogline-';
+
+/**
+ * @returns {string} A new room code, e.g. 'K7PM3Q'.
+ */
+export function createRoomCode() {
+    // Bytes past the last whole multiple of the alphabet's length are drawn again: taking them modulo
+    // the length would favour the first characters
+    const limit = Math.floor(256 / ROOM_CODE_ALPHABET.length) * ROOM_CODE_ALPHABET.length;
+    let code = '';
+    while (code.length < ROOM_CODE_LENGTH) {
+        const bytes = globalThis.crypto.getRandomValues(new Uint8Array(ROOM_CODE_LENGTH));
+        bytes.forEach(byte => {
+            if (byte < limit && code.length < ROOM_CODE_LENGTH) code += ROOM_CODE_ALPHABET[byte % ROOM_CODE_ALPHABET.length];
+        });
+    }
+    return code;
+}
+
+/**
+ * Reads a room code as typed: case, spaces and dashes do not matter.
+ * @param {string} input
+ * @returns {string|null} The room code, or null if the input is not one.
+ */
+export function parseRoomCode(input) {
+    const code = String(input ?? '').toUpperCase().replace(/[\s-]/g, '');
+    if (code.length !== ROOM_CODE_LENGTH || [...code].some(char => !ROOM_CODE_ALPHABET.includes(char))) return null;
+    return code;
+}
+
+/**
+ * @param {string} code - A room code.
+ * @returns {string} The code as shown to players, e.g. 'K7P-M3Q'.
+ */
+export function formatRoomCode(code) {
+    const half = ROOM_CODE_LENGTH / 2;
+    return `${code.slice(0, half)}-${code.slice(half)}`;
+}
+
+export function roomCodeToPeerId(code) {
+    return ROOM_PEER_ID_PREFIX + code.toLowerCase();
+}
+
+/**
+ * @param {string} peerId
+ * @returns {string|null} The room code hosted under this peer ID, or null for other peer IDs.
+ */
+export function peerIdToRoomCode(peerId) {
+    if (typeof peerId !== 'string' || !peerId.startsWith(ROOM_PEER_ID_PREFIX)) return null;
+    const code = peerId.slice(ROOM_PEER_ID_PREFIX.length);
+    return code === code.toLowerCase() ? parseRoomCode(code) : null;
+}
+
+/**
+ * Names a peer for players: its room code when it hosts a room, else its raw peer ID.
+ * @param {string} peerId
+ * @returns {string}
+ */
+export function describePeerId(peerId) {
+    const code = peerIdToRoomCode(peerId);
+    return code ? formatRoomCode(code) : peerId;
+}
+
+/**
+ * Finds the peer to connect to from what a player typed or pasted: a room code, an invite or
+ * spectator URL, or a raw peer ID (the IDs of earlier versions).
+ * @param {string} input
+ * @returns {string|null} The peer ID, or null if the input is empty.
+ */
+export function resolvePeerId(input) {
+    const text = String(input ?? '').trim();
+    if (!text) return null;
+    if (/^https?:\/\//i.test(text)) {
+        let params;
+        try {
+            params = new URL(text).searchParams;
+        } catch (err) {
+            return null;
+        }
+        return resolvePeerId(params.get('join') || params.get('watch'));
+    }
+    const code = parseRoomCode(text);
+    return code ? roomCodeToPeerId(code) : text;
+}
+
+/**
+ * Builds the URL that lets a guest join a room in one click.
+ * @param {string} pageUrl - The URL of the game page; its other parameters (e.g. a self-hosted
+ *   signaling server) are kept, so the guest reaches the room through the same server.
+ * @param {string} code - The room code.
+ * @returns {string}
+ */
+export function createInviteUrl(pageUrl, code) {
+    const url = new URL(pageUrl);
+    url.searchParams.set('join', formatRoomCode(code));
+    url.hash = '';
+    return url.href;
+}
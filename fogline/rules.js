@@ -0,0 +1,840 @@
+// --- Fogline Rules Engine ---
+// Pure, DOM-free rules shared by the browser client, bots, replays and tests.
+// Nothing in this module touches `document`, `window` or PeerJS, so it runs under Node as-is.
+// Game states are plain objects and are never mutated: applyAction() returns a new state.
+
+// --- Constants ---
+export const START_GRID_COORD = 10; // The first card is always placed at grid cell 10,10
+export const COMMAND_UNIT_NAME = 'Mobile Command';
+
+// Terrain Types
+export const TERRAIN_TYPES = {
+    PLAINS: 'Plains',
+    FOREST: 'Forest',
+    MOUNTAIN: 'Mountain',
+    RIVER: 'River',
+    BRIDGE: 'Bridge',
+    HILL: 'Hill'
+};
+
+// Unit Stats of the standard army (Movement based on terrain *type*)
+export const unitStats = {
+    'Mobile Command': { attack: 1, defense: 2, quantity: 1, canTraverse: [TERRAIN_TYPES.PLAINS], rules: ['command'], safeName: 'mobile_command' },
+    'Tank': { attack: 4, defense: 4, quantity: 2, canTraverse: [TERRAIN_TYPES.PLAINS], rules: [], safeName: 'tank' },
+    'Infantry': { attack: 3, defense: 3, quantity: 3, canTraverse: [TERRAIN_TYPES.PLAINS, TERRAIN_TYPES.FOREST, TERRAIN_TYPES.MOUNTAIN], rules: [], safeName: 'infantry' },
+    'Artillery': { attack: 5, defense: 1, quantity: 1, canTraverse: [TERRAIN_TYPES.PLAINS], rules: [], safeName: 'artillery' },
+    'Special Ops': { attack: 3, defense: 1, quantity: 1, canTraverse: [TERRAIN_TYPES.PLAINS, TERRAIN_TYPES.FOREST, TERRAIN_TYPES.MOUNTAIN], rules: [], safeName: 'special_ops' }
+};
+
+// Special rules a unit type may have (see armies.js for custom armies)
+export const UNIT_RULES = {
+    command: 'Losing it loses the game. Every army has exactly one.',
+    piercing: 'Ignores the Forest defense bonus when attacking.'
+};
+
+// The army both players get unless the host picks another one: { name, units: { unitName: stats } }
+export const STANDARD_ARMY = { name: 'Standard', units: unitStats };
+
+// Terrain Rules (bonuses based on type)
+// defenseBonus: for a defender attacked through an edge of this type
+// attackBonus: for an attacker attacking out through an edge of this type
+// crossing: 'none' if no unit may cross the edge, 'all' if every unit may; otherwise it is up to unit canTraverse lists
+export const terrainRules = {
+    [TERRAIN_TYPES.PLAINS]: { defenseBonus: 0, attackBonus: 0 },
+    [TERRAIN_TYPES.FOREST]: { defenseBonus: 1, attackBonus: 0 },
+    [TERRAIN_TYPES.MOUNTAIN]: { defenseBonus: 0, attackBonus: 0 },
+    [TERRAIN_TYPES.RIVER]: { defenseBonus: 0, attackBonus: 0, crossing: 'none' },
+    [TERRAIN_TYPES.BRIDGE]: { defenseBonus: 0, attackBonus: 0, crossing: 'all' },
+    [TERRAIN_TYPES.HILL]: { defenseBonus: 0, attackBonus: 1, crossing: 'all' }
+};
+
+// The terrain types unit canTraverse lists decide on (the others have a crossing rule)
+export const UNIT_TERRAIN_TYPES = Object.values(TERRAIN_TYPES).filter(terrainType => !terrainRules[terrainType].crossing);
+
+// The 8 Fixed Terrain Cards of the standard deck (Top, Right, Bottom, Left)
+// IMPORTANT: Keep this consistent across both clients
+export const fixedTerrainCards = [
+    { top: TERRAIN_TYPES.PLAINS, right: TERRAIN_TYPES.FOREST, bottom: TERRAIN_TYPES.PLAINS, left: TERRAIN_TYPES.FOREST },
+    { top: TERRAIN_TYPES.PLAINS, right: TERRAIN_TYPES.MOUNTAIN, bottom: TERRAIN_TYPES.PLAINS, left: TERRAIN_TYPES.MOUNTAIN },
+    { top: TERRAIN_TYPES.FOREST, right: TERRAIN_TYPES.PLAINS, bottom: TERRAIN_TYPES.FOREST, left: TERRAIN_TYPES.PLAINS },
+    { top: TERRAIN_TYPES.MOUNTAIN, right: TERRAIN_TYPES.PLAINS, bottom: TERRAIN_TYPES.MOUNTAIN, left: TERRAIN_TYPES.PLAINS },
+    { top: TERRAIN_TYPES.FOREST, right: TERRAIN_TYPES.FOREST, bottom: TERRAIN_TYPES.PLAINS, left: TERRAIN_TYPES.MOUNTAIN },
+    { top: TERRAIN_TYPES.MOUNTAIN, right: TERRAIN_TYPES.MOUNTAIN, bottom: TERRAIN_TYPES.PLAINS, left: TERRAIN_TYPES.FOREST },
+    { top: TERRAIN_TYPES.FOREST, right: TERRAIN_TYPES.MOUNTAIN, bottom: TERRAIN_TYPES.FOREST, left: TERRAIN_TYPES.PLAINS },
+    { top: TERRAIN_TYPES.MOUNTAIN, right: TERRAIN_TYPES.FOREST, bottom: TERRAIN_TYPES.MOUNTAIN, left: TERRAIN_TYPES.PLAINS }
+];
+
+// The terrain deck both players are dealt from unless the host picks another one (see terrainDecks.js)
+export const STANDARD_TERRAIN_DECK = { name: 'Standard', cards: fixedTerrainCards };
+
+// House rules the host may turn on at setup (see variants.js); all off by default
+export const NO_VARIANTS = Object.freeze({
+    rangedArtillery: false, // Artillery attacks two tiles away in a straight line, without moving
+    attackerWinsTies: false,
+    revealOnAdjacency: false, // A face-down unit is revealed when an enemy unit moves next to it
+    commandSurvivalTurns: 0 // If set, Player 2 wins when their command unit survives that many turns of Player 1
+});
+
+// The unit type the rangedArtillery variant applies to (in any army)
+export const RANGED_UNIT_NAME = 'Artillery';
+
+// --- Army Helpers ---
+
+// Number of cards each player places: one per unit of the army
+export function getArmySize(army) {
+    return Object.values(army.units).reduce((total, stats) => total + stats.quantity, 0);
+}
+
+export function getTotalPairsToPlace(army) {
+    return getArmySize(army) * 2;
+}
+
+// Each player gets one terrain card per unit; armies larger than the deck are dealt it again
+export function getTerrainCard(terrainDeck, terrainIndex) {
+    if (!Number.isInteger(terrainIndex) || terrainIndex < 0) return null;
+    return terrainDeck.cards[terrainIndex % terrainDeck.cards.length];
+}
+
+/**
+ * Checks whether a unit has a special rule.
+ * Units recorded before armies were configurable carry no rules: they are standard units.
+ * @param {object} unit - A unitData object, or the stats of a unit type in an army.
+ * @param {string} rule - A key of UNIT_RULES.
+ * @returns {boolean}
+ */
+export function hasUnitRule(unit, rule) {
+    if (!unit || unit.unknown) return false;
+    const rules = unit.rules || unitStats[unit.unitName]?.rules || [];
+    return rules.includes(rule);
+}
+
+export function isCommandUnit(unitData) {
+    return hasUnitRule(unitData, 'command');
+}
+
+// Whether a unit fires from two tiles away under the rangedArtillery variant
+export function isRangedUnit(unitData, variants = NO_VARIANTS) {
+    return !!variants.rangedArtillery && !!unitData && !unitData.unknown && unitData.unitName === RANGED_UNIT_NAME;
+}
+
+// The defense bonus a defender gets from the edge `attackerUnit` attacks through
+export function getDefenseBonus(attackerUnit, edgeTerrain) {
+    if (hasUnitRule(attackerUnit, 'piercing')) return 0;
+    return terrainRules[edgeTerrain]?.defenseBonus || 0;
+}
+
+// --- Board Geometry Helpers ---
+// These work on any card-like object { gridX, gridY, owner, unitData, terrainData },
+// so the browser can pass its own board cards (which also carry DOM elements) directly.
+
+export function getGridKey(gridX, gridY) {
+    return `${gridX}_${gridY}`;
+}
+
+export function getDirectionInfo(card1, card2) {
+    if (!card1 || !card2) return null;
+    const dx = card2.gridX - card1.gridX;
+    const dy = card2.gridY - card1.gridY;
+
+    if (dx === 1 && dy === 0) return { direction: 'right', opposite: 'left' };
+    if (dx === -1 && dy === 0) return { direction: 'left', opposite: 'right' };
+    if (dx === 0 && dy === 1) return { direction: 'bottom', opposite: 'top' }; // Grid Y increases downwards
+    if (dx === 0 && dy === -1) return { direction: 'top', opposite: 'bottom' }; // Grid Y decreases upwards
+    return null; // Not adjacent or same card
+}
+
+// Like getDirectionInfo, for a card exactly two tiles away in a straight line (ranged attacks)
+function getRangedDirectionInfo(card1, card2) {
+    if (!card1 || !card2) return null;
+    const dx = card2.gridX - card1.gridX;
+    const dy = card2.gridY - card1.gridY;
+    if (dx !== 0 && dy !== 0) return null;
+    return getDirectionInfo({ gridX: 0, gridY: 0 }, { gridX: dx / 2, gridY: dy / 2 });
+}
+
+export function canUnitTraverse(unitData, terrainType) {
+    // unitData is expected to be { unitName, instance, stats, imagePath, canTraverse }
+    if (!unitData || !unitData.canTraverse || !terrainType) return false;
+    const crossing = terrainRules[terrainType]?.crossing;
+    if (crossing === 'none') return false; // Rivers
+    if (crossing === 'all') return true; // Bridges and hills
+    return unitData.canTraverse.includes(terrainType);
+}
+
+/**
+ * Computes every grid cell where the next card pair may be placed.
+ * The first card goes on the start cell; every later card must share a full side
+ * with a card already on the table.
+ * @param {Iterable<string>} placedPositions - "x_y" keys of the occupied cells.
+ * @returns {Set<string>} The "x_y" keys of the valid, empty cells.
+ */
+export function getPlacementSpots(placedPositions) {
+    const placed = new Set(placedPositions);
+    const potentialSpots = new Set();
+    if (placed.size === 0) {
+        potentialSpots.add(getGridKey(START_GRID_COORD, START_GRID_COORD));
+        return potentialSpots;
+    }
+    placed.forEach(posKey => {
+        const [x, y] = posKey.split('_').map(Number);
+        // Check adjacent spots (right, left, bottom, top)
+        const neighbors = [getGridKey(x + 1, y), getGridKey(x - 1, y), getGridKey(x, y + 1), getGridKey(x, y - 1)];
+        neighbors.forEach(neighborKey => {
+            if (!placed.has(neighborKey)) potentialSpots.add(neighborKey);
+        });
+    });
+    return potentialSpots;
+}
+
+/**
+ * Classifies what a selected unit may do with a target card during gameplay.
+ * @param {object} attackerCard - The card holding the selected unit.
+ * @param {object} targetCard - The card the player wants to move into or attack.
+ * @param {object} [variants=NO_VARIANTS] - The house rules in play (for ranged attacks).
+ * @returns {{ kind: 'move'|'attack'|null, reason: string|null, directionInfo: object|null, entryTerrainType: string|null, ranged: boolean }}
+ *   `kind` is null when the target is not a legal destination; `reason` then explains why.
+ *   `ranged` is true for an attack from two tiles away, which crosses no edge.
+ */
+export function classifyTarget(attackerCard, targetCard, variants = NO_VARIANTS) {
+    const result = { kind: null, reason: null, directionInfo: null, entryTerrainType: null, ranged: false };
+    if (!attackerCard || !attackerCard.unitData) {
+        result.reason = 'No unit selected.';
+        return result;
+    }
+    const directionInfo = getDirectionInfo(attackerCard, targetCard);
+    if (!directionInfo) {
+        const rangedDirectionInfo = isRangedUnit(attackerCard.unitData, variants) ? getRangedDirectionInfo(attackerCard, targetCard) : null;
+        if (rangedDirectionInfo && targetCard.unitData && targetCard.owner !== attackerCard.owner) {
+            // Shots fly over whatever lies in between
+            return { ...result, kind: 'attack', directionInfo: rangedDirectionInfo, ranged: true };
+        }
+        result.reason = rangedDirectionInfo ? 'Ranged attacks need an enemy unit two tiles away.' : 'Target is not adjacent.';
+        return result;
+    }
+    result.directionInfo = directionInfo;
+
+    // The unit enters through the target's edge that faces the attacker
+    const entryTerrainType = targetCard.terrainData.terrainData[directionInfo.opposite];
+    result.entryTerrainType = entryTerrainType;
+    if (!canUnitTraverse(attackerCard.unitData, entryTerrainType)) {
+        result.reason = `${attackerCard.unitData.unitName} cannot enter via ${entryTerrainType} (${directionInfo.opposite} edge of target).`;
+        return result;
+    }
+
+    if (!targetCard.unitData) {
+        result.kind = 'move';
+    } else if (targetCard.owner === attackerCard.owner) {
+        result.reason = 'Cannot move/attack your own unit.';
+    } else {
+        result.kind = 'attack';
+    }
+    return result;
+}
+
+// --- Combat and Victory ---
+
+/**
+ * Checks whether removing `loserCard` from `board` ends the game.
+ * @param {Array} board - Cards currently on the table (before the loss is applied).
+ * @param {object} loserCard - The card whose unit is about to be defeated.
+ * @returns {{ gameOver: boolean, victoryType: 'command'|'elimination'|null }}
+ */
+export function checkVictoryAfterLoss(board, loserCard) {
+    const loserOwner = loserCard.owner;
+    if (isCommandUnit(loserCard.unitData)) {
+        return { gameOver: true, victoryType: 'command' };
+    }
+    // Remaining units of the loser *after* this loss
+    const remainingUnitsLoser = board.filter(c =>
+        c && c.owner === loserOwner && c.unitData && c.id !== loserCard.id
+    );
+    // The command unit stays on the board until it is captured (which ends the game), so a
+    // single remaining unit is the command, even when it is still face-down (unknown) to the
+    // client resolving the attack
+    const onlyCommandLeft = remainingUnitsLoser.length === 1 &&
+        (remainingUnitsLoser[0].unitData.unknown || isCommandUnit(remainingUnitsLoser[0].unitData));
+    if (onlyCommandLeft) {
+        return { gameOver: true, victoryType: 'elimination' };
+    }
+    return { gameOver: false, victoryType: null };
+}
+
+// `commandName` is the name of the captured (or surviving) command unit, which custom armies may rename
+export function getWinMessage(winnerPlayer, victoryType, commandName = COMMAND_UNIT_NAME) {
+    if (victoryType === 'command') return `Player ${winnerPlayer} wins by capturing the ${commandName}!`;
+    if (victoryType === 'elimination') return `Player ${winnerPlayer} wins by eliminating all other movable units!`;
+    if (victoryType === 'survival') return `Player ${winnerPlayer} wins: the ${commandName} survived!`;
+    if (victoryType === 'time') return `Player ${winnerPlayer} wins on time!`;
+    return `Player ${winnerPlayer} wins!`;
+}
+
+/**
+ * Checks the commandSurvivalTurns variant after a turn that did not end the game otherwise:
+ * the player who moves first has that many turns to win, after which the other player wins.
+ * @param {object} state - The game state after the turn, with its updated turnCount.
+ * @returns {object|null} { winner, victoryType: 'survival', winMessage }, or null while the game goes on.
+ */
+export function getSurvivalVictory(state) {
+    const turns = getVariants(state).commandSurvivalTurns;
+    // The first player plays the odd turns: its Nth turn is turn 2N - 1
+    if (!turns || state.turnCount < turns * 2 - 1) return null;
+    const commandName = Object.keys(state.army.units).find(unitName => hasUnitRule(state.army.units[unitName], 'command'));
+    const winner = otherPlayer(state.firstPlayer || 1);
+    return { winner, victoryType: 'survival', winMessage: getWinMessage(winner, 'survival', commandName) };
+}
+
+// The edges the two cards face each other through, and the bonuses their terrain gives:
+// the attacker's edge may give an attack bonus, the defender's a defense bonus
+function getEdgeBonuses(attackerCard, defenderCard, ranged = false) {
+    const directionInfo = ranged ? getRangedDirectionInfo(attackerCard, defenderCard) : getDirectionInfo(attackerCard, defenderCard);
+    if (!directionInfo) return null;
+    const attackEdge = directionInfo.direction;
+    const attackEdgeTerrain = attackerCard.terrainData.terrainData[attackEdge];
+    const defenseEdge = directionInfo.opposite;
+    const defenseEdgeTerrain = defenderCard.terrainData.terrainData[defenseEdge];
+    return {
+        attackEdge,
+        attackEdgeTerrain,
+        attackBonus: terrainRules[attackEdgeTerrain]?.attackBonus || 0,
+        defenseEdge,
+        defenseEdgeTerrain,
+        terrainBonus: getDefenseBonus(attackerCard.unitData, defenseEdgeTerrain)
+    };
+}
+
+// Defenders win ties, unless the attackerWinsTies variant is on
+function beatsDefense(attackValue, defenseValue, variants) {
+    return variants.attackerWinsTies ? attackValue >= defenseValue : attackValue > defenseValue;
+}
+
+function getVariants(state) {
+    return state.variants || NO_VARIANTS; // States built before rule variants existed
+}
+
+/**
+ * Resolves an attack without modifying anything.
+ * The attacker gets the attack bonus of its edge facing the defender (Hill). The defender gets
+ * the defense bonus of its edge facing the attacker (unless the attacker is piercing), and wins ties
+ * (unless the attackerWinsTies variant is on).
+ * A ranged attack (rangedArtillery variant) leaves the attacker where it is: if it fails, nobody is defeated.
+ * @param {Array} board - Cards currently on the table.
+ * @param {object} attackerCard - The attacking card (must hold a unit).
+ * @param {object} defenderCard - The defending card (must hold a unit and be adjacent, or in range).
+ * @param {object} [variants=NO_VARIANTS] - The house rules in play.
+ * @returns {object|null} The full combat breakdown, or null if the cards cannot fight.
+ */
+export function resolveCombat(board, attackerCard, defenderCard, variants = NO_VARIANTS) {
+    if (!attackerCard || !attackerCard.unitData || !defenderCard || !defenderCard.unitData) return null;
+    const ranged = !getDirectionInfo(attackerCard, defenderCard) && isRangedUnit(attackerCard.unitData, variants);
+    const edgeBonuses = getEdgeBonuses(attackerCard, defenderCard, ranged);
+    if (!edgeBonuses) return null;
+
+    const { attackEdge, attackEdgeTerrain, attackBonus, defenseEdge, defenseEdgeTerrain, terrainBonus } = edgeBonuses;
+    const baseAttack = attackerCard.unitData.stats.attack;
+    const attackValue = baseAttack + attackBonus;
+    const baseDefense = defenderCard.unitData.stats.defense;
+    const defenseValue = baseDefense + terrainBonus;
+
+    const attackerWins = beatsDefense(attackValue, defenseValue, variants);
+    const winnerCard = attackerWins ? attackerCard : defenderCard;
+    const loserCard = attackerWins ? defenderCard : ranged ? null : attackerCard; // A failed shot defeats nobody
+    const { gameOver, victoryType } = loserCard ? checkVictoryAfterLoss(board, loserCard) : { gameOver: false, victoryType: null };
+
+    return {
+        attackerCardId: attackerCard.id,
+        defenderCardId: defenderCard.id,
+        ranged,
+        baseAttack,
+        attackBonus,
+        attackValue,
+        attackEdge,
+        attackEdgeTerrain,
+        baseDefense,
+        terrainBonus,
+        defenseValue,
+        defenseEdge,
+        defenseEdgeTerrain,
+        attackerWins,
+        winnerCardId: winnerCard.id,
+        loserCardId: loserCard ? loserCard.id : null,
+        winnerOwner: winnerCard.owner,
+        attackerMoved: attackerWins && !ranged, // The attacker moves into the space it won, unless it fired from range
+        defeatedUnitData: loserCard ? {
+            unitData: loserCard.unitData,
+            terrainData: loserCard.terrainData, // The terrain the loser was on
+            owner: loserCard.owner
+        } : null,
+        gameOver,
+        victoryType,
+        winMessage: gameOver ? getWinMessage(winnerCard.owner, victoryType, loserCard.unitData.unitName) : ''
+    };
+}
+
+/**
+ * Forecasts an attack from what the attacking player can see, before it is made.
+ * A face-up defender gives the exact outcome; a face-down one is matched against every unit
+ * its owner may still have face-down (see getHiddenUnitPool).
+ * @param {object} state - The current game state.
+ * @param {object} attackerCard - The card holding the selected unit.
+ * @param {object} defenderCard - The card to attack.
+ * @returns {object|null} { ranged, baseAttack, attackBonus, attackValue, attackEdge, attackEdgeTerrain, defenseEdge,
+ *   defenseEdgeTerrain, terrainBonus, defender, candidates }:
+ *   `defender` is { unitName, baseDefense, defenseValue, attackerWins } when the defender is face-up (else null),
+ *   `candidates` lists { unitName, count, baseDefense, defenseValue, attackerWins } when it is face-down (else []).
+ *   Null if the target cannot be attacked.
+ */
+export function forecastAttack(state, attackerCard, defenderCard) {
+    const variants = getVariants(state);
+    const { kind, ranged } = classifyTarget(attackerCard, defenderCard, variants);
+    if (kind !== 'attack') return null;
+    const { attackEdge, attackEdgeTerrain, attackBonus, defenseEdge, defenseEdgeTerrain, terrainBonus } = getEdgeBonuses(attackerCard, defenderCard, ranged);
+    const baseAttack = attackerCard.unitData.stats.attack;
+    const attackValue = baseAttack + attackBonus;
+    const getOutcome = baseDefense => ({
+        baseDefense,
+        defenseValue: baseDefense + terrainBonus,
+        attackerWins: beatsDefense(attackValue, baseDefense + terrainBonus, variants)
+    });
+
+    const forecast = {
+        ranged, baseAttack, attackBonus, attackValue, attackEdge, attackEdgeTerrain,
+        defenseEdge, defenseEdgeTerrain, terrainBonus, defender: null, candidates: []
+    };
+    // The local client may know a face-down unit (hot-seat, bot games): it still counts as unknown
+    if (!defenderCard.hidden && !defenderCard.unitData.unknown) {
+        forecast.defender = { unitName: defenderCard.unitData.unitName, ...getOutcome(defenderCard.unitData.stats.defense) };
+    } else {
+        const pool = getHiddenUnitPool(state, defenderCard.owner);
+        forecast.candidates = Object.keys(pool)
+            .filter(unitName => pool[unitName] > 0)
+            .map(unitName => ({ unitName, count: pool[unitName], ...getOutcome(state.army.units[unitName].defense) }));
+    }
+    return forecast;
+}
+
+// --- Immutable Game State ---
+// state = {
+//     phase: 'PLACEMENT' | 'GAMEPLAY' | 'GAMEOVER',
+//     currentPlayer: 1 | 2,
+//     firstPlayer: 1 | 2, // Places and moves first (rematches alternate it; 1 if omitted)
+//     board: [{ id, owner, unitData, terrainData, hidden, gridX, gridY }],
+//     available: { units: { 1: [], 2: [] }, terrains: { 1: [], 2: [] } },
+//     defeatedUnits: [{ unitData, terrainData, owner }],
+//     army, // The unit types both players play with (see STANDARD_ARMY)
+//     terrainDeck, // The terrain cards both players are dealt from (see STANDARD_TERRAIN_DECK)
+//     variants, // The house rules in play (see NO_VARIANTS)
+//     turnCount, // Gameplay turns (moves, attacks and passes) played so far
+//     placedCount, nextCardId, winner, victoryType, winMessage
+// }
+// Actions mirror the network messages:
+//     { type: 'placement', owner, unitData, terrainData, gridX, gridY, cardId? }
+//     { type: 'reveal', cardId, unitData? } // unitData discloses a face-down enemy unit (UNKNOWN_UNIT in a redacted view)
+//     { type: 'move', attackerCardId, targetCardId }
+//     { type: 'attack', attackerCardId, targetCardId }
+//     { type: 'pass', player } // The player's time for the turn ran out (time controls)
+//     { type: 'timeout', player } // The player's chess clock ran out
+
+function otherPlayer(player) {
+    return player === 1 ? 2 : 1;
+}
+
+function sameUnit(a, b) {
+    return !!a && !!b && a.unitName === b.unitName && a.instance === b.instance;
+}
+
+function sameTerrain(a, b) {
+    return !!a && !!b && a.terrainIndex === b.terrainIndex;
+}
+
+/**
+ * Creates the state at the start of the placement phase.
+ * @param {object} setup - { units: { 1: [...], 2: [...] }, terrains: { 1: [...], 2: [...] }, army?, terrainDeck?, variants?, firstPlayer? }
+ *   holding each player's unitData and terrainData objects, the army and terrain deck they come from, the
+ *   house rules in play and who places and moves first (STANDARD_ARMY, STANDARD_TERRAIN_DECK, NO_VARIANTS and 1 if omitted).
+ * @returns {object} A fresh game state.
+ */
+export function createInitialState({ units, terrains, army = STANDARD_ARMY, terrainDeck = STANDARD_TERRAIN_DECK, variants = NO_VARIANTS, firstPlayer = 1 }) {
+    return {
+        phase: 'PLACEMENT',
+        currentPlayer: firstPlayer, // The first player starts placement
+        firstPlayer,
+        board: [],
+        available: {
+            units: { 1: [...(units[1] || [])], 2: [...(units[2] || [])] },
+            terrains: { 1: [...(terrains[1] || [])], 2: [...(terrains[2] || [])] }
+        },
+        defeatedUnits: [],
+        army,
+        terrainDeck,
+        variants,
+        turnCount: 0,
+        placedCount: 0,
+        nextCardId: 0,
+        winner: null,
+        victoryType: null,
+        winMessage: ''
+    };
+}
+
+export function findCard(state, cardId) {
+    return state.board.find(card => card.id === cardId) || null;
+}
+
+export function findCardAt(state, gridX, gridY) {
+    return state.board.find(card => card.gridX === gridX && card.gridY === gridY) || null;
+}
+
+/**
+ * Lists every action the current player may take.
+ * Reveals are free actions that do not end the turn, so only placements, moves
+ * and attacks are listed.
+ * @param {object} state - The current game state.
+ * @returns {Array} Legal action objects.
+ */
+export function legalActions(state) {
+    const actions = [];
+    const player = state.currentPlayer;
+
+    if (state.phase === 'PLACEMENT') {
+        const spots = getPlacementSpots(state.board.map(card => getGridKey(card.gridX, card.gridY)));
+        state.available.units[player].forEach(unitData => {
+            state.available.terrains[player].forEach(terrainData => {
+                spots.forEach(spotKey => {
+                    const [gridX, gridY] = spotKey.split('_').map(Number);
+                    actions.push({ type: 'placement', owner: player, unitData, terrainData, gridX, gridY });
+                });
+            });
+        });
+    } else if (state.phase === 'GAMEPLAY') {
+        const variants = getVariants(state);
+        state.board.forEach(card => {
+            if (card.owner !== player || !card.unitData) return;
+            const neighbors = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+            // Ranged units may also target the tiles two steps away
+            const targets = isRangedUnit(card.unitData, variants) ? [...neighbors, [2, 0], [-2, 0], [0, 2], [0, -2]] : neighbors;
+            targets.forEach(([dx, dy]) => {
+                const target = findCardAt(state, card.gridX + dx, card.gridY + dy);
+                if (!target) return;
+                const { kind } = classifyTarget(card, target, variants);
+                if (kind) actions.push({ type: kind, attackerCardId: card.id, targetCardId: target.id });
+            });
+        });
+    }
+    return actions;
+}
+
+/**
+ * Checks an action against the rules without applying it.
+ * @param {object} state - The current game state.
+ * @param {object} action - The action to check.
+ * @returns {string|null} Why the action is illegal, or null if it is legal.
+ */
+export function validateAction(state, action) {
+    if (!action || !action.type) return 'Missing action.';
+
+    if (action.type === 'timeout') {
+        if (state.phase !== 'PLACEMENT' && state.phase !== 'GAMEPLAY') return 'The game is over.';
+        if (action.player !== state.currentPlayer) return `Only Player ${state.currentPlayer}'s clock is running.`;
+        return null;
+    }
+
+    if (action.type === 'placement') {
+        if (state.phase !== 'PLACEMENT') return 'Not in the placement phase.';
+        if (action.owner !== state.currentPlayer) return `It is Player ${state.currentPlayer}'s turn to place.`;
+        // In a redacted view the opponent places face-down units the viewer cannot check
+        if (!action.unitData?.unknown && !state.available.units[action.owner].some(u => sameUnit(u, action.unitData))) return 'Unit is not available.';
+        if (!state.available.terrains[action.owner].some(t => sameTerrain(t, action.terrainData))) return 'Terrain is not available.';
+        const spots = getPlacementSpots(state.board.map(card => getGridKey(card.gridX, card.gridY)));
+        if (!spots.has(getGridKey(action.gridX, action.gridY))) return 'Invalid placement spot.';
+        if (action.cardId !== undefined && action.cardId !== null && findCard(state, action.cardId)) return 'Card ID already in use.';
+        return null;
+    }
+
+    if (state.phase !== 'GAMEPLAY') return 'Not in the gameplay phase.';
+
+    if (action.type === 'reveal') {
+        const card = findCard(state, action.cardId);
+        if (!card || !card.unitData) return 'No unit to reveal.';
+        if (action.unitData && !card.unitData.unknown && !sameUnit(card.unitData, action.unitData)) return 'Another unit is on this card.';
+        return null;
+    }
+
+    if (action.type === 'pass') {
+        if (action.player !== state.currentPlayer) return `It is Player ${state.currentPlayer}'s turn.`;
+        return null;
+    }
+
+    if (action.type === 'move' || action.type === 'attack') {
+        const attackerCard = findCard(state, action.attackerCardId);
+        const targetCard = findCard(state, action.targetCardId);
+        if (!attackerCard || !targetCard) return 'Unknown card.';
+        if (attackerCard.owner !== state.currentPlayer || !attackerCard.unitData) return `It is Player ${state.currentPlayer}'s turn.`;
+        const { kind, reason } = classifyTarget(attackerCard, targetCard, getVariants(state));
+        if (!kind) return reason;
+        if (kind !== action.type) return `Target requires a ${kind}, not a ${action.type}.`;
+        return null;
+    }
+
+    return `Unknown action type: ${action.type}`;
+}
+
+/**
+ * Finds which cards fought in an attack result: the attacker is the winner that moved in, or else the loser.
+ * Ranged attacks never move the attacker, so their results name both cards.
+ * @param {object} result - { winnerCardId, loserCardId, attackerMoved, ranged?, attackerCardId?, targetCardId? }
+ * @returns {{ attackerCardId: number, targetCardId: number }}
+ */
+export function getAttackCardIds(result) {
+    if (result.ranged) return { attackerCardId: result.attackerCardId, targetCardId: result.targetCardId };
+    return result.attackerMoved
+        ? { attackerCardId: result.winnerCardId, targetCardId: result.loserCardId }
+        : { attackerCardId: result.loserCardId, targetCardId: result.winnerCardId };
+}
+
+/**
+ * Checks a reported attack result against the combat recomputed from the board.
+ * Both units must already be face-up, so the result can be checked from their stats.
+ * @param {object} state - The game state before the attack.
+ * @param {object} result - { winnerCardId, loserCardId, attackerMoved, gameOver, ranged? }
+ * @returns {string|null} Why the result is wrong, or null if it matches the rules.
+ */
+export function validateAttackResult(state, result) {
+    if (!result) return 'Missing attack result.';
+    const { attackerCardId, targetCardId } = getAttackCardIds(result);
+    const attackerCard = findCard(state, attackerCardId);
+    const targetCard = findCard(state, targetCardId);
+    if (!attackerCard?.unitData || !targetCard?.unitData) return 'Unknown card.';
+    if (attackerCard.unitData.unknown || targetCard.unitData.unknown) return 'Both units must be revealed before combat.';
+
+    const reason = validateAction(state, { type: 'attack', attackerCardId, targetCardId });
+    if (reason) return reason;
+
+    const combat = resolveCombat(state.board, attackerCard, targetCard, getVariants(state));
+    if (combat.ranged !== !!result.ranged) return combat.ranged ? 'A ranged attack must be reported as such.' : 'Not a ranged attack.';
+    if (combat.winnerCardId !== result.winnerCardId || combat.loserCardId !== result.loserCardId) {
+        return `Wrong winner: attack ${combat.attackValue} against defense ${combat.defenseValue}.`;
+    }
+    if (combat.gameOver !== !!result.gameOver) return 'Wrong win condition.';
+    return null;
+}
+
+/**
+ * Checks that a reported attack result answers the attack this client sent, so the peer cannot
+ * report a combat that was never asked for (e.g. one of the local units losing to its unit).
+ * @param {object|null} pendingAttack - { attackerCardId, targetCardId } of the attack waiting for its result, or null.
+ * @param {object} result - { winnerCardId, loserCardId, attackerMoved, ranged?, attackerCardId?, targetCardId? }
+ * @returns {string|null} Why the result answers no attack, or null if it answers the pending one.
+ */
+export function validateAttackAnswer(pendingAttack, result) {
+    if (!pendingAttack) return 'No attack is waiting for a result.';
+    if (!result) return 'Missing attack result.';
+    const { attackerCardId, targetCardId } = getAttackCardIds(result);
+    if (attackerCardId !== pendingAttack.attackerCardId || targetCardId !== pendingAttack.targetCardId) return 'The result is for another attack.';
+    return null;
+}
+
+function replaceCards(board, updates) {
+    return board.map(card => (updates[card.id] ? { ...card, ...updates[card.id] } : card));
+}
+
+/**
+ * Lists the face-down enemy units next to a unit that just moved in: under the revealOnAdjacency
+ * variant their owner must reveal them.
+ * @param {Array} board - Cards currently on the table, with the unit already moved.
+ * @param {object} movedCard - The card the unit moved into.
+ * @returns {Array} The cards to reveal.
+ */
+export function getAdjacencyReveals(board, movedCard) {
+    return board.filter(card =>
+        card.unitData && card.hidden && card.owner && card.owner !== movedCard.owner && getDirectionInfo(movedCard, card)
+    );
+}
+
+// Ends a move, attack or pass: counts the turn, applies the revealOnAdjacency variant around the unit that
+// moved in (if any), then checks the commandSurvivalTurns variant
+function endTurn(state, movedCardId) {
+    const variants = getVariants(state);
+    let board = state.board;
+    if (variants.revealOnAdjacency && movedCardId !== null) {
+        const updates = {};
+        getAdjacencyReveals(board, findCard(state, movedCardId)).forEach(card => { updates[card.id] = { hidden: false }; });
+        board = replaceCards(board, updates);
+    }
+    const turnCount = (state.turnCount || 0) + 1;
+    const next = { ...state, board, turnCount };
+    if (state.phase !== 'GAMEPLAY') return next; // The attack ended the game already
+    const survival = getSurvivalVictory(next);
+    if (!survival) return next;
+    return { ...next, phase: 'GAMEOVER', currentPlayer: survival.winner, ...survival };
+}
+
+/**
+ * Applies a legal action and returns the resulting state.
+ * @param {object} state - The current game state (left untouched).
+ * @param {object} action - A placement, reveal, move, attack, pass or timeout action.
+ * @returns {object} The new game state.
+ * @throws {Error} If the action is illegal in `state`.
+ */
+export function applyAction(state, action) {
+    const reason = validateAction(state, action);
+    if (reason) throw new Error(`Illegal ${action?.type || 'unknown'} action: ${reason}`);
+
+    if (action.type === 'placement') {
+        const { owner, unitData, terrainData, gridX, gridY } = action;
+        const cardId = action.cardId ?? state.nextCardId;
+        const placedCount = state.placedCount + 1;
+        const placementOver = placedCount >= getTotalPairsToPlace(state.army);
+        return {
+            ...state,
+            board: [...state.board, { id: cardId, owner, unitData, terrainData, hidden: true, gridX, gridY }],
+            available: {
+                units: { ...state.available.units, [owner]: state.available.units[owner].filter(u => !sameUnit(u, unitData)) },
+                terrains: { ...state.available.terrains, [owner]: state.available.terrains[owner].filter(t => !sameTerrain(t, terrainData)) }
+            },
+            placedCount,
+            nextCardId: Math.max(state.nextCardId, cardId + 1),
+            phase: placementOver ? 'GAMEPLAY' : 'PLACEMENT',
+            currentPlayer: placementOver ? state.firstPlayer || 1 : otherPlayer(owner) // The first player starts gameplay too
+        };
+    }
+
+    if (action.type === 'reveal') {
+        // A redacted view learns the unit of an enemy card when its owner discloses it
+        const disclosed = action.unitData && findCard(state, action.cardId).unitData.unknown ? { unitData: action.unitData } : {};
+        return { ...state, board: replaceCards(state.board, { [action.cardId]: { hidden: false, ...disclosed } }) };
+    }
+
+    if (action.type === 'timeout') {
+        const winner = otherPlayer(action.player);
+        return { ...state, phase: 'GAMEOVER', currentPlayer: winner, winner, victoryType: 'time', winMessage: getWinMessage(winner, 'time') };
+    }
+
+    if (action.type === 'pass') {
+        return endTurn({ ...state, currentPlayer: otherPlayer(action.player) }, null);
+    }
+
+    const attackerCard = findCard(state, action.attackerCardId);
+    const targetCard = findCard(state, action.targetCardId);
+
+    if (action.type === 'move') {
+        return endTurn({
+            ...state,
+            board: replaceCards(state.board, {
+                // Moved unit is revealed, previous spot becomes empty
+                [targetCard.id]: { unitData: attackerCard.unitData, owner: attackerCard.owner, hidden: false },
+                [attackerCard.id]: { unitData: null, owner: null, hidden: true }
+            }),
+            currentPlayer: otherPlayer(state.currentPlayer)
+        }, targetCard.id);
+    }
+
+    // Attack
+    const combat = resolveCombat(state.board, attackerCard, targetCard, getVariants(state));
+    let updates;
+    if (combat.attackerMoved) {
+        updates = {
+            [targetCard.id]: { unitData: attackerCard.unitData, owner: attackerCard.owner, hidden: false },
+            [attackerCard.id]: { unitData: null, owner: null, hidden: true }
+        };
+    } else if (combat.ranged) {
+        // The shot either clears the target or leaves it revealed
+        updates = { [targetCard.id]: combat.attackerWins ? { unitData: null, owner: null, hidden: true } : { hidden: false } };
+    } else {
+        updates = {
+            [attackerCard.id]: { unitData: null, owner: null, hidden: true },
+            [targetCard.id]: { hidden: false }
+        };
+    }
+    return endTurn({
+        ...state,
+        board: replaceCards(state.board, updates),
+        defeatedUnits: combat.defeatedUnitData ? [...state.defeatedUnits, combat.defeatedUnitData] : state.defeatedUnits,
+        phase: combat.gameOver ? 'GAMEOVER' : state.phase,
+        currentPlayer: combat.gameOver ? state.currentPlayer : otherPlayer(state.currentPlayer), // If game over, turn doesn't switch
+        winner: combat.gameOver ? combat.winnerOwner : null,
+        victoryType: combat.victoryType,
+        winMessage: combat.winMessage
+    }, combat.attackerMoved ? targetCard.id : null);
+}
+
+// --- Fog of War ---
+
+// Stands in for a face-down enemy unit in a redacted view: it occupies the tile, but its
+// name, stats and movement are unknown
+export const UNKNOWN_UNIT = Object.freeze({ unitName: null, instance: null, stats: null, canTraverse: [], unknown: true });
+
+/**
+ * Returns what `viewer` is allowed to know about a state: every face-down unit of the
+ * opponent is replaced by UNKNOWN_UNIT, and the opponent's unplaced cards are dropped.
+ * @param {object} state - The omniscient game state.
+ * @param {1|2} viewer - The player whose view is built.
+ * @returns {object} A new, redacted state.
+ */
+export function redactState(state, viewer) {
+    const opponent = otherPlayer(viewer);
+    return {
+        ...state,
+        board: state.board.map(card =>
+            (card.owner === opponent && card.hidden && card.unitData ? { ...card, unitData: UNKNOWN_UNIT } : card)
+        ),
+        available: {
+            units: { ...state.available.units, [opponent]: [] },
+            terrains: { ...state.available.terrains, [opponent]: [] }
+        }
+    };
+}
+
+/**
+ * Counts the unit types a player may still have face-down: the army's quantities minus
+ * the units already revealed on the board or defeated. Only public information is used.
+ * @param {object} state - A game state (redacted or not).
+ * @param {1|2} owner - The player whose hidden units are estimated.
+ * @returns {Object<string, number>} Remaining count per unit name.
+ */
+export function getHiddenUnitPool(state, owner) {
+    const pool = {};
+    for (const unitName in state.army.units) pool[unitName] = state.army.units[unitName].quantity;
+    const known = [
+        ...state.board.filter(card => card.owner === owner && card.unitData && !card.hidden).map(card => card.unitData),
+        ...state.defeatedUnits.filter(defeated => defeated.owner === owner).map(defeated => defeated.unitData)
+    ];
+    known.forEach(unitData => {
+        if (pool[unitData.unitName] > 0) pool[unitData.unitName]--;
+    });
+    return pool;
+}
+
+/**
+ * Lists the unit types each of a player's face-down cards may still hold, from public information only.
+ * A type is ruled out once every copy of it is revealed or defeated. Moving or attacking reveals a
+ * unit, so a face-down card has never crossed an edge: the pool is all that narrows it down.
+ * @param {object} state - A game state (redacted or not).
+ * @param {1|2} owner - The player whose face-down cards are deduced.
+ * @returns {Object<number, string[]>} The possible unit names per face-down card ID.
+ */
+export function deduceHiddenUnits(state, owner) {
+    const pool = getHiddenUnitPool(state, owner);
+    const possible = Object.keys(pool).filter(unitName => pool[unitName] > 0);
+    const candidates = {};
+    state.board
+        .filter(card => card.owner === owner && card.unitData && card.hidden)
+        .forEach(card => { candidates[card.id] = possible; });
+    return candidates;
+}
+
+/**
+ * Determines the winner of a game state.
+ * @param {object} state - The game state.
+ * @returns {1|2|null} The winning player, or null while the game is undecided.
+ */
+export function winner(state) {
+    if (state.winner) return state.winner;
+    if (state.phase === 'PLACEMENT') return null;
+    for (const player of [1, 2]) {
+        const units = state.board.filter(card => card.owner === player && card.unitData);
+        // Face-down units of a redacted view may be the command
+        const hasCommand = units.some(card => card.unitData.unknown || isCommandUnit(card.unitData));
+        if (!hasCommand || units.length <= 1) return otherPlayer(player); // Command captured, or it is all that is left
+    }
+    return null;
+}
@@ -0,0 +1,74 @@
+// --- Saved Match ---
+// Keeps the match in progress in localStorage after every applied action, so a refresh or a
+// dropped connection does not lose it. Reconnecting peers compare a hash of the public state
+// (what both players can see) to decide whether their saved matches still agree.
+//
+// snapshot = {
+//     version, savedAt, matchId, gameMode, botDifficulty, opponentPeerId, localPlayerRole,
+//     gameState, currentPlayer, placedCardPairCount, nextCardId,
+//     board: [{ id, owner, unitData, terrainData, hidden, gridX, gridY, commitment }],
+//     defeatedUnits, playerAvailableUnits, playerAvailableTerrains, initialPlayerPairings,
+//     army, terrainDeck, variants, seed, privateSeed, strictMode, timeControl, clocks, firstPlayer, series, turnCount,
+//     unitSuspicions, myUnitSalts, gameRecord
+// }
+import { sha256Hex } from './commitment.js';
+
+export const SAVED_MATCH_VERSION = 1;
+
+// One slot per game mode, so a bot game does not overwrite an online match
+function getStorageKey(gameMode) {
+    return `foglineSavedMatch_${gameMode}`;
+}
+
+export function saveMatch(snapshot) {
+    try {
+        const saved = { ...snapshot, version: SAVED_MATCH_VERSION, savedAt: new Date().toISOString() };
+        localStorage.setItem(getStorageKey(snapshot.gameMode), JSON.stringify(saved));
+    } catch (e) {
+        console.error('Failed to save the match in localStorage:', e);
+    }
+}
+
+/**
+ * Loads the saved match of a game mode.
+ * @param {string} gameMode - 'online', 'hotseat' or 'bot'.
+ * @returns {object|null} The snapshot, or null if there is none this version can resume.
+ */
+export function loadSavedMatch(gameMode) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(getStorageKey(gameMode)));
+        return saved && saved.version === SAVED_MATCH_VERSION ? saved : null;
+    } catch (e) {
+        console.error('Failed to load the saved match from localStorage:', e);
+        return null;
+    }
+}
+
+export function clearSavedMatch(gameMode) {
+    try {
+        localStorage.removeItem(getStorageKey(gameMode));
+    } catch (e) {
+        console.error('Failed to clear the saved match from localStorage:', e);
+    }
+}
+
+/**
+ * Hashes the public part of a snapshot: positions, owners, terrain edges, face-up units, turn and
+ * defeated units. Face-down units are left out, so both players get the same hash for the same match.
+ * @param {object} snapshot - A saved match.
+ * @returns {Promise<string>} The hex-encoded SHA-256 hash.
+ */
+export async function getPublicStateHash(snapshot) {
+    const unitKey = unitData => (unitData && !unitData.unknown ? `${unitData.unitName}#${unitData.instance}` : null);
+    const publicState = {
+        matchId: snapshot.matchId,
+        gameState: snapshot.gameState,
+        currentPlayer: snapshot.currentPlayer,
+        placedCardPairCount: snapshot.placedCardPairCount,
+        board: [...snapshot.board]
+            .sort((a, b) => a.id - b.id)
+            .map(card => [card.id, card.gridX, card.gridY, card.owner, card.hidden, card.terrainData.terrainIndex, card.terrainData.terrainData, card.hidden ? null : unitKey(card.unitData)]),
+        defeatedUnits: snapshot.defeatedUnits.map(defeated => [defeated.owner, unitKey(defeated.unitData)])
+    };
+    return sha256Hex(JSON.stringify(publicState));
+}
@@ -1,14 +1,59 @@
 // Import nanoid
-import { nanoid, customAlphabet } from 'https://cdn.jsdelivr.net/npm/nanoid@4.0.2/+esm'
+import { nanoid } from 'https://cdn.jsdelivr.net/npm/nanoid@4.0.2/+esm'
 // Import autoPlacement logic
-import { generateAutoPlacements } from './autoPlacement.js';
-
-// Define custom nanoid generator
-// Define custom nanoid generator
-const alphabet = "123456789bcdfghjkmnpqrstvwxyz";
-const generatePeerId = customAlphabet(alphabet, 12); // Use this function to generate IDs
+import {
+    AUTO_PLACEMENT_STRATEGIES, generateAutoPlacements, chooseAutoPlacement, assignAutoPlacementUnits,
+    validateAutoPlacements, validateAutoPlacementCommitments
+} from './autoPlacement.js';
+// Import the shared, DOM-free rules engine
+import {
+    TERRAIN_TYPES, STANDARD_ARMY, STANDARD_TERRAIN_DECK, UNIT_RULES, getArmySize, getTotalPairsToPlace, getTerrainCard,
+    getDirectionInfo, getPlacementSpots, classifyTarget, resolveCombat, redactState, UNKNOWN_UNIT,
+    validateAction, validateAttackResult, validateAttackAnswer, getAttackCardIds, forecastAttack, findCard, findCardAt,
+    getHiddenUnitPool, deduceHiddenUnits, hasUnitRule, NO_VARIANTS, getGridKey, createInitialState, applyAction, winner
+} from './rules.js';
+// Import the army presets and the checks for custom armies
+import { ARMY_PRESETS, validateArmy, normalizeArmy, parseArmy } from './armies.js';
+// Import the terrain deck presets and the checks for custom decks
+import { TERRAIN_DECK_PRESETS, validateTerrainDeck, normalizeTerrainDeck, parseTerrainDeck, isSameTerrainCard } from './terrainDecks.js';
+// Import the checks for the house rules picked at setup
+import { validateVariants, normalizeVariants, describeVariants } from './variants.js';
+// Import the seeded randomness that lets a seed replay the same deal and auto-placement
+import { createSeed, validateSeed, createRandom, shuffle } from './random.js';
+// Import the time controls and the clock arithmetic both peers must agree on
+import {
+    TIME_CONTROL_MODES, NO_TIME_CONTROL, CLOCK_TOLERANCE_MS, validateTimeControl, normalizeTimeControl, describeTimeControl,
+    createClocks, chargeTurn, checkTurnDuration, formatClock
+} from './timeControls.js';
+// Import the score of a series of rematches between the same two players
+import { createSeries, recordSeriesWin, continueSeries, validateSeries, describeSeries } from './series.js';
+// Import the keyboard navigation and screen-reader labels of the board
+import { ARROW_KEY_DIRECTIONS, findCellInDirection, describeCell, describeEdges } from './boardNavigation.js';
+// Import the pan and zoom over the board, for touch screens
+import {
+    DEFAULT_VIEW, TAP_SLOP_PX, LONG_PRESS_MS, distance, panView, zoomAt, pinchView, fitView, panToShow
+} from './boardViewport.js';
+// Import the computer opponent
+import { BOT_DIFFICULTIES, chooseBotAction } from './bot.js';
+// Import the commit-reveal helpers that keep face-down units secret from the peer
+import { COMMITMENT_SCHEME, createSalt, createCommitment, verifyCommitment } from './commitment.js';
+// Import the match recorder (its records are replayed by replay.html)
+import { createGameRecord, buildReplaySteps, getRecordSetup, takeBackLastTurn, getRequestedTakeback } from './gameRecord.js';
+// Import the localStorage persistence that lets a match survive a refresh or dropped connection
+import { saveMatch, loadSavedMatch, clearSavedMatch, getPublicStateHash } from './savedMatch.js';
+// Import the history of finished matches, shown with their statistics by history.html
+import { createHistoryEntry } from './matchHistory.js';
+import { addMatchToHistory } from './historyStore.js';
+// Import the signaling transports (PeerJS, a self-hosted PeerServer or the offline loopback) and the room codes players share
+import { DEFAULT_TRANSPORT_CONFIG, parseTransportConfig, describeTransport, withTransportParams, createTransport } from './transport.js';
+import { createRoomCode, roomCodeToPeerId, peerIdToRoomCode, describePeerId, resolvePeerId, createInviteUrl } from './roomCodes.js';
+
+const MAX_ROOM_CODE_ATTEMPTS = 3; // New room codes tried when the server says one is taken
 
 // --- PeerJS Setup ---
+let transport = null; // Picked from the URL parameters on first use, see getTransport
+let transportConfig = DEFAULT_TRANSPORT_CONFIG;
+let roomCodeAttempts = 0;
 let peer = null;
 let conn = null;
 let myPeerId = null;
@@ -16,6 +61,44 @@ let localPlayerRole = null; // 1 (Host/Initiator) or 2 (Guest/Receiver)
 let peerInitializationAttempted = false; // Flag to prevent error loops
 let localDisplayName = "Player"; // Default display name
 let opponentDisplayName = null; // Store opponent's name
+let spectatorConns = []; // Read-only connections of spectators watching this match
+
+// --- Game Mode ---
+// 'online' plays over PeerJS; 'hotseat' lets two players share one browser without PeerJS;
+// 'bot' pits the local player (Player 1) against a computer opponent (Player 2)
+const urlParams = new URLSearchParams(window.location.search);
+let gameMode = ['hotseat', 'bot'].includes(urlParams.get('mode')) ? urlParams.get('mode') : 'online';
+const botDifficulty = BOT_DIFFICULTIES[urlParams.get('level')] ? urlParams.get('level') : 'medium';
+const BOT_PLAYER = 2;
+const BOT_THINK_DELAY_MS = 700; // Pause before the bot acts, so its moves can be followed
+const AUTO_FILL_DELAY_MS = 300; // Pause between a player's auto-placed cards
+let botTurnTimer = null;
+
+// True when both players live in this browser (no PeerJS)
+function isLocalGame() {
+    return gameMode === 'hotseat' || gameMode === 'bot';
+}
+
+// True when actions can be taken: an open PeerJS connection, or a local game
+function isReadyToPlay() {
+    return isLocalGame() || (conn && conn.open);
+}
+
+// The transport named by the page's URL (?signal=loopback, ?peerServer=https://host:port/path), PeerJS's cloud server by default
+function getTransport() {
+    if (!transport) {
+        try {
+            transportConfig = parseTransportConfig(urlParams);
+        } catch (err) {
+            console.error('Invalid signaling settings:', err);
+            logMessage(`${err.message} Using the ${describeTransport(DEFAULT_TRANSPORT_CONFIG)} instead.`);
+            transportConfig = DEFAULT_TRANSPORT_CONFIG;
+        }
+        transport = createTransport(transportConfig);
+        document.getElementById('signaling-server').textContent = describeTransport(transportConfig);
+    }
+    return transport;
+}
 
 function initializePeer(forceNewId = false) {
     // Prevent re-entry if already initializing, unless forcing new ID after error
@@ -26,7 +109,7 @@ function initializePeer(forceNewId = false) {
     if (peer && !peer.destroyed && !forceNewId) {
         console.log("Peer object already exists and is not destroyed. Skipping initialization.");
         // Still update the display in case it wasn't set correctly
-        if (myPeerId) document.getElementById('my-peer-id').textContent = myPeerId;
+        if (myPeerId) document.getElementById('my-peer-id').textContent = describePeerId(myPeerId);
         return;
     }
     peerInitializationAttempted = true; // Mark that we've started initialization
@@ -35,7 +118,7 @@ function initializePeer(forceNewId = false) {
     const storedPeerId = localStorage.getItem('myPeerId');
     let isUsingStoredId = false; // Flag to track if we attempted connection with stored ID
 
-    if (storedPeerId && !forceNewId) {
+    if (storedPeerId && !forceNewId && peerIdToRoomCode(storedPeerId)) { // IDs of earlier versions are not room codes
         console.log('Attempting to reuse stored Peer ID:', storedPeerId);
         peerIdToUse = storedPeerId;
         isUsingStoredId = true;
@@ -43,9 +126,9 @@ function initializePeer(forceNewId = false) {
         if (forceNewId) {
             console.log('Forcing new Peer ID generation due to previous error or request.');
         } else {
-            console.log('No stored Peer ID found or new one requested, generating new nanoid.');
+            console.log('No stored Peer ID found or new one requested, generating a new room code.');
         }
-        peerIdToUse = generatePeerId(); // Generate new ID using the custom nanoid generator
+        peerIdToUse = roomCodeToPeerId(createRoomCode());
         console.log('Generated new Peer ID:', peerIdToUse);
     }
 
@@ -58,15 +141,26 @@ function initializePeer(forceNewId = false) {
 
     console.log(`Initializing Peer with ID: ${peerIdToUse}`);
     // Instantiate Peer with the specific ID (generated or stored)
-    peer = new Peer(peerIdToUse);
+    try {
+        peer = getTransport().createPeer(peerIdToUse);
+    } catch (err) {
+        console.error('Cannot create the peer:', err);
+        logMessage(`Cannot go online: ${err.message}`);
+        document.getElementById('peer-status').textContent = 'Error: offline';
+        peerInitializationAttempted = false;
+        return;
+    }
     // Pass the isUsingStoredId flag to the error handler via a temporary property
     peer._isAttemptingStoredId = isUsingStoredId; // Store flag on peer instance
 
     peer.on('open', id => {
         console.log('PeerJS connection open. My PeerJS ID is:', id);
         myPeerId = id; // Store the confirmed ID locally
-        document.getElementById('my-peer-id').textContent = id;
+        document.getElementById('my-peer-id').textContent = describePeerId(id);
+        updateInviteLink();
+        updateSpectatorLink();
         peerInitializationAttempted = false; // Reset flag on successful open
+        roomCodeAttempts = 0;
 
         // Store the confirmed Peer ID (could be the stored one or a new one)
         try {
@@ -76,9 +170,14 @@ function initializePeer(forceNewId = false) {
             console.error('Failed to store Peer ID in localStorage:', e);
         }
 
-        // Check for last connected peer and attempt auto-reconnect
+        // Join the room of an invite link, else check for last connected peer and attempt auto-reconnect
+        const joinPeerId = resolvePeerId(urlParams.get('join'));
         const lastConnectedPeerId = localStorage.getItem('lastConnectedPeerId');
-        if (lastConnectedPeerId && lastConnectedPeerId !== myPeerId) {
+        if (joinPeerId && joinPeerId !== myPeerId) {
+            console.log('Joining the room of the invite link:', joinPeerId);
+            document.getElementById('peer-id-input').value = describePeerId(joinPeerId);
+            connectToPeer();
+        } else if (lastConnectedPeerId && lastConnectedPeerId !== myPeerId) {
             console.log('Found last connected peer:', lastConnectedPeerId);
             attemptAutoReconnect(lastConnectedPeerId);
         } else {
@@ -92,6 +191,10 @@ function initializePeer(forceNewId = false) {
 
     peer.on('connection', incomingConn => {
         console.log('Incoming connection from:', incomingConn.peer);
+        if (incomingConn.metadata?.role === 'spectator') {
+            acceptSpectator(incomingConn);
+            return;
+        }
         if (conn && conn.open) {
             console.log('Already connected, rejecting new connection.');
             incomingConn.close();
@@ -131,14 +234,14 @@ function initializePeer(forceNewId = false) {
             if (wasUsingStored) {
                 // Prompt the user only if the stored ID failed
                 const proceed = window.confirm(
-                    `Your stored Peer ID "${attemptedId}" is already in use (possibly another tab).\n\n` +
-                    `Do you want to discard this ID and generate a new one for this session?\n\n` +
-                    `Cancel: Keep the stored ID and abort connection.\n` +
-                    `OK: Discard stored ID and get a new one.`
+                    `Your room code "${describePeerId(attemptedId)}" is already in use (possibly another tab).\n\n` +
+                    `Do you want to discard this room code and generate a new one for this session?\n\n` +
+                    `Cancel: Keep the room code and abort connection.\n` +
+                    `OK: Discard the room code and get a new one.`
                 );
 
                 if (proceed) {
-                    logMessage(`Stored Peer ID "${attemptedId}" is unavailable. Generating a new one as requested...`);
+                    logMessage(`Room code "${describePeerId(attemptedId)}" is unavailable. Generating a new one as requested...`);
                     console.warn('Stored Peer ID was taken, user chose to generate a new one:', attemptedId);
                     // Clear the invalid stored ID
                     try {
@@ -155,26 +258,36 @@ function initializePeer(forceNewId = false) {
                     setTimeout(() => initializePeer(true), 100); // Small delay before retry
                 } else {
                     // User cancelled
-                    logMessage(`Connection aborted. The stored Peer ID "${attemptedId}" is still in use elsewhere.`);
+                    logMessage(`Connection aborted. The room code "${describePeerId(attemptedId)}" is still in use elsewhere.`);
                     console.log('User cancelled connection due to unavailable stored ID.');
                     document.getElementById('peer-status').textContent = 'ID in use';
-                    document.getElementById('my-peer-id').textContent = attemptedId + " (In Use)";
+                    document.getElementById('my-peer-id').textContent = describePeerId(attemptedId) + " (In Use)";
                     // Reset UI to allow manual actions
                     document.getElementById('connect-button').disabled = false;
                     document.getElementById('peer-id-input').disabled = false;
                     document.getElementById('disconnect-button').disabled = true;
                     peerInitializationAttempted = false; // Allow trying again later if user resolves conflict
                 }
+            } else if (roomCodeAttempts < MAX_ROOM_CODE_ATTEMPTS) {
+                // Room codes are short, so another room may already use this one: try a new code
+                roomCodeAttempts++;
+                console.warn('Newly generated room code was unavailable, trying another one:', attemptedId);
+                if (peer && !peer.destroyed) {
+                    peer.destroy();
+                }
+                peer = null;
+                setTimeout(() => initializePeer(true), 100);
             } else {
-                // This case is extremely unlikely with nanoid, but handle it defensively.
-                logMessage(`The newly generated Peer ID "${attemptedId}" is unavailable. This is unexpected. Please refresh.`);
-                console.error('Newly generated nanoid was unavailable:', attemptedId);
+                logMessage(`The newly generated room code "${describePeerId(attemptedId)}" is unavailable. This is unexpected. Please refresh.`);
+                console.error('Newly generated room codes were unavailable:', attemptedId);
                 document.getElementById('peer-status').textContent = 'Error: ID conflict';
                 // Reset UI
                 document.getElementById('connect-button').disabled = false;
                 document.getElementById('peer-id-input').disabled = false;
                 document.getElementById('disconnect-button').disabled = true;
             }
+        } else if (err.type === 'peer-unavailable') {
+            logMessage('Nobody is hosting that room. Check the room code, or ask your opponent for a new invite link.');
         } else if (err.type === 'network') {
             logMessage('Network error connecting to PeerJS server. Check connection.');
             // Optionally implement retry logic here
@@ -209,9 +322,9 @@ function attemptAutoReconnect(peerId) {
     }
 
     console.log('Attempting auto-reconnect to:', peerId);
-    logMessage(`Attempting auto-reconnect to ${peerId}...`);
-    document.getElementById('peer-status').textContent = `Auto-connecting to ${peerId}...`;
-    document.getElementById('peer-id-input').value = peerId; // Pre-fill input for user context
+    logMessage(`Attempting auto-reconnect to ${describePeerId(peerId)}...`);
+    document.getElementById('peer-status').textContent = `Auto-connecting to ${describePeerId(peerId)}...`;
+    document.getElementById('peer-id-input').value = describePeerId(peerId); // Pre-fill input for user context
     document.getElementById('peer-id-input').disabled = true;
     document.getElementById('connect-button').disabled = true;
     document.getElementById('disconnect-button').disabled = true; // Can't disconnect during attempt
@@ -227,18 +340,23 @@ function connectToPeer() {
         console.log('Already connected.');
         return;
     }
-    const peerIdInput = document.getElementById('peer-id-input').value.trim();
+    // A room code, an invite link or the raw Peer ID of an earlier version
+    const peerIdInput = resolvePeerId(document.getElementById('peer-id-input').value);
     if (!peerIdInput) {
-        logMessage('Please enter a Peer ID to connect to.');
+        logMessage('Please enter a room code or invite link to connect to.');
         return;
     }
     if (peerIdInput === myPeerId) {
         logMessage('Cannot connect to yourself.');
         return;
     }
+    if (!peer || !peer.open) {
+        logMessage('Not online yet: wait for your room code to appear, then connect.');
+        return;
+    }
 
     console.log('Attempting to connect to:', peerIdInput);
-    document.getElementById('peer-status').textContent = `Connecting to ${peerIdInput}...`;
+    document.getElementById('peer-status').textContent = `Connecting to ${describePeerId(peerIdInput)}...`;
     document.getElementById('connect-button').disabled = true; // Disable while attempting
     document.getElementById('peer-id-input').disabled = true;
     conn = peer.connect(peerIdInput, { reliable: true });
@@ -255,11 +373,11 @@ function setupConnectionEvents() {
         sendData('displayName', { name: localDisplayName });
 
         // Update status (will be updated again if opponent name received)
-        document.getElementById('peer-status').textContent = `Connected to ${opponentDisplayName || conn.peer}`;
+        document.getElementById('peer-status').textContent = `Connected to ${opponentDisplayName || describePeerId(conn.peer)}`;
         document.getElementById('peer-id-input').disabled = true;
         document.getElementById('connect-button').disabled = true;
         document.getElementById('disconnect-button').disabled = false; // Enable disconnect
-        logMessage(`Connected to ${opponentDisplayName || conn.peer}! You are Player ${localPlayerRole}.`);
+        logMessage(`Connected to ${opponentDisplayName || describePeerId(conn.peer)}! You are Player ${localPlayerRole}.`);
 
         // Store the successfully connected peer's ID
         try {
@@ -269,13 +387,12 @@ function setupConnectionEvents() {
             console.error('Failed to store last connected peer ID in localStorage:', e);
         }
 
-        // Player 1 (Host) initiates the game setup
-        if (localPlayerRole === 1) {
-            resetGame(); // Host generates setup and sends it
-        } else {
-            logMessage("Waiting for Player 1 to start the game...");
-        }
+        // Offer to resume a saved match with this peer; the game is set up once both offers are known
+        localResumeHello = buildResumeHello();
+        localResumeHello.then(hello => sendData('resumeHello', hello));
         document.getElementById('memo-toggle-button').disabled = false; // Enable memo pad after connection
+        loadChatHistory(conn.peer); // Scrollback with this opponent, from earlier connections
+        setChatEnabled(true);
     });
 
     conn.on('data', data => {
@@ -292,6 +409,7 @@ function setupConnectionEvents() {
         document.getElementById('peer-id-input').disabled = false; // Re-enable input
         document.getElementById('disconnect-button').disabled = true; // Disable disconnect
         document.getElementById('memo-toggle-button').disabled = true;
+        setChatEnabled(false);
         conn = null;
         opponentDisplayName = null; // Reset opponent name
         // Keep lastConnectedPeerId in localStorage for potential manual reconnect
@@ -309,6 +427,7 @@ function setupConnectionEvents() {
         document.getElementById('connect-button').disabled = false;
         document.getElementById('disconnect-button').disabled = true;
         document.getElementById('memo-toggle-button').disabled = true;
+        setChatEnabled(false);
         conn = null; // Assume connection is lost/failed
         opponentDisplayName = null; // Reset opponent name
         gameState = 'DISCONNECTED'; // Set state to disconnected on error
@@ -317,6 +436,7 @@ function setupConnectionEvents() {
 }
 
 function sendData(type, payload) {
+    if (isLocalGame()) return; // Both players share this client, nothing to send
     if (conn && conn.open) {
         const message = { type, payload };
         console.log('Sending data:', message);
@@ -351,7 +471,7 @@ function copyPeerIdToClipboard() {
     const peerId = peerIdElement.textContent;
     if (peerId && peerId !== 'Waiting...') {
         navigator.clipboard.writeText(peerId).then(() => {
-            logMessage(`Peer ID "${peerId}" copied to clipboard.`);
+            logMessage(`Room code "${peerId}" copied to clipboard.`);
             // Optional: Provide visual feedback, e.g., change button text briefly
             const copyButton = document.getElementById('copy-peer-id-button');
             if (copyButton) {
@@ -361,11 +481,42 @@ function copyPeerIdToClipboard() {
             }
         }).catch(err => {
             console.error('Failed to copy Peer ID: ', err);
-            logMessage('Failed to copy Peer ID.');
+            logMessage('Failed to copy the room code.');
         });
     } else {
-        logMessage('Cannot copy Peer ID yet.');
+        logMessage('Cannot copy the room code yet.');
+    }
+}
+
+// --- Invite Links ---
+// ?join=<room code> connects to this room once the guest's page is online; the signaling settings
+// of this page go along, so a guest reaches a self-hosted PeerServer too
+function getInviteUrl() {
+    const code = peerIdToRoomCode(myPeerId);
+    if (!code) return null;
+    const pageUrl = new URL(window.location.href);
+    pageUrl.search = '';
+    return withTransportParams(createInviteUrl(pageUrl.href, code), window.location.href);
+}
+
+function updateInviteLink() {
+    const inviteUrl = getInviteUrl();
+    document.getElementById('invite-link').textContent = inviteUrl || 'Waiting...'; // Not a link: opening it here would join this very room
+    document.getElementById('copy-invite-button').disabled = !inviteUrl;
+}
+
+function copyInviteLink() {
+    const inviteUrl = getInviteUrl();
+    if (!inviteUrl) {
+        logMessage('Cannot copy the invite link yet.');
+        return;
     }
+    navigator.clipboard.writeText(inviteUrl).then(() => {
+        logMessage('Invite link copied to clipboard: send it to your opponent.');
+    }).catch(err => {
+        console.error('Failed to copy the invite link: ', err);
+        logMessage('Failed to copy the invite link.');
+    });
 }
 
 // Add this function back (Only one definition needed)
@@ -378,9 +529,9 @@ function selectPeerIdText() {
         const selection = window.getSelection();
         selection.removeAllRanges(); // Clear previous selection
         selection.addRange(range);
-        logMessage('Peer ID selected.'); // Optional feedback
+        logMessage('Room code selected.'); // Optional feedback
     } else {
-        logMessage('Peer ID not available to select.');
+        logMessage('Room code not available to select.');
     }
 }
 // Make functions globally accessible if called directly from HTML onclick (Only one block needed)
@@ -388,9 +539,30 @@ window.connectToPeer = connectToPeer;
 window.disconnectPeer = disconnectPeer;
 window.resetGame = resetGame;
 window.toggleMemoPad = toggleMemoPad;
+window.updateArmyEditor = updateArmyEditor;
+window.updateTerrainDeckEditor = updateTerrainDeckEditor;
+window.showMemoTab = showMemoTab;
+window.toggleUnitSuspicion = toggleUnitSuspicion;
+window.highlightMemoCard = highlightMemoCard;
 window.copyPeerIdToClipboard = copyPeerIdToClipboard;
 window.selectPeerIdText = selectPeerIdText; // Expose this function too
+window.copyInviteLink = copyInviteLink;
 window.handleAutoPlaceClick = handleAutoPlaceClick; // Expose auto-place handler
+window.handleAutoPlaceMineClick = handleAutoPlaceMineClick;
+window.startHotSeatGame = startHotSeatGame;
+window.continueHotSeatTurn = continueHotSeatTurn;
+window.startBotGame = startBotGame;
+window.exportGameRecord = exportGameRecord;
+window.requestTakeback = requestTakeback;
+window.updateTimeControlInputs = updateTimeControlInputs;
+window.answerTakeback = answerTakeback;
+window.offerRematch = offerRematch;
+window.answerRematch = answerRematch;
+window.zoomBoard = zoomBoard;
+window.fitBoardToView = fitBoardToView;
+window.togglePlacementSheet = togglePlacementSheet;
+window.copyGameLog = copyGameLog;
+window.setLogTypeShown = setLogTypeShown;
 
 // --- Display Name Function ---
 function saveDisplayName() {
@@ -416,99 +588,187 @@ function saveDisplayName() {
 }
 window.saveDisplayName = saveDisplayName; // Expose function
 
+// --- Chat ---
+// Messages go over the game connection (sendData) and are kept per opponent in localStorage,
+// so the scrollback is still there after a refresh or reconnect
+const CHAT_QUICK_PHRASES = ['gg', 'rematch?', 'glhf', 'nice move!', 'one moment...'];
+const CHAT_MAX_LENGTH = 300;
+const CHAT_SCROLLBACK_LIMIT = 200; // Oldest messages are dropped beyond this
+let chatHistory = []; // [{ name, text, sentAt, own }]
+
+function getChatStorageKey(opponentPeerId) {
+    return `foglineChat_${opponentPeerId}`;
+}
+
+function loadChatHistory(opponentPeerId) {
+    try {
+        chatHistory = JSON.parse(localStorage.getItem(getChatStorageKey(opponentPeerId))) || [];
+    } catch (e) {
+        console.error('Failed to load chat history from localStorage:', e);
+        chatHistory = [];
+    }
+    renderChatLog();
+}
+
+function addChatMessage(message) {
+    chatHistory = [...chatHistory, message].slice(-CHAT_SCROLLBACK_LIMIT);
+    if (conn) {
+        try {
+            localStorage.setItem(getChatStorageKey(conn.peer), JSON.stringify(chatHistory));
+        } catch (e) {
+            console.error('Failed to save chat history to localStorage:', e);
+        }
+    }
+    renderChatLog();
+}
+
+function sendChatMessage(text) {
+    const input = document.getElementById('chat-input');
+    const messageText = (text ?? input.value).trim().slice(0, CHAT_MAX_LENGTH);
+    if (!messageText) return;
+    if (!conn || !conn.open) {
+        logMessage('Error: Not connected to opponent.');
+        return;
+    }
+    const message = { name: localDisplayName, text: messageText, sentAt: Date.now() };
+    sendData('chat', message);
+    addChatMessage({ ...message, own: true });
+    if (text === undefined) input.value = '';
+}
+
+function applyChatMessage(payload) {
+    if (!payload || typeof payload.text !== 'string' || !payload.text.trim()) return;
+    addChatMessage({
+        name: String(payload.name || opponentDisplayName || 'Opponent').slice(0, 50),
+        text: payload.text.trim().slice(0, CHAT_MAX_LENGTH),
+        sentAt: Number.isFinite(payload.sentAt) ? payload.sentAt : Date.now(),
+        own: false
+    });
+}
+
+function renderChatLog() {
+    const chatLog = document.getElementById('chat-log');
+    chatLog.innerHTML = '';
+    chatHistory.forEach(message => {
+        const line = document.createElement('div');
+        line.className = `chat-message ${message.own ? 'own' : 'opponent'}`;
+        const time = new Date(message.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const name = Object.assign(document.createElement('span'), { className: 'chat-name', textContent: message.name });
+        line.append(`[${time}] `, name, `: ${message.text}`); // Text nodes: chat is never parsed as HTML
+        chatLog.appendChild(line);
+    });
+    chatLog.scrollTop = chatLog.scrollHeight; // Keep the latest message in view
+}
+
+function setChatEnabled(enabled) {
+    document.getElementById('chat-input').disabled = !enabled;
+    document.getElementById('chat-send-button').disabled = !enabled;
+    document.querySelectorAll('#chat-quick-phrases button').forEach(button => { button.disabled = !enabled; });
+}
+
+function createChatQuickPhraseButtons() {
+    const phrasesDiv = document.getElementById('chat-quick-phrases');
+    CHAT_QUICK_PHRASES.forEach(phrase => {
+        const button = document.createElement('button');
+        button.textContent = phrase;
+        button.onclick = () => sendChatMessage(phrase);
+        phrasesDiv.appendChild(button);
+    });
+}
+window.sendChatMessage = sendChatMessage;
+
 
 // --- Game Constants and Variables ---
-// Stores card objects { id, unitData: {unitName, instance, stats, imagePath}, terrainData: {terrainIndex, terrainData, imagePath}, hidden, owner, gridX, gridY, element, hasImageError }
-let board = [];
-let currentPlayer = 1;
-// playerUnits not used
-let placedPositions = new Set(); // Store "x_y" strings
-let selectedCardIndex = null; // Index in the board array for gameplay phase
-let defeatedUnits = []; // Stores { unitData, terrainData, owner } of defeated units
-let nextCardId = 0; // Unique ID for each card
+// The match as the rules engine sees it: board, turn, cards left to place and defeated units (see rules.js).
+// It only changes through applyAction (see advanceGame). Online, the opponent's face-down units are UNKNOWN_UNIT.
+let rulesState = createInitialState({ units: {}, terrains: {} });
+let cardElements = new Map(); // cardId -> the card's div on the board, drawn from rulesState by renderBoardCards
+let cardCommitments = {}; // cardId -> the opponent's commitment to the unit placed there (online commit-reveal)
+let selectedCardIndex = null; // Index in rulesState.board for gameplay phase
 let initialPlayerPairings = { 1: [], 2: [] }; // Stores { unitData, terrainData } for memo pad
+let currentArmy = STANDARD_ARMY; // Picked by Player 1 and sent in the setup message
+let currentTerrainDeck = STANDARD_TERRAIN_DECK; // Picked by Player 1 and sent in the setup message
+let currentVariants = NO_VARIANTS; // House rules picked by Player 1 and sent in the setup message
+let currentSeed = null; // Picked by Player 1 (or drawn at random) and sent in the setup message
+let privateSeed = null; // Online, this client's own addition to the seed (see getPlayerRandom)
+let randomStreams = {}; // Seeded sources of randomness by player and purpose, reset with each match
+let strictMode = false; // Picked by Player 1 and sent in the setup message: no takebacks
+let pendingUndoRequest = null; // Online, the turn number this player asked to take back, until the opponent answers
+let incomingUndoRequest = null; // Online, the turn number the opponent asked to take back
+let currentTimeControl = NO_TIME_CONTROL; // Picked by Player 1 and sent in the setup message
+let clocks = null; // Per player, the time per turn or left for the game (see timeControls.js); null without a time limit
+let clockPlayer = null; // Whose clock is running, or null when none is
+let turnStartedAt = 0; // When clockPlayer's turn started, on this machine
+let pendingClockStamp = null; // Online, the opponent's turn duration when it arrived before the turn it ends
+let firstPlayer = 1; // Places and moves first; sent in the setup message, and swapped by each rematch
+let series = createSeries(); // The score of the rematches between the same two players (see series.js)
+let pendingRematchOffer = false; // Online, this player offered a rematch, until the opponent answers
+let incomingRematchOffer = false; // Online, the opponent offered a rematch
+let unitSuspicions = { 1: {}, 2: {} }; // Per player, cardId -> unit names suspected under a face-down enemy card
+let memoTab = 'pairings'; // 'pairings' or 'opponent'
+let isAutoPlacing = false; // Host is computing commitments for an online auto-placement
+let autoFillStrategies = { 1: null, 2: null }; // Per player, the strategy auto-placing their remaining cards, or null
+let autoFillTimer = null;
+let myUnitSalts = {}; // cardId -> salt of the local player's face-down units (online commit-reveal)
+let gameRecord = null; // Ordered action log of the current match, exportable at GAMEOVER
+let currentMatchId = null; // Shared by both peers, so a saved match is only resumed with the same opponent and game
+let savedActionCount = 0; // Length of the action log when the match was last saved
+let localResumeHello = null; // Promise of what this client offers to resume when a connection opens
 let isResolvingAttack = false; // Flag to prevent clicks during attack resolution
+let pendingAttack = null; // { attackerCardId, targetCardId } of the attack sent to the peer, until its result arrives
 let isShiftKeyDown = false; // Flag for shift-click inspection
 
 // --- Game State & Placement Variables ---
-let gameState = 'CONNECTING'; // 'CONNECTING', 'PLACEMENT', 'GAMEPLAY', 'GAMEOVER', 'DISCONNECTED'
-// Stores arrays of unitData objects { unitName, instance, stats, imagePath }
-let playerAvailableUnits = { 1: [], 2: [] };
-// Stores arrays of terrainData objects { terrainIndex, terrainData, imagePath }
-let playerAvailableTerrains = { 1: [], 2: [] };
+let gameState = 'CONNECTING'; // 'CONNECTING', 'DESYNC', 'DISCONNECTED', or the phase of rulesState ('PLACEMENT', 'GAMEPLAY', 'GAMEOVER')
 let selectedUnitDataForPlacement = null; // Stores the selected unitData object
 let selectedTerrainDataForPlacement = null; // Stores the selected terrainData object
-let placedCardPairCount = 0;
-const TOTAL_CARD_PAIRS_TO_PLACE = 16; // 8 units per player
 
-const START_GRID_COORD = 10; // Start placing cards around grid cell 10,10
 const CARD_IMAGE_DIR = 'cards'; // Relative path to card images
 
-// Terrain Types & Emojis (Emojis used for fallback and memo)
-const TERRAIN_TYPES = {
-    PLAINS: 'Plains',
-    FOREST: 'Forest',
-    MOUNTAIN: 'Mountain'
-};
+// Terrain Emojis (used for fallback and memo)
 const TERRAIN_EMOJIS = {
     [TERRAIN_TYPES.PLAINS]: '🏞️',
     [TERRAIN_TYPES.FOREST]: '🌲',
-    [TERRAIN_TYPES.MOUNTAIN]: '⛰️'
+    [TERRAIN_TYPES.MOUNTAIN]: '⛰️',
+    [TERRAIN_TYPES.RIVER]: '🌊',
+    [TERRAIN_TYPES.BRIDGE]: '🌉',
+    [TERRAIN_TYPES.HILL]: '🌄'
 };
 
-// Unit Stats (Movement based on terrain *type*)
-const unitStats = {
-    'Mobile Command': { attack: 1, defense: 2, quantity: 1, canTraverse: [TERRAIN_TYPES.PLAINS], safeName: 'mobile_command' },
-    'Tank': { attack: 4, defense: 4, quantity: 2, canTraverse: [TERRAIN_TYPES.PLAINS], safeName: 'tank' },
-    'Infantry': { attack: 3, defense: 3, quantity: 3, canTraverse: [TERRAIN_TYPES.PLAINS, TERRAIN_TYPES.FOREST, TERRAIN_TYPES.MOUNTAIN], safeName: 'infantry' },
-    'Artillery': { attack: 5, defense: 1, quantity: 1, canTraverse: [TERRAIN_TYPES.PLAINS], safeName: 'artillery' },
-    'Special Ops': { attack: 3, defense: 1, quantity: 1, canTraverse: [TERRAIN_TYPES.PLAINS, TERRAIN_TYPES.FOREST, TERRAIN_TYPES.MOUNTAIN], safeName: 'special_ops' }
+// Short unit labels for the opponent tab of the memo pad and the notes on face-down cards
+const UNIT_SHORT_NAMES = {
+    'Mobile Command': 'MC',
+    'Tank': 'Tk',
+    'Infantry': 'Inf',
+    'Artillery': 'Art',
+    'Special Ops': 'SO'
 };
 
-// Terrain Rules (Defense bonus based on type)
-const terrainRules = {
-    [TERRAIN_TYPES.PLAINS]: { defenseBonus: 0 },
-    [TERRAIN_TYPES.FOREST]: { defenseBonus: 1 },
-    [TERRAIN_TYPES.MOUNTAIN]: { defenseBonus: 0 }
-};
+// Custom unit types are labelled by their initials, or their first three letters
+function getUnitShortName(unitName) {
+    if (UNIT_SHORT_NAMES[unitName]) return UNIT_SHORT_NAMES[unitName];
+    const words = unitName.split(' ').filter(Boolean);
+    return words.length > 1 ? words.map(word => word[0]).join('').toUpperCase() : unitName.slice(0, 3);
+}
 
-// The 8 Fixed Terrain Cards (Top, Right, Bottom, Left)
-// IMPORTANT: Keep this consistent across both clients
-const fixedTerrainCards = [
-    { top: TERRAIN_TYPES.PLAINS, right: TERRAIN_TYPES.FOREST, bottom: TERRAIN_TYPES.PLAINS, left: TERRAIN_TYPES.FOREST },
-    { top: TERRAIN_TYPES.PLAINS, right: TERRAIN_TYPES.MOUNTAIN, bottom: TERRAIN_TYPES.PLAINS, left: TERRAIN_TYPES.MOUNTAIN },
-    { top: TERRAIN_TYPES.FOREST, right: TERRAIN_TYPES.PLAINS, bottom: TERRAIN_TYPES.FOREST, left: TERRAIN_TYPES.PLAINS },
-    { top: TERRAIN_TYPES.MOUNTAIN, right: TERRAIN_TYPES.PLAINS, bottom: TERRAIN_TYPES.MOUNTAIN, left: TERRAIN_TYPES.PLAINS },
-    { top: TERRAIN_TYPES.FOREST, right: TERRAIN_TYPES.FOREST, bottom: TERRAIN_TYPES.PLAINS, left: TERRAIN_TYPES.MOUNTAIN },
-    { top: TERRAIN_TYPES.MOUNTAIN, right: TERRAIN_TYPES.MOUNTAIN, bottom: TERRAIN_TYPES.PLAINS, left: TERRAIN_TYPES.FOREST },
-    { top: TERRAIN_TYPES.FOREST, right: TERRAIN_TYPES.MOUNTAIN, bottom: TERRAIN_TYPES.FOREST, left: TERRAIN_TYPES.PLAINS },
-    { top: TERRAIN_TYPES.MOUNTAIN, right: TERRAIN_TYPES.FOREST, bottom: TERRAIN_TYPES.MOUNTAIN, left: TERRAIN_TYPES.PLAINS }
-];
+// Unit stats, terrain rules and the standard terrain deck live in rules.js; army presets in armies.js,
+// terrain deck presets in terrainDecks.js
 
 function getUnitList() {
     const units = [];
-    for (const type in unitStats) {
-        for (let i = 0; i < unitStats[type].quantity; i++) {
+    for (const type in currentArmy.units) {
+        for (let i = 0; i < currentArmy.units[type].quantity; i++) {
             units.push(type);
         }
     }
-    return units; // Should be 8 units total
-}
-
-// Fisher-Yates Shuffle
-function shuffle(array) {
-    let newArray = [...array]; // Create a copy to avoid modifying the original
-    for (let i = newArray.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
-    }
-    return newArray;
+    return units; // One entry per unit of the army
 }
 
 // --- Image Path and Fallback Helpers ---
 
-function getUnitImagePath(owner, unitName, instance) {
-    const stats = unitStats[unitName];
+function getUnitImagePath(owner, unitName, instance, army = currentArmy) {
+    const stats = army.units[unitName];
+    // Custom unit types have no card images: the HTML fallback shows their stats
     if (!stats || !stats.safeName) return 'path/to/default/unit_error.webp'; // Error image path (optional update)
     return `${CARD_IMAGE_DIR}/unit_player${owner}_${stats.safeName}_${instance}.webp`; // Use .webp
 }
@@ -520,6 +780,16 @@ function getTerrainImagePath(owner, terrainData) {
     return `${CARD_IMAGE_DIR}/terrain_player${owner}_${format(t.left)}_${format(t.top)}_${format(t.right)}_${format(t.bottom)}.webp`; // Use .webp
 }
 
+// The four edge emojis of a fallback card, with a terrain-<type> class to tint them
+function getTerrainEdgesHtml(terrainData) {
+    return ['top', 'right', 'bottom', 'left'].map(edge => {
+        const terrainType = terrainData[edge];
+        const known = Object.hasOwn(TERRAIN_EMOJIS, terrainType);
+        const typeClass = known ? ` terrain-${terrainType.toLowerCase()}` : '';
+        return `<span class="terrain-edge edge-${edge}${typeClass}" title="${known ? terrainType : 'Unknown'}">${known ? TERRAIN_EMOJIS[terrainType] : '?'}</span>`;
+    }).join('');
+}
+
 // Renders the original HTML structure inside a card div if the image fails
 function renderHtmlCardFallback(cardDiv, cardData) {
     console.warn(`Image failed to load for card ID ${cardData.id}. Rendering HTML fallback.`);
@@ -535,10 +805,7 @@ function renderHtmlCardFallback(cardDiv, cardData) {
 
     fallbackContent.innerHTML = `
         <div class="terrain-edges">
-            <span class="terrain-edge edge-top">${TERRAIN_EMOJIS[terrainData.top] || '?'}</span>
-            <span class="terrain-edge edge-right">${TERRAIN_EMOJIS[terrainData.right] || '?'}</span>
-            <span class="terrain-edge edge-bottom">${TERRAIN_EMOJIS[terrainData.bottom] || '?'}</span>
-            <span class="terrain-edge edge-left">${TERRAIN_EMOJIS[terrainData.left] || '?'}</span>
+            ${getTerrainEdgesHtml(terrainData)}
         </div>
         <div class="unit-name">${unitName}</div>
         <div class="stats">
@@ -577,10 +844,7 @@ function renderPlacementCardFallback(cardDiv, data, type) {
         const terrainData = data.terrainData || { top: '?', right: '?', bottom: '?', left: '?' };
         fallbackContent.innerHTML = `
             <div class="terrain-edges">
-                <span class="terrain-edge edge-top">${TERRAIN_EMOJIS[terrainData.top] || '?'}</span>
-                <span class="terrain-edge edge-right">${TERRAIN_EMOJIS[terrainData.right] || '?'}</span>
-                <span class="terrain-edge edge-bottom">${TERRAIN_EMOJIS[terrainData.bottom] || '?'}</span>
-                <span class="terrain-edge edge-left">${TERRAIN_EMOJIS[terrainData.left] || '?'}</span>
+                ${getTerrainEdgesHtml(terrainData)}
             </div>
          `;
     }
@@ -602,10 +866,7 @@ function renderDefeatedCardFallback(cardDiv, defeatedData) {
 
     fallbackContent.innerHTML = `
          <div class="terrain-edges">
-            <span class="terrain-edge edge-top">${TERRAIN_EMOJIS[terrainData.top] || '?'}</span>
-            <span class="terrain-edge edge-right">${TERRAIN_EMOJIS[terrainData.right] || '?'}</span>
-            <span class="terrain-edge edge-bottom">${TERRAIN_EMOJIS[terrainData.bottom] || '?'}</span>
-            <span class="terrain-edge edge-left">${TERRAIN_EMOJIS[terrainData.left] || '?'}</span>
+            ${getTerrainEdgesHtml(terrainData)}
          </div>
          <div class="unit-name">${unitName}</div>
          <div class="stats">
@@ -636,100 +897,337 @@ window.handleImageError = function (imgElement, cardData, type = 'board') {
     }
 }
 
+// --- Unit/Terrain Data Generation ---
+
+// Builds a unitData object from the agreed army, so disclosed units never carry stats from the wire
+function createUnitData(owner, unitName, instance, army = currentArmy) {
+    const stats = Object.hasOwn(army.units, unitName) ? army.units[unitName] : null;
+    if (!stats || !Number.isInteger(instance) || instance < 1 || instance > stats.quantity) return null;
+    return {
+        unitName: unitName,
+        instance: instance,
+        stats: { attack: stats.attack, defense: stats.defense },
+        imagePath: getUnitImagePath(owner, unitName, instance, army),
+        canTraverse: stats.canTraverse, // Needed later
+        rules: stats.rules || []
+    };
+}
+
+function generatePlayerUnitList(playerNum) {
+    const units = [];
+    for (const type in currentArmy.units) {
+        for (let instance = 1; instance <= currentArmy.units[type].quantity; instance++) {
+            units.push(createUnitData(playerNum, type, instance));
+        }
+    }
+    return shuffle(units, getPlayerRandom(playerNum, 'units'));
+}
+
+function createTerrainData(owner, terrainIndex) {
+    const terrainDef = getTerrainCard(currentTerrainDeck, terrainIndex);
+    return {
+        terrainIndex: terrainIndex,
+        terrainData: terrainDef,
+        imagePath: getTerrainImagePath(owner, terrainDef)
+    };
+}
+
+function generatePlayerTerrainList(playerNum) {
+    // One terrain card per unit of the army
+    const terrainIndices = shuffle([...Array(getArmySize(currentArmy)).keys()], getPlayerRandom(playerNum, 'terrains'));
+    return terrainIndices.map(index => createTerrainData(playerNum, index));
+}
+
+// Pairings for the memo pad, based on the *initial* shuffled order before players pick
+function buildInitialPairings(unitsData, terrainsData) {
+    const pairings = unitsData.map((unitData, i) => ({ unitData: unitData, terrainData: terrainsData[i] }));
+    // Sort pairings for consistent memo display (e.g., alphabetically by unit name)
+    return pairings.sort((a, b) => a.unitData.unitName.localeCompare(b.unitData.unitName) || a.unitData.instance - b.unitData.instance);
+}
+
+// --- Army Selection ---
+// Player 1 picks the army in the connection panel; the setup message carries it to Player 2,
+// whose own choice is not used
+
+function populateArmySelect() {
+    const select = document.getElementById('army-select');
+    Object.entries(ARMY_PRESETS).forEach(([key, army]) => {
+        select.appendChild(new Option(`${army.name} (${getArmySize(army)} units)`, key));
+    });
+    select.appendChild(new Option('Custom...', 'custom'));
+    document.getElementById('army-rules-help').textContent =
+        `Special rules: ${Object.entries(UNIT_RULES).map(([rule, description]) => `"${rule}": ${description}`).join(' ')}`;
+}
+
+function updateArmyEditor() {
+    const isCustom = document.getElementById('army-select').value === 'custom';
+    const editor = document.getElementById('custom-army-input');
+    // Start from a preset with a custom unit, without the image names of the standard units
+    if (isCustom && !editor.value.trim()) {
+        editor.value = JSON.stringify(ARMY_PRESETS.recon, (key, value) => (key === 'safeName' ? undefined : value), 2);
+    }
+    document.getElementById('custom-army-editor').style.display = isCustom ? 'block' : 'none';
+}
+
+/**
+ * Reads the army picked in the connection panel.
+ * @returns {object} The army.
+ * @throws {Error} If the custom army is invalid.
+ */
+function getSelectedArmy() {
+    const key = document.getElementById('army-select').value;
+    if (key === 'custom') return parseArmy(document.getElementById('custom-army-input').value);
+    return ARMY_PRESETS[key] || STANDARD_ARMY;
+}
+
+// --- Terrain Deck Selection ---
+// Picked by Player 1 next to the army, and sent along with it in the setup message
+
+function populateTerrainDeckSelect() {
+    const select = document.getElementById('terrain-deck-select');
+    Object.entries(TERRAIN_DECK_PRESETS).forEach(([key, terrainDeck]) => {
+        select.appendChild(new Option(`${terrainDeck.name} (${terrainDeck.cards.length} cards)`, key));
+    });
+    select.appendChild(new Option('Custom...', 'custom'));
+    document.getElementById('terrain-rules-help').textContent =
+        `Edge types: ${Object.values(TERRAIN_TYPES).map(terrainType => `${TERRAIN_EMOJIS[terrainType]} ${terrainType}`).join(', ')}. ` +
+        'No unit crosses a River; every unit crosses a Bridge or a Hill, and attacks out of a Hill edge get +1.';
+}
+
+function updateTerrainDeckEditor() {
+    const isCustom = document.getElementById('terrain-deck-select').value === 'custom';
+    const editor = document.getElementById('custom-terrain-deck-input');
+    if (isCustom && !editor.value.trim()) editor.value = JSON.stringify(TERRAIN_DECK_PRESETS.rivers, null, 2);
+    document.getElementById('custom-terrain-deck-editor').style.display = isCustom ? 'block' : 'none';
+}
+
+/**
+ * Reads the terrain deck picked in the connection panel.
+ * @returns {object} The terrain deck.
+ * @throws {Error} If the custom deck is invalid.
+ */
+function getSelectedTerrainDeck() {
+    const key = document.getElementById('terrain-deck-select').value;
+    if (key === 'custom') return parseTerrainDeck(document.getElementById('custom-terrain-deck-input').value);
+    return TERRAIN_DECK_PRESETS[key] || STANDARD_TERRAIN_DECK;
+}
+
+// --- Rule Variant Selection ---
+// Picked by Player 1 with the army and terrain deck; both players see the ones in play above the board
+
+/**
+ * Reads the rule variants picked in the connection panel.
+ * @returns {object} The variants.
+ * @throws {Error} If the survival objective is out of range.
+ */
+function getSelectedVariants() {
+    const variants = {
+        rangedArtillery: document.getElementById('variant-ranged-artillery').checked,
+        attackerWinsTies: document.getElementById('variant-attacker-wins-ties').checked,
+        revealOnAdjacency: document.getElementById('variant-reveal-on-adjacency').checked,
+        commandSurvivalTurns: Number(document.getElementById('variant-command-survival-turns').value)
+    };
+    const reason = validateVariants(variants);
+    if (reason) throw new Error(reason);
+    return variants;
+}
+
+function getCommandUnitName() {
+    return Object.keys(currentArmy.units).find(unitName => hasUnitRule(currentArmy.units[unitName], 'command'));
+}
+
+function describeCurrentVariants() {
+    const lines = describeVariants(currentVariants, getCommandUnitName());
+    return lines.length ? `House rules: ${lines.join('; ')}.` : '';
+}
+
+// --- Seeded Randomness ---
+// The deal and auto-placement draw from the match seed, so the same seed replays the same opening.
+// Hot-seat and bot games follow the seed alone. Online, the opponent knows the seed too: each client
+// mixes in a private seed of its own, or its deal could be recomputed from the setup message.
+
+/**
+ * Reads the seed typed in the connection panel.
+ * @returns {string} The seed, or a fresh one if the field is empty.
+ * @throws {Error} If the seed is not plain text.
+ */
+function getSelectedSeed() {
+    const seed = document.getElementById('seed-input').value.trim();
+    if (!seed) return createSeed();
+    const reason = validateSeed(seed);
+    if (reason) throw new Error(reason);
+    return seed;
+}
+
+// Starts a match's randomness over from a seed; called by both clients at setup
+function useSeed(seed) {
+    currentSeed = seed;
+    privateSeed = isLocalGame() ? null : createSeed();
+    randomStreams = {};
+}
+
+// One stream per player and purpose, so auto-placing does not change what is dealt after it
+function getPlayerRandom(player, purpose) {
+    const key = `${player}/${purpose}`;
+    if (!randomStreams[key]) {
+        randomStreams[key] = createRandom([currentSeed, key, privateSeed].filter(Boolean).join('/'));
+    }
+    return randomStreams[key];
+}
+
+// --- Time Control Selection ---
+// Picked by Player 1 with the other rules; the running clocks are in the Clocks section
+
+function populateTimeControlSelect() {
+    const select = document.getElementById('time-control-mode');
+    Object.entries(TIME_CONTROL_MODES).forEach(([key, label]) => select.appendChild(new Option(label, key)));
+    updateTimeControlInputs();
+}
+
+// Shows the settings of the picked mode only
+function updateTimeControlInputs() {
+    const mode = document.getElementById('time-control-mode').value;
+    document.getElementById('time-control-turn-label').style.display = mode === 'perTurn' ? 'inline-block' : 'none';
+    document.getElementById('time-control-clock-labels').style.display = mode === 'clock' ? 'inline-block' : 'none';
+}
+
+/**
+ * Reads the time control picked in the connection panel.
+ * @returns {object} The time control.
+ * @throws {Error} If a setting is out of range.
+ */
+function getSelectedTimeControl() {
+    const timeControl = {
+        mode: document.getElementById('time-control-mode').value,
+        turnSeconds: Number(document.getElementById('time-control-turn-seconds').value),
+        totalSeconds: Math.round(Number(document.getElementById('time-control-total-minutes').value) * 60),
+        incrementSeconds: Number(document.getElementById('time-control-increment-seconds').value)
+    };
+    const reason = validateTimeControl(timeControl);
+    if (reason) throw new Error(reason);
+    return normalizeTimeControl(timeControl);
+}
+
+// Whether the terrain card a peer placed is the one the agreed deck deals at its index
+function getTerrainMismatch(terrainDataObj) {
+    const expected = getTerrainCard(currentTerrainDeck, terrainDataObj?.terrainIndex);
+    if (isSameTerrainCard(terrainDataObj?.terrainData, expected)) return null;
+    return `Terrain #${terrainDataObj?.terrainIndex + 1} is not the card of the ${currentTerrainDeck.name} terrain deck.`;
+}
+
 // --- Core Game Logic Functions (Modified for PeerJS) ---
 
-function resetGame() {
-    // Only Player 1 should initiate the reset and send setup
+function resetGame({ rematch = false } = {}) {
+    // Only Player 1 should initiate the reset and send setup (in local games, this client is both players)
+    if (isLocalGame()) {
+        localPlayerRole = 1;
+        document.getElementById('handoff-screen').style.display = 'none';
+    }
     if (localPlayerRole !== 1) {
         logMessage("Waiting for Player 1 to reset the game.");
         return;
     }
-    if (!conn || !conn.open) {
+    if (!isReadyToPlay()) {
         logMessage("Cannot reset game: Not connected.");
         return;
     }
+    try {
+        currentArmy = getSelectedArmy();
+    } catch (err) {
+        logMessage(`Cannot start with this army: ${err.message}`);
+        return;
+    }
+    try {
+        currentTerrainDeck = getSelectedTerrainDeck();
+    } catch (err) {
+        logMessage(`Cannot start with this terrain deck: ${err.message}`);
+        return;
+    }
+    try {
+        currentVariants = getSelectedVariants();
+    } catch (err) {
+        logMessage(`Cannot start with these rule variants: ${err.message}`);
+        return;
+    }
+    try {
+        useSeed(getSelectedSeed());
+    } catch (err) {
+        logMessage(`Cannot start with this seed: ${err.message}`);
+        return;
+    }
+    try {
+        currentTimeControl = getSelectedTimeControl();
+    } catch (err) {
+        logMessage(`Cannot start with this time control: ${err.message}`);
+        return;
+    }
+    // A rematch swaps who places and moves first and carries on the series; a reset starts over
+    if (rematch) {
+        firstPlayer = firstPlayer === 1 ? 2 : 1;
+        series = continueSeries(series);
+    } else {
+        firstPlayer = 1;
+        series = createSeries();
+    }
 
-    logMessage("Resetting game and sending setup...");
+    logMessage(`Resetting game and sending setup (${currentArmy.name} army, ${currentTerrainDeck.name} terrain)...`);
+    if (describeCurrentVariants()) logMessage(describeCurrentVariants());
+    logMessage(`Seed: ${currentSeed} (enter it before resetting to deal this opening again).`);
+    strictMode = document.getElementById('strict-mode').checked;
+    if (strictMode) logMessage("Strict mode: no takebacks.");
+    if (describeTimeControl(currentTimeControl)) logMessage(`Time control: ${describeTimeControl(currentTimeControl)}.`);
+    if (rematch) logMessage(`Rematch: Player ${firstPlayer} places and moves first.`);
+    if (describeCurrentSeries()) logMessage(`${describeCurrentSeries()}.`);
 
     // Reset local state first
-    board = [];
-    placedPositions.clear();
     selectedCardIndex = null;
     isResolvingAttack = false;
-    defeatedUnits = [];
-    nextCardId = 0;
-    document.getElementById('board').innerHTML = '';
+    pendingAttack = null;
+    unitSuspicions = { 1: {}, 2: {} };
+    autoFillStrategies = { 1: null, 2: null };
+    pendingUndoRequest = null;
+    incomingUndoRequest = null;
+    pendingRematchOffer = false;
+    incomingRematchOffer = false;
+    clearBoardCards();
     document.getElementById('defeated-units').innerHTML = '<h4>Defeated Units</h4>';
     document.getElementById('memo-popover').style.display = 'none';
 
-    // --- Generate Richer Unit/Terrain Data ---
-    function generatePlayerUnitList(playerNum) {
-        const units = [];
-        const counters = {};
-        for (const type in unitStats) {
-            for (let i = 0; i < unitStats[type].quantity; i++) {
-                counters[type] = (counters[type] || 0) + 1;
-                const instance = counters[type];
-                const imagePath = getUnitImagePath(playerNum, type, instance);
-                units.push({
-                    unitName: type,
-                    instance: instance,
-                    stats: { attack: unitStats[type].attack, defense: unitStats[type].defense },
-                    imagePath: imagePath,
-                    canTraverse: unitStats[type].canTraverse // Needed later
-                });
-            }
-        }
-        return shuffle(units);
-    }
-
-    function generatePlayerTerrainList(playerNum) {
-        const terrainIndices = shuffle([...Array(8).keys()]);
-        return terrainIndices.map(index => {
-            const terrainDef = fixedTerrainCards[index];
-            const imagePath = getTerrainImagePath(playerNum, terrainDef);
-            return {
-                terrainIndex: index,
-                terrainData: terrainDef,
-                imagePath: imagePath
-            };
-        });
-    }
-
     const p1UnitsData = generatePlayerUnitList(1);
-    const p2UnitsData = generatePlayerUnitList(2);
     const p1TerrainsData = generatePlayerTerrainList(1);
-    const p2TerrainsData = generatePlayerTerrainList(2);
-
-    // Store Player 1's lists locally
-    playerAvailableUnits = { 1: p1UnitsData, 2: [] };
-    playerAvailableTerrains = { 1: p1TerrainsData, 2: [] };
-
-    // Prepare initial pairings for memo pad (using the new data structures)
-    // Pairings are based on the *initial* shuffled order before players pick
-    const p1InitialPairings = p1UnitsData.map((unitData, i) => ({ unitData: unitData, terrainData: p1TerrainsData[i] }));
-    const p2InitialPairings = p2UnitsData.map((unitData, i) => ({ unitData: unitData, terrainData: p2TerrainsData[i] }));
-    // Sort pairings for consistent memo display (e.g., alphabetically by unit name)
-    const sortPairings = (a, b) => a.unitData.unitName.localeCompare(b.unitData.unitName) || a.unitData.instance - b.unitData.instance;
-    p1InitialPairings.sort(sortPairings);
-    p2InitialPairings.sort(sortPairings);
-
-    // Store both pairings locally for Player 1
-    initialPlayerPairings = { 1: p1InitialPairings, 2: p2InitialPairings };
-
-    // Send setup data to Player 2
+    // In local games this client also deals Player 2's cards. Online, each client deals its
+    // own cards, so Player 2's units never pass through Player 1's browser.
+    const p2UnitsData = isLocalGame() ? generatePlayerUnitList(2) : [];
+    const p2TerrainsData = isLocalGame() ? generatePlayerTerrainList(2) : [];
+
+    initialPlayerPairings = { 1: buildInitialPairings(p1UnitsData, p1TerrainsData), 2: buildInitialPairings(p2UnitsData, p2TerrainsData) };
+    myUnitSalts = {};
+    currentMatchId = nanoid();
+    startGameRecord();
+    rulesState = createMatchState(
+        { 1: p1UnitsData, 2: p2UnitsData },
+        { 1: p1TerrainsData, 2: isLocalGame() ? p2TerrainsData : getOpponentTerrains(2, gameRecord) }
+    );
+
+    // Send setup data to Player 2 (no units or pairings: those stay secret on each client)
     const setupData = {
-        player2Units: p2UnitsData,         // Send full objects
-        player2Terrains: p2TerrainsData,   // Send full objects
-        player1InitialPairings: p1InitialPairings, // Send P1's pairings for P2's memo
-        player2InitialPairings: p2InitialPairings  // Send P2's pairings for P2's memo
+        commitmentScheme: COMMITMENT_SCHEME,
+        matchId: currentMatchId,
+        army: currentArmy,
+        terrainDeck: currentTerrainDeck,
+        variants: currentVariants,
+        seed: currentSeed,
+        strict: strictMode,
+        timeControl: currentTimeControl,
+        firstPlayer,
+        series
     };
     sendData('setup', setupData);
 
-    // Complete local setup for Player 1
-    gameState = 'PLACEMENT';
-    currentPlayer = 1; // Player 1 starts placement
-    placedCardPairCount = 0;
+    // Complete local setup for Player 1 (the first player starts placement)
+    gameState = rulesState.phase;
+    startClocks();
+    resetBoardView();
     selectedUnitDataForPlacement = null;   // Reset selection objects
     selectedTerrainDataForPlacement = null;
 
@@ -738,7 +1236,7 @@ function resetGame() {
     boardDiv.removeEventListener('click', handleBoardClickForPlacement); // Remove previous if any
     boardDiv.addEventListener('click', handleBoardClickForPlacement);
 
-    logMessage("Setup complete. Player 1's turn to place.");
+    logMessage(`Setup complete. Player ${firstPlayer}'s turn to place.`);
     updateUI();
 }
 
@@ -747,29 +1245,106 @@ function applySetup(setupData) {
     logMessage("Received game setup from Player 1.");
 
     // Reset local state
-    board = [];
-    placedPositions.clear();
     selectedCardIndex = null;
     isResolvingAttack = false;
-    defeatedUnits = [];
-    nextCardId = 0;
-    document.getElementById('board').innerHTML = '';
+    pendingAttack = null;
+    unitSuspicions = { 1: {}, 2: {} };
+    autoFillStrategies = { 1: null, 2: null };
+    pendingUndoRequest = null;
+    incomingUndoRequest = null;
+    pendingRematchOffer = false;
+    incomingRematchOffer = false;
+    rulesState = createInitialState({ units: {}, terrains: {} }); // Until a valid setup is in
+    clearBoardCards();
     document.getElementById('defeated-units').innerHTML = '<h4>Defeated Units</h4>';
     document.getElementById('memo-popover').style.display = 'none';
 
-    // Store Player 2's lists (now expects arrays of objects)
-    playerAvailableUnits = { 1: [], 2: setupData.player2Units };
-    playerAvailableTerrains = { 1: [], 2: setupData.player2Terrains };
-
-    // Store initial pairings for memo pad (received from P1, already sorted)
-    initialPlayerPairings = {
-        1: setupData.player1InitialPairings,
-        2: setupData.player2InitialPairings
-    };
-
-    gameState = 'PLACEMENT';
-    currentPlayer = 1; // Player 1 starts placement
-    placedCardPairCount = 0;
+    if (setupData.commitmentScheme !== COMMITMENT_SCHEME) {
+        logMessage("Player 1 runs an incompatible version of the game. Please both refresh.");
+        console.error("Unsupported commitment scheme in setup:", setupData.commitmentScheme);
+        return;
+    }
+    // Versions without army compositions always play the standard army
+    const armyError = setupData.army ? validateArmy(setupData.army) : null;
+    if (armyError) {
+        logMessage(`Player 1 picked an army this game cannot play: ${armyError}`);
+        console.error("Invalid army in setup:", setupData.army);
+        return;
+    }
+    // Versions without terrain decks always deal the standard deck
+    const terrainDeckError = setupData.terrainDeck ? validateTerrainDeck(setupData.terrainDeck) : null;
+    if (terrainDeckError) {
+        logMessage(`Player 1 picked a terrain deck this game cannot play: ${terrainDeckError}`);
+        console.error("Invalid terrain deck in setup:", setupData.terrainDeck);
+        return;
+    }
+    // Versions without rule variants always play the standard rules
+    const variantsError = setupData.variants ? validateVariants(setupData.variants) : null;
+    if (variantsError) {
+        logMessage(`Player 1 picked rule variants this game cannot play: ${variantsError}`);
+        console.error("Invalid rule variants in setup:", setupData.variants);
+        return;
+    }
+    // Versions without seeds deal from a seed of this client's own
+    const seedError = setupData.seed !== undefined ? validateSeed(setupData.seed) : null;
+    if (seedError) {
+        logMessage(`Player 1 picked a seed this game cannot use: ${seedError}`);
+        console.error("Invalid seed in setup:", setupData.seed);
+        return;
+    }
+    // Versions without strict mode play without it
+    if (setupData.strict !== undefined && typeof setupData.strict !== 'boolean') {
+        logMessage("Player 1 sent a strict mode setting this game cannot use.");
+        console.error("Invalid strict mode in setup:", setupData.strict);
+        return;
+    }
+    // Versions without time controls play without a time limit
+    const timeControlError = setupData.timeControl ? validateTimeControl(setupData.timeControl) : null;
+    if (timeControlError) {
+        logMessage(`Player 1 picked a time control this game cannot use: ${timeControlError}`);
+        console.error("Invalid time control in setup:", setupData.timeControl);
+        return;
+    }
+    // Versions without rematches always start with Player 1, in a new series
+    if (setupData.firstPlayer !== undefined && setupData.firstPlayer !== 1 && setupData.firstPlayer !== 2) {
+        logMessage("Player 1 sent a first player this game cannot use.");
+        console.error("Invalid first player in setup:", setupData.firstPlayer);
+        return;
+    }
+    const seriesError = setupData.series ? validateSeries(setupData.series) : null;
+    if (seriesError) {
+        logMessage(`Player 1 sent a series score this game cannot use: ${seriesError}`);
+        console.error("Invalid series in setup:", setupData.series);
+        return;
+    }
+    currentArmy = setupData.army ? normalizeArmy(setupData.army) : STANDARD_ARMY;
+    currentTerrainDeck = setupData.terrainDeck ? normalizeTerrainDeck(setupData.terrainDeck) : STANDARD_TERRAIN_DECK;
+    currentVariants = setupData.variants ? normalizeVariants(setupData.variants) : NO_VARIANTS;
+    logMessage(`Playing with the ${currentArmy.name} army and the ${currentTerrainDeck.name} terrain deck.`);
+    if (describeCurrentVariants()) logMessage(describeCurrentVariants());
+    useSeed(setupData.seed !== undefined ? setupData.seed : createSeed());
+    logMessage(`Seed: ${currentSeed}.`);
+    strictMode = setupData.strict === true;
+    if (strictMode) logMessage("Strict mode: no takebacks.");
+    currentTimeControl = setupData.timeControl ? normalizeTimeControl(setupData.timeControl) : NO_TIME_CONTROL;
+    if (describeTimeControl(currentTimeControl)) logMessage(`Time control: ${describeTimeControl(currentTimeControl)}.`);
+    firstPlayer = setupData.firstPlayer || 1;
+    series = setupData.series ? { bestOf: setupData.series.bestOf, wins: { 1: setupData.series.wins[1], 2: setupData.series.wins[2] } } : createSeries();
+    if (firstPlayer !== 1) logMessage(`Player ${firstPlayer} places and moves first.`);
+    if (describeCurrentSeries()) logMessage(`${describeCurrentSeries()}.`);
+
+    // Deal Player 2's own cards locally; Player 1 never sees them
+    const p2UnitsData = generatePlayerUnitList(2);
+    const p2TerrainsData = generatePlayerTerrainList(2);
+    initialPlayerPairings = { 1: [], 2: buildInitialPairings(p2UnitsData, p2TerrainsData) };
+    myUnitSalts = {};
+    currentMatchId = setupData.matchId;
+    startGameRecord();
+    rulesState = createMatchState({ 1: [], 2: p2UnitsData }, { 1: getOpponentTerrains(1, gameRecord), 2: p2TerrainsData });
+
+    gameState = rulesState.phase; // The first player starts placement
+    startClocks();
+    resetBoardView();
     selectedUnitDataForPlacement = null;   // Reset selection objects
     selectedTerrainDataForPlacement = null;
 
@@ -778,85 +1353,101 @@ function applySetup(setupData) {
     boardDiv.removeEventListener('click', handleBoardClickForPlacement); // Remove previous if any
     boardDiv.addEventListener('click', handleBoardClickForPlacement);
 
-    logMessage("Setup complete. Waiting for Player 1 to place.");
+    logMessage(`Setup complete. ${firstPlayer === localPlayerRole ? 'Your turn' : `Waiting for Player ${firstPlayer}`} to place.`);
     updateUI();
 }
 
 
-// Place card locally (called by both players after placement action)
-// Accepts full unitData and terrainData objects
-function placeCard(gridX, gridY, owner, unitData, terrainDataObj, cardIdToUse = null) {
-    const cardId = cardIdToUse !== null ? cardIdToUse : nextCardId++; // Use provided ID or generate new
-    if (cardIdToUse === null && localPlayerRole === 2) {
-        console.error("Player 2 trying to generate card ID!");
-    }
-    if (cardIdToUse !== null && cardIdToUse >= nextCardId) {
-        nextCardId = cardIdToUse + 1; // Ensure next generated ID is higher
-    }
+// The rules state at the start of a match, from the cards dealt for it
+function createMatchState(units, terrains) {
+    return createInitialState({ units, terrains, army: currentArmy, terrainDeck: currentTerrainDeck, variants: currentVariants, firstPlayer });
+}
 
-    // Store the full data objects in the board state
-    const card = {
-        id: cardId,
-        unitData: unitData, // { unitName, instance, stats, imagePath, canTraverse }
-        terrainData: terrainDataObj, // { terrainIndex, terrainData, imagePath }
-        hidden: true,
-        owner: owner,
-        gridX: gridX,
-        gridY: gridY,
-        element: null,
-        hasImageError: false // Track if fallback is active
-    };
-    board.push(card);
-    const gridKey = `${gridX}_${gridY}`;
-    placedPositions.add(gridKey);
+// Online, the opponent's hand is not dealt on this client, but its terrain cards are public: it still
+// holds every card of the deck it has not placed in `record`
+function getOpponentTerrains(opponent, record) {
+    const placedIndices = record.actions.filter(action => action.type === 'placement' && action.owner === opponent).map(action => action.terrainData.terrainIndex);
+    return [...Array(getArmySize(currentArmy)).keys()]
+        .filter(terrainIndex => !placedIndices.includes(terrainIndex))
+        .map(terrainIndex => createTerrainData(opponent, terrainIndex));
+}
+
+// Applies a placement, reveal, move, attack, pass or timeout with the rules engine, the only way
+// rulesState changes, then draws the cards. Game over is read from the new state.
+function advanceGame(action) {
+    const previousState = rulesState;
+    rulesState = applyAction(rulesState, action);
+    if (rulesState.phase !== 'GAMEOVER') gameState = rulesState.phase; // endGame below ends the game
+    renderBoardCards();
+    if (action.type === 'move' || action.type === 'attack') revealAdjacentUnits(previousState);
+    const gameWinner = winner(rulesState);
+    if (gameWinner && !winner(previousState)) endGame(gameWinner, rulesState.winMessage, rulesState.victoryType);
+}
+
+function clearBoardCards() {
+    document.getElementById('board').innerHTML = '';
+    cardElements = new Map();
+}
 
+// Adds a div for each card of rulesState that has none yet; updateUI sets their face and classes
+function renderBoardCards() {
     const boardDiv = document.getElementById('board');
+    rulesState.board.forEach(card => {
+        if (cardElements.has(card.id)) return;
+        const cardDiv = createCardElement(card);
+        boardDiv.appendChild(cardDiv);
+        cardElements.set(card.id, cardDiv);
+    });
+}
+
+function createCardElement(card) {
+    const { id, owner, unitData, terrainData, gridX, gridY } = card;
+    const gridKey = getGridKey(gridX, gridY);
     const cardDiv = document.createElement('div');
-    cardDiv.className = `card hidden player${owner}`;
+    cardDiv.className = `card hidden player${owner || 0}`;
     cardDiv.style.gridColumn = gridX;
     cardDiv.style.gridRow = gridY;
-    cardDiv.dataset.id = cardId;
-    // Click handler added later in applyPlacement if needed
+    cardDiv.dataset.id = id;
+    cardDiv.dataset.gridX = gridX;
+    cardDiv.dataset.gridY = gridY;
+    cardDiv.dataset.focusKey = `spot-${gridKey}`; // Keyboard focus moves from the placement spot to the card placed on it
+    cardDiv.setAttribute('role', 'button'); // Labelled by updateUI
+    cardDiv.tabIndex = -1; // updateBoardTabStop puts one cell of the board in the tab order
+    // Click handler added later in addGameplayCardListeners
 
     // --- Create Layered Structure ---
     const terrainLayerDiv = document.createElement('div');
     terrainLayerDiv.className = 'terrain-layer';
 
     const unitLayerDiv = document.createElement('div');
-    // Start with unit hidden. If unitData is null/undefined, it should remain hidden.
-    unitLayerDiv.className = `unit-layer ${!unitData || card.hidden ? 'hidden-state' : ''}`;
+    // Start with unit hidden: updateUI shows it once it is revealed
+    unitLayerDiv.className = 'unit-layer hidden-state';
 
     // Create Terrain Image
     const terrainImg = document.createElement('img');
-    terrainImg.src = terrainDataObj.imagePath;
-    const terrainEdges = terrainDataObj.terrainData;
+    terrainImg.src = terrainData.imagePath;
+    const terrainEdges = terrainData.terrainData;
     terrainImg.alt = `Terrain [T:${terrainEdges.top}, R:${terrainEdges.right}, B:${terrainEdges.bottom}, L:${terrainEdges.left}]`;
     // Basic error handling for terrain image
     terrainImg.onerror = () => {
-        card.hasImageError = true; // Mark error on the board data
-        console.error(`Terrain image failed to load: ${terrainImg.src} for card ${card.id}`);
+        console.error(`Terrain image failed to load: ${terrainImg.src} for card ${id}`);
         terrainLayerDiv.innerHTML = `<div class="fallback-content" style="font-size:10px; color: red;">Terrain Load Error</div>`; // Simple fallback
     };
     terrainLayerDiv.appendChild(terrainImg);
 
-    // Create Unit Image (only if unitData exists)
-    if (unitData) {
-        const unitImg = document.createElement('img');
+    // Empty tiles and face-down enemy units (UNKNOWN_UNIT) get a unit image without src: updateUI sets it
+    // once a unit moves there or is disclosed
+    const unitImg = document.createElement('img');
+    if (unitData && !unitData.unknown) {
         unitImg.src = unitData.imagePath; // Set src even if hidden initially
         unitImg.alt = `Player ${owner} ${unitData.unitName} (A:${unitData.stats.attack} D:${unitData.stats.defense})`; // Alt text for revealed state
-        // Basic error handling for unit image
-        unitImg.onerror = () => {
-            card.hasImageError = true; // Mark error on the board data
-            console.error(`Unit image failed to load: ${unitImg.src} for card ${card.id}`);
-            unitLayerDiv.innerHTML = `<div class="fallback-content" style="font-size:10px; color: red;">Unit Load Error</div>`; // Simple fallback
-        };
-        unitLayerDiv.appendChild(unitImg);
-    } else {
-         // If there's no unit, ensure the unit layer is hidden and maybe add placeholder content or leave empty
-         unitLayerDiv.classList.add('hidden-state');
-         // unitLayerDiv.innerHTML = '<!-- No Unit -->'; // Optional placeholder
     }
-
+    // Basic error handling for unit image
+    unitImg.onerror = () => {
+        console.error(`Unit image failed to load: ${unitImg.src} for card ${id}`);
+        unitLayerDiv.innerHTML = `<div class="fallback-content" style="font-size:10px; color: red;">Unit Load Error</div>`; // Simple fallback
+    };
+    unitLayerDiv.appendChild(unitImg);
 
     // Append layers to card div
     cardDiv.appendChild(terrainLayerDiv);
@@ -869,57 +1460,34 @@ function placeCard(gridX, gridY, owner, unitData, terrainDataObj, cardIdToUse =
         event.stopPropagation(); // Stop event from bubbling up
         return false; // Additional prevention for older browsers
     };
-    
-    boardDiv.appendChild(cardDiv);
-    card.element = cardDiv;
-    // Store references to layers if needed later, though querying might be simpler
-    // card.terrainLayerElement = terrainLayerDiv;
-    // card.unitLayerElement = unitLayerDiv;
-
-    return card;
+    return cardDiv;
 }
 
 function applyPlacement(data) {
-    // Data now contains unitData and terrainData objects directly
-    const { owner, unitData, terrainData, gridX, gridY, nextPlayer, cardId } = data;
-
-    logMessage(`Player ${owner} placed ${unitData.unitName} (Instance ${unitData.instance}) on terrain #${terrainData.terrainIndex + 1} at (${gridX}, ${gridY}).`);
-
-    // Place the card locally using the received data objects
-    const placedCard = placeCard(gridX, gridY, owner, unitData, terrainData, cardId);
-
-    // Remove placed unit and terrain from the *correct* player's available lists locally
-    // Find by imagePath or a unique combination (e.g., name + instance)
-    playerAvailableUnits[owner] = playerAvailableUnits[owner].filter(u => u.imagePath !== unitData.imagePath);
-    playerAvailableTerrains[owner] = playerAvailableTerrains[owner].filter(t => t.imagePath !== terrainData.imagePath);
-
-
-    // Update local game state
-    placedCardPairCount++;
-    currentPlayer = nextPlayer;
+    const { owner, gridX, gridY, cardId, commitment } = data;
+    // Online, the opponent's unit stays secret: the placement only carries its commitment
+    const unitData = data.unitData || UNKNOWN_UNIT;
+    // Rebuild the face-up terrain from its index rather than trusting the sender's object
+    const terrainData = createTerrainData(owner, data.terrainData.terrainIndex);
+
+    // Only name the unit to the player who owns it
+    const isOwnUnit = owner === localPlayerRole && !unitData.unknown;
+    const unitText = isOwnUnit ? `${unitData.unitName} (Instance ${unitData.instance})` : 'a face-down unit';
+    logMessage(`Player ${owner} placed ${unitText} on terrain #${terrainData.terrainIndex + 1} at (${gridX}, ${gridY}).`, 'placement', isOwnUnit ? owner : null);
+
+    // The rules take the unit and terrain from the owner's cards and pass the turn
+    advanceGame({ type: 'placement', owner, unitData, terrainData, gridX, gridY, cardId });
+    if (commitment) cardCommitments[cardId] = commitment; // Checked when the unit is disclosed
+    recordPlacement(findCardById(cardId));
 
     // Check if placement phase is over
-    if (placedCardPairCount >= TOTAL_CARD_PAIRS_TO_PLACE) {
-        gameState = 'GAMEPLAY';
-        logMessage("Placement complete! Player 1's turn to move or attack.");
+    if (gameState === 'GAMEPLAY') {
+        logMessage(`Placement complete! Player ${firstPlayer}'s turn to move or attack.`, 'placement');
         // Remove the board click listener for placement
         document.getElementById('board').removeEventListener('click', handleBoardClickForPlacement);
-        // Add card click listeners for gameplay
-        board.forEach(card => {
-            if (card.element) {
-                // Pass the event object to handleCardClick
-                card.element.onclick = (event) => handleCardClick(card.id, event);
-                
-                // Add mousedown handler to prevent text selection
-                card.element.onmousedown = (event) => {
-                    event.preventDefault(); // Prevent text selection
-                    event.stopPropagation(); // Stop event from bubbling up
-                    return false; // Additional prevention for older browsers
-                };
-            }
-        });
+        addGameplayCardListeners();
     } else {
-        logMessage(`Player ${currentPlayer}'s turn to place.`);
+        logMessage(`Player ${rulesState.currentPlayer}'s turn to place.`, 'placement');
     }
 
     // Reset local selections (relevant for the player who just placed)
@@ -936,133 +1504,132 @@ function applyPlacement(data) {
 }
 
 function applyReveal(data) {
-    const { cardId, unitName } = data;
-    const cardIndex = findCardIndexById(cardId);
-    if (cardIndex === -1) return;
-    const card = board[cardIndex];
-    if (card.hidden) {
-        card.hidden = false;
-        // No need to log here, updateUI will handle visual change
-        // If using alt text, it's already correct. If using fallback, updateUI will reveal it.
+    // unitData is only present when a face-down enemy unit was disclosed and verified
+    const { cardId, unitData } = data;
+    const card = findCardById(cardId);
+    if (!card) return;
+    // An enemy unit revealed next to a unit that moved in is face-up already, but unknown until disclosed
+    if (card.hidden || card.unitData.unknown) {
+        const reveal = unitData ? { type: 'reveal', cardId, unitData } : { type: 'reveal', cardId };
+        advanceGame(reveal);
+        recordAction(reveal);
+        const revealedCard = findCardById(cardId);
+        if (!revealedCard.unitData.unknown) logMessage(`Player ${revealedCard.owner} revealed ${revealedCard.unitData.unitName}.`, 'reveal');
         updateUI(); // Update to show the revealed unit visually
     }
 }
 
+// Turns a face-down unit known to this client face-up; online, its owner discloses it to the opponent
+function revealUnit(card, logText) {
+    advanceGame({ type: 'reveal', cardId: card.id });
+    recordAction({ type: 'reveal', cardId: card.id });
+    logMessage(logText, 'reveal');
+    // Send reveal action to peer, disclosing the unit and salt behind the placement commitment
+    sendData('reveal', getRevealDisclosure(card));
+}
+
 function applyMove(data) {
-    const { attackerCardId, targetCardId, nextPlayer } = data;
-    const attackerCardIndex = findCardIndexById(attackerCardId);
-    const targetCardIndex = findCardIndexById(targetCardId);
+    const { attackerCardId, targetCardId } = data;
+    const attackerCard = findCardById(attackerCardId);
+    const targetCard = findCardById(targetCardId);
 
-    if (attackerCardIndex === -1 || targetCardIndex === -1) {
+    if (!attackerCard || !targetCard) {
         console.error("Invalid card ID received for move.");
         return;
     }
 
-    const attackerCard = board[attackerCardIndex];
-    const targetCard = board[targetCardIndex];
-
     const directionInfo = getDirectionInfo(attackerCard, targetCard);
     // Access terrain data correctly
     const entryTerrainType = targetCard.terrainData.terrainData[directionInfo.opposite];
 
-    logMessage(`Player ${attackerCard.owner} moved ${attackerCard.unitData.unitName} via ${entryTerrainType}.`);
-
-    // Update board state - Data moves (transfer unitData, keep terrainData)
-    targetCard.unitData = attackerCard.unitData; // Move the unit object
-    targetCard.owner = attackerCard.owner;
-    targetCard.hidden = false; // Moved unit is revealed
-
-    attackerCard.unitData = null; // Remove unit object from original spot
-    attackerCard.owner = null;
-    attackerCard.hidden = true; // Previous spot becomes empty/hidden
+    logMessage(`Player ${attackerCard.owner} moved ${attackerCard.unitData.unitName} via ${entryTerrainType}.`, 'move');
+    recordAction({ type: 'move', attackerCardId, targetCardId });
 
     selectedCardIndex = null; // Deselect on both clients
-    currentPlayer = nextPlayer;
     isResolvingAttack = false; // Ensure flag is reset
+    advanceGame({ type: 'move', attackerCardId, targetCardId });
 
     updateUI();
 }
 
 function applyAttackResult(data) {
-    const { winnerCardId, loserCardId, defeatedUnitData, attackerMoved, nextPlayer, gameOver, winMessage } = data;
+    const { winnerCardId, loserCardId, attackerMoved, gameOver, winMessage, ranged } = data;
+    const { attackerCardId, targetCardId } = getAttackCardIds(data);
+    const attackerCard = findCardById(attackerCardId);
+    const defenderCard = findCardById(targetCardId);
 
-    const winnerCardIndex = findCardIndexById(winnerCardId);
-    const loserCardIndex = findCardIndexById(loserCardId);
-
-    if (winnerCardIndex === -1 || loserCardIndex === -1) {
+    if (!attackerCard || !defenderCard) {
         console.error("Invalid card ID received for attack result.");
         return; // Or request resync
     }
 
-    const winnerCard = board[winnerCardIndex];
-    const loserCard = board[loserCardIndex];
-
-    logMessage(`Combat resolved: ${winnerCard.unitData.unitName} defeats ${loserCard.unitData.unitName}.`);
+    // Both units are face-up by now, so the breakdown can be recomputed from the board
+    const combat = resolveCombat(rulesState.board, attackerCard, defenderCard, currentVariants);
+    logMessage(describeCombat(combat, attackerCard, defenderCard), 'combat');
+    recordAction({
+        type: 'attackResult', winnerCardId, loserCardId, attackerMoved, gameOver: !!gameOver, winMessage: winMessage || '',
+        ...(ranged ? { ranged, attackerCardId, targetCardId } : {})
+    });
 
-    // Add loser to defeated units list (defeatedUnitData now contains unitData and terrainData)
-    defeatedUnits.push(defeatedUnitData);
+    selectedCardIndex = null; // Deselect on both clients
+    isResolvingAttack = false; // Unlock UI
+    pendingAttack = null;
 
-    // Update board state based on result
-    if (attackerMoved) {
-        // Attacker won and moved into loser's spot
-        loserCard.unitData = winnerCard.unitData; // Winner's unit data moves
-        loserCard.owner = winnerCard.owner;
-        loserCard.hidden = false; // Reveal the winner in the new spot
+    // The result was checked against the rules, which resolve the same attack from the board
+    advanceGame({ type: 'attack', attackerCardId, targetCardId });
 
-        winnerCard.unitData = null; // Original spot becomes empty
-        winnerCard.owner = null;
-        winnerCard.hidden = true;
-    } else {
-        // Defender won, attacker is removed (loser is attacker)
-        loserCard.unitData = null; // Loser's spot becomes empty
-        loserCard.owner = null;
-        loserCard.hidden = true;
+    updateUI();
+}
 
-        winnerCard.hidden = false; // Winner (defender) remains revealed
-    }
+// Both clients reach game over from the same action
+function endGame(winner, winMessage, victoryType) {
+    gameState = 'GAMEOVER';
+    clockPlayer = null; // The clocks stop
+    logMessage(winMessage, 'combat');
+    series = recordSeriesWin(series, winner);
+    if (describeCurrentSeries()) logMessage(`${describeCurrentSeries()}.`);
+    recordMatchHistory(winner, victoryType);
+    // Online, disclose every unit placed so both records can be replayed in full
+    sendData('finalDisclosure', { units: getFinalDisclosure() });
+    spectatorConns.forEach(sendSpectatorWelcome); // Spectators may now see this client's units
 
-    selectedCardIndex = null; // Deselect on both clients
-    isResolvingAttack = false; // Unlock UI
+}
 
-    if (gameOver) {
-        gameState = 'GAMEOVER';
-        logMessage(winMessage);
-    } else {
-        currentPlayer = nextPlayer;
-    }
+// The rules turn the enemy units next to a unit that moved in face-up (revealOnAdjacency). Online, only
+// the owner can disclose a face-down unit: it sends the disclosure, and until it arrives the other client
+// sees the unit face-up but unknown, and refuses the owner's next action (see isWaitingForReveals)
+function revealAdjacentUnits(previousState) {
+    rulesState.board.forEach(card => {
+        const previousCard = findCard(previousState, card.id);
+        const revealedInPlace = card.unitData && !card.hidden && previousCard.hidden && previousCard.unitData === card.unitData;
+        if (!revealedInPlace || (!isLocalGame() && card.owner !== localPlayerRole)) return;
+        recordAction({ type: 'reveal', cardId: card.id });
+        logMessage(`Player ${card.owner}'s ${card.unitData.unitName} is revealed by the enemy next to it.`, 'reveal');
+        sendData('reveal', getRevealDisclosure(card));
+    });
+}
 
-    updateUI();
+function isWaitingForReveals() {
+    return rulesState.board.some(card => !card.hidden && card.unitData?.unknown);
 }
 
 
 function findCardIndexById(id) {
-    return board.findIndex(card => card && card.id === id);
+    return rulesState.board.findIndex(card => card.id === id);
 }
 function findCardById(id) {
-    return board.find(card => card && card.id === id);
+    return findCard(rulesState, id);
 }
 function findCardByGrid(gridX, gridY) {
-    // Ensure card exists and has grid coordinates before checking
-    return board.find(card => card && card.gridX === gridX && card.gridY === gridY);
+    return findCardAt(rulesState, gridX, gridY);
 }
 
-function getDirectionInfo(card1, card2) {
-    if (!card1 || !card2) return null;
-    const dx = card2.gridX - card1.gridX;
-    const dy = card2.gridY - card1.gridY;
-
-    if (dx === 1 && dy === 0) return { direction: 'right', opposite: 'left' };
-    if (dx === -1 && dy === 0) return { direction: 'left', opposite: 'right' };
-    if (dx === 0 && dy === 1) return { direction: 'bottom', opposite: 'top' }; // Grid Y increases downwards
-    if (dx === 0 && dy === -1) return { direction: 'top', opposite: 'bottom' }; // Grid Y decreases upwards
-    return null; // Not adjacent or same card
+// The board with the opponent's commitments, as saved matches and auto-placement checks read it
+function getCommittedBoard() {
+    return rulesState.board.map(card => ({ ...card, commitment: cardCommitments[card.id] || null }));
 }
 
-function canUnitTraverse(unitData, terrainType) {
-    // unitData is expected to be { unitName, instance, stats, imagePath, canTraverse }
-    if (!unitData || !unitData.canTraverse || !terrainType) return false;
-    return unitData.canTraverse.includes(terrainType);
-}
+// Direction, traversal and combat rules live in rules.js
 
 // --- Event Handlers (Modified for PeerJS) ---
 
@@ -1085,20 +1652,19 @@ function handleCardClick(cardId, event) {
 
     // Original logic continues if not shift-clicking
     if (gameState !== 'GAMEPLAY' || isResolvingAttack) return;
-    if (currentPlayer !== localPlayerRole) {
+    if (rulesState.currentPlayer !== localPlayerRole) {
         logMessage("It's not your turn.");
         return;
     }
 
     const clickedCardIndex = findCardIndexById(cardId);
     if (clickedCardIndex === -1) return;
-    const clickedCard = board[clickedCardIndex];
+    const clickedCard = rulesState.board[clickedCardIndex];
 
-    logMessage(""); // Clear previous message
 
     if (selectedCardIndex === null) {
         // --- Selecting a unit ---
-        if (clickedCard.owner !== currentPlayer) {
+        if (clickedCard.owner !== rulesState.currentPlayer) {
             logMessage("Cannot select opponent's card."); return;
         }
         // Check unitData to see if unit exists
@@ -1106,14 +1672,7 @@ function handleCardClick(cardId, event) {
             logMessage("Cannot select an empty space."); return;
         }
 
-        if (clickedCard.hidden) {
-            // Reveal locally first
-            clickedCard.hidden = false;
-            logMessage(`You revealed ${clickedCard.unitData.unitName}.`);
-            // Send reveal action to peer - only need cardId, receiver updates based on their board state
-            sendData('reveal', { cardId: clickedCard.id });
-            // Note: Previously sent unitName, but receiver should already have it. Sending less is better.
-        }
+        if (clickedCard.hidden) revealUnit(clickedCard, `You revealed ${clickedCard.unitData.unitName}.`);
 
         selectedCardIndex = clickedCardIndex;
         // Update UI locally immediately for responsiveness
@@ -1121,7 +1680,7 @@ function handleCardClick(cardId, event) {
 
     } else {
         // --- Target selected ---
-        const attackerCard = board[selectedCardIndex];
+        const attackerCard = rulesState.board[selectedCardIndex];
 
         if (clickedCardIndex === selectedCardIndex) { // Deselecting
             selectedCardIndex = null;
@@ -1130,28 +1689,15 @@ function handleCardClick(cardId, event) {
             return;
         }
 
-        const directionInfo = getDirectionInfo(attackerCard, clickedCard);
-        if (!directionInfo) {
-            logMessage("Target is not adjacent."); return;
+        // Check adjacency, movement legality and target ownership with the shared rules
+        const { kind, reason, entryTerrainType } = classifyTarget(attackerCard, clickedCard, currentVariants);
+        if (!kind) {
+            logMessage(reason); return;
         }
 
-        // Check Movement Legality
-        const entryTerrainType = clickedCard.terrainData.terrainData[directionInfo.opposite];
-        // Pass the attacker's unitData object to canUnitTraverse
-        if (!canUnitTraverse(attackerCard.unitData, entryTerrainType)) {
-            logMessage(`${attackerCard.unitData.unitName} cannot enter via ${entryTerrainType} (${directionInfo.opposite} edge of target).`);
-            return;
-        }
-
-        // Process Action: Move or Attack
-        if (clickedCard.owner === currentPlayer) {
-            logMessage("Cannot move/attack your own unit."); return;
-        }
+        const nextPlayer = rulesState.currentPlayer === 1 ? 2 : 1;
 
-        const nextPlayer = currentPlayer === 1 ? 2 : 1;
-
-        // Check if target has a unit
-        if (!clickedCard.unitData) {
+        if (kind === 'move') {
             // --- Moving to empty adjacent tile ---
             logMessage(`Moving ${attackerCard.unitData.unitName} via ${entryTerrainType}...`);
             // Send move action
@@ -1165,24 +1711,33 @@ function handleCardClick(cardId, event) {
 
         } else {
             // --- Attacking an enemy unit ---
-            logMessage(`Attacking ${clickedCard.unitData.unitName} with ${attackerCard.unitData.unitName}...`);
             isResolvingAttack = true; // Lock UI locally
 
-            // Reveal defender locally if hidden (peer will reveal on their side too)
+            if (!isLocalGame()) {
+                // Online, the defender may still be secret: its owner discloses it, resolves the
+                // combat and sends back the reveal and the attackResult
+                logMessage(`Attacking with ${attackerCard.unitData.unitName}...`);
+                pendingAttack = { attackerCardId: attackerCard.id, targetCardId: clickedCard.id };
+                sendData('attack', {
+                    attackerCardId: attackerCard.id,
+                    targetCardId: clickedCard.id,
+                    nextPlayer: nextPlayer
+                });
+                updateUI();
+                return;
+            }
+
+            logMessage(`Attacking ${clickedCard.unitData.unitName} with ${attackerCard.unitData.unitName}...`);
+
+            // Reveal defender locally if hidden (both players share this client in local games)
             if (clickedCard.hidden) {
-                clickedCard.hidden = false;
-                logMessage(`Revealed defender: ${clickedCard.unitData.unitName}.`);
-                // Send reveal action for the defender (only ID needed)
-                sendData('reveal', { cardId: clickedCard.id });
+                revealUnit(clickedCard, `Revealed defender: ${clickedCard.unitData.unitName}.`);
                 updateUI(); // Show revealed defender locally
             }
 
             // Resolve attack locally first to determine outcome
             const attackResultData = resolveAttackLocally(selectedCardIndex, clickedCardIndex, nextPlayer);
 
-            // Send the *result* of the attack to the peer
-            sendData('attackResult', attackResultData);
-
             // Apply the result locally after a short delay (simulates network + animation)
             // Note: applyAttackResult handles the UI update and state changes
             setTimeout(() => {
@@ -1197,8 +1752,8 @@ function handleCardClick(cardId, event) {
 function resolveAttackLocally(attackerIndex, defenderIndex, nextPlayer) {
     // This function calculates the outcome but DOES NOT modify the board state directly.
     // It returns the data needed for applyAttackResult.
-    const attackerCard = board[attackerIndex];
-    const defenderCard = board[defenderIndex];
+    const attackerCard = rulesState.board[attackerIndex];
+    const defenderCard = rulesState.board[defenderIndex];
 
     // Basic validation using unitData
     if (!attackerCard || !attackerCard.unitData || !defenderCard || !defenderCard.unitData) {
@@ -1206,94 +1761,127 @@ function resolveAttackLocally(attackerIndex, defenderIndex, nextPlayer) {
         return { error: true }; // Indicate error
     }
 
-    // Access stats from unitData
-    const attackerStats = attackerCard.unitData.stats;
-    const defenderStats = defenderCard.unitData.stats;
-    const directionInfo = getDirectionInfo(attackerCard, defenderCard);
-    // Access terrain data correctly
-    const defenseEdgeTerrain = defenderCard.terrainData.terrainData[directionInfo.opposite];
-    const terrainBonus = terrainRules[defenseEdgeTerrain]?.defenseBonus || 0;
-    const attackValue = attackerStats.attack;
-    const defenseValue = defenderStats.defense + terrainBonus;
-
-    console.log(`Local Resolution: ${attackerCard.unitData.unitName} (A:${attackValue}) vs ${defenderCard.unitData.unitName} (D:${defenderStats.defense} + ${terrainBonus} Bonus = ${defenseValue})`);
-
-    let winnerCard, loserCard, attackerWins, attackerMoved;
-    let defeatedUnitData = null; // Will store { unitData, terrainData, owner }
-
-    attackerWins = attackValue > defenseValue; // Defender wins ties
-
-    if (attackerWins) {
-        winnerCard = attackerCard;
-        loserCard = defenderCard;
-        attackerMoved = true; // Attacker moves into the space
-        console.log(`Local Resolution: Attacker wins!`);
-    } else { // Defender wins
-        winnerCard = defenderCard;
-        loserCard = attackerCard;
-        attackerMoved = false; // Attacker is removed, defender stays
-        console.log(`Local Resolution: Defender wins!`);
-    }
-
-    // Store the full unitData and terrainData of the loser
-    defeatedUnitData = {
-        unitData: loserCard.unitData,
-        terrainData: loserCard.terrainData, // Store the terrain the loser was on
-        owner: loserCard.owner
-    };
+    // Compute the outcome (terrain bonus, ties, victory) with the shared rules engine
+    const combat = resolveCombat(rulesState.board, attackerCard, defenderCard, currentVariants);
+    if (!combat) {
+        console.error("Resolve attack locally failed: cards are not adjacent or in range.");
+        return { error: true };
+    }
 
-    // Check for win conditions based on the *potential* outcome
-    const commandUnitName = 'Mobile Command';
-    let gameOver = false;
-    let winMessage = "";
+    console.log(`Local Resolution: ${attackerCard.unitData.unitName} (A:${combat.attackValue}) vs ${defenderCard.unitData.unitName} (D:${combat.baseDefense} + ${combat.terrainBonus} Bonus = ${combat.defenseValue})`);
+    console.log(`Local Resolution: ${combat.attackerWins ? 'Attacker' : 'Defender'} wins!`);
 
-    // Simulate board state *after* this combat resolution
-    const loserOwner = loserCard.owner;
-    const loserIsCommand = loserCard.unitData.unitName === commandUnitName;
+    return {
+        winnerCardId: combat.winnerCardId,
+        loserCardId: combat.loserCardId,
+        defeatedUnitData: combat.defeatedUnitData, // Contains full unit/terrain data
+        attackerMoved: combat.attackerMoved,
+        nextPlayer: combat.gameOver ? rulesState.currentPlayer : nextPlayer, // If game over, turn doesn't switch
+        gameOver: combat.gameOver,
+        winMessage: combat.winMessage,
+        // A ranged attacker never moves in, so getAttackCardIds needs both cards named
+        ...(combat.ranged ? { ranged: true, attackerCardId: attackerCard.id, targetCardId: defenderCard.id } : {})
+    };
+}
 
-    if (loserIsCommand) {
-        gameOver = true;
-        winMessage = `Player ${winnerCard.owner} wins by capturing the Mobile Command!`;
-    } else {
-        // Count remaining non-command units for the loser *after* this loss
-        const remainingUnitsLoser = board.filter(c =>
-            c && c.owner === loserOwner && c.unitData && c.unitData.unitName !== commandUnitName && c.id !== loserCard.id // Exclude the unit being defeated
-        ).length;
-        // Check if command still exists for the loser
-        const commandLoserExists = board.some(c => c && c.unitData && c.unitData.unitName === commandUnitName && c.owner === loserOwner && c.id !== loserCard.id);
-
-        if (remainingUnitsLoser === 0 && commandLoserExists) {
-            gameOver = true;
-            winMessage = `Player ${winnerCard.owner} wins by eliminating all other movable units!`;
-        }
+
+// Defender side of an online attack: disclose the defending unit, resolve the combat with
+// the shared rules, then send both to the attacker
+function applyIncomingAttack(data) {
+    const { attackerCardId, targetCardId, nextPlayer } = data;
+    const attackerIndex = findCardIndexById(attackerCardId);
+    const defenderIndex = findCardIndexById(targetCardId);
+    if (attackerIndex === -1 || defenderIndex === -1) {
+        console.error("Invalid card ID received for attack.");
+        return;
     }
+    const attackerCard = rulesState.board[attackerIndex];
+    const defenderCard = rulesState.board[defenderIndex];
+    if (defenderCard.owner !== localPlayerRole || !defenderCard.unitData || !attackerCard.unitData || attackerCard.unitData.unknown) {
+        console.error("Received an attack that cannot be resolved here:", data);
+        return;
+    }
+
+    isResolvingAttack = true;
+    if (defenderCard.hidden) revealUnit(defenderCard, `Your ${defenderCard.unitData.unitName} is attacked and revealed.`);
+
+    const attackResultData = resolveAttackLocally(attackerIndex, defenderIndex, nextPlayer);
+    sendData('attackResult', attackResultData);
+    updateUI();
+
+    // Apply the result locally after the same short delay the attacker used to wait
+    setTimeout(() => {
+        applyAttackResult(attackResultData);
+    }, 500);
+}
 
+// --- Commit-Reveal ---
 
+// What the owner sends to reveal a face-down unit: enough to recompute the placement commitment
+function getRevealDisclosure(card) {
     return {
-        winnerCardId: winnerCard.id,
-        loserCardId: loserCard.id,
-        defeatedUnitData: defeatedUnitData, // Contains full unit/terrain data
-        attackerMoved: attackerMoved,
-        nextPlayer: gameOver ? currentPlayer : nextPlayer, // If game over, turn doesn't switch
-        gameOver: gameOver,
-        winMessage: winMessage
+        cardId: card.id,
+        unitName: card.unitData.unitName,
+        instance: card.unitData.instance,
+        salt: myUnitSalts[card.id]
     };
 }
 
+// Adds a fresh salt and the matching commitment to one of the local player's placements
+async function commitPlacement(placementData) {
+    const { unitData, ...publicData } = placementData;
+    const salt = createSalt();
+    myUnitSalts[placementData.cardId] = salt;
+    const commitment = await createCommitment({
+        cardId: placementData.cardId,
+        owner: placementData.owner,
+        unitName: unitData.unitName,
+        instance: unitData.instance,
+        salt: salt
+    });
+    return { ...publicData, commitment };
+}
+
+/**
+ * Checks a received reveal before it is applied.
+ * Units already known locally (our own, or any unit in a local game) are simply flipped face-up.
+ * A face-down enemy unit must come with a disclosure matching its placement commitment.
+ * @returns {Promise<object|null>} The data for applyReveal, or null if the reveal is rejected.
+ */
+async function verifyRevealDisclosure(payload) {
+    const card = findCardById(payload.cardId);
+    if (!card || !card.unitData) {
+        console.error("Invalid card ID received for reveal.");
+        return null;
+    }
+    if (!card.unitData.unknown) return { cardId: card.id };
+
+    const { unitName, instance, salt } = payload;
+    const matches = await verifyCommitment(cardCommitments[card.id], { cardId: card.id, owner: card.owner, unitName, instance, salt });
+    const unitData = matches ? createUnitData(card.owner, unitName, instance) : null;
+    // Each unit exists once: reject a second card claiming a unit that was already seen
+    const isSameUnit = other => other && other.unitName === unitName && other.instance === instance;
+    const alreadySeen = rulesState.board.some(c => c.id !== card.id && c.owner === card.owner && isSameUnit(c.unitData)) ||
+        rulesState.defeatedUnits.some(defeated => defeated.owner === card.owner && isSameUnit(defeated.unitData));
+
+    if (!unitData || alreadySeen) {
+        console.error("Commitment mismatch for reveal:", payload, "commitment:", cardCommitments[card.id]);
+        return null;
+    }
+    return { cardId: card.id, unitData };
+}
 
 // Function to apply temporary shift effect for inspection
 function applyShiftInspect(centerCardIndex) {
-    const centerCard = board[centerCardIndex];
-    if (!centerCard || !centerCard.element) return;
+    const centerCard = rulesState.board[centerCardIndex];
+    if (!centerCard || !cardElements.has(centerCard.id)) return;
 
     // Clear existing shifts first (from selection or previous inspect) before applying new ones
     // This is important if shift is held down and user clicks multiple cards
-    board.forEach(card => {
-        if (card && card.element) {
-            const unitLayer = card.element.querySelector('.unit-layer');
-            if (unitLayer) {
-                unitLayer.classList.remove('shifted-left', 'shifted-right', 'shifted-up', 'shifted-down');
-            }
+    cardElements.forEach(element => {
+        const unitLayer = element.querySelector('.unit-layer');
+        if (unitLayer) {
+            unitLayer.classList.remove('shifted-left', 'shifted-right', 'shifted-up', 'shifted-down');
         }
     });
 
@@ -1308,9 +1896,9 @@ function applyShiftInspect(centerCardIndex) {
     neighbors.forEach(n => {
         const neighborCard = findCardByGrid(centerCard.gridX + n.dx, centerCard.gridY + n.dy);
         // Apply shift ONLY if the neighbor card exists, has an element, AND has unitData
-        if (neighborCard && neighborCard.element && neighborCard.unitData) {
+        if (neighborCard && cardElements.has(neighborCard.id) && neighborCard.unitData) {
             // Find the unit layer within the neighbor's element
-            const neighborUnitLayer = neighborCard.element.querySelector('.unit-layer');
+            const neighborUnitLayer = cardElements.get(neighborCard.id).querySelector('.unit-layer');
             if (neighborUnitLayer) {
                 // Add the shift class to the unit layer
                 neighborUnitLayer.classList.add(n.shiftClass);
@@ -1321,14 +1909,19 @@ function applyShiftInspect(centerCardIndex) {
     // Note: Shifts are cleared automatically when Shift key is released via keyup listener calling updateUI()
 }
 
+// The empty spots next to the cards placed so far
+function getOpenPlacementSpots() {
+    return getPlacementSpots(rulesState.board.map(card => getGridKey(card.gridX, card.gridY)));
+}
+
 // --- Event Handlers (Modified for PeerJS) ---
 function handleBoardClickForPlacement(event) {
-    if (gameState !== 'PLACEMENT') return;
-    if (currentPlayer !== localPlayerRole) {
+    if (gameState !== 'PLACEMENT' || isAutoPlacing) return;
+    if (rulesState.currentPlayer !== localPlayerRole) {
         logMessage("It's not your turn to place.");
         return;
     }
-    if (!conn || !conn.open) {
+    if (!isReadyToPlay()) {
         logMessage("Not connected to opponent.");
         return;
     }
@@ -1354,281 +1947,1745 @@ function handleBoardClickForPlacement(event) {
     const gridKey = `${targetGridX}_${targetGridY}`;
 
     // --- Validate Placement Location (redundant check, but safe) ---
-    const potentialSpots = new Set();
-    if (placedPositions.size === 0) {
-        potentialSpots.add(`${START_GRID_COORD}_${START_GRID_COORD}`);
-    } else {
-        placedPositions.forEach(posKey => {
-            const [x, y] = posKey.split('_').map(Number);
-            const neighbors = [`${x + 1}_${y}`, `${x - 1}_${y}`, `${x}_${y + 1}`, `${x}_${y - 1}`];
-            neighbors.forEach(neighborKey => {
-                if (!placedPositions.has(neighborKey)) potentialSpots.add(neighborKey);
-            });
-        });
-    }
+    const potentialSpots = getOpenPlacementSpots();
     if (!potentialSpots.has(gridKey)) {
         logMessage("Invalid placement spot (validation failed). Click on one of the dashed outlines.");
         return;
     }
 
-    // --- Prepare and Send Placement Data ---
-    const nextPlayer = currentPlayer === 1 ? 2 : 1;
-    const cardIdForPlacement = nextCardId; // Determine ID before sending
+    submitPlacement(selectedUnitDataForPlacement, selectedTerrainDataForPlacement, targetGridX, targetGridY);
+}
+
+// Places one of the local player's pairs, clicked or auto-placed, and sends it to the peer
+function submitPlacement(unitData, terrainDataObj, gridX, gridY) {
+    const nextPlayer = rulesState.currentPlayer === 1 ? 2 : 1;
+    const cardIdForPlacement = rulesState.nextCardId; // Determine ID before sending
 
     // Send the selected unitData and terrainData objects directly
     const placementData = {
-        owner: currentPlayer,
-        unitData: selectedUnitDataForPlacement,     // Send the whole object
-        terrainData: selectedTerrainDataForPlacement, // Send the whole object
-        gridX: targetGridX,
-        gridY: targetGridY,
+        owner: rulesState.currentPlayer,
+        unitData: unitData,     // Send the whole object
+        terrainData: terrainDataObj, // Send the whole object
+        gridX: gridX,
+        gridY: gridY,
         nextPlayer: nextPlayer,
         cardId: cardIdForPlacement // Include the ID for synchronization
     };
 
-    sendData('placement', placementData);
-
-    // Apply placement locally immediately
+    // Apply placement locally immediately (the turn passes right away, preventing double placements)
     applyPlacement(placementData);
+
+    // Send it to the peer: only a commitment to the unit leaves this browser
+    if (!isLocalGame()) {
+        commitPlacement(placementData).then(publicPlacementData => sendData('placement', publicPlacementData));
+    }
 }
 
 // Updated selection functions to store the whole object
 function selectUnitForPlacement(unitData) {
-    if (gameState !== 'PLACEMENT' || currentPlayer !== localPlayerRole) return;
+    if (gameState !== 'PLACEMENT' || rulesState.currentPlayer !== localPlayerRole) return;
     selectedUnitDataForPlacement = unitData;
-    logMessage(`Selected Unit: ${unitData.unitName} (Instance ${unitData.instance})`);
+    logMessage(`Selected Unit: ${unitData.unitName} (Instance ${unitData.instance})`, 'placement', localPlayerRole);
     updateUI();
 }
 
 function selectTerrainForPlacement(terrainDataObj) {
-    if (gameState !== 'PLACEMENT' || currentPlayer !== localPlayerRole) return;
+    if (gameState !== 'PLACEMENT' || rulesState.currentPlayer !== localPlayerRole) return;
     selectedTerrainDataForPlacement = terrainDataObj;
     const tData = terrainDataObj.terrainData;
-    logMessage(`Selected Terrain: #${terrainDataObj.terrainIndex + 1} [${TERRAIN_EMOJIS[tData.top]}, ...]`);
+    logMessage(`Selected Terrain: #${terrainDataObj.terrainIndex + 1} [${TERRAIN_EMOJIS[tData.top]}, ...]`, 'placement', localPlayerRole);
+    updateUI();
+}
+
+// --- Memo Pad Functions (Updated for new data structure) ---
+function getMemoTerrainHtml(terrain) {
+    return `
+        <span class="memo-edge-top">${TERRAIN_EMOJIS[terrain.top] || '?'}</span>
+        <span class="memo-edge-right">${TERRAIN_EMOJIS[terrain.right] || '?'}</span>
+        <span class="memo-edge-bottom">${TERRAIN_EMOJIS[terrain.bottom] || '?'}</span>
+        <span class="memo-edge-left">${TERRAIN_EMOJIS[terrain.left] || '?'}</span>
+    `;
+}
+
+function displayMemoPadContent() { // No longer needs player argument
+    const memoPopover = document.getElementById('memo-popover');
+    if (!localPlayerRole) {
+        memoPopover.innerHTML = `<h5>Your Memo Pad</h5><p>Not connected.</p>`;
+        return;
+    }
+
+    const tabs = `
+        <div class="memo-tabs">
+            <button class="${memoTab === 'pairings' ? 'active' : ''}" onclick="showMemoTab('pairings')">Your Pairings</button>
+            <button class="${memoTab === 'opponent' ? 'active' : ''}" onclick="showMemoTab('opponent')">Opponent</button>
+        </div>
+    `;
+    if (memoTab === 'opponent') {
+        memoPopover.innerHTML = tabs + getOpponentMemoContent();
+        return;
+    }
+
+    const playerPairings = initialPlayerPairings[localPlayerRole];
+
+    if (!playerPairings || playerPairings.length === 0) {
+        memoPopover.innerHTML = `${tabs}<h5>Your Memo Pad</h5><p>No pairings data found.</p>`;
+        return;
+    }
+
+    let content = '';
+
+    if (gameState === 'PLACEMENT') {
+        // Count how many pairs the local player has actually placed
+        const placedByMeCount = rulesState.board.filter(card => card && card.owner === localPlayerRole && card.unitData && card.terrainData).length;
+        content = `<h5>Your Placement Memo (${placedByMeCount}/${playerPairings.length})</h5><ul>`;
+
+        // Get the imagePaths of units placed by the local player
+        const placedUnitImagePaths = new Set(
+            rulesState.board
+                .filter(card => card && card.owner === localPlayerRole && card.unitData)
+                .map(card => card.unitData.imagePath)
+        );
+
+        // Iterate through ALL initial pairings for the local player
+        playerPairings.forEach(pair => {
+            const unitName = pair.unitData.unitName;
+            const instance = pair.unitData.instance;
+            const terrainEmojis = getMemoTerrainHtml(pair.terrainData.terrainData);
+
+            // Check if this specific unit (by imagePath) has been placed
+            const isUnitPlaced = placedUnitImagePaths.has(pair.unitData.imagePath);
+            const unitDisplay = isUnitPlaced ? `${unitName} #${instance}` : '---'; // Show name or placeholder
+
+            content += `<li><span class="memo-terrain">${terrainEmojis}</span><span class="memo-unit">${unitDisplay}</span></li>`;
+        });
+
+    } else { // GAMEPLAY or GAMEOVER
+        content = `<h5>Your Initial Pairings</h5><ul>`;
+        // Show all initial pairings with unit names
+        playerPairings.forEach(pair => {
+            const unitName = pair.unitData.unitName;
+            const instance = pair.unitData.instance;
+            const terrainEmojis = getMemoTerrainHtml(pair.terrainData.terrainData);
+            content += `<li><span class="memo-terrain">${terrainEmojis}</span><span class="memo-unit">${unitName} #${instance}</span></li>`;
+        });
+    }
+
+    content += `</ul>`;
+    memoPopover.innerHTML = tabs + content;
+}
+
+// The opponent tab: their face-down unit pool, and the local player's notes on each face-down card.
+// Unit types ruled out by deduceHiddenUnits cannot be marked.
+function getOpponentMemoContent() {
+    const opponent = localPlayerRole === 1 ? 2 : 1;
+    const state = rulesState;
+    const pool = getHiddenUnitPool(state, opponent);
+    const candidates = deduceHiddenUnits(state, opponent);
+    const suspicions = unitSuspicions[localPlayerRole] || {};
+
+    let content = `<h5>Opponent's Face-down Units</h5><ul>`;
+    Object.keys(currentArmy.units).forEach(unitName => {
+        content += `<li class="${pool[unitName] === 0 ? 'memo-ruled-out' : ''}"><span>${unitName}</span><span>${pool[unitName]} / ${currentArmy.units[unitName].quantity}</span></li>`;
+    });
+    content += `</ul>`;
+
+    const hiddenCards = rulesState.board.filter(card => candidates[card.id]);
+    content += `<h5>Face-down Cards (${hiddenCards.length})</h5>`;
+    if (hiddenCards.length === 0) return content + `<p>No face-down enemy cards.</p>`;
+
+    content += `<ul>`;
+    hiddenCards.forEach(card => {
+        const buttons = Object.keys(currentArmy.units).map(unitName => {
+            const possible = candidates[card.id].includes(unitName);
+            const suspected = possible && (suspicions[card.id] || []).includes(unitName);
+            return `<button class="memo-suspect-button${suspected ? ' suspected' : ''}" title="${unitName}${possible ? '' : ' (ruled out)'}"
+                ${possible ? '' : 'disabled'} onclick="toggleUnitSuspicion(${card.id}, '${unitName}')">${getUnitShortName(unitName)}</button>`;
+        }).join('');
+        content += `
+            <li onmouseenter="highlightMemoCard(${card.id}, true)" onmouseleave="highlightMemoCard(${card.id}, false)">
+                <span class="memo-terrain">${getMemoTerrainHtml(card.terrainData.terrainData)}</span>
+                <span class="memo-suspects">${buttons}</span>
+            </li>
+        `;
+    });
+    content += `</ul><p class="memo-hint">Mark what you suspect is under each card. Greyed-out units are ruled out: every copy is revealed or defeated.</p>`;
+    return content;
+}
+
+function showMemoTab(tab) {
+    memoTab = tab;
+    displayMemoPadContent();
+}
+
+function toggleUnitSuspicion(cardId, unitName) {
+    if (!localPlayerRole) return;
+    const notes = unitSuspicions[localPlayerRole] || {};
+    const suspected = notes[cardId] || [];
+    unitSuspicions = {
+        ...unitSuspicions,
+        [localPlayerRole]: {
+            ...notes,
+            [cardId]: suspected.includes(unitName) ? suspected.filter(name => name !== unitName) : [...suspected, unitName]
+        }
+    };
+    saveMatchState(); // Notes are part of the saved match
+    updateUI(); // Shows the notes on the board
+    displayMemoPadContent(); // updateUI only refreshes the memo pad during gameplay
+}
+
+// Points out on the board which card a row of the opponent tab is about
+function highlightMemoCard(cardId, highlighted) {
+    cardElements.get(cardId)?.classList.toggle('memo-highlight', highlighted);
+}
+
+// The local player's notes on a face-down enemy card, shown on the board
+function getSuspicionLabel(card) {
+    if (!localPlayerRole || card.owner === localPlayerRole || !card.hidden || !card.unitData) return '';
+    return (unitSuspicions[localPlayerRole]?.[card.id] || []).map(getUnitShortName).join('/');
+}
+
+function toggleMemoPad() {
+    if (!isReadyToPlay() || !localPlayerRole) return; // Only allow if connected (or hot-seat) and role assigned
+    const memoPopover = document.getElementById('memo-popover');
+    const currentDisplay = window.getComputedStyle(memoPopover).display;
+
+    if (currentDisplay === 'none') {
+        // Always display memo for the local player
+        displayMemoPadContent(); // Call without argument
+        memoPopover.style.display = 'block';
+    } else {
+        memoPopover.style.display = 'none';
+        document.querySelectorAll('.memo-highlight').forEach(div => div.classList.remove('memo-highlight'));
+    }
+}
+
+// --- Auto Placement ---
+function handleAutoPlaceClick() {
+    if (gameState !== 'PLACEMENT') {
+        logMessage("Auto-placement only available during the placement phase.");
+        return;
+    }
+    if (localPlayerRole !== 1) {
+        logMessage("Only Player 1 (Host) can initiate auto-placement.");
+        return;
+    }
+    if (!isReadyToPlay()) {
+        logMessage("Cannot auto-place: Not connected.");
+        return;
+    }
+    if (rulesState.placedCount > 0 || isAutoPlacing) {
+        logMessage("Cannot auto-place after manual placements have started.");
+        // Or: Add confirmation to overwrite? For now, prevent.
+        return;
+    }
+
+    // Online, the Host does not know Player 2's units: it spreads Player 2's cards at random, and
+    // Player 2's own strategy decides which of its units goes where (see applyIncomingAutoPlacement)
+    const strategies = { 1: getAutoPlaceStrategy(1), 2: isLocalGame() ? getAutoPlaceStrategy(2) : 'random' };
+    logMessage(`Initiating auto-placement (Player 1: ${AUTO_PLACEMENT_STRATEGIES[strategies[1]]}${isLocalGame() ? `, Player 2: ${AUTO_PLACEMENT_STRATEGIES[strategies[2]]}` : ''})...`);
+
+    // Use the initial pairings stored during resetGame
+    // These contain the full, originally shuffled lists needed by generateAutoPlacements
+    const p1Units = initialPlayerPairings[1].map(p => p.unitData);
+    const p1Terrains = initialPlayerPairings[1].map(p => p.terrainData);
+    // Online, the Host never sees Player 2's units: it only picks the spots and terrain,
+    // and Player 2 fills in its own units when the result arrives
+    const p2Units = isLocalGame() ? initialPlayerPairings[2].map(p => p.unitData) : p1Units.map(() => null);
+    const p2Terrains = isLocalGame() ? initialPlayerPairings[2].map(p => p.terrainData) : generatePlayerTerrainList(2);
+
+    // Generate all placement actions
+    const placementActions = generateAutoPlacements(p1Units, p1Terrains, p2Units, p2Terrains, rulesState.nextCardId, strategies, getPlayerRandom(localPlayerRole, 'auto-placement'), firstPlayer);
+
+    if (!placementActions || placementActions.length !== getTotalPairsToPlace(currentArmy)) {
+        logMessage("Auto-placement generation failed. Please place manually or reset.");
+        console.error("Auto-placement generation failed or returned incorrect number of actions.");
+        return;
+    }
+
+    if (isLocalGame()) {
+        applyBulkPlacement(placementActions);
+        return;
+    }
+
+    // Commit to the Host's units before sending, then apply the placements locally
+    isAutoPlacing = true;
+    Promise.all(placementActions.map(action => action.owner === localPlayerRole ? commitPlacement(action) : action))
+        .then(publicActions => {
+            sendData('autoPlacementResult', { actions: publicActions });
+            applyBulkPlacement(placementActions);
+        })
+        .finally(() => { isAutoPlacing = false; });
+}
+
+// Player 2's side of an online auto-placement: put its own units into the slots the Host chose,
+// as its strategy prefers, and send back the commitments for them
+async function applyIncomingAutoPlacement(actions) {
+    const mySlots = actions
+        .filter(action => action.owner === localPlayerRole)
+        .map(action => ({ ...action, terrainData: createTerrainData(action.owner, action.terrainData.terrainIndex) }));
+    const myUnits = initialPlayerPairings[localPlayerRole].map(p => p.unitData);
+    const filledSlots = assignAutoPlacementUnits(actions, mySlots, myUnits, getAutoPlaceStrategy(localPlayerRole), getPlayerRandom(localPlayerRole, 'auto-placement'));
+    const completedActions = actions.map(action =>
+        (action.owner === localPlayerRole ? filledSlots.find(slot => slot.cardId === action.cardId) : { ...action, unitData: null }));
+
+    const myActions = completedActions.filter(action => action.owner === localPlayerRole);
+    const publicActions = await Promise.all(myActions.map(commitPlacement));
+    sendData('autoPlacementCommitments', {
+        commitments: publicActions.map(action => ({ cardId: action.cardId, commitment: action.commitment }))
+    });
+
+    applyBulkPlacement(completedActions);
+}
+
+// The Host learns Player 2's commitments only after the auto-placement was applied on both sides
+function applyAutoPlacementCommitments(data) {
+    data.commitments.forEach(({ cardId, commitment }) => {
+        cardCommitments[cardId] = commitment;
+    });
+    saveMatchState(); // Commitments are part of the saved match
+}
+
+// --- Auto-Placing One Player's Cards ---
+// Any player may let its strategy place its remaining cards, one per turn, through the same path as
+// a click: online, the opponent only sees ordinary placements
+
+function populateAutoPlaceStrategySelects() {
+    [1, 2].forEach(player => {
+        const select = document.getElementById(`auto-place-strategy-${player}`);
+        Object.entries(AUTO_PLACEMENT_STRATEGIES).forEach(([key, label]) => select.appendChild(new Option(label, key)));
+    });
+}
+
+function getAutoPlaceStrategy(player) {
+    const strategy = document.getElementById(`auto-place-strategy-${player}`).value;
+    return Object.hasOwn(AUTO_PLACEMENT_STRATEGIES, strategy) ? strategy : 'random';
+}
+
+function handleAutoPlaceMineClick() {
+    if (gameState !== 'PLACEMENT') {
+        logMessage("Auto-placement only available during the placement phase.");
+        return;
+    }
+    if (!isReadyToPlay()) {
+        logMessage("Cannot auto-place: Not connected.");
+        return;
+    }
+    const strategy = getAutoPlaceStrategy(localPlayerRole);
+    autoFillStrategies[localPlayerRole] = strategy;
+    logMessage(`Player ${localPlayerRole}'s remaining cards will be auto-placed (${AUTO_PLACEMENT_STRATEGIES[strategy]}).`, 'placement');
+    updateUI(); // Places right away if it is this player's turn
+}
+
+function scheduleAutoFill() {
+    if (gameState !== 'PLACEMENT' || rulesState.currentPlayer !== localPlayerRole || !autoFillStrategies[localPlayerRole] || isAutoPlacing || autoFillTimer) return;
+    autoFillTimer = setTimeout(() => {
+        autoFillTimer = null;
+        runAutoFill();
+    }, AUTO_FILL_DELAY_MS);
+}
+
+function runAutoFill() {
+    const player = localPlayerRole;
+    const strategy = autoFillStrategies[player];
+    if (gameState !== 'PLACEMENT' || rulesState.currentPlayer !== player || !strategy || isAutoPlacing) return;
+    const placement = chooseAutoPlacement(rulesState.board, player, rulesState.available.units[player], rulesState.available.terrains[player], strategy, getPlayerRandom(player, 'auto-placement'));
+    if (!placement) {
+        autoFillStrategies[player] = null;
+        logMessage("Auto-placement found nothing left to place.");
+        return;
+    }
+    submitPlacement(placement.unitData, placement.terrainData, placement.gridX, placement.gridY);
+}
+
+// Card click listeners for gameplay (after placement, or when a match is resumed)
+function addGameplayCardListeners() {
+    cardElements.forEach((element, cardId) => {
+        // Pass the event object to handleCardClick
+        element.onclick = (event) => handleCardClick(cardId, event);
+        // Forecast the odds when hovering an attackable target
+        element.onmouseenter = () => showCombatPreview(cardId);
+        element.onmouseleave = hideCombatPreview;
+
+        // Add mousedown handler to prevent text selection
+        element.onmousedown = (event) => {
+            event.preventDefault(); // Prevent text selection
+            event.stopPropagation(); // Stop event from bubbling up
+            return false; // Additional prevention for older browsers
+        };
+    });
+}
+
+function applyBulkPlacement(placementActions) {
+    logMessage(`Applying ${placementActions.length} auto-placements...`, 'placement');
+
+    // Disable board click listener immediately
+    document.getElementById('board').removeEventListener('click', handleBoardClickForPlacement);
+
+    selectedUnitDataForPlacement = null;
+    selectedTerrainDataForPlacement = null;
+
+    // Place all cards, in turn, without intermediate UI updates: the last one starts the gameplay phase
+    placementActions.forEach(action => {
+        // Opponent units arrive without unitData online; only their commitment is known
+        const { owner, gridX, gridY, cardId, commitment } = action;
+        const terrainData = createTerrainData(owner, action.terrainData.terrainIndex);
+        advanceGame({ type: 'placement', owner, unitData: action.unitData || UNKNOWN_UNIT, terrainData, gridX, gridY, cardId });
+        if (commitment) cardCommitments[cardId] = commitment;
+        recordPlacement(findCardById(cardId));
+    });
+    restartClock(firstPlayer); // The first player starts gameplay too
+
+    addGameplayCardListeners();
+
+    logMessage(`Auto-placement complete! Player ${firstPlayer}'s turn to move or attack.`, 'placement');
+
+    // Update UI once at the end
     updateUI();
+
+    // Refresh memo pad if open
+    const memoPopover = document.getElementById('memo-popover');
+    if (memoPopover && window.getComputedStyle(memoPopover).display !== 'none') {
+        displayMemoPadContent(); // Refresh content for local player
+    }
+}
+
+
+// --- Data Handling ---
+// Messages are processed one at a time, in arrival order, even when verifying a reveal has to wait for hashing
+let receiveQueue = Promise.resolve();
+
+function handleReceivedData(data) {
+    receiveQueue = receiveQueue
+        .then(() => processReceivedData(data))
+        .catch(err => console.error("Error handling received data:", data, err));
+}
+
+async function processReceivedData(data) {
+    const { type, payload } = data;
+
+    // Once the boards disagree, no further game action is applied
+    if (gameState === 'DESYNC' && type !== 'displayName' && type !== 'chat') {
+        console.warn(`Ignoring ${type} received after a desync.`);
+        return;
+    }
+    // Re-check every incoming action with the shared rules before it touches the board
+    const actionError = getIncomingActionError(type, payload);
+    if (actionError) {
+        enterDesyncState(`Invalid ${type} received: ${actionError}`);
+        return;
+    }
+
+    switch (type) {
+        case 'setup':
+            applySetup(payload);
+            break;
+        case 'placement':
+            applyPlacement(payload);
+            break;
+        case 'reveal': {
+            const verifiedReveal = await verifyRevealDisclosure(payload);
+            if (verifiedReveal) {
+                applyReveal(verifiedReveal);
+            } else {
+                enterDesyncState(`Revealed unit of card ${payload.cardId} does not match the unit committed at placement.`);
+            }
+            break;
+        }
+        case 'move':
+            applyMove(payload);
+            break;
+        case 'attack':
+            applyIncomingAttack(payload);
+            break;
+        case 'attackResult':
+            applyAttackResult(payload);
+            break;
+        case 'resumeHello':
+            await applyResumeHello(payload);
+            break;
+        case 'resyncLog':
+            await applyResyncLog(payload);
+            break;
+        case 'finalDisclosure':
+            await applyFinalDisclosure(payload);
+            break;
+        case 'desync':
+            enterDesyncState(`Opponent detected a desync: ${payload.reason}`, false);
+            break;
+        case 'autoPlacementResult':
+            logMessage("Received auto-placement actions from Host.");
+            await applyIncomingAutoPlacement(payload.actions);
+            break;
+        case 'autoPlacementCommitments':
+            applyAutoPlacementCommitments(payload);
+            break;
+        case 'displayName':
+            opponentDisplayName = payload.name;
+            console.log(`Opponent's display name set to: ${opponentDisplayName}`);
+            logMessage(`Opponent is "${opponentDisplayName}".`);
+            // Update UI elements that show peer info
+            if (conn && conn.open) {
+                document.getElementById('peer-status').textContent = `Connected to ${opponentDisplayName} (${describePeerId(conn.peer)})`;
+            }
+            spectatorConns.forEach(sendSpectatorWelcome); // Spectators show player names too
+            updateUI(); // Refresh UI with the new name
+            break;
+        case 'chat':
+            applyChatMessage(payload);
+            break;
+        case 'undoRequest':
+            applyTakebackRequest(payload);
+            break;
+        case 'undoAnswer':
+            applyTakebackAnswer(payload);
+            break;
+        case 'clock':
+            applyClockStamp(payload);
+            break;
+        case 'pass':
+            applyPass(payload);
+            break;
+        case 'timeout':
+            applyTimeout(payload);
+            break;
+        case 'rematchOffer':
+            applyRematchOffer();
+            break;
+        case 'rematchAnswer':
+            applyRematchAnswer(payload);
+            break;
+        default:
+            console.warn('Received unknown data type:', type);
+    }
+}
+
+/**
+ * Checks an incoming action against the local board with the same rules the sender should have used.
+ * @param {string} type - The message type.
+ * @param {object} payload - The message payload.
+ * @returns {string|null} Why the action is not legal here, or null if it may be applied.
+ */
+function getIncomingActionError(type, payload) {
+    const state = rulesState;
+    const senderTurn = state.currentPlayer !== localPlayerRole; // Moves and placements come from the player whose turn it is
+    const expectedNextPlayer = state.currentPlayer === 1 ? 2 : 1;
+
+    switch (type) {
+        case 'placement': {
+            if (state.phase !== 'PLACEMENT') return 'Not in the placement phase.';
+            if (!senderTurn || payload.owner !== state.currentPlayer) return `It is Player ${state.currentPlayer}'s turn to place.`;
+            if (payload.nextPlayer !== expectedNextPlayer) return 'Wrong player for the next turn.';
+            // Online, the unit stays secret behind its commitment; the bot sends its (known) unit
+            if (isLocalGame()) {
+                if (!payload.unitData) return 'Unit is not available.';
+            } else if (payload.unitData || typeof payload.commitment !== 'string') {
+                return 'A placement must carry a commitment, not the unit.';
+            }
+            const reason = validateAction(state, {
+                type: 'placement', owner: payload.owner, unitData: payload.unitData || UNKNOWN_UNIT,
+                terrainData: payload.terrainData, gridX: payload.gridX, gridY: payload.gridY, cardId: payload.cardId
+            });
+            if (reason) return reason;
+            // Catches a peer dealing from another terrain deck
+            const terrainMismatch = getTerrainMismatch(payload.terrainData);
+            if (terrainMismatch) return terrainMismatch;
+            if (payload.cardId !== state.nextCardId) return 'Unexpected card ID.';
+            return null;
+        }
+        case 'reveal': {
+            const reason = validateAction(state, { type: 'reveal', cardId: payload.cardId });
+            if (reason) return reason;
+            // Online, only the owner knows the salt; the bot may also reveal the defender it attacks
+            if (!isLocalGame() && findCardById(payload.cardId).owner === localPlayerRole) return 'Cannot reveal your unit.';
+            return null;
+        }
+        case 'move':
+        case 'attack': {
+            if (!senderTurn) return "It is not the opponent's turn.";
+            if (payload.nextPlayer !== expectedNextPlayer) return 'Wrong player for the next turn.';
+            if (isWaitingForReveals()) return 'Units next to an enemy must be revealed first.';
+            const attackerCard = findCardById(payload.attackerCardId);
+            if (attackerCard?.unitData?.unknown) return 'The unit must be revealed before it acts.';
+            return validateAction(state, { type, attackerCardId: payload.attackerCardId, targetCardId: payload.targetCardId });
+        }
+        case 'attackResult': {
+            // Only the attack this client sent gets a result; the rules then check its outcome
+            const reason = validateAttackAnswer(pendingAttack, payload) || validateAttackResult(state, payload);
+            if (reason) return reason;
+            const expectedResultPlayer = payload.gameOver ? state.currentPlayer : expectedNextPlayer; // If game over, turn doesn't switch
+            if (payload.nextPlayer !== expectedResultPlayer) return 'Wrong player for the next turn.';
+            return null;
+        }
+        case 'autoPlacementResult':
+            if (localPlayerRole !== 2) return 'Only the Host sends auto-placements.';
+            return validateAutoPlacements(state, payload.actions, 1);
+        case 'autoPlacementCommitments':
+            // Player 2 answers once the auto-placement is applied; the Host may have moved since
+            if (localPlayerRole !== 1) return 'Only Player 2 sends auto-placement commitments.';
+            if (state.phase !== 'GAMEPLAY') return 'Not in the gameplay phase.';
+            return validateAutoPlacementCommitments(getCommittedBoard(), 2, payload.commitments);
+        case 'undoRequest':
+            if (!Number.isInteger(payload.turnNumber)) return 'Missing turn number.';
+            return null; // A request strict mode forbids, or that the opponent already played past, is declined, not rejected
+        case 'undoAnswer':
+            if (pendingUndoRequest === null) return null; // The request was dropped when a turn crossed it: the answer is stale
+            if (payload.accepted && payload.turnNumber !== pendingUndoRequest) return 'Takeback of another turn.';
+            return null;
+        case 'clock':
+            if (!clocks) return 'No time control is in play.';
+            if (state.phase !== 'PLACEMENT' && state.phase !== 'GAMEPLAY') return null; // The turn ended the game
+            if (payload.player !== clockPlayer || isLocalPlayer(payload.player)) return `Player ${payload.player}'s clock is not running.`;
+            return checkTurnDuration(payload.turnEndedAt - payload.turnStartedAt, Date.now() - turnStartedAt);
+        case 'pass': {
+            if (!senderTurn) return "It is not the opponent's turn.";
+            if (currentTimeControl.mode !== 'perTurn') return 'Turns only pass with a time limit per turn.';
+            const reason = validateAction(state, { type: 'pass', player: payload.player });
+            if (reason) return reason;
+            if (isWaitingForReveals()) return 'Units next to an enemy must be revealed first.';
+            if (getClockTimeLeft(payload.player) > CLOCK_TOLERANCE_MS) return 'The time for the turn has not run out.';
+            return null;
+        }
+        case 'timeout': {
+            if (state.phase === 'GAMEOVER') return null; // Both clients may claim the same timeout
+            if (currentTimeControl.mode !== 'clock') return 'Only a chess clock runs out.';
+            const reason = validateAction(state, { type: 'timeout', player: payload.player });
+            if (reason) return reason;
+            if (getClockTimeLeft(payload.player) > CLOCK_TOLERANCE_MS) return `Player ${payload.player}'s clock has not run out.`;
+            return null;
+        }
+        default:
+            return null; // Setup, connection and rematch messages are checked where they are applied
+    }
+}
+
+// Stops the game when the peer sent something the local rules reject, instead of corrupting the board.
+// The peer is told too, unless it is the one that reported the desync.
+function enterDesyncState(reason, notifyPeer = true) {
+    console.error('Desync/cheat detected:', reason);
+    gameState = 'DESYNC';
+    selectedCardIndex = null;
+    isResolvingAttack = false;
+    pendingAttack = null;
+    if (botTurnTimer) {
+        clearTimeout(botTurnTimer);
+        botTurnTimer = null;
+    }
+    if (notifyPeer) sendData('desync', { reason });
+    logMessage(`Desync/cheat detected: ${reason} The game is stopped; please both refresh.`);
+    updateUI();
+}
+
+// --- Game Record ---
+
+function startGameRecord() {
+    gameRecord = createGameRecord();
+    recordAction({
+        type: 'setup', matchId: currentMatchId, mode: gameMode, recordedBy: localPlayerRole,
+        army: currentArmy, terrainDeck: currentTerrainDeck, variants: currentVariants, seed: currentSeed, strict: strictMode,
+        timeControl: currentTimeControl, firstPlayer
+    });
+}
+
+function recordAction(action) {
+    if (!gameRecord) return;
+    gameRecord.actions.push(action);
+    streamToSpectators(action);
+    // Playing on declines any takeback still waiting for an answer
+    if (['placement', 'move', 'attackResult', 'pass'].includes(action.type)) dropTakebackRequests();
+}
+
+// Secret opponent units are recorded as null; they are filled in by a later reveal or disclosure
+function recordPlacement(card) {
+    recordAction({
+        type: 'placement',
+        owner: card.owner,
+        unitData: card.unitData.unknown ? null : card.unitData,
+        terrainData: card.terrainData,
+        gridX: card.gridX,
+        gridY: card.gridY,
+        cardId: card.id
+    });
+}
+
+// Every unit the local player placed, with the salt that opens its placement commitment
+function getFinalDisclosure() {
+    if (!gameRecord) return [];
+    return gameRecord.actions
+        .filter(action => action.type === 'placement' && action.owner === localPlayerRole)
+        .map(action => ({ cardId: action.cardId, unitName: action.unitData.unitName, instance: action.unitData.instance, salt: myUnitSalts[action.cardId] }));
+}
+
+// Records the opponent's units disclosed at game over, once each matches its placement commitment
+async function applyFinalDisclosure({ units }) {
+    // Not tied to GAMEOVER: the defender applies the final attack result a moment after the attacker
+    if (!gameRecord || !Array.isArray(units)) return;
+    const opponent = localPlayerRole === 1 ? 2 : 1;
+    const disclosedUnits = [];
+    for (const { cardId, unitName, instance, salt } of units) {
+        const card = findCardById(cardId);
+        const matches = card && await verifyCommitment(cardCommitments[cardId], { cardId, owner: opponent, unitName, instance, salt });
+        const unitData = matches ? createUnitData(opponent, unitName, instance) : null;
+        if (!unitData) {
+            console.error("Final disclosure does not match the placement commitment:", cardId);
+            logMessage("The opponent's final disclosure does not match their placements; it is left out of the game record.");
+            return;
+        }
+        disclosedUnits.push({ cardId, unitData });
+    }
+    recordAction({ type: 'disclosure', units: disclosedUnits });
+}
+
+// Downloads the game record as a JSON file for the replay viewer
+function exportGameRecord() {
+    if (!gameRecord) return;
+    const record = { ...gameRecord, players: { 1: getPlayerName(1), 2: getPlayerName(2) } };
+    const blob = new Blob([JSON.stringify(record, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `fogline-game-${record.createdAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0); // Once the download has started
+}
+
+// Keeps a summary of the finished match for the history page
+function recordMatchHistory(winner, victoryType) {
+    if (!gameRecord) return;
+    const entry = createHistoryEntry({
+        matchId: currentMatchId,
+        startedAt: gameRecord.createdAt,
+        endedAt: new Date().toISOString(),
+        gameMode,
+        localPlayerRole,
+        players: { 1: getPlayerName(1), 2: getPlayerName(2) },
+        winner,
+        victoryType,
+        turnCount: rulesState.turnCount,
+        defeatedUnits: rulesState.defeatedUnits
+    });
+    addMatchToHistory(entry).catch(err => console.error('Failed to add the match to the history:', err));
+}
+
+// --- Spectators ---
+// Spectators connect with { metadata: { role: 'spectator' } } and only ever receive data: the public
+// action log, plus this client's own units for their omniscient view (see spectate.js). Anyone can
+// connect as a spectator, the opponent included, so the units are only sent once the game is over:
+// a delay applied by the viewer would be skipped by a hostile one.
+
+function acceptSpectator(spectatorConn) {
+    spectatorConn.on('open', () => {
+        spectatorConns.push(spectatorConn);
+        logMessage(`A spectator joined (${spectatorConns.length} watching).`);
+        sendSpectatorWelcome(spectatorConn);
+    });
+    // Spectators are read-only: nothing they send reaches the game
+    spectatorConn.on('data', data => {
+        console.warn('Ignoring data from spectator:', spectatorConn.peer, data);
+    });
+    spectatorConn.on('close', () => {
+        spectatorConns = spectatorConns.filter(c => c !== spectatorConn);
+        logMessage(`A spectator left (${spectatorConns.length} watching).`);
+    });
+    spectatorConn.on('error', err => {
+        console.error('Spectator connection error:', err);
+    });
+}
+
+function updateSpectatorLink() {
+    const link = document.getElementById('spectator-link');
+    const watchUrl = new URL(`spectate.html?watch=${encodeURIComponent(describePeerId(myPeerId))}`, window.location.href);
+    link.href = withTransportParams(watchUrl.href, window.location.href);
+    link.textContent = link.href;
+}
+
+// The unit this client placed on a card; face-down units never leave the card they were placed on
+function getMyPlacedUnit(cardId) {
+    const placement = gameRecord.actions.find(action => action.type === 'placement' && action.owner === localPlayerRole && action.cardId === cardId);
+    return placement ? placement.unitData : null;
+}
+
+// An action as spectators may see it: this client's face-down units stay secret, and its reveals show the unit
+function getPublicAction(action) {
+    if (action.type === 'placement' && action.owner === localPlayerRole) return { ...action, unitData: null };
+    if (action.type === 'reveal' && !action.unitData) {
+        const unitData = getMyPlacedUnit(action.cardId);
+        return unitData ? { ...action, unitData } : action;
+    }
+    return action;
+}
+
+// Nothing until the game is over, then every unit this client placed
+function getOwnSpectatorUnits() {
+    if (gameState !== 'GAMEOVER' || !gameRecord) return [];
+    return gameRecord.actions
+        .filter(action => action.type === 'placement' && action.owner === localPlayerRole)
+        .map(action => ({ cardId: action.cardId, unitData: action.unitData }));
+}
+
+// The whole log so far; also sent again when a new or resumed match replaces the log
+function sendSpectatorWelcome(spectatorConn) {
+    const actions = gameRecord ? gameRecord.actions : [];
+    spectatorConn.send({
+        type: 'spectatorWelcome',
+        payload: {
+            matchId: currentMatchId,
+            players: { 1: getPlayerName(1), 2: getPlayerName(2) },
+            actions: actions.map(getPublicAction),
+            units: getOwnSpectatorUnits()
+        }
+    });
+}
+
+function streamToSpectators(action) {
+    if (gameMode !== 'online') return;
+    const payload = { matchId: currentMatchId, action: getPublicAction(action), units: getOwnSpectatorUnits() };
+    spectatorConns.forEach(spectatorConn => {
+        if (spectatorConn.open) spectatorConn.send({ type: 'spectatorAction', payload });
+    });
+}
+
+// --- Saving and Resuming a Match ---
+
+// Everything needed to rebuild the match, without DOM elements: rulesState is kept in the fields
+// saved matches have always used, with the commitments on the cards
+function getMatchSnapshot() {
+    return {
+        matchId: currentMatchId,
+        gameMode,
+        botDifficulty,
+        opponentPeerId: conn ? conn.peer : null,
+        localPlayerRole,
+        gameState,
+        currentPlayer: rulesState.currentPlayer,
+        placedCardPairCount: rulesState.placedCount,
+        nextCardId: rulesState.nextCardId,
+        board: getCommittedBoard(),
+        defeatedUnits: rulesState.defeatedUnits,
+        playerAvailableUnits: rulesState.available.units,
+        playerAvailableTerrains: rulesState.available.terrains,
+        initialPlayerPairings,
+        army: currentArmy,
+        terrainDeck: currentTerrainDeck,
+        variants: currentVariants,
+        seed: currentSeed,
+        privateSeed,
+        strictMode,
+        timeControl: currentTimeControl,
+        clocks,
+        firstPlayer,
+        series,
+        turnCount: rulesState.turnCount,
+        unitSuspicions,
+        myUnitSalts,
+        gameRecord
+    };
+}
+
+function saveMatchState() {
+    if (!gameRecord || !(gameState === 'PLACEMENT' || gameState === 'GAMEPLAY')) return;
+    saveMatch(getMatchSnapshot());
+    savedActionCount = gameRecord.actions.length;
+}
+
+function restoreMatchSnapshot(snapshot) {
+    // Reset local state first
+    selectedCardIndex = null;
+    isResolvingAttack = false;
+    pendingAttack = null;
+    clearBoardCards();
+    document.getElementById('memo-popover').style.display = 'none';
+
+    currentMatchId = snapshot.matchId;
+    localPlayerRole = snapshot.localPlayerRole;
+    gameState = snapshot.gameState;
+    initialPlayerPairings = snapshot.initialPlayerPairings;
+    currentArmy = snapshot.army || STANDARD_ARMY;
+    currentTerrainDeck = snapshot.terrainDeck || STANDARD_TERRAIN_DECK;
+    currentVariants = snapshot.variants || NO_VARIANTS;
+    currentSeed = snapshot.seed || null;
+    privateSeed = snapshot.privateSeed || null;
+    randomStreams = {}; // A resumed match draws anew from its seed
+    strictMode = snapshot.strictMode || false;
+    pendingUndoRequest = null; // Requests do not outlive the connection
+    incomingUndoRequest = null;
+    currentTimeControl = snapshot.timeControl || NO_TIME_CONTROL;
+    clocks = snapshot.clocks || createClocks(currentTimeControl);
+    firstPlayer = snapshot.firstPlayer || 1;
+    series = snapshot.series || createSeries();
+    pendingClockStamp = null;
+    unitSuspicions = snapshot.unitSuspicions || { 1: {}, 2: {} }; // Rebuilt snapshots carry no notes
+    myUnitSalts = snapshot.myUnitSalts;
+    gameRecord = snapshot.gameRecord;
+    savedActionCount = gameRecord.actions.length;
+    selectedUnitDataForPlacement = null;
+    selectedTerrainDataForPlacement = null;
+
+    // Online, the opponent's terrain cards left are not saved: they follow from the record. Earlier versions
+    // kept an enemy unit revealed next to a unit that moved in face-down until its owner disclosed it.
+    const opponent = localPlayerRole === 1 ? 2 : 1;
+    const undisclosedIds = snapshot.pendingAdjacencyReveals || [];
+    rulesState = {
+        ...createMatchState(
+            snapshot.playerAvailableUnits,
+            isLocalGame() ? snapshot.playerAvailableTerrains : { ...snapshot.playerAvailableTerrains, [opponent]: getOpponentTerrains(opponent, gameRecord) }
+        ),
+        phase: snapshot.gameState,
+        currentPlayer: snapshot.currentPlayer,
+        board: snapshot.board.map(({ commitment, ...card }) => (undisclosedIds.includes(card.id) ? { ...card, hidden: false } : card)),
+        defeatedUnits: snapshot.defeatedUnits,
+        turnCount: snapshot.turnCount || 0,
+        placedCount: snapshot.placedCardPairCount,
+        nextCardId: snapshot.nextCardId
+    };
+    cardCommitments = Object.fromEntries(snapshot.board.filter(card => card.commitment).map(card => [card.id, card.commitment]));
+    renderBoardCards();
+    restartClock(rulesState.currentPlayer); // The time away from the match is not charged
+
+    const boardDiv = document.getElementById('board');
+    boardDiv.removeEventListener('click', handleBoardClickForPlacement); // Remove previous if any
+    if (gameState === 'PLACEMENT') {
+        boardDiv.addEventListener('click', handleBoardClickForPlacement);
+    } else {
+        addGameplayCardListeners();
+    }
+    saveMatchState(); // Resynced matches replace the saved one
+    spectatorConns.forEach(sendSpectatorWelcome);
+    updateUI();
+}
+
+// Local games resume straight from the saved match, as both players share this client
+function resumeSavedLocalMatch() {
+    const saved = loadSavedMatch(gameMode);
+    if (!saved || (gameMode === 'bot' && saved.botDifficulty !== botDifficulty)) return false;
+    restoreMatchSnapshot(saved);
+    if (gameMode === 'hotseat') {
+        // Whoever refreshed may not be the player whose turn it is: show the pass-the-device screen
+        localPlayerRole = null;
+        updateUI();
+    }
+    logMessage("Saved match resumed.");
+    return true;
+}
+
+// What this client can resume with the peer it just connected to
+async function buildResumeHello() {
+    const saved = loadSavedMatch('online');
+    if (!saved || saved.opponentPeerId !== conn.peer) return { match: null };
+    return {
+        match: {
+            matchId: saved.matchId,
+            role: saved.localPlayerRole,
+            actionCount: saved.gameRecord.actions.length,
+            stateHash: await getPublicStateHash(saved)
+        }
+    };
+}
+
+// Both peers reach the same decision from the two offers: resume as saved, resync Player 2
+// from Player 1's log when the saved states differ, or start a new game
+async function applyResumeHello(peerHello) {
+    const mine = localResumeHello ? (await localResumeHello).match : null;
+    const theirs = peerHello ? peerHello.match : null;
+    const sameMatch = mine && theirs && mine.matchId === theirs.matchId && mine.role !== theirs.role;
+
+    if (!sameMatch) {
+        clearSavedMatch('online');
+        // Player 1 (Host) initiates the game setup
+        if (localPlayerRole === 1) {
+            resetGame(); // Host generates setup and sends it
+        } else {
+            logMessage("Waiting for Player 1 to start the game...");
+        }
+        return;
+    }
+
+    const saved = loadSavedMatch('online');
+    if (mine.stateHash === theirs.stateHash) {
+        restoreMatchSnapshot(saved);
+        logMessage(`Match resumed. You are Player ${localPlayerRole}.`);
+    } else if (saved.localPlayerRole === 1) {
+        restoreMatchSnapshot(saved);
+        logMessage("Saved matches differ: Player 2 resyncs from your game log.");
+        sendData('resyncLog', { actions: await getResyncLog(), stateHash: mine.stateHash });
+    } else {
+        logMessage("Saved matches differ: resyncing from Player 1's game log...");
+    }
+}
+
+// The Host's log as Player 2 may see it: the Host's own units stay behind their commitments,
+// and its reveals carry the disclosure that opens them
+async function getResyncLog() {
+    const myPlacedUnits = {};
+    const actions = [];
+    for (const action of gameRecord.actions) {
+        if (action.type === 'placement' && action.owner === localPlayerRole) {
+            const { unitName, instance } = action.unitData;
+            myPlacedUnits[action.cardId] = action.unitData;
+            const commitment = await createCommitment({ cardId: action.cardId, owner: action.owner, unitName, instance, salt: myUnitSalts[action.cardId] });
+            actions.push({ ...action, unitData: null, commitment });
+        } else if (action.type === 'reveal' && myPlacedUnits[action.cardId]) {
+            // Only face-down units are revealed, and those never left the card they were placed on
+            const { unitName, instance } = myPlacedUnits[action.cardId];
+            actions.push({ type: 'reveal', cardId: action.cardId, disclosure: { unitName, instance, salt: myUnitSalts[action.cardId] } });
+        } else {
+            actions.push(action);
+        }
+    }
+    return actions;
+}
+
+// Player 2 rebuilds the match from the Host's log, filling in its own units from its saved match
+async function applyResyncLog({ actions, stateHash }) {
+    const saved = loadSavedMatch('online');
+    if (!saved || saved.localPlayerRole !== 2 || !Array.isArray(actions)) {
+        console.warn("Received a resync log without a saved match to resync.");
+        return;
+    }
+    try {
+        const snapshot = await rebuildSnapshotFromHostLog(saved, actions);
+        if (await getPublicStateHash(snapshot) !== stateHash) throw new Error("the rebuilt board does not match Player 1's.");
+        restoreMatchSnapshot(snapshot);
+        logMessage("Match resynced from Player 1's game log.");
+    } catch (err) {
+        enterDesyncState(`Cannot resync from Player 1's game log: ${err.message}`);
+    }
+}
+
+async function rebuildSnapshotFromHostLog(saved, hostActions) {
+    const me = saved.localPlayerRole;
+    const host = me === 1 ? 2 : 1;
+    const myPlacedUnits = {};
+    saved.gameRecord.actions.forEach(action => {
+        if (action.type === 'placement' && action.owner === me) myPlacedUnits[action.cardId] = action.unitData;
+    });
+
+    const hostCommitments = {};
+    const actions = [];
+    for (const action of hostActions) {
+        if (action.type === 'setup') {
+            actions.push(getRecordSetup(saved.gameRecord)); // Keep this client's own setup entry
+        } else if (action.type === 'placement' && action.owner === host) {
+            hostCommitments[action.cardId] = action.commitment;
+            actions.push({ ...action, unitData: null });
+        } else if (action.type === 'placement') {
+            if (!myPlacedUnits[action.cardId]) throw new Error(`card ${action.cardId} is not one of your placements.`);
+            actions.push({ ...action, unitData: myPlacedUnits[action.cardId] });
+        } else if (action.type === 'reveal' && action.disclosure) {
+            const { unitName, instance, salt } = action.disclosure;
+            const matches = await verifyCommitment(hostCommitments[action.cardId], { cardId: action.cardId, owner: host, unitName, instance, salt });
+            if (!matches) throw new Error(`the reveal of card ${action.cardId} does not match its commitment.`);
+            actions.push({ type: 'reveal', cardId: action.cardId, unitData: createUnitData(host, unitName, instance, saved.army || STANDARD_ARMY) });
+        } else {
+            actions.push(action);
+        }
+    }
+
+    const rebuiltRecord = { ...saved.gameRecord, actions };
+    const { state } = buildReplaySteps(rebuiltRecord).at(-1);
+    const myPlacements = actions.filter(action => action.type === 'placement' && action.owner === me);
+    const isPlacedUnit = unitData => myPlacements.some(p => p.unitData.unitName === unitData.unitName && p.unitData.instance === unitData.instance);
+    const isPlacedTerrain = terrainData => myPlacements.some(p => p.terrainData.terrainIndex === terrainData.terrainIndex);
+
+    return {
+        ...saved,
+        gameState: state.phase,
+        currentPlayer: state.currentPlayer,
+        placedCardPairCount: state.placedCount,
+        nextCardId: state.nextCardId,
+        turnCount: state.turnCount,
+        board: state.board.map(card => ({ ...card, commitment: hostCommitments[card.id] || null })),
+        defeatedUnits: state.defeatedUnits,
+        playerAvailableUnits: {
+            [me]: saved.initialPlayerPairings[me].map(p => p.unitData).filter(unitData => !isPlacedUnit(unitData)),
+            [host]: []
+        },
+        playerAvailableTerrains: {
+            [me]: saved.initialPlayerPairings[me].map(p => p.terrainData).filter(terrainData => !isPlacedTerrain(terrainData)),
+            [host]: []
+        },
+        gameRecord: rebuiltRecord
+    };
+}
+
+// --- Clocks ---
+// Each client runs both clocks. The player whose turn ends times it on its own machine and sends both
+// timestamps, so the clocks agree whatever the two machines' time says; the peer only checks the
+// duration against its own measure. Out of time, a turn is played automatically (a random placement,
+// or a pass) with a time limit per turn, and the game is lost with a chess clock.
+
+const CLOCK_TICK_MS = 250;
+const LOW_TIME_MS = 10000; // The running clock turns red below this
+
+// Whether this client plays for `player` (both players in local games)
+function isLocalPlayer(player) {
+    return isLocalGame() || player === localPlayerRole;
+}
+
+// Sets both clocks at the start of a match; the first player's runs first
+function startClocks() {
+    clocks = createClocks(currentTimeControl);
+    pendingClockStamp = null;
+    restartClock(firstPlayer);
+}
+
+function restartClock(player) {
+    clockPlayer = clocks ? player : null;
+    turnStartedAt = Date.now();
+}
+
+// The time left for the player's turn (a time limit per turn) or game (a chess clock); negative once it ran out
+function getClockTimeLeft(player) {
+    if (!clocks) return Infinity;
+    return clocks[player] - (player === clockPlayer ? Date.now() - turnStartedAt : 0);
+}
+
+function endClockTurn(player, elapsedMs) {
+    clocks = chargeTurn(currentTimeControl, clocks, player, elapsedMs);
+    pendingClockStamp = null;
+    restartClock(player === 1 ? 2 : 1);
+}
+
+// Called on each UI update: once the turn has passed, charges it to the player whose clock was running
+function followTurnWithClock() {
+    const turnInProgress = gameState === 'PLACEMENT' || gameState === 'GAMEPLAY';
+    if (!turnInProgress || clockPlayer === null || clockPlayer === rulesState.currentPlayer) return;
+    if (isLocalPlayer(clockPlayer)) {
+        const turnEndedAt = Date.now();
+        sendData('clock', { player: clockPlayer, turnStartedAt, turnEndedAt });
+        endClockTurn(clockPlayer, turnEndedAt - turnStartedAt);
+    } else if (pendingClockStamp && pendingClockStamp.player === clockPlayer) {
+        endClockTurn(clockPlayer, pendingClockStamp.elapsedMs);
+    }
+}
+
+// Online, the opponent's measure of the turn it just played
+function applyClockStamp({ player, turnStartedAt: startedAt, turnEndedAt }) {
+    if (gameState !== 'PLACEMENT' && gameState !== 'GAMEPLAY') return; // The turn ended the game
+    const elapsedMs = turnEndedAt - startedAt;
+    if (rulesState.currentPlayer === player) {
+        // A placement is sent once its commitment is computed, so its stamp may arrive first
+        pendingClockStamp = { player, elapsedMs };
+        return;
+    }
+    endClockTurn(player, elapsedMs);
+    saveMatchState();
+    renderClocks();
+}
+
+// Runs every CLOCK_TICK_MS: shows the clocks, and ends the turn of a player out of time
+function tickClocks() {
+    renderClocks();
+    const turnInProgress = gameState === 'PLACEMENT' || gameState === 'GAMEPLAY';
+    if (!turnInProgress || clockPlayer === null || clockPlayer !== rulesState.currentPlayer || isResolvingAttack || isAutoPlacing) return;
+    const timeLeft = getClockTimeLeft(clockPlayer);
+    if (isLocalPlayer(clockPlayer)) {
+        if (timeLeft <= 0) playTimedOutTurn(clockPlayer);
+    } else if (currentTimeControl.mode === 'clock' && timeLeft < -CLOCK_TOLERANCE_MS) {
+        // The opponent's client did not end its turn: a sleeping tab, or one that ignores its clock
+        sendData('timeout', { player: clockPlayer });
+        applyTimeout({ player: clockPlayer });
+    }
+}
+
+function playTimedOutTurn(player) {
+    if (currentTimeControl.mode === 'clock') {
+        sendData('timeout', { player });
+        applyTimeout({ player });
+        return;
+    }
+    if (gameState === 'PLACEMENT') {
+        const placement = chooseAutoPlacement(rulesState.board, player, rulesState.available.units[player], rulesState.available.terrains[player], 'random', getPlayerRandom(player, 'auto-placement'));
+        if (!placement) return;
+        logMessage(`${getPlayerName(player)}'s time for the turn ran out: a card is placed at random.`, 'placement');
+        submitPlacement(placement.unitData, placement.terrainData, placement.gridX, placement.gridY);
+        return;
+    }
+    sendData('pass', { player });
+    applyPass({ player });
+}
+
+function applyPass({ player }) {
+    logMessage(`${getPlayerName(player)}'s time for the turn ran out: turn passed.`, 'move');
+    recordAction({ type: 'pass', player });
+    selectedCardIndex = null;
+    advanceGame({ type: 'pass', player });
+    updateUI();
+}
+
+function applyTimeout({ player }) {
+    if (gameState !== 'PLACEMENT' && gameState !== 'GAMEPLAY') return; // Both clients may claim the same timeout
+    recordAction({ type: 'timeout', player });
+    selectedCardIndex = null;
+    logMessage(`${getPlayerName(player)} ran out of time.`);
+    advanceGame({ type: 'timeout', player });
+    updateUI();
+}
+
+function renderClocks() {
+    const clocksDiv = document.getElementById('clocks');
+    const shown = clocks && gameState !== 'CONNECTING';
+    clocksDiv.style.display = shown ? 'flex' : 'none';
+    if (!shown) return;
+    clocksDiv.replaceChildren(...[1, 2].map(player => {
+        const timeLeft = getClockTimeLeft(player);
+        const clock = document.createElement('span');
+        clock.className = `clock player${player}-clock`;
+        clock.classList.toggle('running', player === clockPlayer);
+        clock.classList.toggle('low', player === clockPlayer && timeLeft < LOW_TIME_MS);
+        clock.textContent = `${getPlayerName(player)}: ${formatClock(timeLeft)}`;
+        return clock;
+    }));
+}
+
+// --- Takebacks ---
+// A player may ask to take back its last turn (a placement, move, attack or pass) until the opponent plays
+// on. Online, the opponent accepts or declines; in local games, where both players share this client,
+// it is taken back right away (against the bot, with the bot's reply). Both clients roll back from
+// their own game record, keeping the reveals: a card once shown stays known to the opponent.
+
+// Whose turn a takeback from this client would take back
+function getTakebackPlayer() {
+    if (gameMode === 'bot') return 1; // The bot never asks
+    if (gameMode === 'hotseat') return rulesState.currentPlayer === 1 ? 2 : 1; // Whoever just played
+    return localPlayerRole;
+}
+
+function canRequestTakeback() {
+    if (strictMode || !gameRecord || !localPlayerRole || rulesState.placedCount === 0) return false;
+    if (gameState !== 'PLACEMENT' && gameState !== 'GAMEPLAY') return false;
+    if (isResolvingAttack || isAutoPlacing || pendingUndoRequest !== null || incomingUndoRequest !== null) return false;
+    return isLocalGame() || rulesState.currentPlayer !== localPlayerRole;
+}
+
+// The player's last turn taken back from the local record, or null if there is none to take back
+function getTakeback(player) {
+    try {
+        return takeBackLastTurn(gameRecord, player);
+    } catch (err) {
+        console.error("Cannot take back a turn from the game record:", err);
+        return null;
+    }
+}
+
+function requestTakeback() {
+    if (!canRequestTakeback()) {
+        logMessage(strictMode ? "Takebacks are off in strict mode." : "There is no turn to take back right now.");
+        return;
+    }
+    const player = getTakebackPlayer();
+    const takeback = getTakeback(player);
+    if (!takeback) {
+        logMessage("There is no turn to take back right now.");
+        return;
+    }
+    if (isLocalGame()) {
+        applyTakeback(takeback, player);
+        return;
+    }
+    pendingUndoRequest = takeback.turnNumber;
+    sendData('undoRequest', { turnNumber: takeback.turnNumber });
+    logMessage("Takeback requested. Waiting for the opponent to accept or decline...");
+    updateUI();
+}
+
+// The opponent asks to take back the turn it just played; a request strict mode forbids, or that
+// crossed a turn played since, is declined right away
+function applyTakebackRequest({ turnNumber }) {
+    const opponent = localPlayerRole === 1 ? 2 : 1;
+    let takeback = null;
+    try {
+        takeback = rulesState.currentPlayer === localPlayerRole ? getRequestedTakeback(gameRecord, opponent, turnNumber, strictMode) : null;
+    } catch (err) {
+        console.error("Cannot take back a turn from the game record:", err);
+    }
+    if (!takeback) {
+        sendData('undoAnswer', { accepted: false, turnNumber });
+        return;
+    }
+    incomingUndoRequest = turnNumber;
+    document.getElementById('undo-prompt-text').textContent = `${opponentDisplayName || 'Your opponent'} asks to take back their last turn.`;
+    logMessage(`Player ${opponent} asks to take back their last turn.`);
+    updateUI();
+}
+
+function answerTakeback(accepted) {
+    if (incomingUndoRequest === null) return;
+    const turnNumber = incomingUndoRequest;
+    incomingUndoRequest = null;
+    sendData('undoAnswer', { accepted, turnNumber });
+    if (!accepted) {
+        logMessage("You declined the takeback.");
+        updateUI();
+        return;
+    }
+    const opponent = localPlayerRole === 1 ? 2 : 1;
+    applyTakeback(getTakeback(opponent), opponent);
+}
+
+function applyTakebackAnswer({ accepted, turnNumber }) {
+    if (pendingUndoRequest === null) return; // Answers a request a turn played since already dropped
+    pendingUndoRequest = null;
+    if (!accepted) {
+        logMessage("The opponent declined the takeback.");
+        updateUI();
+        return;
+    }
+    const takeback = getTakeback(localPlayerRole);
+    if (!takeback || takeback.turnNumber !== turnNumber) {
+        enterDesyncState(`Cannot take back turn ${turnNumber}.`);
+        return;
+    }
+    applyTakeback(takeback, localPlayerRole);
+}
+
+// Playing on answers any takeback request still open
+function dropTakebackRequests() {
+    if (pendingUndoRequest !== null) logMessage("The opponent played on: the takeback was not accepted.");
+    pendingUndoRequest = null;
+    incomingUndoRequest = null;
+}
+
+// Rolls the board back to the state the shortened record leaves, through the same path as a resumed match
+function applyTakeback(takeback, player) {
+    if (botTurnTimer) {
+        clearTimeout(botTurnTimer);
+        botTurnTimer = null;
+    }
+    autoFillStrategies = { 1: null, 2: null }; // Or an auto-placed card would be placed again right away
+
+    // Placed cards go back to their owner's hand (online, only the local player's hand is known)
+    const { units, terrains } = rulesState.available;
+    const availableUnits = { ...units };
+    const availableTerrains = { ...terrains };
+    const undone = gameRecord.actions.filter(action => !takeback.record.actions.includes(action));
+    undone.filter(action => action.type === 'placement' && (isLocalGame() || action.owner === localPlayerRole)).forEach(action => {
+        availableUnits[action.owner] = [...availableUnits[action.owner], action.unitData];
+        availableTerrains[action.owner] = [...availableTerrains[action.owner], action.terrainData];
+    });
+
+    // Every reveal owed for the undone turn was sent before the answer
+    const { state } = takeback;
+    restoreMatchSnapshot({
+        ...getMatchSnapshot(),
+        gameState: state.phase,
+        currentPlayer: state.currentPlayer,
+        placedCardPairCount: state.placedCount,
+        nextCardId: state.nextCardId,
+        turnCount: state.turnCount,
+        board: state.board.map(card => ({ ...card, commitment: cardCommitments[card.id] || null })),
+        defeatedUnits: state.defeatedUnits,
+        playerAvailableUnits: availableUnits,
+        playerAvailableTerrains: availableTerrains,
+        gameRecord: takeback.record
+    });
+    const sinceText = takeback.turnsUndone > 1 ? ' and the turn played since' : '';
+    logMessage(`Player ${player} took back their last turn${sinceText}.`);
+}
+
+// --- Rematches ---
+// At game over either player may offer a rematch over the same connection. Once the opponent accepts,
+// Player 1 deals it like a reset, except that the other player places and moves first and the series
+// score carries on. In local games, the rematch starts right away.
+
+function canOfferRematch() {
+    return gameState === 'GAMEOVER' && !!localPlayerRole && !pendingRematchOffer && isReadyToPlay();
+}
+
+function describeCurrentSeries() {
+    return describeSeries(series, { 1: getPlayerName(1), 2: getPlayerName(2) });
+}
+
+function offerRematch() {
+    if (!canOfferRematch()) {
+        logMessage(gameState === 'GAMEOVER' ? "A rematch cannot be offered right now." : "A rematch can be offered once the game is over.");
+        return;
+    }
+    if (isLocalGame()) {
+        resetGame({ rematch: true });
+        return;
+    }
+    if (incomingRematchOffer) {
+        answerRematch(true); // Offering back accepts
+        return;
+    }
+    pendingRematchOffer = true;
+    sendData('rematchOffer', {});
+    logMessage("Rematch offered. Waiting for the opponent to accept or decline...");
+    updateUI();
+}
+
+function applyRematchOffer() {
+    if (gameState !== 'GAMEOVER') return; // Player 1 already dealt a new game
+    if (pendingRematchOffer) {
+        // The offers crossed: both players want the rematch
+        pendingRematchOffer = false;
+        logMessage("Both players offered a rematch.");
+        startAcceptedRematch();
+        return;
+    }
+    incomingRematchOffer = true;
+    document.getElementById('rematch-prompt-text').textContent = `${opponentDisplayName || 'Your opponent'} offers a rematch.`;
+    logMessage(`Player ${localPlayerRole === 1 ? 2 : 1} offers a rematch.`);
+    updateUI();
+}
+
+function answerRematch(accepted) {
+    if (!incomingRematchOffer) return;
+    incomingRematchOffer = false;
+    sendData('rematchAnswer', { accepted });
+    if (!accepted) {
+        logMessage("You declined the rematch.");
+        updateUI();
+        return;
+    }
+    startAcceptedRematch();
 }
 
-// --- Memo Pad Functions (Updated for new data structure) ---
-function displayMemoPadContent() { // No longer needs player argument
-    const memoPopover = document.getElementById('memo-popover');
-    if (!localPlayerRole) {
-        memoPopover.innerHTML = `<h5>Your Memo Pad</h5><p>Not connected.</p>`;
+function applyRematchAnswer({ accepted }) {
+    if (!pendingRematchOffer) return; // Player 1 already dealt a new game
+    pendingRematchOffer = false;
+    if (!accepted) {
+        logMessage("The opponent declined the rematch.");
+        updateUI();
         return;
     }
+    startAcceptedRematch();
+}
 
-    const playerPairings = initialPlayerPairings[localPlayerRole];
-
-    if (!playerPairings || playerPairings.length === 0) {
-        memoPopover.innerHTML = `<h5>Your Memo Pad</h5><p>No pairings data found.</p>`;
+// Player 1 deals the rematch; Player 2 applies it when the setup arrives
+function startAcceptedRematch() {
+    if (localPlayerRole === 1) {
+        resetGame({ rematch: true });
         return;
     }
+    logMessage("Rematch accepted. Waiting for Player 1 to deal...");
+    updateUI();
+}
 
-    let content = '';
+// --- Combat Preview ---
+// Shown while hovering an attackable target: the same attack, defense and edge bonus that
+// resolveAttackLocally applies, or the odds against each unit a face-down defender may be
+
+function showCombatPreview(cardId) {
+    const targetElement = cardElements.get(cardId);
+    if (gameState !== 'GAMEPLAY' || selectedCardIndex === null || !targetElement?.classList.contains('selectable-attack')) return;
+    const state = rulesState;
+    const attackerCard = state.board[selectedCardIndex];
+    const forecast = forecastAttack(state, attackerCard, findCard(state, cardId));
+    if (!forecast) return;
+
+    const attackerName = attackerCard.unitData.unitName;
+    const bonusText = `${TERRAIN_EMOJIS[forecast.defenseEdgeTerrain]} ${forecast.defenseEdgeTerrain} on its ${forecast.defenseEdge} edge: +${forecast.terrainBonus}`;
+    const attackBonusText = forecast.attackBonus
+        ? ` (${TERRAIN_EMOJIS[forecast.attackEdgeTerrain]} ${forecast.attackEdgeTerrain} on its ${forecast.attackEdge} edge: +${forecast.attackBonus}) = ${forecast.attackValue}`
+        : '';
+    const lines = [`${forecast.ranged ? 'Ranged attack' : 'Attack'}: ${attackerName} ${forecast.baseAttack}${attackBonusText}`];
+    if (forecast.defender) {
+        const { unitName, baseDefense, defenseValue, attackerWins } = forecast.defender;
+        const tieText = forecast.attackValue === defenseValue ? ` (the ${currentVariants.attackerWinsTies ? 'attacker' : 'defender'} wins ties)` : '';
+        lines.push(`Defense: ${unitName} ${baseDefense} (${bonusText}) = ${defenseValue}`);
+        if (attackerWins) {
+            lines.push(`${attackerName} wins${tieText}.`);
+        } else {
+            lines.push(forecast.ranged ? `The shot misses; nobody is defeated.` : `${unitName} wins${tieText}.`);
+        }
+    } else {
+        lines.push(`Face-down defender (${bonusText})`);
+        const describe = ({ unitName, count, defenseValue }) => `${unitName}${count > 1 ? ` ×${count}` : ''} (${defenseValue})`;
+        const beaten = forecast.candidates.filter(candidate => candidate.attackerWins);
+        const notBeaten = forecast.candidates.filter(candidate => !candidate.attackerWins);
+        lines.push(`Beats: ${beaten.length ? beaten.map(describe).join(', ') : 'none'}`);
+        lines.push(`Loses to: ${notBeaten.length ? notBeaten.map(describe).join(', ') : 'none'}`);
+    }
 
-    if (gameState === 'PLACEMENT') {
-        // Count how many pairs the local player has actually placed
-        const placedByMeCount = board.filter(card => card && card.owner === localPlayerRole && card.unitData && card.terrainData).length;
-        content = `<h5>Your Placement Memo (${placedByMeCount}/${playerPairings.length})</h5><ul>`;
+    const preview = document.getElementById('combat-preview');
+    preview.innerHTML = '';
+    lines.forEach(line => preview.appendChild(Object.assign(document.createElement('div'), { textContent: line })));
+    const rect = targetElement.getBoundingClientRect();
+    preview.style.left = `${rect.right + 8}px`;
+    preview.style.top = `${rect.top}px`;
+    preview.style.display = 'block';
+}
 
-        // Get the imagePaths of units placed by the local player
-        const placedUnitImagePaths = new Set(
-            board
-                .filter(card => card && card.owner === localPlayerRole && card.unitData)
-                .map(card => card.unitData.imagePath)
-        );
+function hideCombatPreview() {
+    document.getElementById('combat-preview').style.display = 'none';
+}
 
-        // Iterate through ALL initial pairings for the local player
-        playerPairings.forEach(pair => {
-            const unitName = pair.unitData.unitName;
-            const instance = pair.unitData.instance;
-            const terrain = pair.terrainData.terrainData; // Get the actual terrain edges object
-            const terrainEmojis = `
-                <span class="memo-edge-top">${TERRAIN_EMOJIS[terrain.top] || '?'}</span>
-                <span class="memo-edge-right">${TERRAIN_EMOJIS[terrain.right] || '?'}</span>
-                <span class="memo-edge-bottom">${TERRAIN_EMOJIS[terrain.bottom] || '?'}</span>
-                <span class="memo-edge-left">${TERRAIN_EMOJIS[terrain.left] || '?'}</span>
-            `;
+// --- Keyboard and Screen Reader Play ---
+// The board is a set of buttons, one per cell, with a single tab stop: the arrow keys move between
+// cells, Enter or Space clicks, I describes the neighbors (like Shift-click) and Escape deselects.
+// Turn changes and combat outcomes are read out through a live region.
 
-            // Check if this specific unit (by imagePath) has been placed
-            const isUnitPlaced = placedUnitImagePaths.has(pair.unitData.imagePath);
-            const unitDisplay = isUnitPlaced ? `${unitName} #${instance}` : '---'; // Show name or placeholder
+const ANNOUNCEMENT_LIMIT = 5; // Older announcements are dropped from the live region
+let boardFocusKey = null; // The cell of the board in the tab order ("spot-x_y")
+let lastAnnouncedTurn = null;
 
-            content += `<li><span class="memo-terrain">${terrainEmojis}</span><span class="memo-unit">${unitDisplay}</span></li>`;
-        });
+function announce(text) {
+    const announcer = document.getElementById('announcer');
+    announcer.appendChild(Object.assign(document.createElement('p'), { textContent: text }));
+    while (announcer.children.length > ANNOUNCEMENT_LIMIT) announcer.firstElementChild.remove();
+}
 
-    } else { // GAMEPLAY or GAMEOVER
-        content = `<h5>Your Initial Pairings</h5><ul>`;
-        // Show all initial pairings with unit names
-        playerPairings.forEach(pair => {
-            const unitName = pair.unitData.unitName;
-            const instance = pair.unitData.instance;
-            const terrain = pair.terrainData.terrainData; // Get the actual terrain edges object
-            const terrainEmojis = `
-                <span class="memo-edge-top">${TERRAIN_EMOJIS[terrain.top] || '?'}</span>
-                <span class="memo-edge-right">${TERRAIN_EMOJIS[terrain.right] || '?'}</span>
-                <span class="memo-edge-bottom">${TERRAIN_EMOJIS[terrain.bottom] || '?'}</span>
-                <span class="memo-edge-left">${TERRAIN_EMOJIS[terrain.left] || '?'}</span>
-            `;
-            content += `<li><span class="memo-terrain">${terrainEmojis}</span><span class="memo-unit">${unitName} #${instance}</span></li>`;
-        });
+function announceTurn() {
+    const turnInProgress = gameState === 'PLACEMENT' || gameState === 'GAMEPLAY';
+    const turnKey = `${gameState}/${rulesState.currentPlayer}`;
+    if (!turnInProgress || turnKey === lastAnnouncedTurn) return;
+    lastAnnouncedTurn = turnKey;
+    const action = gameState === 'PLACEMENT' ? 'place' : 'move or attack';
+    announce(`${getPlayerName(rulesState.currentPlayer)}'s turn to ${action}${rulesState.currentPlayer === localPlayerRole ? ' (your turn)' : ''}.`);
+}
+
+// What a screen reader says for a cell: describeCell, plus what Enter would do there
+function getCellLabel(card, attackerCard) {
+    const parts = [describeCell(card, cell => cell.owner === localPlayerRole)];
+    const suspicions = getSuspicionLabel(card) ? unitSuspicions[localPlayerRole][card.id] : [];
+    if (suspicions.length) parts.push(`Your notes: ${suspicions.join(' or ')}.`);
+    if (card === attackerCard) {
+        parts.push('Selected: press Enter to deselect.');
+    } else if (attackerCard && gameState === 'GAMEPLAY' && rulesState.currentPlayer === localPlayerRole) {
+        const { kind } = classifyTarget(attackerCard, card, currentVariants);
+        if (kind === 'move') parts.push('Press Enter to move here.');
+        if (kind === 'attack') parts.push('Press Enter to attack.');
     }
+    return parts.join(' ');
+}
 
-    content += `</ul>`;
-    memoPopover.innerHTML = content;
+// Gives a clickable div the role, label and keys of a button
+function makeKeyboardButton(element, label, focusKey) {
+    element.setAttribute('role', 'button');
+    element.setAttribute('aria-label', label);
+    element.tabIndex = 0;
+    element.dataset.focusKey = focusKey;
+    element.onkeydown = event => {
+        if (event.key !== 'Enter' && event.key !== ' ') return;
+        event.preventDefault();
+        element.click();
+    };
 }
 
+function getBoardCells() {
+    return [...document.querySelectorAll('#board .card, #board .placement-placeholder')].map(element => ({
+        element,
+        gridX: Number(element.dataset.gridX),
+        gridY: Number(element.dataset.gridY)
+    }));
+}
 
-function toggleMemoPad() {
-    if (!conn || !conn.open || !localPlayerRole) return; // Only allow if connected and role assigned
-    const memoPopover = document.getElementById('memo-popover');
-    const currentDisplay = window.getComputedStyle(memoPopover).display;
+function updateBoardTabStop() {
+    const cells = getBoardCells();
+    const tabStop = cells.find(cell => cell.element.dataset.focusKey === boardFocusKey) || cells[0];
+    cells.forEach(cell => { cell.element.tabIndex = cell === tabStop ? 0 : -1; });
+}
 
-    if (currentDisplay === 'none') {
-        // Always display memo for the local player
-        displayMemoPadContent(); // Call without argument
-        memoPopover.style.display = 'block';
-    } else {
-        memoPopover.style.display = 'none';
-    }
+// Gives the focus back to the element redrawn in place of the one that had it
+function restoreFocus(focusKey) {
+    if (!focusKey || (document.activeElement && document.activeElement !== document.body)) return;
+    document.querySelector(`[data-focus-key="${CSS.escape(focusKey)}"]`)?.focus();
 }
 
-// --- Auto Placement ---
-function handleAutoPlaceClick() {
-    if (gameState !== 'PLACEMENT') {
-        logMessage("Auto-placement only available during the placement phase.");
-        return;
-    }
-    if (localPlayerRole !== 1) {
-        logMessage("Only Player 1 (Host) can initiate auto-placement.");
-        return;
-    }
-    if (!conn || !conn.open) {
-        logMessage("Cannot auto-place: Not connected.");
-        return;
-    }
-    if (placedCardPairCount > 0) {
-        logMessage("Cannot auto-place after manual placements have started.");
-        // Or: Add confirmation to overwrite? For now, prevent.
-        return;
+function handleBoardFocus(event) {
+    const cellElement = event.target.closest('.card, .placement-placeholder');
+    if (!cellElement) return;
+    boardFocusKey = cellElement.dataset.focusKey;
+    updateBoardTabStop();
+}
+
+function handleBoardKeydown(event) {
+    const cellElement = event.target.closest('.card, .placement-placeholder');
+    if (!cellElement) return;
+    const direction = ARROW_KEY_DIRECTIONS[event.key];
+    if (direction) {
+        event.preventDefault(); // Keep the page from scrolling
+        const cells = getBoardCells();
+        const nextCell = findCellInDirection(cells, cells.find(cell => cell.element === cellElement), direction);
+        if (nextCell) nextCell.element.focus();
+    } else if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        cellElement.click(); // Placement spots are handled by the board's click listener
+    } else if (event.key === 'i' || event.key === 'I') {
+        const card = findCardById(Number(cellElement.dataset.id));
+        if (card) inspectNeighbors(card);
+    } else if (event.key === 'Escape' && selectedCardIndex !== null) {
+        selectedCardIndex = null;
+        logMessage("Card deselected.");
+        updateUI();
     }
+}
 
-    logMessage("Initiating auto-placement...");
+// The keyboard's Shift-click: shifts the neighbors' units aside and reads out the four neighbors
+function inspectNeighbors(card) {
+    if (gameState === 'GAMEPLAY') applyShiftInspect(findCardIndexById(card.id));
+    const canNameFaceDown = cell => cell.owner === localPlayerRole;
+    const neighbors = Object.entries({ Top: [0, -1], Right: [1, 0], Bottom: [0, 1], Left: [-1, 0] }).map(([side, [dx, dy]]) => {
+        const neighbor = findCardByGrid(card.gridX + dx, card.gridY + dy);
+        return `${side}: ${neighbor ? describeCell(neighbor, canNameFaceDown) : 'no card.'}`;
+    });
+    announce(`Neighbors of (${card.gridX}, ${card.gridY}). ${neighbors.join(' ')}`);
+}
 
-    // Use the initial pairings stored during resetGame
-    // These contain the full, originally shuffled lists needed by generateAutoPlacements
-    const p1Units = initialPlayerPairings[1].map(p => p.unitData);
-    const p1Terrains = initialPlayerPairings[1].map(p => p.terrainData);
-    const p2Units = initialPlayerPairings[2].map(p => p.unitData);
-    const p2Terrains = initialPlayerPairings[2].map(p => p.terrainData);
+// --- Touch: Pan, Zoom and Long-Press ---
+// #game-area is a viewport over the board: one finger (or the mouse) drags the board, two fingers
+// (or Ctrl+wheel, which is also a trackpad pinch) zoom it. Until the player moves it, the board is
+// fitted to the viewport as it grows. Resting a finger on a card is the touch screen's Shift-click.
+
+let boardView = DEFAULT_VIEW;
+let boardViewMoved = false; // The player panned or zoomed: stop fitting the board
+const boardPointers = new Map(); // pointerId -> { x, y } in viewport pixels
+let boardGesture = null; // { startView, startPoints, panning }
+let longPress = null; // { timer, card, shown }
+let suppressBoardClick = false; // The click that ends a drag or a long-press is not a tap
+
+// A new board starts fitted to the viewport
+function resetBoardView() {
+    boardViewMoved = false;
+}
 
-    // Generate all placement actions
-    const placementActions = generateAutoPlacements(p1Units, p1Terrains, p2Units, p2Terrains, nextCardId);
+function getViewportPoint(event) {
+    const rect = document.getElementById('game-area').getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
 
-    if (!placementActions || placementActions.length !== TOTAL_CARD_PAIRS_TO_PLACE) {
-        logMessage("Auto-placement generation failed. Please place manually or reset.");
-        console.error("Auto-placement generation failed or returned incorrect number of actions.");
-        return;
-    }
+function getViewportSize() {
+    const gameArea = document.getElementById('game-area');
+    return { width: gameArea.clientWidth, height: gameArea.clientHeight };
+}
 
-    // Send the results to the other player
-    sendData('autoPlacementResult', { actions: placementActions });
+// The view places the board in the viewport; the transform is relative to where the layout put it
+function renderBoardView() {
+    const boardDiv = document.getElementById('board');
+    const { x, y, scale } = boardView;
+    boardDiv.style.transform = `translate(${x - boardDiv.offsetLeft}px, ${y - boardDiv.offsetTop}px) scale(${scale})`;
+}
 
-    // Apply the placements locally
-    applyBulkPlacement(placementActions);
+function setBoardView(view) {
+    boardView = view;
+    boardViewMoved = true;
+    renderBoardView();
 }
 
-function applyBulkPlacement(placementActions) {
-    logMessage(`Applying ${placementActions.length} auto-placements...`);
+function fitBoardToView() {
+    const boardDiv = document.getElementById('board');
+    boardView = fitView({ width: boardDiv.offsetWidth, height: boardDiv.offsetHeight }, getViewportSize());
+    boardViewMoved = false;
+    renderBoardView();
+}
 
-    // Disable board click listener immediately
-    document.getElementById('board').removeEventListener('click', handleBoardClickForPlacement);
+// Called by updateUI: keeps fitting the board until the player moves it
+function updateBoardView() {
+    if (boardViewMoved) renderBoardView();
+    else fitBoardToView();
+}
 
-    // Clear available units/terrains visually (they are conceptually used up)
-    playerAvailableUnits = { 1: [], 2: [] };
-    playerAvailableTerrains = { 1: [], 2: [] };
-    selectedUnitDataForPlacement = null;
-    selectedTerrainDataForPlacement = null;
+function zoomBoard(factor) {
+    const { width, height } = getViewportSize();
+    setBoardView(zoomAt(boardView, boardView.scale * factor, { x: width / 2, y: height / 2 }));
+}
 
-    // Place all cards without intermediate UI updates
-    placementActions.forEach(action => {
-        // placeCard updates board array, placedPositions, nextCardId, and creates element
-        placeCard(action.gridX, action.gridY, action.owner, action.unitData, action.terrainData, action.cardId);
-    });
+function cancelLongPress() {
+    if (longPress) clearTimeout(longPress.timer);
+    longPress = null;
+}
 
-    // Update game state after all placements
-    placedCardPairCount = TOTAL_CARD_PAIRS_TO_PLACE;
-    gameState = 'GAMEPLAY';
-    currentPlayer = 1; // Player 1 always starts gameplay
-
-    // Add gameplay listeners
-    board.forEach(card => {
-        if (card.element) {
-            // Pass the event object to handleCardClick
-            card.element.onclick = (event) => handleCardClick(card.id, event);
-            
-            // Add mousedown handler to prevent text selection
-            card.element.onmousedown = (event) => {
-                event.preventDefault(); // Prevent text selection
-                event.stopPropagation(); // Stop event from bubbling up
-                return false; // Additional prevention for older browsers
-            };
+function handleBoardPointerDown(event) {
+    if (event.button !== 0 || boardPointers.size >= 2) return;
+    suppressBoardClick = false;
+    boardPointers.set(event.pointerId, getViewportPoint(event));
+    boardGesture = { startView: boardView, startPoints: [...boardPointers.values()], panning: false };
+    cancelLongPress();
+    const cardElement = event.target.closest('#board .card');
+    if (boardPointers.size === 1 && cardElement && event.pointerType !== 'mouse') { // A slow click stays a click
+        const card = findCardById(Number(cardElement.dataset.id));
+        longPress = { card, shown: false, timer: setTimeout(showLongPress, LONG_PRESS_MS) };
+    }
+}
+
+function handleBoardPointerMove(event) {
+    if (!boardPointers.has(event.pointerId)) return;
+    boardPointers.set(event.pointerId, getViewportPoint(event));
+    const points = [...boardPointers.values()];
+    if (points.length === 2 && boardGesture.startPoints.length === 2) {
+        cancelLongPress();
+        boardGesture.panning = true;
+        setBoardView(pinchView(boardGesture.startView, boardGesture.startPoints, points));
+    } else if (points.length === 1) {
+        const [start] = boardGesture.startPoints;
+        if (!boardGesture.panning && distance(start, points[0]) <= TAP_SLOP_PX) return; // Still a tap
+        if (longPress?.shown) return; // Inspecting until the finger lifts
+        cancelLongPress();
+        if (!boardGesture.panning) {
+            boardGesture.panning = true;
+            // Captured only now, so a tap still clicks the card under it
+            event.currentTarget.setPointerCapture(event.pointerId);
         }
-    });
+        setBoardView(panView(boardGesture.startView, points[0].x - start.x, points[0].y - start.y));
+    }
+}
+
+function handleBoardPointerUp(event) {
+    if (!boardPointers.delete(event.pointerId)) return;
+    if (boardGesture?.panning) suppressBoardClick = true;
+    if (longPress?.shown) {
+        suppressBoardClick = true;
+        updateUI(); // Clears the inspect shifts and the combat preview, like releasing Shift
+    }
+    cancelLongPress();
+    // Lifting one finger of a pinch goes on dragging with the other
+    boardGesture = boardPointers.size ? { startView: boardView, startPoints: [...boardPointers.values()], panning: true } : null;
+}
 
-    logMessage("Auto-placement complete! Player 1's turn to move or attack.");
+function showLongPress() {
+    if (!longPress?.card) return;
+    longPress.shown = true;
+    inspectNeighbors(longPress.card);
+    showCombatPreview(longPress.card.id); // Only shows over a target of the selected unit
+}
 
-    // Update UI once at the end
-    updateUI();
+function handleBoardClickCapture(event) {
+    if (!suppressBoardClick) return;
+    suppressBoardClick = false;
+    event.stopImmediatePropagation();
+    event.preventDefault();
+}
 
-    // Refresh memo pad if open
-    const memoPopover = document.getElementById('memo-popover');
-    if (memoPopover && window.getComputedStyle(memoPopover).display !== 'none') {
-        displayMemoPadContent(); // Refresh content for local player
-    }
+function handleBoardWheel(event) {
+    if (!event.ctrlKey) return; // Plain scrolling still scrolls the page
+    event.preventDefault();
+    setBoardView(zoomAt(boardView, boardView.scale * Math.exp(-event.deltaY / 200), getViewportPoint(event)));
 }
 
+// Keeps the cell the keyboard focused in view
+function panToFocusedCell(event) {
+    const cellElement = event.target.closest('.card, .placement-placeholder');
+    if (!cellElement) return;
+    const areaRect = document.getElementById('game-area').getBoundingClientRect();
+    const cellRect = cellElement.getBoundingClientRect();
+    const rect = { left: cellRect.left - areaRect.left, top: cellRect.top - areaRect.top, width: cellRect.width, height: cellRect.height };
+    const view = panToShow(boardView, rect, getViewportSize());
+    if (view !== boardView) setBoardView(view);
+}
 
-// --- Data Handling ---
-function handleReceivedData(data) {
-    const { type, payload } = data;
-    switch (type) {
-        case 'setup':
-            applySetup(payload);
-            break;
-        case 'placement':
-            applyPlacement(payload);
-            break;
-        case 'reveal':
-            applyReveal(payload);
-            break;
-        case 'move':
-            applyMove(payload);
-            break;
-        case 'attackResult':
-            applyAttackResult(payload);
-            break;
-        case 'autoPlacementResult':
-            if (localPlayerRole === 2 && gameState === 'PLACEMENT') {
-                logMessage("Received auto-placement actions from Host.");
-                applyBulkPlacement(payload.actions);
-            } else {
-                 console.warn("Received autoPlacementResult in unexpected state/role:", gameState, localPlayerRole);
-            }
-            break;
-        case 'displayName':
-            opponentDisplayName = payload.name;
-            console.log(`Opponent's display name set to: ${opponentDisplayName}`);
-            logMessage(`Opponent is "${opponentDisplayName}".`);
-            // Update UI elements that show peer info
-            if (conn && conn.open) {
-                document.getElementById('peer-status').textContent = `Connected to ${opponentDisplayName} (${conn.peer})`;
-            }
-            updateUI(); // Refresh UI with the new name
-            break;
-        // Add other message types if needed (e.g., chat, sync requests)
-        default:
-            console.warn('Received unknown data type:', type);
-    }
+// --- Placement Sheet ---
+// On small screens the placement controls are a bottom sheet over the board. It folds away once a
+// unit and a terrain are picked, so the spot can be tapped, and opens again when the pick is used up.
+let placementSheetFolded = false;
+let placementPairPicked = false;
+
+function setPlacementSheetFolded(folded) {
+    placementSheetFolded = folded;
+    document.getElementById('placement-controls').classList.toggle('folded', folded);
+    const toggle = document.getElementById('placement-sheet-toggle');
+    toggle.textContent = folded ? 'Show cards' : 'Hide cards';
+    toggle.setAttribute('aria-expanded', String(!folded));
+}
+
+function togglePlacementSheet() {
+    setPlacementSheetFolded(!placementSheetFolded);
+}
+
+// Called by updateUI during placement
+function updatePlacementSheet() {
+    const pairPicked = !!selectedUnitDataForPlacement && !!selectedTerrainDataForPlacement;
+    if (pairPicked !== placementPairPicked) setPlacementSheetFolded(pairPicked);
+    placementPairPicked = pairPicked;
 }
 
 // --- UI Update Function ---
@@ -1642,13 +3699,20 @@ function updateUI() {
     const connectionSummary = document.getElementById('connection-summary'); // Get summary element
     const peerStatusSpan = document.getElementById('peer-status'); // Get status span inside controls
     const autoPlaceButton = document.getElementById('auto-place-button'); // Get auto-place button
+    const exportRecordButton = document.getElementById('export-record-button');
+    const focusKey = document.activeElement?.dataset.focusKey; // Placement spots and cards are redrawn below
+    hideCombatPreview(); // Targets may have changed
 
     // Update Connection Summary Text (use opponent name if available)
     let statusText; // Declare first
-    if (opponentDisplayName && conn && conn.open) { // Check opponent name AND connection is open
-        statusText = `Connected to ${opponentDisplayName} (${conn.peer})`; // Show name and ID
+    if (gameMode === 'hotseat') { // No PeerJS connection in hot-seat mode
+        statusText = 'Hot-seat game on this device';
+    } else if (gameMode === 'bot') { // No PeerJS connection against the computer
+        statusText = `Playing against the computer (${BOT_DIFFICULTIES[botDifficulty]})`;
+    } else if (opponentDisplayName && conn && conn.open) { // Check opponent name AND connection is open
+        statusText = `Connected to ${opponentDisplayName} (${describePeerId(conn.peer)})`; // Show name and ID
     } else if (conn && conn.open) { // If connected but no opponent name yet (or connection lost name)
-        statusText = `Connected to ${conn.peer}`;
+        statusText = `Connected to ${describePeerId(conn.peer)}`;
     } else if (myPeerId) { // If peer is initialized but not connected
         statusText = 'Waiting for connection...';
     } else { // Before peer initialization completes
@@ -1660,13 +3724,31 @@ function updateUI() {
 
 
     // Set body class based on whose turn it is locally
-    if (localPlayerRole === currentPlayer && (gameState === 'PLACEMENT' || gameState === 'GAMEPLAY')) {
+    if (localPlayerRole === rulesState.currentPlayer && (gameState === 'PLACEMENT' || gameState === 'GAMEPLAY')) {
         bodyEl.classList.add('my-turn');
     } else {
         bodyEl.classList.remove('my-turn');
     }
 
     // --- State-Specific UI Updates ---
+    exportRecordButton.style.display = gameState === 'GAMEOVER' ? 'inline-block' : 'none'; // The record is complete once the game is over
+    const undoButton = document.getElementById('undo-button');
+    undoButton.style.display = strictMode ? 'none' : 'inline-block';
+    undoButton.disabled = !canRequestTakeback();
+    undoButton.textContent = pendingUndoRequest !== null ? 'Takeback Requested...' : 'Request Takeback';
+    document.getElementById('undo-prompt').style.display = incomingUndoRequest !== null ? 'block' : 'none';
+    const rematchButton = document.getElementById('rematch-button');
+    rematchButton.style.display = gameState === 'GAMEOVER' ? 'inline-block' : 'none';
+    rematchButton.disabled = !canOfferRematch();
+    rematchButton.textContent = pendingRematchOffer ? 'Rematch Offered...' : 'Rematch';
+    document.getElementById('rematch-prompt').style.display = incomingRematchOffer ? 'block' : 'none';
+    const activeVariantsDiv = document.getElementById('active-variants');
+    activeVariantsDiv.textContent = describeCurrentVariants();
+    if (currentVariants.commandSurvivalTurns && gameState === 'GAMEPLAY') {
+        // The first player plays the odd turns
+        activeVariantsDiv.textContent += ` Player ${firstPlayer} turns left: ${currentVariants.commandSurvivalTurns - Math.ceil(rulesState.turnCount / 2)}.`;
+    }
+    activeVariantsDiv.style.display = activeVariantsDiv.textContent && gameState !== 'CONNECTING' ? 'block' : 'none';
     boardDiv.querySelectorAll('.placement-placeholder').forEach(el => el.remove()); // Clean placeholders
 
     if (gameState === 'CONNECTING' || gameState === 'DISCONNECTED') {
@@ -1701,8 +3783,13 @@ function updateUI() {
         if (autoPlaceButton) {
             autoPlaceButton.style.display = 'inline-block';
             // Disable if not Player 1 OR if any cards have already been placed manually
-            autoPlaceButton.disabled = (localPlayerRole !== 1 || placedCardPairCount > 0);
+            autoPlaceButton.disabled = (localPlayerRole !== 1 || rulesState.placedCount > 0);
         }
+        document.getElementById('auto-place-mine-button').disabled = !!autoFillStrategies[localPlayerRole] || rulesState.available.units[localPlayerRole].length === 0;
+        // Online, each player only picks its own strategy
+        [1, 2].forEach(player => {
+            document.getElementById(`auto-place-strategy-label-${player}`).style.display = isLocalGame() || player === localPlayerRole ? 'inline-block' : 'none';
+        });
         // Allow connection details to be collapsed when game starts
         if (!connectionDetails.hasAttribute('data-initially-closed')) {
             connectionDetails.open = false; // Close by default once placement starts
@@ -1713,19 +3800,8 @@ function updateUI() {
         connectionSummary.onclick = null; // Remove the toggle prevention
 
         memoButton.style.display = 'inline-block';
-        boardDiv.style.cursor = (localPlayerRole === currentPlayer) ? 'copy' : 'not-allowed';
-        const potentialSpots = new Set();
-        if (placedPositions.size === 0) {
-            potentialSpots.add(`${START_GRID_COORD}_${START_GRID_COORD}`);
-        } else {
-            placedPositions.forEach(posKey => {
-                const [x, y] = posKey.split('_').map(Number);
-                const neighbors = [`${x + 1}_${y}`, `${x - 1}_${y}`, `${x}_${y + 1}`, `${x}_${y - 1}`];
-                neighbors.forEach(neighborKey => {
-                    if (!placedPositions.has(neighborKey)) potentialSpots.add(neighborKey);
-                });
-            });
-        }
+        boardDiv.style.cursor = (localPlayerRole === rulesState.currentPlayer) ? 'copy' : 'not-allowed';
+        const potentialSpots = getOpenPlacementSpots();
         potentialSpots.forEach(spotKey => {
             const [x, y] = spotKey.split('_').map(Number);
             const placeholder = document.createElement('div');
@@ -1734,6 +3810,9 @@ function updateUI() {
             placeholder.style.setProperty('--grid-y', y);
             placeholder.dataset.gridX = x;
             placeholder.dataset.gridY = y;
+            placeholder.dataset.focusKey = `spot-${spotKey}`;
+            placeholder.setAttribute('role', 'button');
+            placeholder.setAttribute('aria-label', `Empty spot (${x}, ${y}): place the selected unit and terrain here.`);
             // Add mousedown handler to prevent text selection
             placeholder.onmousedown = (event) => {
                 event.preventDefault(); // Prevent text selection
@@ -1745,8 +3824,9 @@ function updateUI() {
 
         // Update placement title and instructions
         const opponentNameText = opponentDisplayName ? `(Opponent: ${opponentDisplayName})` : "(Opponent's Turn)";
-        document.getElementById('placement-title').textContent = `Placement Phase - Player ${currentPlayer}'s Turn ${currentPlayer === localPlayerRole ? '(Your Turn)' : opponentNameText}`;
-        document.getElementById('placement-instructions').textContent = `Select one unit and one terrain, then click an empty, valid spot on the board. (${placedCardPairCount}/${TOTAL_CARD_PAIRS_TO_PLACE} placed)`;
+        document.getElementById('placement-title').textContent = `Placement Phase - Player ${rulesState.currentPlayer}'s Turn ${rulesState.currentPlayer === localPlayerRole ? '(Your Turn)' : opponentNameText}`;
+        document.getElementById('placement-instructions').textContent = `Select one unit and one terrain, then click an empty, valid spot on the board. (${rulesState.placedCount}/${getTotalPairsToPlace(currentArmy)} placed)`;
+        updatePlacementSheet();
 
         // Populate available units/terrains for the *current* player
         const unitsArea = document.getElementById('placement-units-area');
@@ -1754,9 +3834,9 @@ function updateUI() {
         unitsArea.innerHTML = '';
         terrainsArea.innerHTML = '';
 
-        if (localPlayerRole === currentPlayer) { // Only show selection cards if it's your turn
+        if (localPlayerRole === rulesState.currentPlayer) { // Only show selection cards if it's your turn
             // Iterate over unitData objects
-            playerAvailableUnits[currentPlayer].forEach((unitData) => {
+            rulesState.available.units[rulesState.currentPlayer].forEach((unitData) => {
                 const cardDiv = document.createElement('div');
                 cardDiv.className = 'placement-unit-card';
                 const img = document.createElement('img');
@@ -1767,6 +3847,7 @@ function updateUI() {
                 cardDiv.appendChild(img);
 
                 cardDiv.onclick = () => selectUnitForPlacement(unitData); // Pass the whole object
+                makeKeyboardButton(cardDiv, `Unit: ${unitData.unitName} (attack ${unitData.stats.attack}, defense ${unitData.stats.defense})`, `unit-${unitData.unitName}-${unitData.instance}`);
                 // Add mousedown handler to prevent text selection
                 cardDiv.onmousedown = (event) => {
                     event.preventDefault(); // Prevent text selection
@@ -1777,13 +3858,14 @@ function updateUI() {
                 if (selectedUnitDataForPlacement && selectedUnitDataForPlacement.imagePath === unitData.imagePath) {
                     cardDiv.classList.add('selected-for-placement');
                 }
+                cardDiv.setAttribute('aria-pressed', cardDiv.classList.contains('selected-for-placement'));
                 unitsArea.appendChild(cardDiv);
             });
 
             // Iterate over terrainData objects
-            playerAvailableTerrains[currentPlayer].forEach(terrainDataObj => {
+            rulesState.available.terrains[rulesState.currentPlayer].forEach(terrainDataObj => {
                 const cardDiv = document.createElement('div');
-                cardDiv.className = `placement-terrain-card player${currentPlayer}`;
+                cardDiv.className = `placement-terrain-card player${rulesState.currentPlayer}`;
                 const img = document.createElement('img');
                 img.src = terrainDataObj.imagePath;
                 const tData = terrainDataObj.terrainData;
@@ -1793,6 +3875,7 @@ function updateUI() {
                 cardDiv.appendChild(img);
 
                 cardDiv.onclick = () => selectTerrainForPlacement(terrainDataObj); // Pass the whole object
+                makeKeyboardButton(cardDiv, `Terrain #${terrainDataObj.terrainIndex + 1}. ${describeEdges(tData)}`, `terrain-${terrainDataObj.terrainIndex}`);
                 // Add mousedown handler to prevent text selection
                 cardDiv.onmousedown = (event) => {
                     event.preventDefault(); // Prevent text selection
@@ -1803,6 +3886,7 @@ function updateUI() {
                 if (selectedTerrainDataForPlacement && selectedTerrainDataForPlacement.imagePath === terrainDataObj.imagePath) {
                     cardDiv.classList.add('selected-for-placement');
                 }
+                cardDiv.setAttribute('aria-pressed', cardDiv.classList.contains('selected-for-placement'));
                 terrainsArea.appendChild(cardDiv);
             });
         } else {
@@ -1811,7 +3895,7 @@ function updateUI() {
         }
 
 
-    } else if (gameState === 'GAMEPLAY' || gameState === 'GAMEOVER') {
+    } else if (gameState === 'GAMEPLAY' || gameState === 'GAMEOVER' || gameState === 'DESYNC') {
         placementControlsDiv.style.display = 'none';
         infoDiv.style.display = 'block';
         // Allow connection details to be collapsed
@@ -1828,22 +3912,25 @@ function updateUI() {
         boardDiv.style.cursor = 'default';
 
         // Update Info Bar (use unitData to count)
-        const p1Units = board.filter(c => c && c.owner === 1 && c.unitData).length;
-        const p2Units = board.filter(c => c && c.owner === 2 && c.unitData).length;
+        const p1Units = rulesState.board.filter(c => c && c.owner === 1 && c.unitData).length;
+        const p2Units = rulesState.board.filter(c => c && c.owner === 2 && c.unitData).length;
         const opponentNameText = opponentDisplayName ? `(${opponentDisplayName}'s Turn)` : "(Opponent's Turn)";
-        let turnText = gameState === 'GAMEOVER' ? "Game Over" : `Current Turn: Player ${currentPlayer} ${currentPlayer === localPlayerRole ? `(${localDisplayName}'s Turn)` : opponentNameText}`;
-        const p1Name = localPlayerRole === 1 ? localDisplayName : (opponentDisplayName || 'Player 1');
-        const p2Name = localPlayerRole === 2 ? localDisplayName : (opponentDisplayName || 'Player 2');
+        let turnText = gameState === 'DESYNC' ? "Desync/cheat detected: game stopped" : gameState === 'GAMEOVER' ? "Game Over" : `Current Turn: Player ${rulesState.currentPlayer} ${rulesState.currentPlayer === localPlayerRole ? `(${getPlayerName(localPlayerRole)}'s Turn)` : opponentNameText}`;
+        const p1Name = getPlayerName(1);
+        const p2Name = getPlayerName(2);
+
+        const seriesText = describeCurrentSeries();
 
         infoDiv.innerHTML = `
             <span class="player1-text">${p1Name} Units: ${p1Units}</span> |
-            <span class="${currentPlayer === 1 ? 'player1-text' : 'player2-text'}">${turnText}</span> |
+            <span class="${rulesState.currentPlayer === 1 ? 'player1-text' : 'player2-text'}">${turnText}</span> |
             <span class="player2-text">${p2Name} Units: ${p2Units}</span>
+            ${seriesText ? `| <span class="series-score">${seriesText}</span>` : ''}
          `;
 
         // Update Memo Toggle Button Text and Color (based on local player)
         if (memoButton) {
-            memoButton.textContent = `${localDisplayName}'s Memo`; // Use local display name
+            memoButton.textContent = `${getPlayerName(localPlayerRole)}'s Memo`; // Use local display name
             memoButton.style.backgroundColor = localPlayerRole === 1 ? '#4a90e2' : '#e94e77'; // Color based on local player role
         }
         // If memo pad is open, update its content for the local player
@@ -1854,12 +3941,12 @@ function updateUI() {
     }
 
     // --- Common UI Updates (Cards, Defeated Area) ---
-    const attackerCard = selectedCardIndex !== null ? board[selectedCardIndex] : null;
+    const attackerCard = selectedCardIndex !== null ? rulesState.board[selectedCardIndex] : null;
 
-    board.forEach((card, i) => {
-        if (!card || !card.element) return;
+    rulesState.board.forEach((card, i) => {
+        const div = cardElements.get(card.id);
+        if (!div) return;
 
-        const div = card.element;
         // Reset classes, handle owner potentially being null for empty spots
         div.className = `card player${card.owner || 0}`;
         // Remove state classes from the main card div
@@ -1878,9 +3965,18 @@ function updateUI() {
         }
 
 
-        // Add hidden class based on board state (affects image via CSS)
+        // Add hidden class based on board state (affects image via CSS); an enemy unit revealed but not yet disclosed stays face-down
+        const unitShown = !card.hidden && card.unitData && !card.unitData.unknown;
         if (card.hidden) div.classList.add('hidden');
         if (i === selectedCardIndex) div.classList.add('selected');
+        div.setAttribute('aria-label', getCellLabel(card, attackerCard));
+        div.setAttribute('aria-pressed', i === selectedCardIndex);
+        const suspicionLabel = getSuspicionLabel(card);
+        if (suspicionLabel) {
+            div.dataset.suspected = suspicionLabel;
+        } else {
+            delete div.dataset.suspected;
+        }
 
         // --- Update Layer Visibility and Content ---
         const terrainLayer = div.querySelector('.terrain-layer');
@@ -1897,7 +3993,7 @@ function updateUI() {
             terrainImg.alt = terrainAltText;
 
             // Determine Unit Layer Visibility and Content
-            if (card.hidden || !card.unitData) {
+            if (!unitShown) {
                 // Hide Unit Layer
                 if (!unitLayer.classList.contains('hidden-state')) {
                     unitLayer.classList.add('hidden-state');
@@ -1918,8 +4014,10 @@ function updateUI() {
                     div.classList.remove('hidden');
                 }
             }
-            // Image sources (src) are set once in placeCard and assumed not to change.
-            // If src could change (e.g., different unit images based on state), update here.
+            // Unit images change when a unit moves or an enemy unit is disclosed on reveal
+            if (card.unitData && card.unitData.imagePath && unitImg.getAttribute('src') !== card.unitData.imagePath) {
+                unitImg.src = card.unitData.imagePath;
+            }
 
         } else {
              console.warn(`Card ID ${card.id} is missing expected layer elements.`);
@@ -1934,10 +4032,10 @@ function updateUI() {
         if (gameState === 'GAMEPLAY') {
             // If shift is down, all cards get the inspect cursor (handled by CSS)
             // If shift is NOT down, determine selectable state for normal gameplay cursors
-            if (!isShiftKeyDown && localPlayerRole === currentPlayer) {
+            if (!isShiftKeyDown && localPlayerRole === rulesState.currentPlayer) {
                  if (selectedCardIndex === null) { // Selecting initial unit
                     // Check unitData exists and belongs to current player
-                    if (card.owner === currentPlayer && card.unitData) {
+                    if (card.owner === rulesState.currentPlayer && card.unitData) {
                         div.classList.add('selectable-initial');
                     } else {
                         div.classList.add('not-selectable');
@@ -1947,23 +4045,13 @@ function updateUI() {
                         // Keep default cursor for selected card (or let CSS handle it)
                         // div.classList.add('not-selectable'); // Can still deselect
                     } else {
-                        const directionInfo = getDirectionInfo(attackerCard, card);
-                        if (directionInfo && attackerCard.unitData) { // Is adjacent and attacker has unit
-                            const entryTerrainType = card.terrainData.terrainData[directionInfo.opposite];
-                            // Use attacker's unitData for traversal check
-                            if (canUnitTraverse(attackerCard.unitData, entryTerrainType)) {
-                                // Check if target has unitData
-                                if (card.unitData === null || card.unitData === undefined) { // Empty, valid square
-                                    div.classList.add('selectable-move');
-                                } else if (card.owner !== currentPlayer) { // Enemy unit
-                                    div.classList.add('selectable-attack');
-                                } else { // Own unit
-                                    div.classList.add('not-selectable');
-                                }
-                            } else { // Invalid terrain edge
-                                div.classList.add('not-selectable');
-                            }
-                        } else { // Not adjacent or attacker invalid
+                        // Adjacency, traversal and ownership come from the shared rules
+                        const { kind } = classifyTarget(attackerCard, card, currentVariants);
+                        if (kind === 'move') { // Empty, valid square
+                            div.classList.add('selectable-move');
+                        } else if (kind === 'attack') { // Enemy unit
+                            div.classList.add('selectable-attack');
+                        } else { // Not adjacent, invalid terrain edge or own unit
                             div.classList.add('not-selectable');
                         }
                     }
@@ -1981,10 +4069,9 @@ function updateUI() {
 
     // --- Apply shifts to neighbors of selected card ---
     if (selectedCardIndex !== null && gameState === 'GAMEPLAY') {
-        const selected = board[selectedCardIndex];
-        if (selected && selected.element) {
+        const selected = rulesState.board[selectedCardIndex];
+        if (selected && cardElements.has(selected.id)) {
             // Selected card z-index is handled by the .selected CSS rule now
-            // selected.element.style.zIndex = '10'; // Ensure selected is on top
 
             const neighbors = [
                 { dx: 1, dy: 0, shiftClass: 'shifted-right' }, // Right neighbor shifts right
@@ -1996,9 +4083,9 @@ function updateUI() {
             neighbors.forEach(n => {
                 const neighborCard = findCardByGrid(selected.gridX + n.dx, selected.gridY + n.dy);
                 // Apply shift ONLY if the neighbor card exists, has an element, AND has unitData
-                if (neighborCard && neighborCard.element && neighborCard.unitData) {
+                if (neighborCard && cardElements.has(neighborCard.id) && neighborCard.unitData) {
                     // Find the unit layer within the neighbor's element
-                    const neighborUnitLayer = neighborCard.element.querySelector('.unit-layer');
+                    const neighborUnitLayer = cardElements.get(neighborCard.id).querySelector('.unit-layer');
                     if (neighborUnitLayer) {
                         // Add the shift class to the unit layer, not the parent card
                         neighborUnitLayer.classList.add(n.shiftClass);
@@ -2012,8 +4099,8 @@ function updateUI() {
     // Update Defeated Units Area
     const defeatedDiv = document.getElementById('defeated-units');
     defeatedDiv.innerHTML = '<h4>Defeated Units</h4>';
-    // defeatedUnits now contains objects { unitData, terrainData, owner }
-    defeatedUnits.forEach(defeated => {
+    // defeatedUnits contains objects { unitData, terrainData, owner }
+    rulesState.defeatedUnits.forEach(defeated => {
         const defeatedCardDiv = document.createElement('div');
         defeatedCardDiv.className = `defeated-card player${defeated.owner}`;
 
@@ -2032,18 +4119,239 @@ function updateUI() {
         defeatedCardDiv.appendChild(img);
         defeatedDiv.appendChild(defeatedCardDiv);
     });
+
+    updateBoardView();
+    updateBoardTabStop();
+    restoreFocus(focusKey);
+    announceTurn();
+
+    // Start the next player's clock once the turn has passed
+    followTurnWithClock();
+    renderClocks();
+
+    // Keep the match resumable after each applied action; a finished match is not resumed
+    if (gameState === 'PLACEMENT' || gameState === 'GAMEPLAY') {
+        if (gameRecord && gameRecord.actions.length !== savedActionCount) saveMatchState();
+    } else if (gameState === 'GAMEOVER' || gameState === 'DESYNC') {
+        clearSavedMatch(gameMode);
+    }
+
+    // Cover the board before the device changes hands in hot-seat mode
+    if (gameMode === 'hotseat') {
+        updateHotSeatHandoff();
+    }
+    // Let the computer play when it is its turn
+    if (gameMode === 'bot') {
+        scheduleBotTurn();
+    }
+    scheduleAutoFill();
+}
+
+// --- Hot-Seat Mode ---
+function startHotSeatGame() {
+    if (gameMode !== 'hotseat') {
+        // Reload without PeerJS so no incoming connection or auto-reconnect can interfere
+        window.location.search = '?mode=hotseat';
+        return;
+    }
+    document.getElementById('peer-id-input').disabled = true;
+    document.getElementById('connect-button').disabled = true;
+    document.getElementById('disconnect-button').disabled = true;
+    document.getElementById('my-peer-id').textContent = 'Not used in hot-seat mode';
+    document.getElementById('memo-toggle-button').disabled = false;
+    if (!resumeSavedLocalMatch()) resetGame(); // Generates both players' cards locally
+}
+
+// Display name for a player number ('Player N' in hot-seat, where both players share this client)
+function getPlayerName(player) {
+    if (gameMode === 'hotseat') return `Player ${player}`;
+    if (gameMode === 'bot') return player === BOT_PLAYER ? `Computer (${botDifficulty})` : localDisplayName;
+    if (player === localPlayerRole) return localDisplayName;
+    return opponentDisplayName || `Player ${player}`;
+}
+
+// Shows the pass-the-device screen whenever the turn moves to the player not holding the device
+function updateHotSeatHandoff() {
+    const handoffScreen = document.getElementById('handoff-screen');
+    const turnInProgress = gameState === 'PLACEMENT' || gameState === 'GAMEPLAY';
+    if (!turnInProgress || rulesState.currentPlayer === localPlayerRole || isResolvingAttack) return;
+    if (handoffScreen.style.display !== 'none') return; // Already shown
+
+    // Hide everything private: the memo pad (log entries naming a face-down unit only show to their viewer)
+    document.getElementById('memo-popover').style.display = 'none';
+    selectedCardIndex = null;
+
+    document.getElementById('handoff-title').textContent = `Hand the device to Player ${rulesState.currentPlayer}`;
+    document.getElementById('handoff-continue-button').textContent = `I'm Player ${rulesState.currentPlayer}, continue`;
+    handoffScreen.className = `player${rulesState.currentPlayer}-handoff`;
+    handoffScreen.style.display = 'flex';
+}
+
+function continueHotSeatTurn() {
+    if (gameMode !== 'hotseat') return;
+    localPlayerRole = rulesState.currentPlayer; // The device now belongs to the player whose turn it is
+    document.getElementById('handoff-screen').style.display = 'none';
+    logMessage(`Player ${rulesState.currentPlayer}'s turn.`);
+    updateUI();
+}
+
+// --- Computer Opponent Mode ---
+function startBotGame(difficulty) {
+    if (gameMode !== 'bot' || difficulty !== botDifficulty) {
+        // Reload without PeerJS so no incoming connection or auto-reconnect can interfere
+        window.location.search = `?mode=bot&level=${difficulty}`;
+        return;
+    }
+    document.getElementById('peer-id-input').disabled = true;
+    document.getElementById('connect-button').disabled = true;
+    document.getElementById('disconnect-button').disabled = true;
+    document.getElementById('my-peer-id').textContent = 'Not used against the computer';
+    document.getElementById('memo-toggle-button').disabled = false;
+    if (!resumeSavedLocalMatch()) resetGame(); // Generates both players' cards locally
+}
+
+function scheduleBotTurn() {
+    const turnInProgress = gameState === 'PLACEMENT' || gameState === 'GAMEPLAY';
+    if (!turnInProgress || rulesState.currentPlayer !== BOT_PLAYER || isResolvingAttack || botTurnTimer) return;
+    botTurnTimer = setTimeout(() => {
+        botTurnTimer = null;
+        runBotTurn();
+    }, BOT_THINK_DELAY_MS);
+}
+
+// Plays one bot action through handleReceivedData, exactly as if a remote peer had sent it
+function runBotTurn() {
+    const turnInProgress = gameState === 'PLACEMENT' || gameState === 'GAMEPLAY';
+    if (gameMode !== 'bot' || !turnInProgress || rulesState.currentPlayer !== BOT_PLAYER || isResolvingAttack) return;
+
+    // The bot only sees what Player 2 is allowed to see
+    const view = redactState(rulesState, BOT_PLAYER);
+    const action = chooseBotAction(view, BOT_PLAYER, botDifficulty);
+    if (!action) {
+        logMessage("The computer has no legal action.");
+        return;
+    }
+    const nextPlayer = BOT_PLAYER === 1 ? 2 : 1;
+
+    if (action.type === 'placement') {
+        handleReceivedData({
+            type: 'placement',
+            payload: {
+                owner: BOT_PLAYER,
+                unitData: action.unitData,
+                terrainData: action.terrainData,
+                gridX: action.gridX,
+                gridY: action.gridY,
+                nextPlayer: nextPlayer,
+                cardId: rulesState.nextCardId
+            }
+        });
+        return;
+    }
+
+    const attackerCard = findCardById(action.attackerCardId);
+    const targetCard = findCardById(action.targetCardId);
+    isResolvingAttack = true; // Keeps the bot from being rescheduled while it reveals
+    if (attackerCard.hidden) handleReceivedData({ type: 'reveal', payload: { cardId: attackerCard.id } });
+
+    if (action.type === 'move') {
+        handleReceivedData({ type: 'move', payload: { attackerCardId: attackerCard.id, targetCardId: targetCard.id, nextPlayer: nextPlayer } });
+        return;
+    }
+
+    // Attack: reveal the defender, then resolve with the same rules the human's attacks use
+    if (targetCard.hidden) handleReceivedData({ type: 'reveal', payload: { cardId: targetCard.id } });
+    const attackResultData = resolveAttackLocally(findCardIndexById(attackerCard.id), findCardIndexById(targetCard.id), nextPlayer);
+    pendingAttack = { attackerCardId: attackerCard.id, targetCardId: targetCard.id }; // As if the bot had sent its attack
+    setTimeout(() => {
+        handleReceivedData({ type: 'attackResult', payload: attackResultData });
+    }, 500);
 }
 
-function logMessage(msg) {
-    document.getElementById('message-log').textContent = msg;
+// --- Game Log ---
+// Every message is kept as a typed entry ('placement', 'reveal', 'move', 'combat' or 'system') in
+// the game log panel, which can be filtered by type and copied as plain text. An entry naming a face-down unit is only shown to its `viewer`,
+// so hot-seat players never see each other's units in the log.
+const GAME_LOG_LIMIT = 500; // Oldest entries are dropped beyond this
+let gameLog = []; // [{ type, text, time, viewer }]
+const hiddenLogTypes = new Set();
+
+function logMessage(msg, type = 'system', viewer = null) {
     console.log(msg); // Keep console logs for debugging
+    if (!msg) return;
+    gameLog = [...gameLog, { type, text: msg, time: new Date(), viewer }].slice(-GAME_LOG_LIMIT);
+    renderGameLog();
+    if (type === 'combat' && viewer === null) announce(msg); // Combat outcomes and the end of the game
+}
+
+function getShownLogEntries() {
+    return gameLog.filter(entry => !hiddenLogTypes.has(entry.type) && (entry.viewer === null || entry.viewer === localPlayerRole));
+}
+
+function formatLogTime(time) {
+    return time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function renderGameLog() {
+    const logList = document.getElementById('game-log');
+    logList.innerHTML = '';
+    getShownLogEntries().forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `log-entry log-${entry.type}`;
+        item.textContent = `[${formatLogTime(entry.time)}] ${entry.text}`;
+        logList.appendChild(item);
+    });
+    logList.scrollTop = logList.scrollHeight; // Keep the latest entry in view
+}
+
+function setLogTypeShown(type, shown) {
+    if (shown) hiddenLogTypes.delete(type); else hiddenLogTypes.add(type);
+    renderGameLog();
+}
+
+// Copies the entries currently shown, one per line, for post-game discussion
+function copyGameLog() {
+    const text = getShownLogEntries().map(entry => `[${formatLogTime(entry.time)}] [${entry.type}] ${entry.text}`).join('\n');
+    navigator.clipboard.writeText(text).then(() => {
+        const copyButton = document.getElementById('copy-log-button');
+        copyButton.textContent = 'Copied!';
+        setTimeout(() => { copyButton.textContent = 'Copy Log'; }, 1500);
+    }).catch(err => {
+        console.error('Failed to copy the game log: ', err);
+        logMessage('Failed to copy the game log.');
+    });
+}
+
+// Full combat breakdown: attack against defense, with the terrain bonuses of the edges facing each other
+function describeCombat(combat, attackerCard, defenderCard) {
+    const attackerName = `Player ${attackerCard.owner}'s ${attackerCard.unitData.unitName}`;
+    const defenderName = `Player ${defenderCard.owner}'s ${defenderCard.unitData.unitName}`;
+    const attackBonusText = combat.attackBonus ? ` + ${combat.attackBonus} ${combat.attackEdgeTerrain} bonus = ${combat.attackValue}` : '';
+    const bonusText = combat.terrainBonus ? ` + ${combat.terrainBonus} terrain bonus = ${combat.defenseValue}` : '';
+    const winnerName = combat.attackerWins ? attackerName : defenderName;
+    const loserName = combat.attackerWins ? defenderName : attackerName;
+    const tieText = combat.attackValue === combat.defenseValue ? ` (the ${currentVariants.attackerWinsTies ? 'attacker' : 'defender'} wins ties)` : '';
+    const outcomeText = combat.loserCardId === null ? `The shot misses ${defenderName}${tieText}.` : `${winnerName} defeats ${loserName}${tieText}.`;
+    return `Combat: ${attackerName} ${combat.ranged ? 'fires at' : 'attacks'} ${defenderName} through the defender's ${combat.defenseEdge} edge (${combat.defenseEdgeTerrain}): ` +
+        `attack ${combat.baseAttack}${attackBonusText} vs defense ${combat.baseDefense}${bonusText}. ${outcomeText}`;
 }
 
 // --- Initialization ---
 document.addEventListener("DOMContentLoaded", () => {
+    populateArmySelect();
+    populateTerrainDeckSelect();
+    populateAutoPlaceStrategySelects();
+    populateTimeControlSelect();
+    setInterval(tickClocks, CLOCK_TICK_MS);
+
     // Add global mousedown handler to the board to prevent text selection
     const boardDiv = document.getElementById('board');
     if (boardDiv) {
+        boardDiv.addEventListener('keydown', handleBoardKeydown);
+        boardDiv.addEventListener('focusin', handleBoardFocus);
+        boardDiv.addEventListener('focusin', panToFocusedCell);
+        // A long-press inspects instead of opening the context menu
+        boardDiv.addEventListener('contextmenu', event => event.preventDefault());
         boardDiv.addEventListener('mousedown', (event) => {
             // Prevent text selection on the board
             event.preventDefault();
@@ -2075,6 +4383,15 @@ document.addEventListener("DOMContentLoaded", () => {
     // --- Game Area Click Listener (for deselecting) ---
     const gameArea = document.getElementById('game-area');
     if (gameArea) {
+        // --- Pan, Zoom and Long-Press ---
+        gameArea.addEventListener('pointerdown', handleBoardPointerDown);
+        gameArea.addEventListener('pointermove', handleBoardPointerMove);
+        gameArea.addEventListener('pointerup', handleBoardPointerUp);
+        gameArea.addEventListener('pointercancel', handleBoardPointerUp);
+        gameArea.addEventListener('wheel', handleBoardWheel, { passive: false });
+        gameArea.addEventListener('click', handleBoardClickCapture, true); // Before the cards' own handlers
+        window.addEventListener('resize', () => { if (!boardViewMoved) fitBoardToView(); });
+
         gameArea.addEventListener('click', (event) => {
             // Only act during gameplay and if a card is selected
             if (gameState === 'GAMEPLAY' && selectedCardIndex !== null) {
@@ -2116,7 +4433,23 @@ document.addEventListener("DOMContentLoaded", () => {
         window.saveDisplayName()
     });
 
+    // Chat is only used online: local players share the screen
+    if (gameMode === 'online') {
+        document.getElementById('chat-panel').style.display = 'block';
+        createChatQuickPhraseButtons();
+        setChatEnabled(false); // Until connected
+        document.getElementById('chat-input').addEventListener('keydown', event => {
+            if (event.key === 'Enter') sendChatMessage();
+        });
+    }
+
     updateUI(); // Set initial UI state (will reflect CONNECTING)
 
-    initializePeer(); // Start the peer initialization process
+    if (gameMode === 'hotseat') {
+        startHotSeatGame(); // Local two-player game, PeerJS is never initialized
+    } else if (gameMode === 'bot') {
+        startBotGame(botDifficulty); // Game against the computer, PeerJS is never initialized
+    } else {
+        initializePeer(); // Start the peer initialization process
+    }
 });
\ No newline at end of file
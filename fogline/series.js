@@ -0,0 +1,83 @@
+// --- Match Series ---
+// Rematches between the same two players make a series, best of 3 by default: the first to win
+// most of its games takes the series, and the next rematch starts a new one. The host sends the
+// score with the setup of each rematch, so the peer checks it here. DOM-free, like rules.js.
+//
+// series = { bestOf, wins: { 1: n, 2: n } } // Wins by player role, which stays the same across rematches
+
+export const SERIES_BEST_OF = 3;
+export const MAX_SERIES_BEST_OF = 9;
+
+/**
+ * Starts a series, before its first game.
+ * @param {number} [bestOf=SERIES_BEST_OF] - An odd number of games.
+ * @returns {object} The series.
+ */
+export function createSeries(bestOf = SERIES_BEST_OF) {
+    return { bestOf, wins: { 1: 0, 2: 0 } };
+}
+
+// The wins that take the series: most of its games
+export function getWinsNeeded(series) {
+    return Math.floor(series.bestOf / 2) + 1;
+}
+
+/**
+ * @param {object} series
+ * @returns {1|2|null} The player who took the series, or null while it goes on.
+ */
+export function getSeriesWinner(series) {
+    return [1, 2].find(player => series.wins[player] >= getWinsNeeded(series)) || null;
+}
+
+/**
+ * Counts a finished game.
+ * @param {object} series - The series before the game (left untouched).
+ * @param {1|2} winner - The player who won the game.
+ * @returns {object} The series with the win counted; unchanged if it was already decided.
+ */
+export function recordSeriesWin(series, winner) {
+    if (getSeriesWinner(series) || (winner !== 1 && winner !== 2)) return series;
+    return { ...series, wins: { ...series.wins, [winner]: series.wins[winner] + 1 } };
+}
+
+/**
+ * The series a rematch is played in.
+ * @param {object} series - The series of the game just played.
+ * @returns {object} The same series, or a new one (as long) once it was decided.
+ */
+export function continueSeries(series) {
+    return getSeriesWinner(series) ? createSeries(series.bestOf) : series;
+}
+
+/**
+ * Checks the series score of a rematch, typically one received from the peer with the setup.
+ * @param {object} series - { bestOf, wins }
+ * @returns {string|null} Why the score cannot be right, or null if it can.
+ */
+export function validateSeries(series) {
+    if (!series || typeof series !== 'object' || !series.wins || typeof series.wins !== 'object') return 'Missing series score.';
+    const { bestOf, wins } = series;
+    if (!Number.isInteger(bestOf) || bestOf < 1 || bestOf > MAX_SERIES_BEST_OF || bestOf % 2 === 0) {
+        return `A series is played over an odd number of games, up to ${MAX_SERIES_BEST_OF}.`;
+    }
+    if (![1, 2].every(player => Number.isInteger(wins[player]) && wins[player] >= 0)) return 'Invalid series score.';
+    if (getSeriesWinner(series)) return 'The series is already decided.';
+    return null;
+}
+
+/**
+ * Describes the score, for both players to see.
+ * @param {object} series
+ * @param {object} names - { 1: name, 2: name }
+ * @returns {string} E.g. "Best of 3: Alice 1 – 0 Bob", or '' before the first game is won.
+ */
+export function describeSeries(series, names) {
+    const seriesWinner = getSeriesWinner(series);
+    if (seriesWinner) {
+        const loser = seriesWinner === 1 ? 2 : 1;
+        return `${names[seriesWinner]} wins the series ${series.wins[seriesWinner]} – ${series.wins[loser]} (best of ${series.bestOf})`;
+    }
+    if (!series.wins[1] && !series.wins[2]) return '';
+    return `Best of ${series.bestOf}: ${names[1]} ${series.wins[1]} – ${series.wins[2]} ${names[2]}`;
+}
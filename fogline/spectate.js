@@ -0,0 +1,159 @@
+// --- Fogline Spectator ---
+// Watches a live online match, read-only. The spectator connects to a player with the 'spectator'
+// role; that player streams the public action log (see the Spectators section of script.js). Its own
+// face-down units only come once the game is over, when its log also holds the opponent's final
+// disclosure: the omniscient view shows them then. Nothing is ever sent back, so a spectator cannot
+// take part in the game. Spectators meet the players through
+// the transport of the spectator link's parameters (see transport.js).
+import { redactState } from './rules.js';
+import { buildReplaySteps, getRecordSetup } from './gameRecord.js';
+import { describeStep, renderBoard, renderDefeatedUnits, renderPlayerNames } from './boardView.js';
+import { parseTransportConfig, createTransport } from './transport.js';
+import { describePeerId, resolvePeerId } from './roomCodes.js';
+
+let peer = null;
+let publicActions = []; // The watched player's log, with face-down units left out
+let playerNames = { 1: 'Player 1', 2: 'Player 2' };
+let knownUnits = {}; // matchId -> { cardId: unitData } of face-down units, for the omniscient view
+let spectatorView = 'fog'; // 'fog' or 'omniscient'
+
+const MAX_PLAYER_NAME_LENGTH = 40; // Longer names from the peer are not shown
+
+function setStatus(text) {
+    document.getElementById('spectator-status').textContent = text;
+}
+
+function watchMatch() {
+    const peerId = resolvePeerId(document.getElementById('watch-peer-id-input').value);
+    if (!peerId) {
+        setStatus('Please enter a room code.');
+        return;
+    }
+    if (!peer) {
+        try {
+            const transport = createTransport(parseTransportConfig(new URLSearchParams(window.location.search)));
+            peer = transport.createPeer(); // Spectators get a random ID: nobody connects to them
+        } catch (err) {
+            console.error('Cannot create the peer:', err);
+            setStatus(`Error: ${err.message}`);
+            return;
+        }
+        peer.on('error', err => {
+            console.error('PeerJS error:', err);
+            setStatus(`Error: ${err.type}`);
+            document.getElementById('watch-button').disabled = false;
+        });
+    }
+    document.getElementById('watch-button').disabled = true;
+    setStatus('Connecting...');
+    if (peer.open) {
+        connectAsSpectator(peerId);
+    } else {
+        peer.on('open', () => connectAsSpectator(peerId));
+    }
+}
+
+function connectAsSpectator(peerId) {
+    const spectatorConn = peer.connect(peerId, { reliable: true, metadata: { role: 'spectator' } });
+    spectatorConn.on('open', () => setStatus(`Watching ${describePeerId(peerId)}`));
+    spectatorConn.on('data', handleSpectatorData);
+    spectatorConn.on('close', () => {
+        setStatus('The player closed the connection.');
+        document.getElementById('watch-button').disabled = false;
+    });
+    spectatorConn.on('error', err => console.error('Spectator connection error:', err));
+}
+
+function addKnownUnits(matchId, units) {
+    if (!matchId || !Array.isArray(units)) return;
+    knownUnits[matchId] = knownUnits[matchId] || {};
+    units.forEach(({ cardId, unitData }) => { knownUnits[matchId][cardId] = unitData; });
+}
+
+function handleSpectatorData(data) {
+    const { type, payload } = data || {};
+    if (type === 'spectatorWelcome') {
+        addKnownUnits(payload.matchId, payload.units);
+        publicActions = payload.actions;
+        playerNames = readPlayerNames(payload.players);
+    } else if (type === 'spectatorAction') {
+        addKnownUnits(payload.matchId, payload.units);
+        // A setup action starts a new match
+        publicActions = payload.action.type === 'setup' ? [payload.action] : [...publicActions, payload.action];
+    } else {
+        console.warn('Received unknown data type:', type);
+        return;
+    }
+    renderSpectator();
+}
+
+// The names come from the watched player: anything but a short string is replaced by 'Player N'
+function readPlayerNames(players) {
+    const readName = player => {
+        const name = players?.[player];
+        return typeof name === 'string' && name.trim() && name.length <= MAX_PLAYER_NAME_LENGTH ? name : `Player ${player}`;
+    };
+    return { 1: readName(1), 2: readName(2) };
+}
+
+function setSpectatorView(view) {
+    spectatorView = view;
+    renderSpectator();
+}
+
+function getPlayerName(player) {
+    return playerNames[player] || `Player ${player}`;
+}
+
+// The step to show: the live board with every face-down unit hidden, or with every unit known so far
+function getShownStep() {
+    const setup = getRecordSetup({ actions: publicActions });
+    if (spectatorView === 'fog') {
+        const steps = buildReplaySteps({ actions: publicActions });
+        const step = steps[steps.length - 1];
+        return { step, viewedState: redactState(redactState(step.state, 1), 2) };
+    }
+    const units = Object.entries(knownUnits[setup?.matchId] || {}).map(([cardId, unitData]) => ({ cardId: Number(cardId), unitData }));
+    const steps = buildReplaySteps({ actions: [...publicActions, { type: 'disclosure', units }] });
+    const step = steps[steps.length - 1];
+    return { step, viewedState: step.state };
+}
+
+function getTurnText(state) {
+    if (state.phase === 'GAMEOVER') return state.winMessage;
+    const phase = state.phase === 'PLACEMENT' ? 'to place' : 'to play';
+    return `${getPlayerName(state.currentPlayer)} ${phase}`;
+}
+
+function renderSpectator() {
+    if (publicActions.length === 0) {
+        document.getElementById('info').textContent = 'Connected. Waiting for the match to start...';
+        return;
+    }
+    let shown;
+    try {
+        shown = getShownStep();
+    } catch (err) {
+        console.error('Cannot rebuild the match:', err);
+        document.getElementById('info').textContent = `Cannot show the match: ${err.message}`;
+        return;
+    }
+    const { step, viewedState } = shown;
+    const delayText = spectatorView === 'omniscient' && viewedState.phase !== 'GAMEOVER' ? ' (face-down units are shown once the game is over)' : '';
+    renderPlayerNames(document.getElementById('info'), getPlayerName, `: ${getTurnText(viewedState)}${delayText}`);
+    document.getElementById('spectator-step-description').textContent = describeStep(step, viewedState, getPlayerName);
+    renderBoard(viewedState);
+    renderDefeatedUnits(viewedState);
+}
+
+window.watchMatch = watchMatch;
+window.setSpectatorView = setSpectatorView;
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Spectator links shared by players carry the room code to watch
+    const peerId = new URLSearchParams(window.location.search).get('watch');
+    if (peerId) {
+        document.getElementById('watch-peer-id-input').value = peerId;
+        watchMatch();
+    }
+});
@@ -0,0 +1,116 @@
+// --- Terrain Decks ---
+// The host picks the terrain deck both players are dealt from: one of the presets, or a custom list
+// of cards. Like the army, it travels in the setup message, so the peer checks it here before
+// dealing from it. DOM-free, like rules.js.
+//
+// terrainDeck = {
+//     name,
+//     cards: [{ top, right, bottom, left }] // One terrain type per edge
+// }
+// Each player is dealt one card per unit; a deck shorter than the army is dealt again from the start.
+import { TERRAIN_TYPES, STANDARD_TERRAIN_DECK } from './rules.js';
+
+const { PLAINS, FOREST, MOUNTAIN, RIVER, BRIDGE, HILL } = TERRAIN_TYPES;
+
+export const TERRAIN_DECK_LIMITS = {
+    maxCards: 16
+};
+
+const EDGES = ['top', 'right', 'bottom', 'left'];
+
+// Deck names end up in the log and the setup message, so they are kept to plain characters
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 .-]{0,23}$/;
+
+export const TERRAIN_DECK_PRESETS = {
+    standard: STANDARD_TERRAIN_DECK,
+    rivers: {
+        name: 'Rivers',
+        cards: [
+            { top: RIVER, right: PLAINS, bottom: RIVER, left: BRIDGE },
+            { top: PLAINS, right: RIVER, bottom: FOREST, left: RIVER },
+            { top: BRIDGE, right: FOREST, bottom: RIVER, left: PLAINS },
+            { top: FOREST, right: BRIDGE, bottom: PLAINS, left: RIVER },
+            { top: PLAINS, right: PLAINS, bottom: BRIDGE, left: FOREST },
+            { top: RIVER, right: MOUNTAIN, bottom: PLAINS, left: PLAINS },
+            { top: MOUNTAIN, right: PLAINS, bottom: FOREST, left: BRIDGE },
+            { top: PLAINS, right: FOREST, bottom: MOUNTAIN, left: PLAINS }
+        ]
+    },
+    highlands: {
+        name: 'Highlands',
+        cards: [
+            { top: HILL, right: PLAINS, bottom: MOUNTAIN, left: FOREST },
+            { top: MOUNTAIN, right: HILL, bottom: PLAINS, left: PLAINS },
+            { top: PLAINS, right: FOREST, bottom: HILL, left: MOUNTAIN },
+            { top: FOREST, right: MOUNTAIN, bottom: PLAINS, left: HILL },
+            { top: HILL, right: FOREST, bottom: FOREST, left: PLAINS },
+            { top: PLAINS, right: PLAINS, bottom: MOUNTAIN, left: FOREST },
+            { top: MOUNTAIN, right: PLAINS, bottom: HILL, left: PLAINS },
+            { top: FOREST, right: HILL, bottom: PLAINS, left: MOUNTAIN }
+        ]
+    }
+};
+
+/**
+ * Checks a terrain deck, typically one received from the peer or typed by the host.
+ * @param {object} terrainDeck - { name, cards: [{ top, right, bottom, left }] }
+ * @returns {string|null} Why the deck cannot be played, or null if it can.
+ */
+export function validateTerrainDeck(terrainDeck) {
+    if (!terrainDeck || typeof terrainDeck !== 'object') return 'Missing terrain deck.';
+    if (typeof terrainDeck.name !== 'string' || !NAME_PATTERN.test(terrainDeck.name)) return 'The terrain deck needs a name of up to 24 letters, digits, spaces, dots or dashes.';
+    const { cards } = terrainDeck;
+    if (!Array.isArray(cards) || cards.length === 0 || cards.length > TERRAIN_DECK_LIMITS.maxCards) return `A terrain deck has 1 to ${TERRAIN_DECK_LIMITS.maxCards} cards.`;
+
+    const terrainTypes = Object.values(TERRAIN_TYPES);
+    for (let i = 0; i < cards.length; i++) {
+        const card = cards[i];
+        if (!card || typeof card !== 'object' || EDGES.some(edge => !terrainTypes.includes(card[edge]))) {
+            return `Terrain card #${i + 1} needs a top, right, bottom and left edge, each one of: ${terrainTypes.join(', ')}.`;
+        }
+        // A card surrounded by rivers could never be left, nor attacked
+        if (EDGES.every(edge => card[edge] === RIVER)) return `Terrain card #${i + 1} needs at least one edge that is not a River.`;
+    }
+    return null;
+}
+
+/**
+ * Copies a valid terrain deck, keeping only the fields the rules use.
+ * @param {object} terrainDeck - A deck that passed validateTerrainDeck.
+ * @returns {object} The clean deck.
+ */
+export function normalizeTerrainDeck(terrainDeck) {
+    return {
+        name: terrainDeck.name,
+        cards: terrainDeck.cards.map(({ top, right, bottom, left }) => ({ top, right, bottom, left }))
+    };
+}
+
+/**
+ * Parses a custom terrain deck typed as JSON.
+ * @param {string} json - The deck definition.
+ * @returns {object} The normalized deck.
+ * @throws {Error} If the text is not a valid deck.
+ */
+export function parseTerrainDeck(json) {
+    let terrainDeck;
+    try {
+        terrainDeck = JSON.parse(json);
+    } catch (err) {
+        throw new Error('The terrain deck is not valid JSON.');
+    }
+    const reason = validateTerrainDeck(terrainDeck);
+    if (reason) throw new Error(reason);
+    return normalizeTerrainDeck(terrainDeck);
+}
+
+/**
+ * Tells whether a terrain card received from the peer is the one the local deck deals, so a peer
+ * playing another deck is caught at its first placement.
+ * @param {object} card - { top, right, bottom, left } as sent by the peer.
+ * @param {object} expected - The card of the local deck.
+ * @returns {boolean} True if every edge matches.
+ */
+export function isSameTerrainCard(card, expected) {
+    return !!card && !!expected && EDGES.every(edge => card[edge] === expected[edge]);
+}
@@ -0,0 +1,155 @@
+// Army presets, the checks on custom armies, and games played with them
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    TERRAIN_TYPES, STANDARD_ARMY, STANDARD_TERRAIN_DECK, getArmySize, getTotalPairsToPlace, getTerrainCard, fixedTerrainCards,
+    createInitialState, applyAction, resolveCombat, getHiddenUnitPool
+} from '../rules.js';
+import { ARMY_PRESETS, ARMY_LIMITS, validateArmy, normalizeArmy, parseArmy } from '../armies.js';
+import { createEdgeTerrain, createCard } from './helpers.js';
+
+const { PLAINS, FOREST, MOUNTAIN } = TERRAIN_TYPES;
+
+// A small custom army: a renamed command unit and a piercing unit
+const RAIDERS = {
+    name: 'Raiders',
+    units: {
+        'Flagship': { attack: 1, defense: 3, quantity: 1, canTraverse: [PLAINS], rules: ['command'] },
+        'Sniper': { attack: 3, defense: 1, quantity: 2, canTraverse: [PLAINS, FOREST], rules: ['piercing'] },
+        'Scout': { attack: 2, defense: 2, quantity: 2, canTraverse: [PLAINS, FOREST, MOUNTAIN] }
+    }
+};
+
+function withUnit(unitName, stats) {
+    return { ...RAIDERS, units: { ...RAIDERS.units, [unitName]: stats } };
+}
+
+// The unitData objects of an army, as the browser deals them
+function createArmyUnits(army) {
+    return Object.entries(army.units).flatMap(([unitName, stats]) =>
+        Array.from({ length: stats.quantity }, (_, i) => ({
+            unitName,
+            instance: i + 1,
+            stats: { attack: stats.attack, defense: stats.defense },
+            canTraverse: stats.canTraverse,
+            rules: stats.rules || []
+        })));
+}
+
+function createArmyTerrains(army) {
+    return Array.from({ length: getArmySize(army) }, (_, terrainIndex) => ({ terrainIndex, terrainData: getTerrainCard(STANDARD_TERRAIN_DECK, terrainIndex) }));
+}
+
+describe('army validation', () => {
+    test('accepts every preset', () => {
+        Object.values(ARMY_PRESETS).forEach(army => assert.equal(validateArmy(army), null, army.name));
+        assert.equal(getArmySize(STANDARD_ARMY), 8);
+        assert.equal(getTotalPairsToPlace(STANDARD_ARMY), 16);
+    });
+
+    test('accepts a custom army', () => {
+        assert.equal(validateArmy(RAIDERS), null);
+    });
+
+    test('needs exactly one command unit', () => {
+        const { Flagship, ...withoutCommand } = RAIDERS.units;
+        assert.match(validateArmy({ ...RAIDERS, units: withoutCommand }), /Exactly one unit type/);
+        assert.match(validateArmy(withUnit('Decoy', { ...Flagship })), /Exactly one unit type/);
+        assert.match(validateArmy(withUnit('Flagship', { ...Flagship, quantity: 2 })), /there can only be one/);
+    });
+
+    test('rejects unknown terrain types and rules', () => {
+        assert.match(validateArmy(withUnit('Scout', { ...RAIDERS.units.Scout, canTraverse: ['Swamp'] })), /must be able to cross/);
+        assert.match(validateArmy(withUnit('Scout', { ...RAIDERS.units.Scout, canTraverse: [] })), /must be able to cross/);
+        // Crossing rivers, bridges and hills is the same for every unit
+        assert.match(validateArmy(withUnit('Scout', { ...RAIDERS.units.Scout, canTraverse: [PLAINS, TERRAIN_TYPES.RIVER] })), /must be able to cross/);
+        assert.match(validateArmy(withUnit('Scout', { ...RAIDERS.units.Scout, rules: ['flying'] })), /unknown rule/);
+    });
+
+    test('rejects out-of-range stats and army sizes', () => {
+        assert.match(validateArmy(withUnit('Scout', { ...RAIDERS.units.Scout, attack: ARMY_LIMITS.maxStat + 1 })), /attack and a defense/);
+        assert.match(validateArmy(withUnit('Scout', { ...RAIDERS.units.Scout, defense: 1.5 })), /attack and a defense/);
+        assert.match(validateArmy(withUnit('Scout', { ...RAIDERS.units.Scout, quantity: 0 })), /quantity/);
+        assert.match(validateArmy(withUnit('Scout', { ...RAIDERS.units.Scout, quantity: ARMY_LIMITS.maxSize })), /to 12 units/);
+    });
+
+    test('rejects names that are not plain text', () => {
+        assert.match(validateArmy(withUnit('<img src=x>', RAIDERS.units.Scout)), /Invalid unit name/);
+        assert.match(validateArmy({ ...RAIDERS, name: '' }), /needs a name/);
+        assert.match(validateArmy({ name: 'Empty', units: {} }), /1 to 8 unit types/);
+        assert.equal(validateArmy(null), 'Missing army.');
+    });
+
+    test('parses a custom army, keeping only the fields the rules use', () => {
+        const army = parseArmy(JSON.stringify(withUnit('Tank', { attack: 4, defense: 4, quantity: 1, canTraverse: [PLAINS, PLAINS], extra: true })));
+        assert.deepEqual(army.units.Tank, { attack: 4, defense: 4, quantity: 1, canTraverse: [PLAINS], rules: [], safeName: 'tank' });
+        assert.equal(army.units.Scout.safeName, undefined); // Custom units have no card images
+        assert.throws(() => parseArmy('{ not json'), /not valid JSON/);
+        assert.throws(() => parseArmy(JSON.stringify({ ...RAIDERS, name: '' })), /needs a name/);
+    });
+
+    test('drops the card images of standard units whose stats changed', () => {
+        const army = normalizeArmy(withUnit('Tank', { attack: 6, defense: 4, quantity: 1, canTraverse: [PLAINS] }));
+        assert.equal(army.units.Tank.safeName, undefined);
+    });
+});
+
+describe('games with a custom army', () => {
+    test('placement lasts as many turns as both armies have units', () => {
+        const army = normalizeArmy(RAIDERS);
+        let state = createInitialState({
+            units: { 1: createArmyUnits(army), 2: createArmyUnits(army) },
+            terrains: { 1: createArmyTerrains(army), 2: createArmyTerrains(army) },
+            army
+        });
+        for (let column = 0; column < getArmySize(army); column++) {
+            [1, 2].forEach(owner => {
+                assert.equal(state.phase, 'PLACEMENT');
+                state = applyAction(state, {
+                    type: 'placement',
+                    owner,
+                    unitData: state.available.units[owner][0],
+                    terrainData: state.available.terrains[owner][0],
+                    gridX: 10 + column,
+                    gridY: owner === 1 ? 10 : 11
+                });
+            });
+        }
+        assert.equal(state.phase, 'GAMEPLAY');
+        assert.equal(state.board.length, getTotalPairsToPlace(army));
+        assert.deepEqual(getHiddenUnitPool(state, 2), { Flagship: 1, Sniper: 2, Scout: 2 });
+    });
+
+    test('deals the fixed terrain cards again to armies larger than the set', () => {
+        assert.equal(getTerrainCard(STANDARD_TERRAIN_DECK, fixedTerrainCards.length + 1), fixedTerrainCards[1]);
+        assert.equal(getTerrainCard(STANDARD_TERRAIN_DECK, -1), null);
+    });
+
+    test('piercing attackers ignore the Forest defense bonus', () => {
+        const [flagship, sniper, , scout] = createArmyUnits(RAIDERS);
+        const forestLeft = createEdgeTerrain({ left: FOREST });
+        const sniperCard = createCard(0, 1, sniper, createEdgeTerrain({}), 10, 10);
+        // A regular unit with the same attack, in the same spot
+        const scoutCard = createCard(1, 1, { ...scout, stats: { attack: 3, defense: 2 } }, createEdgeTerrain({}), 10, 10);
+        const defenderCard = createCard(2, 2, { ...scout, instance: 2 }, forestLeft, 11, 10);
+        const board = [sniperCard, defenderCard, createCard(3, 2, flagship, createEdgeTerrain({}), 12, 10)];
+
+        const piercing = resolveCombat(board, sniperCard, defenderCard);
+        assert.equal(piercing.terrainBonus, 0);
+        assert.equal(piercing.attackerWins, true); // 3 vs 2
+        const regular = resolveCombat(board, scoutCard, defenderCard);
+        assert.equal(regular.terrainBonus, 1);
+        assert.equal(regular.attackerWins, false); // 3 vs 2 + 1
+    });
+
+    test('capturing a renamed command unit wins the game', () => {
+        const [flagship, , , scout] = createArmyUnits(RAIDERS);
+        const attackerCard = createCard(0, 1, { ...scout, stats: { attack: 4, defense: 2 } }, createEdgeTerrain({}), 10, 10);
+        const flagshipCard = createCard(1, 2, flagship, createEdgeTerrain({}), 11, 10);
+        const board = [attackerCard, flagshipCard, createCard(2, 2, scout, createEdgeTerrain({}), 12, 10)];
+        const combat = resolveCombat(board, attackerCard, flagshipCard);
+        assert.equal(combat.gameOver, true);
+        assert.equal(combat.victoryType, 'command');
+        assert.equal(combat.winMessage, 'Player 1 wins by capturing the Flagship!');
+    });
+});
@@ -0,0 +1,225 @@
+// Adjacency and turn order of generateAutoPlacements
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    unitStats, STANDARD_ARMY, START_GRID_COORD, TERRAIN_TYPES, COMMAND_UNIT_NAME, getTotalPairsToPlace, getGridKey, createInitialState, applyAction
+} from '../rules.js';
+import {
+    AUTO_PLACEMENT_STRATEGIES, generateAutoPlacements, chooseAutoPlacement, assignAutoPlacementUnits,
+    validateAutoPlacements, validateAutoPlacementCommitments
+} from '../autoPlacement.js';
+import { createRandom } from '../random.js';
+import { createUnit, createTerrain, createEdgeTerrain, createCard } from './helpers.js';
+
+// Random placements are checked over many runs
+const RUNS = 200;
+const TOTAL_CARD_PAIRS_TO_PLACE = getTotalPairsToPlace(STANDARD_ARMY);
+
+function createArmy() {
+    return Object.keys(unitStats).flatMap(unitName =>
+        Array.from({ length: unitStats[unitName].quantity }, (_, i) => createUnit(unitName, i + 1)));
+}
+
+function createTerrains() {
+    return Array.from({ length: TOTAL_CARD_PAIRS_TO_PLACE / 2 }, (_, i) => createTerrain(i));
+}
+
+function generate(t, startingCardId = 0, strategies = undefined, random = undefined) {
+    t.mock.method(console, 'log', () => {}); // generateAutoPlacements logs its result
+    return generateAutoPlacements(createArmy(), createTerrains(), createArmy(), createTerrains(), startingCardId, strategies, random);
+}
+
+describe('generateAutoPlacements', () => {
+    test('places every pair, alternating players from Player 1', t => {
+        const placements = generate(t);
+        assert.equal(placements.length, TOTAL_CARD_PAIRS_TO_PLACE);
+        placements.forEach((placement, turn) => assert.equal(placement.owner, (turn % 2) + 1));
+    });
+
+    test('keeps each player\'s unit/terrain pairings in order', t => {
+        const placements = generate(t);
+        const army = createArmy();
+        const terrains = createTerrains();
+        [1, 2].forEach(owner => {
+            const own = placements.filter(placement => placement.owner === owner);
+            assert.deepEqual(own.map(placement => placement.unitData), army);
+            assert.deepEqual(own.map(placement => placement.terrainData), terrains);
+        });
+    });
+
+    test('numbers cards from the starting card ID', t => {
+        const placements = generate(t, 7);
+        assert.deepEqual(placements.map(placement => placement.cardId), Array.from({ length: TOTAL_CARD_PAIRS_TO_PLACE }, (_, i) => 7 + i));
+    });
+
+    test('starts on the start cell and places every later card next to an earlier one', t => {
+        for (let run = 0; run < RUNS; run++) {
+            const placements = generate(t);
+            assert.equal(getGridKey(placements[0].gridX, placements[0].gridY), getGridKey(START_GRID_COORD, START_GRID_COORD));
+            const placed = new Set();
+            placements.forEach(({ gridX, gridY }, turn) => {
+                const key = getGridKey(gridX, gridY);
+                assert.ok(!placed.has(key), `cell ${key} is used twice`);
+                if (turn > 0) {
+                    const neighbors = [getGridKey(gridX + 1, gridY), getGridKey(gridX - 1, gridY), getGridKey(gridX, gridY + 1), getGridKey(gridX, gridY - 1)];
+                    assert.ok(neighbors.some(neighbor => placed.has(neighbor)), `cell ${key} does not share a side with a placed card`);
+                }
+                placed.add(key);
+            });
+        }
+    });
+
+    test('produces placements the rules engine accepts, ending in the gameplay phase', t => {
+        for (let run = 0; run < RUNS; run++) {
+            const placements = generate(t);
+            let state = createInitialState({ units: { 1: createArmy(), 2: createArmy() }, terrains: { 1: createTerrains(), 2: createTerrains() } });
+            placements.forEach(placement => { state = applyAction(state, { ...placement, type: 'placement' }); });
+            assert.equal(state.phase, 'GAMEPLAY');
+            assert.equal(state.currentPlayer, 1);
+        }
+    });
+
+    test('alternates from Player 2 when it places first, as in a rematch', t => {
+        t.mock.method(console, 'log', () => {});
+        const placements = generateAutoPlacements(createArmy(), createTerrains(), createArmy(), createTerrains(), 0, undefined, undefined, 2);
+        placements.forEach((placement, turn) => assert.equal(placement.owner, turn % 2 === 0 ? 2 : 1));
+        let state = createInitialState({ units: { 1: createArmy(), 2: createArmy() }, terrains: { 1: createTerrains(), 2: createTerrains() }, firstPlayer: 2 });
+        assert.equal(state.currentPlayer, 2);
+        placements.forEach(placement => { state = applyAction(state, { ...placement, type: 'placement' }); });
+        assert.equal(state.phase, 'GAMEPLAY');
+        assert.equal(state.currentPlayer, 2); // And moves first
+    });
+
+    test('fails when a player runs out of pairs', t => {
+        t.mock.method(console, 'error', () => {});
+        const placements = generateAutoPlacements(createArmy().slice(0, 3), createTerrains().slice(0, 3), createArmy(), createTerrains(), 0);
+        assert.equal(placements, null);
+    });
+});
+
+describe('auto-placement strategies', () => {
+    const { PLAINS, FOREST, RIVER } = TERRAIN_TYPES;
+    const STRATEGY_RUNS = 20;
+
+    test('every strategy places each player\'s whole army where the rules allow', t => {
+        Object.keys(AUTO_PLACEMENT_STRATEGIES).forEach(strategy => {
+            for (let run = 0; run < STRATEGY_RUNS; run++) {
+                const placements = generate(t, 0, { 1: strategy, 2: 'random' });
+                let state = createInitialState({ units: { 1: createArmy(), 2: createArmy() }, terrains: { 1: createTerrains(), 2: createTerrains() } });
+                placements.forEach(placement => { state = applyAction(state, { ...placement, type: 'placement' }); });
+                assert.equal(state.phase, 'GAMEPLAY', strategy);
+            }
+        });
+    });
+
+    test('compact front keeps each player in its own half', t => {
+        for (let run = 0; run < STRATEGY_RUNS; run++) {
+            const placements = generate(t, 0, { 1: 'compact', 2: 'compact' });
+            placements.forEach(({ owner, gridY }) => assert.ok(owner === 1 ? gridY <= START_GRID_COORD : gridY > START_GRID_COORD));
+        }
+    });
+
+    test('defensive puts the command unit behind forest edges, after the other units', () => {
+        const command = createUnit(COMMAND_UNIT_NAME);
+        const infantry = createUnit('Infantry');
+        const open = createEdgeTerrain({});
+        const forest = createEdgeTerrain({ top: FOREST, right: FOREST, bottom: FOREST, left: FOREST });
+        const board = [createCard(0, 1, infantry, open, 10, 10)];
+
+        const first = chooseAutoPlacement(board, 1, [command, infantry], [open, forest], 'defensive');
+        assert.equal(first.unitData, infantry);
+        const last = chooseAutoPlacement(board, 1, [command], [open, forest], 'defensive');
+        assert.equal(last.terrainData, forest);
+    });
+
+    test('aggressive pushes strong attackers next to the enemy, on open edges', () => {
+        const tank = createUnit('Tank');
+        const riverRight = createEdgeTerrain({ top: FOREST, right: RIVER, bottom: FOREST, left: FOREST });
+        const plainsRight = createEdgeTerrain({ top: FOREST, right: PLAINS, bottom: FOREST, left: FOREST });
+        // Player 1 at 10,10, an enemy at 12,10: the spot between them faces it through its right edge
+        const board = [createCard(0, 1, createUnit('Infantry'), createEdgeTerrain({}), 10, 10), createCard(1, 2, null, createEdgeTerrain({}), 12, 10)];
+        const placement = chooseAutoPlacement(board, 1, [createUnit('Infantry', 2), tank], [riverRight, plainsRight], 'aggressive');
+        assert.equal(placement.unitData, tank);
+        assert.deepEqual([placement.gridX, placement.gridY, placement.terrainData], [11, 10, plainsRight]);
+    });
+
+    test('units filled into slots chosen elsewhere follow the strategy', () => {
+        const command = createUnit(COMMAND_UNIT_NAME);
+        const infantry = createUnit('Infantry');
+        const forest = createEdgeTerrain({ top: FOREST, right: FOREST, bottom: FOREST, left: FOREST });
+        const open = createEdgeTerrain({});
+        const slots = [
+            { owner: 2, terrainData: open, gridX: 10, gridY: 11, cardId: 1 },
+            { owner: 2, terrainData: forest, gridX: 11, gridY: 11, cardId: 2 }
+        ];
+        const board = [{ owner: 1, gridX: 10, gridY: 10 }, ...slots];
+        const filled = assignAutoPlacementUnits(board, slots, [command, infantry], 'defensive');
+        assert.deepEqual(filled.map(slot => slot.unitData), [infantry, command]);
+        assert.deepEqual(filled.map(slot => slot.cardId), [1, 2]);
+    });
+    test('the same seed places the same cards on the same spots', t => {
+        Object.keys(AUTO_PLACEMENT_STRATEGIES).forEach(strategy => {
+            const strategies = { 1: strategy, 2: strategy };
+            const first = generate(t, 0, strategies, createRandom('tournament-1'));
+            assert.deepEqual(generate(t, 0, strategies, createRandom('tournament-1')), first, strategy);
+        });
+        const spots = placements => placements.map(placement => getGridKey(placement.gridX, placement.gridY));
+        assert.notDeepEqual(spots(generate(t, 0, undefined, createRandom('a'))), spots(generate(t, 0, undefined, createRandom('b'))));
+    });
+});
+
+describe('checking a received auto-placement', () => {
+    // What the Host sends online: its own units replaced by commitments, Player 2's slots empty
+    function generatePublic(t) {
+        t.mock.method(console, 'log', () => {});
+        const placements = generateAutoPlacements(createArmy(), createTerrains(), createArmy().map(() => null), createTerrains(), 0);
+        return placements.map(({ unitData, ...placement }) => (placement.owner === 1 ? { ...placement, commitment: `c${placement.cardId}` } : placement));
+    }
+
+    const state = () => createInitialState({ units: {}, terrains: {} });
+
+    test('accepts the Host\'s auto-placement', t => {
+        assert.equal(validateAutoPlacements(state(), generatePublic(t), 1), null);
+    });
+
+    test('rejects spots, turns, terrains and card IDs the rules do not allow', t => {
+        const corrupt = (i, change) => {
+            const actions = generatePublic(t);
+            actions[i] = { ...actions[i], ...change };
+            return validateAutoPlacements(state(), actions, 1);
+        };
+        assert.match(corrupt(1, { gridX: 0, gridY: 0 }), /^Auto-placement 2: Invalid placement spot/);
+        assert.match(corrupt(0, { owner: 2, commitment: undefined }), /^Auto-placement 1: It is Player 1's turn/);
+        assert.match(corrupt(4, { cardId: 40 }), /Unexpected card ID/);
+        const reusedTerrain = generatePublic(t)[0].terrainData; // Player 1's first terrain, placed again
+        assert.match(corrupt(2, { terrainData: reusedTerrain }), /^Auto-placement 3: Terrain is not available/);
+        assert.match(corrupt(3, { terrainData: { terrainIndex: 1, terrainData: createTerrain(2).terrainData } }), /not a card of the terrain deck/);
+        assert.match(corrupt(0, { commitment: undefined }), /must carry a commitment/);
+        assert.match(corrupt(1, { unitData: createUnit('Tank') }), /must not carry the unit/);
+    });
+
+    test('rejects a partial auto-placement, or one on a started board', t => {
+        assert.match(validateAutoPlacements(state(), generatePublic(t).slice(1), 1), /^Expected \d+ auto-placements/);
+        const actions = generatePublic(t);
+        const started = { ...state(), board: [createCard(0, 1, createUnit('Tank'), createTerrain(0), START_GRID_COORD, START_GRID_COORD, true)], placedCount: 1, nextCardId: 1, currentPlayer: 2 };
+        assert.match(validateAutoPlacements(started, actions, 1), /empty board/);
+        assert.match(validateAutoPlacements({ ...state(), phase: 'GAMEPLAY' }, actions, 1), /placement phase/);
+    });
+
+    test('expects one commitment for each of the peer\'s cards still waiting for one', () => {
+        const board = [
+            { id: 0, owner: 1, commitment: 'a' },
+            { id: 1, owner: 2, commitment: null },
+            { id: 2, owner: 2, commitment: null }
+        ];
+        const commitments = [{ cardId: 1, commitment: 'b' }, { cardId: 2, commitment: 'c' }];
+        assert.equal(validateAutoPlacementCommitments(board, 2, commitments), null);
+        assert.match(validateAutoPlacementCommitments(board, 2, commitments.slice(1)), /Expected 2 commitments/);
+        assert.match(validateAutoPlacementCommitments(board, 2, [commitments[0], commitments[0]]), /No commitment is expected for card 1/);
+        assert.match(validateAutoPlacementCommitments(board, 2, [commitments[0], { cardId: 0, commitment: 'x' }]), /card 0/);
+        assert.match(validateAutoPlacementCommitments(board, 2, [commitments[0], { cardId: 2, commitment: '' }]), /Missing commitment for card 2/);
+        // Once they are known, commitments cannot be replaced
+        const committed = board.map(card => ({ ...card, commitment: card.commitment || 'known' }));
+        assert.match(validateAutoPlacementCommitments(committed, 2, commitments), /No placement is waiting/);
+    });
+});
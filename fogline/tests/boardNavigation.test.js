@@ -0,0 +1,49 @@
+// Keyboard navigation across the sparse board, and the labels screen readers read for each cell
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { UNKNOWN_UNIT } from '../rules.js';
+import { ARROW_KEY_DIRECTIONS, findCellInDirection, describeEdges, describeCell } from '../boardNavigation.js';
+import { createUnit, createEdgeTerrain, createCard } from './helpers.js';
+
+const cell = (gridX, gridY) => ({ gridX, gridY });
+
+describe('arrow key navigation', () => {
+    // . A . .
+    // B X . C
+    // . . . D
+    const cells = { X: cell(11, 11), A: cell(11, 10), B: cell(10, 11), C: cell(13, 11), D: cell(13, 12) };
+    const all = Object.values(cells);
+
+    test('moves to the neighbor, or the nearest cell ahead in the same row or column', () => {
+        assert.equal(findCellInDirection(all, cells.X, ARROW_KEY_DIRECTIONS.ArrowUp), cells.A);
+        assert.equal(findCellInDirection(all, cells.X, ARROW_KEY_DIRECTIONS.ArrowLeft), cells.B);
+        assert.equal(findCellInDirection(all, cells.X, ARROW_KEY_DIRECTIONS.ArrowRight), cells.C); // Over the gap
+    });
+
+    test('falls back to the closest cell off to the side, and stops at the edge of the board', () => {
+        assert.equal(findCellInDirection(all, cells.X, ARROW_KEY_DIRECTIONS.ArrowDown), cells.D);
+        assert.equal(findCellInDirection(all, cells.A, ARROW_KEY_DIRECTIONS.ArrowUp), null);
+        assert.equal(findCellInDirection(all, cells.C, ARROW_KEY_DIRECTIONS.ArrowRight), null);
+    });
+});
+
+describe('cell labels', () => {
+    const terrain = createEdgeTerrain({ top: 'Forest', right: 'River' });
+
+    test('name all four edges', () => {
+        assert.equal(describeEdges(terrain.terrainData), 'Edges: top Forest, right River, bottom Plains, left Plains.');
+    });
+
+    test('announce the owner, the unit and whether it is revealed', () => {
+        const tank = createCard(0, 1, createUnit('Tank'), terrain, 10, 11);
+        assert.equal(describeCell(tank), '(10, 11): Player 1 Tank (attack 4, defense 4), revealed. Edges: top Forest, right River, bottom Plains, left Plains.');
+        assert.match(describeCell(createCard(1, null, null, terrain, 12, 11)), /^\(12, 11\): empty\. Edges:/);
+    });
+
+    test('only name a face-down unit to a viewer allowed to know it', () => {
+        const faceDown = createCard(0, 2, createUnit('Artillery'), terrain, 10, 11, true);
+        assert.match(describeCell(faceDown), /^\(10, 11\): Player 2 unit, face-down\./);
+        assert.match(describeCell(faceDown, card => card.owner === 2), /Player 2 Artillery \(attack 5, defense 1\), face-down\./);
+        assert.match(describeCell(createCard(0, 2, UNKNOWN_UNIT, terrain, 10, 11, true), () => true), /Player 2 unit, face-down\./);
+    });
+});
@@ -0,0 +1,45 @@
+// Pan and zoom over the board: the views that drags, pinches and fitting produce
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_VIEW, ZOOM_LIMITS, VIEW_MARGIN_PX, panView, zoomAt, pinchView, fitView, panToShow } from '../boardViewport.js';
+
+const VIEWPORT = { width: 400, height: 600 };
+
+describe('pan and zoom', () => {
+    test('a drag moves the board with the finger', () => {
+        assert.deepEqual(panView({ x: 10, y: 20, scale: 2 }, 5, -30), { x: 15, y: -10, scale: 2 });
+    });
+
+    test('zooming keeps the point under the finger in place, within the zoom limits', () => {
+        const view = zoomAt(DEFAULT_VIEW, 2, { x: 100, y: 50 });
+        assert.deepEqual(view, { x: -100, y: -50, scale: 2 }); // Board point (100, 50) still shows at (100, 50)
+        assert.equal(zoomAt(view, 100, { x: 0, y: 0 }).scale, ZOOM_LIMITS.max);
+        assert.equal(zoomAt(view, 0, { x: 0, y: 0 }).scale, ZOOM_LIMITS.min);
+    });
+
+    test('a pinch zooms with the spread of the fingers and follows the point between them', () => {
+        const start = [{ x: 100, y: 100 }, { x: 200, y: 100 }];
+        assert.deepEqual(pinchView(DEFAULT_VIEW, start, [{ x: 50, y: 100 }, { x: 250, y: 100 }]), { x: -150, y: -100, scale: 2 });
+        assert.deepEqual(pinchView(DEFAULT_VIEW, start, [{ x: 110, y: 120 }, { x: 210, y: 120 }]), { x: 10, y: 20, scale: 1 });
+    });
+});
+
+describe('fitting the board', () => {
+    test('shrinks a board too big for the viewport, and centers it', () => {
+        const view = fitView({ width: 800, height: 300 }, VIEWPORT);
+        assert.equal(view.scale, (VIEWPORT.width - 2 * VIEW_MARGIN_PX) / 800);
+        assert.equal(view.x, VIEW_MARGIN_PX);
+        assert.equal(view.y, (VIEWPORT.height - 300 * view.scale) / 2);
+    });
+
+    test('leaves a board that fits at its size', () => {
+        assert.deepEqual(fitView({ width: 200, height: 100 }, VIEWPORT), { x: 100, y: 250, scale: 1 });
+    });
+
+    test('pans a focused cell into view, and only when it is out of view', () => {
+        const view = { x: 0, y: 0, scale: 1 };
+        assert.equal(panToShow(view, { left: 50, top: 50, width: 94, height: 131 }, VIEWPORT), view);
+        assert.deepEqual(panToShow(view, { left: 380, top: -40, width: 94, height: 131 }, VIEWPORT),
+            { x: VIEWPORT.width - VIEW_MARGIN_PX - 474, y: VIEW_MARGIN_PX + 40, scale: 1 });
+    });
+});
@@ -0,0 +1,114 @@
+// Taking back turns from a game record
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyAction, resolveCombat, findCardAt } from '../rules.js';
+import { createGameRecord, buildReplaySteps, takeBackLastTurn, getRequestedTakeback } from '../gameRecord.js';
+import { createUnit, createTerrain, describeRow } from './helpers.js';
+
+// [unitName, instance, terrainIndex] per column, from column 10 (the attrition game of scenarios.test.js)
+const ROWS = {
+    1: [['Infantry', 1, 2], ['Tank', 1, 0], ['Tank', 2, 6], ['Mobile Command', 1, 3], ['Infantry', 2, 1], ['Infantry', 3, 4], ['Artillery', 1, 5], ['Special Ops', 1, 7]],
+    2: [['Infantry', 1, 6], ['Tank', 1, 1], ['Special Ops', 1, 2], ['Mobile Command', 1, 3], ['Infantry', 2, 4], ['Artillery', 1, 5], ['Tank', 2, 0], ['Infantry', 3, 7]]
+};
+
+const OPENING = [
+    [15, 10, 15, 11], // P1 Infantry #3 attacks the Artillery and wins
+    [10, 11, 10, 10], // P2 Infantry #1 attacks and loses
+    [14, 10, 15, 10]  // P1 Infantry #2 moves right
+];
+
+// Records the placements on two facing rows, then each turn as the browser records it
+function recordGame(turns) {
+    const record = createGameRecord();
+    record.actions.push({ type: 'setup', matchId: 'test', mode: 'hotseat', recordedBy: 1 });
+    ROWS[1].forEach((entry, column) => {
+        [[1, entry, 10], [2, ROWS[2][column], 11]].forEach(([owner, [unitName, instance, terrainIndex], gridY]) => {
+            record.actions.push({
+                type: 'placement', owner, unitData: createUnit(unitName, instance), terrainData: createTerrain(terrainIndex),
+                gridX: 10 + column, gridY, cardId: record.actions.length - 1
+            });
+        });
+    });
+    const states = [];
+    let state = null;
+    turns.forEach(([fromX, fromY, toX, toY]) => {
+        state = state || replay(record);
+        const attackerCard = findCardAt(state, fromX, fromY);
+        const targetCard = findCardAt(state, toX, toY);
+        if (targetCard.unitData) {
+            const { winnerCardId, loserCardId, attackerMoved, gameOver } = resolveCombat(state.board, attackerCard, targetCard);
+            record.actions.push({ type: 'attackResult', winnerCardId, loserCardId, attackerMoved, gameOver, winMessage: '' });
+            state = applyAction(state, { type: 'attack', attackerCardId: attackerCard.id, targetCardId: targetCard.id });
+        } else {
+            record.actions.push({ type: 'move', attackerCardId: attackerCard.id, targetCardId: targetCard.id });
+            state = applyAction(state, { type: 'move', attackerCardId: attackerCard.id, targetCardId: targetCard.id });
+        }
+        states.push(state);
+    });
+    return { record, states };
+}
+
+function replay(record) {
+    return buildReplaySteps(record).at(-1).state;
+}
+
+describe('taking back a turn', () => {
+    test('takes back the last turn when the player just played it', () => {
+        const { record, states } = recordGame(OPENING);
+        const takeback = takeBackLastTurn(record, 1);
+        assert.equal(takeback.turnNumber, 16 + 3);
+        assert.equal(takeback.turnsUndone, 1);
+        assert.equal(takeback.state.currentPlayer, 1);
+        assert.deepEqual(describeRow(takeback.state, 10), describeRow(states[1], 10));
+        assert.equal(takeback.record.actions.length, record.actions.length - 1);
+        assert.equal(record.actions.at(-1).type, 'move'); // The record itself is left untouched
+    });
+
+    test('takes back the turns played since, and restores defeated units', () => {
+        const { record, states } = recordGame(OPENING);
+        const takeback = takeBackLastTurn(record, 2);
+        assert.equal(takeback.turnNumber, 16 + 2);
+        assert.equal(takeback.turnsUndone, 2);
+        assert.equal(takeback.state.currentPlayer, 2);
+        assert.deepEqual(takeback.state.defeatedUnits, states[0].defeatedUnits);
+        assert.deepEqual(describeRow(takeback.state, 11), describeRow(states[0], 11));
+    });
+
+    test('keeps the reveals recorded since: a card once shown stays known', () => {
+        const { record } = recordGame(OPENING);
+        const hiddenCard = findCardAt(replay(record), 17, 11);
+        record.actions.push({ type: 'reveal', cardId: hiddenCard.id });
+        const takeback = takeBackLastTurn(record, 1);
+        assert.equal(takeback.record.actions.at(-1).type, 'reveal');
+        assert.equal(findCardAt(takeback.state, 17, 11).hidden, false);
+        assert.equal(findCardAt(takeback.state, 15, 10).unitData, null); // The move is still taken back
+    });
+
+    test('takes back placements too, and nothing before a player has played', () => {
+        const { record } = recordGame([]);
+        const takeback = takeBackLastTurn(record, 2);
+        assert.equal(takeback.state.phase, 'PLACEMENT');
+        assert.equal(takeback.state.nextCardId, 15);
+        assert.equal(takeBackLastTurn({ ...record, actions: record.actions.slice(0, 2) }, 2), null);
+    });
+});
+
+describe('answering a takeback request', () => {
+    test('offers the turn the requester just played', () => {
+        const { record } = recordGame(OPENING.slice(0, 2)); // Player 2 asks right after its attack, turn 18
+        assert.equal(getRequestedTakeback(record, 2, 16 + 2).turnNumber, 16 + 2);
+    });
+
+    test('declines a request crossed by a move played meanwhile', () => {
+        // Player 2 asks for turn 18 while Player 1 plays turn 19; the request arrives after the move
+        const { record } = recordGame(OPENING);
+        assert.equal(getRequestedTakeback(record, 2, 16 + 2), null);
+    });
+
+    test('declines any request in strict mode, and requests for another turn', () => {
+        const { record } = recordGame(OPENING.slice(0, 2));
+        assert.equal(getRequestedTakeback(record, 2, 16 + 2, true), null);
+        assert.equal(getRequestedTakeback(record, 2, 16 + 1), null);
+        assert.equal(getRequestedTakeback(record, 1, 16 + 1), null); // Player 2 played since
+    });
+});
@@ -0,0 +1,76 @@
+// --- Test Helpers ---
+// Builds unit, terrain and card objects shaped like the ones the browser client creates,
+// without image paths (the rules engine never reads them).
+import { unitStats, fixedTerrainCards, TERRAIN_TYPES, createInitialState, applyAction, findCardAt } from '../rules.js';
+
+export function createUnit(unitName, instance = 1) {
+    const stats = unitStats[unitName];
+    return {
+        unitName,
+        instance,
+        stats: { attack: stats.attack, defense: stats.defense },
+        canTraverse: stats.canTraverse,
+        rules: stats.rules
+    };
+}
+
+// A fixed terrain card, by its index in fixedTerrainCards
+export function createTerrain(terrainIndex) {
+    return { terrainIndex, terrainData: fixedTerrainCards[terrainIndex] };
+}
+
+// A custom terrain card with the given edges; missing edges are Plains
+export function createEdgeTerrain(edges) {
+    const { PLAINS } = TERRAIN_TYPES;
+    return { terrainIndex: null, terrainData: { top: PLAINS, right: PLAINS, bottom: PLAINS, left: PLAINS, ...edges } };
+}
+
+export function createCard(id, owner, unitData, terrainData, gridX, gridY, hidden = false) {
+    return { id, owner, unitData, terrainData, hidden, gridX, gridY };
+}
+
+/**
+ * Plays a placement phase on two facing rows: Player 1 on row 10 and Player 2 on row 11,
+ * from column 10 rightwards, alternating players column by column.
+ * @param {{ 1: Array, 2: Array }} rows - Per player, 8 [unitName, instance, terrainIndex] entries.
+ * @returns {object} The game state at the start of gameplay.
+ */
+export function placeFacingRows(rows) {
+    const toUnit = ([unitName, instance]) => createUnit(unitName, instance);
+    const toTerrain = ([, , terrainIndex]) => createTerrain(terrainIndex);
+    let state = createInitialState({
+        units: { 1: rows[1].map(toUnit), 2: rows[2].map(toUnit) },
+        terrains: { 1: rows[1].map(toTerrain), 2: rows[2].map(toTerrain) }
+    });
+    rows[1].forEach((entry, column) => {
+        [[1, entry, 10], [2, rows[2][column], 11]].forEach(([owner, placed, gridY]) => {
+            state = applyAction(state, {
+                type: 'placement', owner, unitData: toUnit(placed), terrainData: toTerrain(placed), gridX: 10 + column, gridY
+            });
+        });
+    });
+    return state;
+}
+
+/**
+ * Plays moves and attacks given as grid coordinates; an occupied target is attacked.
+ * @param {object} state - A gameplay state.
+ * @param {Array<[number, number, number, number]>} script - [fromX, fromY, toX, toY] per turn.
+ * @returns {object} The resulting state.
+ */
+export function playTurns(state, script) {
+    return script.reduce((current, [fromX, fromY, toX, toY]) => {
+        const attackerCard = findCardAt(current, fromX, fromY);
+        const targetCard = findCardAt(current, toX, toY);
+        const type = targetCard.unitData ? 'attack' : 'move';
+        return applyAction(current, { type, attackerCardId: attackerCard.id, targetCardId: targetCard.id });
+    }, state);
+}
+
+// "owner:unitName#instance" for each cell of a row, or null for an empty tile
+export function describeRow(state, gridY) {
+    return state.board
+        .filter(card => card.gridY === gridY)
+        .sort((a, b) => a.gridX - b.gridX)
+        .map(card => (card.unitData ? `${card.owner}:${card.unitData.unitName}#${card.unitData.instance}` : null));
+}
@@ -0,0 +1,98 @@
+// Match history: the entries kept when a match ends, the checks on an imported history, and the statistics
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MATCH_HISTORY_FORMAT, MATCH_HISTORY_VERSION, createHistoryEntry, validateHistoryEntry,
+    exportMatchHistory, parseMatchHistory, computeStats
+} from '../matchHistory.js';
+import { createUnit } from './helpers.js';
+
+function createEntry({ matchId = 'match-1', players = { 1: 'Alice', 2: 'Bob' }, winner = 1, victoryType = 'command', minutes = 10,
+    turnCount = 20, defeatedUnits = [] } = {}) {
+    return createHistoryEntry({
+        matchId,
+        startedAt: '2026-01-01T10:00:00.000Z',
+        endedAt: new Date(Date.parse('2026-01-01T10:00:00.000Z') + minutes * 60000).toISOString(),
+        gameMode: 'online',
+        localPlayerRole: 1,
+        players,
+        winner,
+        victoryType,
+        turnCount,
+        defeatedUnits: defeatedUnits.map(([owner, unitName]) => ({ owner, unitData: createUnit(unitName) }))
+    });
+}
+
+describe('history entries', () => {
+    test('summarizes a finished match', () => {
+        const entry = createEntry({ defeatedUnits: [[2, 'Tank'], [1, 'Infantry']] });
+        assert.equal(entry.id, 'match-1');
+        assert.equal(entry.durationMs, 10 * 60000);
+        assert.equal(entry.opponentName, 'Bob');
+        assert.deepEqual(entry.defeatedUnits, [{ owner: 2, unitName: 'Tank' }, { owner: 1, unitName: 'Infantry' }]);
+        assert.equal(validateHistoryEntry(entry), null);
+    });
+
+    test('a missing victory type is kept as unknown', () => {
+        assert.equal(createEntry({ victoryType: null }).victoryType, null);
+    });
+
+    test('rejects malformed entries', () => {
+        const entry = createEntry();
+        assert.equal(validateHistoryEntry(null), 'Missing match.');
+        assert.equal(validateHistoryEntry({ ...entry, id: '' }), 'Missing match ID.');
+        assert.equal(validateHistoryEntry({ ...entry, endedAt: 'yesterday' }), 'Invalid match dates.');
+        assert.equal(validateHistoryEntry({ ...entry, gameMode: 'tournament' }), 'Unknown game mode.');
+        assert.equal(validateHistoryEntry({ ...entry, winner: 3 }), 'Invalid players.');
+        assert.equal(validateHistoryEntry({ ...entry, players: { 1: 'Alice' } }), 'Missing player names.');
+        assert.equal(validateHistoryEntry({ ...entry, turnCount: -1 }), 'Invalid match length.');
+        assert.equal(validateHistoryEntry({ ...entry, defeatedUnits: [{ owner: 1 }] }), 'Invalid defeated units.');
+    });
+});
+
+describe('history files', () => {
+    test('an exported history imports back unchanged', () => {
+        const entries = [createEntry(), createEntry({ matchId: 'match-2', winner: 2 })];
+        const history = exportMatchHistory(entries, '2026-02-01T00:00:00.000Z');
+        assert.equal(history.format, MATCH_HISTORY_FORMAT);
+        assert.equal(history.version, MATCH_HISTORY_VERSION);
+        assert.deepEqual(parseMatchHistory(JSON.stringify(history)), entries);
+    });
+
+    test('rejects files that are not a valid history', () => {
+        assert.throws(() => parseMatchHistory('{'), /not valid JSON/);
+        assert.throws(() => parseMatchHistory(JSON.stringify({ format: 'fogline-game-record' })), /not a Fogline match history/);
+        assert.throws(() => parseMatchHistory(JSON.stringify({ ...exportMatchHistory([]), version: 99 })), /Unsupported match history version 99/);
+        const broken = exportMatchHistory([createEntry(), { ...createEntry(), gameMode: 'tournament' }]);
+        assert.throws(() => parseMatchHistory(JSON.stringify(broken)), /Match 2: Unknown game mode\./);
+    });
+});
+
+describe('statistics', () => {
+    test('an empty history has no games', () => {
+        assert.deepEqual(computeStats([]), {
+            games: 0, averageDurationMs: 0, averageTurns: 0, victoryTypes: [], players: [], unitLosses: []
+        });
+    });
+
+    test('computes win rates, averages and the units lost most often', () => {
+        const stats = computeStats([
+            createEntry({ matchId: 'a', winner: 1, minutes: 10, turnCount: 20, defeatedUnits: [[2, 'Tank'], [2, 'Tank'], [1, 'Infantry']] }),
+            createEntry({ matchId: 'b', winner: 2, victoryType: 'time', minutes: 20, turnCount: 30, defeatedUnits: [[1, 'Infantry']] }),
+            createEntry({ matchId: 'c', players: { 1: 'Alice', 2: 'Carol' }, winner: 1, victoryType: null, minutes: 30, turnCount: 40 })
+        ]);
+        assert.equal(stats.games, 3);
+        assert.equal(stats.averageDurationMs, 20 * 60000);
+        assert.equal(stats.averageTurns, 30);
+        assert.deepEqual(stats.victoryTypes, [
+            { victoryType: 'command', count: 1 }, { victoryType: 'time', count: 1 }, { victoryType: 'unknown', count: 1 }
+        ]);
+        assert.deepEqual(stats.players.map(({ name, games, wins }) => ({ name, games, wins })), [
+            { name: 'Alice', games: 3, wins: 2 }, { name: 'Bob', games: 2, wins: 1 }, { name: 'Carol', games: 1, wins: 0 }
+        ]);
+        assert.equal(stats.players[1].winRate, 0.5);
+        assert.deepEqual(stats.players[0].unitLosses, [{ unitName: 'Infantry', count: 2 }]);
+        assert.deepEqual(stats.players[1].unitLosses, [{ unitName: 'Tank', count: 2 }]);
+        assert.deepEqual(stats.unitLosses, [{ unitName: 'Infantry', count: 2 }, { unitName: 'Tank', count: 2 }]);
+    });
+});
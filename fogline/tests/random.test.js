@@ -0,0 +1,45 @@
+// The seeded source of randomness behind dealing and auto-placement, and the checks on seeds
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SEED_LIMITS, createSeed, validateSeed, createRandom, shuffle } from '../random.js';
+
+function draw(random, count) {
+    return Array.from({ length: count }, () => random());
+}
+
+describe('seeds', () => {
+    test('accepts fresh and typed seeds', () => {
+        assert.equal(validateSeed(createSeed()), null);
+        assert.equal(validateSeed('cup-final_2'), null);
+        assert.notEqual(createSeed(), createSeed());
+    });
+
+    test('rejects empty, oversized and non-text seeds', () => {
+        assert.match(validateSeed(''), /1 to 32 letters/);
+        assert.match(validateSeed('x'.repeat(SEED_LIMITS.maxLength + 1)), /1 to 32 letters/);
+        assert.match(validateSeed('<b>seed</b>'), /1 to 32 letters/);
+        assert.match(validateSeed(42), /1 to 32 letters/);
+    });
+});
+
+describe('createRandom', () => {
+    test('the same seed gives the same sequence, in [0, 1)', () => {
+        const sequence = draw(createRandom('opening'), 100);
+        assert.deepEqual(draw(createRandom('opening'), 100), sequence);
+        sequence.forEach(value => assert.ok(value >= 0 && value < 1, String(value)));
+    });
+
+    test('similar seeds give unrelated sequences', () => {
+        assert.notDeepEqual(draw(createRandom('opening/1/units'), 10), draw(createRandom('opening/2/units'), 10));
+    });
+});
+
+describe('shuffle', () => {
+    test('deals a seeded permutation and leaves the input untouched', () => {
+        const cards = Array.from({ length: 16 }, (_, i) => i);
+        const shuffled = shuffle(cards, createRandom('deal'));
+        assert.deepEqual([...shuffled].sort((a, b) => a - b), cards);
+        assert.deepEqual(shuffle(cards, createRandom('deal')), shuffled);
+        assert.deepEqual(cards, Array.from({ length: 16 }, (_, i) => i));
+    });
+});
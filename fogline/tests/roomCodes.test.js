@@ -0,0 +1,71 @@
+// Room codes: the short codes players share, the peer IDs they map to, and invite links
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ROOM_CODE_ALPHABET, ROOM_CODE_LENGTH, createRoomCode, parseRoomCode, formatRoomCode,
+    roomCodeToPeerId, peerIdToRoomCode, describePeerId, resolvePeerId, createInviteUrl
+} from '../roomCodes.js';
+
+describe('room codes', () => {
+    test('new codes use the unambiguous alphabet', () => {
+        for (let i = 0; i < 20; i++) {
+            const code = createRoomCode();
+            assert.equal(code.length, ROOM_CODE_LENGTH);
+            assert.ok([...code].every(char => ROOM_CODE_ALPHABET.includes(char)), code);
+            assert.equal(parseRoomCode(code), code);
+        }
+    });
+
+    test('bytes that would favour the first characters are drawn again', () => {
+        const draws = [[255, 232, 0, 1, 2, 3], [231, 4, 0, 0, 0, 0]];
+        mock.method(globalThis.crypto, 'getRandomValues', array => {
+            array.set(draws.shift());
+            return array;
+        });
+        try {
+            // 232 and above are skipped; 231 is the last byte of the 8 whole rounds of the 29 characters
+            assert.equal(createRoomCode(), ROOM_CODE_ALPHABET.slice(0, 4) + ROOM_CODE_ALPHABET[231 % 29] + ROOM_CODE_ALPHABET[4]);
+        } finally {
+            mock.restoreAll();
+        }
+    });
+
+    test('codes are read in any case, with or without the dash', () => {
+        assert.equal(formatRoomCode('K7PM3Q'), 'K7P-M3Q');
+        assert.equal(parseRoomCode('k7p-m3q'), 'K7PM3Q');
+        assert.equal(parseRoomCode(' K7P M3Q '), 'K7PM3Q');
+        assert.equal(parseRoomCode('K7PM3'), null); // Too short
+        assert.equal(parseRoomCode('K7PM3O'), null); // O is not in the alphabet
+        assert.equal(parseRoomCode(undefined), null);
+    });
+
+    test('a code maps to a peer ID and back', () => {
+        const peerId = roomCodeToPeerId('K7PM3Q');
+        assert.equal(peerId, 'fogline-k7pm3q');
+        assert.equal(peerIdToRoomCode(peerId), 'K7PM3Q');
+        assert.equal(describePeerId(peerId), 'K7P-M3Q');
+        assert.equal(peerIdToRoomCode('b7h9k2m4p6r8'), null); // A peer ID of an earlier version
+        assert.equal(describePeerId('b7h9k2m4p6r8'), 'b7h9k2m4p6r8');
+    });
+});
+
+describe('joining', () => {
+    test('finds the peer from a code, an invite or spectator link, or a raw peer ID', () => {
+        assert.equal(resolvePeerId('k7p-m3q'), 'fogline-k7pm3q');
+        assert.equal(resolvePeerId('https://example.com/fogline/?join=K7P-M3Q'), 'fogline-k7pm3q');
+        assert.equal(resolvePeerId('https://example.com/fogline/spectate.html?watch=K7P-M3Q'), 'fogline-k7pm3q');
+        assert.equal(resolvePeerId('b7h9k2m4p6r8'), 'b7h9k2m4p6r8');
+        assert.equal(resolvePeerId('  '), null);
+        assert.equal(resolvePeerId('https://example.com/fogline/'), null);
+    });
+
+    test('an invite link keeps the page and its other parameters', () => {
+        const inviteUrl = createInviteUrl('https://example.com/fogline/?peerServer=https%3A%2F%2Fpeers.example.com#board', 'K7PM3Q');
+        const url = new URL(inviteUrl);
+        assert.equal(url.pathname, '/fogline/');
+        assert.equal(url.searchParams.get('join'), 'K7P-M3Q');
+        assert.equal(url.searchParams.get('peerServer'), 'https://peers.example.com');
+        assert.equal(url.hash, '');
+        assert.equal(resolvePeerId(inviteUrl), 'fogline-k7pm3q');
+    });
+});
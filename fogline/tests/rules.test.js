@@ -0,0 +1,366 @@
+// Movement, combat and victory rules of rules.js (resolveAttackLocally in script.js delegates to resolveCombat)
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    unitStats, STANDARD_ARMY, TERRAIN_TYPES, UNIT_TERRAIN_TYPES, COMMAND_UNIT_NAME, UNKNOWN_UNIT,
+    classifyTarget, resolveCombat, checkVictoryAfterLoss, applyAction, winner, forecastAttack, deduceHiddenUnits,
+    createInitialState, validateAttackResult, validateAttackAnswer
+} from '../rules.js';
+import { createUnit, createEdgeTerrain, createCard } from './helpers.js';
+
+const { PLAINS, FOREST, MOUNTAIN, RIVER, BRIDGE, HILL } = TERRAIN_TYPES;
+
+// Target offset from the attacker, and the target edge the attacker enters through
+const DIRECTIONS = [
+    { name: 'right', dx: 1, dy: 0, entryEdge: 'left' },
+    { name: 'left', dx: -1, dy: 0, entryEdge: 'right' },
+    { name: 'down', dx: 0, dy: 1, entryEdge: 'top' },
+    { name: 'up', dx: 0, dy: -1, entryEdge: 'bottom' }
+];
+
+// A target terrain whose entry edge is `entryType` and whose other edges are another type,
+// so only the entry edge can decide the outcome
+function createEntryTerrain(entryEdge, entryType) {
+    const otherType = entryType === PLAINS ? MOUNTAIN : PLAINS;
+    return createEdgeTerrain({ top: otherType, right: otherType, bottom: otherType, left: otherType, [entryEdge]: entryType });
+}
+
+describe('movement: unitStats.canTraverse', () => {
+    for (const unitName of Object.keys(unitStats)) {
+        for (const terrainType of UNIT_TERRAIN_TYPES) {
+            const allowed = unitStats[unitName].canTraverse.includes(terrainType);
+            for (const { name, dx, dy, entryEdge } of DIRECTIONS) {
+                test(`${unitName} ${allowed ? 'can' : 'cannot'} enter ${name} through a ${terrainType} edge`, () => {
+                    const attackerCard = createCard(0, 1, createUnit(unitName), createEdgeTerrain({}), 10, 10);
+                    const terrain = createEntryTerrain(entryEdge, terrainType);
+                    const emptyCard = createCard(1, null, null, terrain, 10 + dx, 10 + dy, true);
+                    const enemyCard = createCard(2, 2, createUnit('Infantry'), terrain, 10 + dx, 10 + dy, true);
+
+                    const move = classifyTarget(attackerCard, emptyCard);
+                    const attack = classifyTarget(attackerCard, enemyCard);
+                    assert.equal(move.entryTerrainType, terrainType);
+                    assert.equal(move.kind, allowed ? 'move' : null);
+                    assert.equal(attack.kind, allowed ? 'attack' : null);
+                    if (!allowed) assert.match(move.reason, /cannot enter/);
+                });
+            }
+        }
+    }
+
+    test('units never move or attack diagonally or across a gap', () => {
+        const attackerCard = createCard(0, 1, createUnit('Infantry'), createEdgeTerrain({}), 10, 10);
+        for (const [gridX, gridY] of [[11, 11], [12, 10], [10, 10]]) {
+            const targetCard = createCard(1, 2, createUnit('Infantry'), createEdgeTerrain({}), gridX, gridY);
+            assert.equal(classifyTarget(attackerCard, targetCard).kind, null);
+        }
+    });
+
+    test('units cannot attack their own side', () => {
+        const attackerCard = createCard(0, 1, createUnit('Infantry'), createEdgeTerrain({}), 10, 10);
+        const friendlyCard = createCard(1, 1, createUnit('Tank'), createEdgeTerrain({}), 11, 10);
+        const result = classifyTarget(attackerCard, friendlyCard);
+        assert.equal(result.kind, null);
+        assert.equal(result.reason, 'Cannot move/attack your own unit.');
+    });
+});
+
+describe('movement: rivers, bridges and hills', () => {
+    // Every standard unit, including the plains-only ones
+    for (const unitName of Object.keys(unitStats)) {
+        test(`${unitName} cannot cross a River edge but crosses Bridge and Hill edges`, () => {
+            const attackerCard = createCard(0, 1, createUnit(unitName), createEdgeTerrain({}), 10, 10);
+            const kindThrough = terrainType => {
+                const enemyCard = createCard(1, 2, createUnit('Infantry'), createEntryTerrain('left', terrainType), 11, 10, true);
+                return classifyTarget(attackerCard, enemyCard).kind;
+            };
+            assert.equal(kindThrough(RIVER), null);
+            assert.equal(kindThrough(BRIDGE), 'attack');
+            assert.equal(kindThrough(HILL), 'attack');
+        });
+    }
+
+    test('only the edge being entered matters, not the edge being left', () => {
+        const attackerCard = createCard(0, 1, createUnit('Tank'), createEdgeTerrain({ right: RIVER }), 10, 10);
+        const emptyCard = createCard(1, null, null, createEdgeTerrain({}), 11, 10, true);
+        assert.equal(classifyTarget(attackerCard, emptyCard).kind, 'move');
+    });
+});
+
+describe('combat: hill attack bonus', () => {
+    test('attacking out of a Hill edge adds +1 to the attack', () => {
+        const attackerCard = createCard(0, 1, createUnit('Infantry'), createEdgeTerrain({ right: HILL }), 10, 10);
+        const defenderCard = createCard(1, 2, createUnit('Infantry', 2), createEdgeTerrain({}), 11, 10);
+        const combat = resolveCombat([attackerCard, defenderCard], attackerCard, defenderCard);
+        assert.equal(combat.attackEdge, 'right');
+        assert.equal(combat.attackEdgeTerrain, HILL);
+        assert.equal(combat.baseAttack, 3);
+        assert.equal(combat.attackBonus, 1);
+        assert.equal(combat.attackValue, 4);
+        assert.equal(combat.attackerWins, true); // 3 + 1 vs 3
+    });
+
+    test('hills on the other edges of the attacker give no bonus', () => {
+        const attackerCard = createCard(0, 1, createUnit('Infantry'), createEdgeTerrain({ top: HILL, bottom: HILL, left: HILL }), 10, 10);
+        const defenderCard = createCard(1, 2, createUnit('Infantry', 2), createEdgeTerrain({}), 11, 10);
+        const combat = resolveCombat([attackerCard, defenderCard], attackerCard, defenderCard);
+        assert.equal(combat.attackBonus, 0);
+        assert.equal(combat.attackerWins, false); // 3 vs 3
+    });
+
+    test('the forecast counts the hill bonus against every candidate', () => {
+        const attackerCard = createCard(0, 1, createUnit('Infantry'), createEdgeTerrain({ right: HILL }), 10, 10);
+        const defenderCard = createCard(1, 2, UNKNOWN_UNIT, createEdgeTerrain({}), 11, 10, true);
+        const state = { phase: 'GAMEPLAY', currentPlayer: 1, board: [attackerCard, defenderCard], defeatedUnits: [], army: STANDARD_ARMY };
+        const forecast = forecastAttack(state, attackerCard, defenderCard);
+        assert.equal(forecast.attackValue, 4);
+        const tank = forecast.candidates.find(candidate => candidate.unitName === 'Tank');
+        assert.equal(tank.attackerWins, false); // 3 + 1 vs 4
+        const infantry = forecast.candidates.find(candidate => candidate.unitName === 'Infantry');
+        assert.equal(infantry.attackerWins, true); // 3 + 1 vs 3
+    });
+});
+
+describe('combat: terrain defense bonus', () => {
+    for (const terrainType of Object.values(TERRAIN_TYPES)) {
+        const expectedBonus = terrainType === FOREST ? 1 : 0;
+        for (const { dx, dy, entryEdge } of DIRECTIONS) {
+            test(`a ${terrainType} ${entryEdge} edge facing the attacker gives +${expectedBonus}`, () => {
+                const attackerCard = createCard(0, 1, createUnit('Infantry'), createEdgeTerrain({}), 10, 10);
+                const defenderCard = createCard(1, 2, createUnit('Infantry'), createEntryTerrain(entryEdge, terrainType), 10 + dx, 10 + dy);
+                const combat = resolveCombat([attackerCard, defenderCard], attackerCard, defenderCard);
+                assert.equal(combat.defenseEdge, entryEdge);
+                assert.equal(combat.defenseEdgeTerrain, terrainType);
+                assert.equal(combat.terrainBonus, expectedBonus);
+                assert.equal(combat.defenseValue, unitStats.Infantry.defense + expectedBonus);
+            });
+        }
+    }
+
+    test('forest on the other edges of the defender gives no bonus', () => {
+        const attackerCard = createCard(0, 1, createUnit('Infantry'), createEdgeTerrain({}), 10, 10);
+        const terrain = createEdgeTerrain({ top: FOREST, right: FOREST, bottom: FOREST, left: PLAINS });
+        const defenderCard = createCard(1, 2, createUnit('Infantry'), terrain, 11, 10);
+        const combat = resolveCombat([attackerCard, defenderCard], attackerCard, defenderCard);
+        assert.equal(combat.terrainBonus, 0);
+    });
+});
+
+describe('combat: defender wins ties', () => {
+    // [attacker, defender, defender's entry edge terrain, attacker wins]
+    const cases = [
+        ['Infantry', 'Infantry', PLAINS, false],        // 3 vs 3
+        ['Tank', 'Tank', PLAINS, false],                // 4 vs 4
+        ['Tank', 'Infantry', PLAINS, true],             // 4 vs 3
+        ['Infantry', 'Mobile Command', FOREST, false],  // 3 vs 2 + 1
+        ['Special Ops', 'Infantry', MOUNTAIN, false],   // 3 vs 3 + 0
+        ['Artillery', 'Tank', PLAINS, true],            // 5 vs 4
+        ['Special Ops', 'Tank', FOREST, false],         // 3 vs 4 + 1
+        ['Mobile Command', 'Artillery', PLAINS, false], // 1 vs 1
+        ['Infantry', 'Special Ops', FOREST, true]       // 3 vs 1 + 1
+    ];
+    for (const [attackerName, defenderName, terrainType, attackerWins] of cases) {
+        test(`${attackerName} attacking ${defenderName} behind ${terrainType}: ${attackerWins ? 'attacker' : 'defender'} wins`, () => {
+            const attackerCard = createCard(0, 1, createUnit(attackerName), createEdgeTerrain({}), 10, 10);
+            const defenderCard = createCard(1, 2, createUnit(defenderName), createEntryTerrain('left', terrainType), 11, 10);
+            const supportCards = [createCard(2, 1, createUnit('Infantry', 2), createEdgeTerrain({}), 9, 10), createCard(3, 2, createUnit('Infantry', 2), createEdgeTerrain({}), 12, 10)];
+            const combat = resolveCombat([attackerCard, defenderCard, ...supportCards], attackerCard, defenderCard);
+            assert.equal(combat.attackerWins, attackerWins);
+            assert.equal(combat.attackerMoved, attackerWins);
+            assert.equal(combat.winnerCardId, attackerWins ? 0 : 1);
+            assert.equal(combat.loserCardId, attackerWins ? 1 : 0);
+            assert.equal(combat.defeatedUnitData.unitData.unitName, attackerWins ? defenderName : attackerName);
+        });
+    }
+});
+
+describe('combat forecast', () => {
+    const forestLeft = createEntryTerrain('left', FOREST);
+    const attackerCard = createCard(0, 1, createUnit('Infantry'), createEdgeTerrain({}), 10, 10);
+
+    function createState(board, defeatedUnits = []) {
+        return { phase: 'GAMEPLAY', currentPlayer: 1, board, defeatedUnits, army: STANDARD_ARMY };
+    }
+
+    test('gives the exact outcome against a face-up defender', () => {
+        const defenderCard = createCard(1, 2, createUnit('Special Ops'), forestLeft, 11, 10);
+        const forecast = forecastAttack(createState([attackerCard, defenderCard]), attackerCard, defenderCard);
+        assert.equal(forecast.attackValue, 3);
+        assert.equal(forecast.defenseEdge, 'left');
+        assert.equal(forecast.terrainBonus, 1);
+        assert.deepEqual(forecast.defender, { unitName: 'Special Ops', baseDefense: 1, defenseValue: 2, attackerWins: true });
+        assert.deepEqual(forecast.candidates, []);
+    });
+
+    test('lists the units a face-down defender may be, without peeking at it', () => {
+        // The local client knows this unit (as in hot-seat), but it is still face-down
+        const defenderCard = createCard(1, 2, createUnit('Artillery'), forestLeft, 11, 10, true);
+        const revealedCard = createCard(2, 2, createUnit('Tank', 1), createEdgeTerrain({}), 12, 10);
+        const defeatedUnits = [{ owner: 2, unitData: createUnit('Infantry', 1), terrainData: forestLeft }];
+        const forecast = forecastAttack(createState([attackerCard, defenderCard, revealedCard], defeatedUnits), attackerCard, defenderCard);
+        assert.equal(forecast.defender, null);
+        assert.deepEqual(forecast.candidates.map(({ unitName, count, attackerWins }) => [unitName, count, attackerWins]), [
+            ['Mobile Command', 1, false], // 3 vs 2 + 1, a tie
+            ['Tank', 1, false],           // 3 vs 4 + 1
+            ['Infantry', 2, false],       // 3 vs 3 + 1
+            ['Artillery', 1, true],       // 3 vs 1 + 1
+            ['Special Ops', 1, true]      // 3 vs 1 + 1
+        ]);
+    });
+
+    test('cannot forecast a target that cannot be attacked', () => {
+        const friendlyCard = createCard(1, 1, createUnit('Infantry'), forestLeft, 11, 10);
+        assert.equal(forecastAttack(createState([attackerCard, friendlyCard]), attackerCard, friendlyCard), null);
+    });
+});
+
+describe('hidden unit deduction', () => {
+    const plains = createEdgeTerrain({});
+
+    test('rules out the unit types whose every copy is revealed or defeated', () => {
+        const board = [
+            createCard(0, 2, createUnit('Infantry', 1), plains, 10, 10, true),
+            createCard(1, 2, UNKNOWN_UNIT, plains, 11, 10, true), // As seen by Player 1 online
+            createCard(2, 2, createUnit('Artillery'), plains, 12, 10),
+            createCard(3, 2, createUnit('Tank', 1), plains, 13, 10),
+            createCard(4, 2, null, plains, 14, 10, true), // Empty tile
+            createCard(5, 1, createUnit('Infantry', 1), plains, 10, 11, true)
+        ];
+        const defeatedUnits = [
+            { owner: 2, unitData: createUnit('Special Ops'), terrainData: plains },
+            { owner: 1, unitData: createUnit('Mobile Command'), terrainData: plains }
+        ];
+        const candidates = deduceHiddenUnits({ phase: 'GAMEPLAY', currentPlayer: 1, board, defeatedUnits, army: STANDARD_ARMY }, 2);
+        assert.deepEqual(candidates, {
+            0: ['Mobile Command', 'Tank', 'Infantry'],
+            1: ['Mobile Command', 'Tank', 'Infantry']
+        });
+    });
+});
+
+describe('victory conditions', () => {
+    const plains = createEdgeTerrain({});
+
+    // Player 1's attacker at 10,10 and its defender at 11,10, plus extra cards per player
+    function createBattle(attackerName, defenderName, extraUnits = { 1: ['Infantry'], 2: ['Infantry'] }) {
+        const attackerCard = createCard(0, 1, createUnit(attackerName), plains, 10, 10);
+        const defenderCard = createCard(1, 2, createUnit(defenderName), plains, 11, 10);
+        let nextId = 2;
+        const extraCards = [1, 2].flatMap(owner => extraUnits[owner].map((unitData, i) =>
+            createCard(nextId++, owner, typeof unitData === 'string' ? createUnit(unitData, i + 2) : unitData, plains, owner === 1 ? 9 - i : 12 + i, 10, true)));
+        return { attackerCard, defenderCard, board: [attackerCard, defenderCard, ...extraCards] };
+    }
+
+    test('capturing the Mobile Command wins, even with other units left', () => {
+        const { board, attackerCard, defenderCard } = createBattle('Tank', COMMAND_UNIT_NAME, { 1: ['Infantry'], 2: ['Infantry', 'Tank', 'Artillery'] });
+        const combat = resolveCombat(board, attackerCard, defenderCard);
+        assert.equal(combat.gameOver, true);
+        assert.equal(combat.victoryType, 'command');
+        assert.equal(combat.winMessage, 'Player 1 wins by capturing the Mobile Command!');
+    });
+
+    test('a Mobile Command that attacks and loses is captured', () => {
+        const { board, attackerCard, defenderCard } = createBattle(COMMAND_UNIT_NAME, 'Infantry');
+        const combat = resolveCombat(board, attackerCard, defenderCard);
+        assert.equal(combat.attackerWins, false);
+        assert.equal(combat.gameOver, true);
+        assert.equal(combat.victoryType, 'command');
+        assert.equal(combat.winnerOwner, 2);
+    });
+
+    test('losing the last unit other than the Mobile Command loses the game', () => {
+        const { board, attackerCard, defenderCard } = createBattle('Tank', 'Infantry', { 1: ['Infantry'], 2: [COMMAND_UNIT_NAME] });
+        const combat = resolveCombat(board, attackerCard, defenderCard);
+        assert.equal(combat.gameOver, true);
+        assert.equal(combat.victoryType, 'elimination');
+        assert.equal(combat.winMessage, 'Player 1 wins by eliminating all other movable units!');
+    });
+
+    test('the attacker can be eliminated by losing its own last unit', () => {
+        const { board, attackerCard, defenderCard } = createBattle('Infantry', 'Tank', { 1: [COMMAND_UNIT_NAME], 2: ['Infantry'] });
+        const combat = resolveCombat(board, attackerCard, defenderCard);
+        assert.equal(combat.gameOver, true);
+        assert.equal(combat.victoryType, 'elimination');
+        assert.equal(combat.winnerOwner, 2);
+    });
+
+    test('a single face-down unit left counts as the Mobile Command', () => {
+        const { board, defenderCard } = createBattle('Tank', 'Infantry', { 1: ['Infantry'], 2: [UNKNOWN_UNIT] });
+        assert.deepEqual(checkVictoryAfterLoss(board, defenderCard), { gameOver: true, victoryType: 'elimination' });
+    });
+
+    test('the game goes on while two units or more remain besides the loss', () => {
+        const { board, attackerCard, defenderCard } = createBattle('Tank', 'Infantry', { 1: ['Infantry'], 2: [COMMAND_UNIT_NAME, 'Infantry'] });
+        const combat = resolveCombat(board, attackerCard, defenderCard);
+        assert.equal(combat.gameOver, false);
+        assert.equal(combat.victoryType, null);
+        assert.equal(combat.winMessage, '');
+    });
+
+    test('applyAction ends the game and keeps the winner on turn', () => {
+        const { board } = createBattle('Tank', COMMAND_UNIT_NAME, { 1: [COMMAND_UNIT_NAME, 'Infantry'], 2: ['Infantry'] });
+        const state = {
+            phase: 'GAMEPLAY', currentPlayer: 1, board,
+            available: { units: { 1: [], 2: [] }, terrains: { 1: [], 2: [] } },
+            defeatedUnits: [], placedCount: 16, nextCardId: board.length, winner: null, victoryType: null, winMessage: ''
+        };
+        assert.equal(winner(state), null);
+        const after = applyAction(state, { type: 'attack', attackerCardId: 0, targetCardId: 1 });
+        assert.equal(after.phase, 'GAMEOVER');
+        assert.equal(after.currentPlayer, 1);
+        assert.equal(after.victoryType, 'command');
+        assert.equal(winner(after), 1);
+        assert.throws(() => applyAction(after, { type: 'move', attackerCardId: 1, targetCardId: 0 }), /Not in the gameplay phase/);
+    });
+});
+
+describe('attack results from the peer', () => {
+    // Player 1's face-up Infantry next to Player 2's face-up Tank, on Player 1's turn
+    const plains = createEdgeTerrain({});
+    const state = {
+        ...createInitialState({ units: {}, terrains: {} }),
+        phase: 'GAMEPLAY',
+        board: [
+            createCard(0, 1, createUnit('Infantry'), plains, 10, 10),
+            createCard(1, 2, createUnit('Tank'), plains, 11, 10),
+            createCard(2, 1, createUnit(COMMAND_UNIT_NAME), plains, 9, 10, true),
+            createCard(3, 2, createUnit(COMMAND_UNIT_NAME), plains, 12, 10, true),
+            createCard(4, 1, createUnit('Infantry', 2), plains, 8, 10, true)
+        ]
+    };
+    // The Infantry attacking the Tank and losing, 3 against 4
+    const result = { winnerCardId: 1, loserCardId: 0, attackerMoved: false, gameOver: false };
+
+    test('a forged result follows the rules, but answers no attack', () => {
+        assert.equal(validateAttackResult(state, result), null);
+        assert.equal(validateAttackAnswer(null, result), 'No attack is waiting for a result.');
+    });
+
+    test('a result must be for the attack that was sent', () => {
+        assert.equal(validateAttackAnswer({ attackerCardId: 0, targetCardId: 1 }, result), null);
+        assert.equal(validateAttackAnswer({ attackerCardId: 0, targetCardId: 3 }, result), 'The result is for another attack.');
+    });
+});
+
+describe('reveals', () => {
+    // Player 2's view: its own face-down Tank, and Player 1's face-down unit it does not know yet
+    const plains = createEdgeTerrain({});
+    const state = {
+        ...createInitialState({ units: {}, terrains: {} }),
+        phase: 'GAMEPLAY',
+        board: [
+            createCard(0, 1, UNKNOWN_UNIT, plains, 10, 10, true),
+            createCard(1, 2, createUnit('Tank'), plains, 11, 10, true)
+        ]
+    };
+
+    test("an enemy unit's disclosure replaces the unknown unit", () => {
+        const revealed = applyAction(state, { type: 'reveal', cardId: 0, unitData: createUnit('Artillery') }).board[0];
+        assert.equal(revealed.hidden, false);
+        assert.equal(revealed.unitData.unitName, 'Artillery');
+    });
+
+    test('a known unit cannot be disclosed as another one', () => {
+        assert.throws(() => applyAction(state, { type: 'reveal', cardId: 1, unitData: createUnit('Infantry') }), /Another unit is on this card/);
+        assert.equal(applyAction(state, { type: 'reveal', cardId: 1, unitData: createUnit('Tank') }).board[1].hidden, false);
+    });
+});
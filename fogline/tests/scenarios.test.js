@@ -0,0 +1,98 @@
+// Scripted full games: a placement phase on two facing rows, then every move and attack until GAMEOVER.
+// Terrain edges (top, right, bottom, left) are those of fixedTerrainCards.
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { winner } from '../rules.js';
+import { placeFacingRows, playTurns, describeRow } from './helpers.js';
+
+// [unitName, instance, terrainIndex] per column, from column 10
+const COMMAND_RAID_ROWS = {
+    1: [['Tank', 1, 0], ['Infantry', 1, 1], ['Infantry', 2, 2], ['Artillery', 1, 3], ['Mobile Command', 1, 4], ['Tank', 2, 5], ['Infantry', 3, 6], ['Special Ops', 1, 7]],
+    2: [['Infantry', 1, 2], ['Mobile Command', 1, 0], ['Tank', 1, 1], ['Infantry', 2, 3], ['Tank', 2, 4], ['Artillery', 1, 5], ['Infantry', 3, 6], ['Special Ops', 1, 7]]
+};
+
+const ATTRITION_ROWS = {
+    1: [['Infantry', 1, 2], ['Tank', 1, 0], ['Tank', 2, 6], ['Mobile Command', 1, 3], ['Infantry', 2, 1], ['Infantry', 3, 4], ['Artillery', 1, 5], ['Special Ops', 1, 7]],
+    2: [['Infantry', 1, 6], ['Tank', 1, 1], ['Special Ops', 1, 2], ['Mobile Command', 1, 3], ['Infantry', 2, 4], ['Artillery', 1, 5], ['Tank', 2, 0], ['Infantry', 3, 7]]
+};
+
+// The first nine turns of both attrition games
+const ATTRITION_OPENING = [
+    [15, 10, 15, 11], // P1 Infantry #3 enters the Artillery's Mountain top edge and wins, 3 vs 1
+    [10, 11, 10, 10], // P2 Infantry #1 attacks the Forest bottom edge and loses, 3 vs 3 + 1
+    [14, 10, 15, 10], // P1 Infantry #2 moves right
+    [11, 11, 11, 10], // P2 Tank #1 attacks P1 Tank #1 and loses the tie, 4 vs 4
+    [11, 10, 11, 11], // P1 Tank #1 moves down into the empty tile
+    [12, 11, 12, 10], // P2 Special Ops attacks P1 Tank #2 behind Forest and loses, 3 vs 4 + 1
+    [11, 11, 12, 11], // P1 Tank #1 moves right
+    [14, 11, 15, 11], // P2 Infantry #2 attacks through a Forest left edge and loses, 3 vs 3 + 1
+    [15, 10, 14, 10]  // P1 Infantry #2 moves back left
+];
+
+function getDefeatedNames(state) {
+    return state.defeatedUnits.map(({ owner, unitData }) => `${owner}:${unitData.unitName}#${unitData.instance}`);
+}
+
+describe('scripted full games', () => {
+    test('Player 1 captures the Mobile Command after a tie and a counterattack', () => {
+        let state = placeFacingRows(COMMAND_RAID_ROWS);
+        assert.equal(state.phase, 'GAMEPLAY');
+        assert.equal(state.board.length, 16);
+        assert.ok(state.board.every(card => card.hidden));
+
+        // Tanks cannot enter the Forest top edge of the Infantry below
+        assert.throws(() => playTurns(state, [[10, 10, 10, 11]]), /Tank cannot enter via Forest/);
+
+        state = playTurns(state, [
+            [12, 10, 12, 11], // P1 Infantry #2 attacks Tank #1 and loses, 3 vs 4
+            [13, 11, 13, 10], // P2 Infantry #2 climbs the Mountain edge and beats the Artillery, 3 vs 1
+            [11, 10, 12, 10], // P1 Infantry #1 moves right
+            [13, 10, 12, 10], // P2 Infantry #2 attacks it and loses the tie, 3 vs 3
+            [12, 10, 11, 10], // P1 Infantry #1 moves back through a Mountain edge
+            [15, 11, 15, 10], // P2 Artillery beats Tank #2, 5 vs 4
+            [11, 10, 11, 11]  // P1 Infantry #1 captures the Mobile Command, 3 vs 2
+        ]);
+
+        assert.equal(state.phase, 'GAMEOVER');
+        assert.equal(winner(state), 1);
+        assert.equal(state.victoryType, 'command');
+        assert.equal(state.winMessage, 'Player 1 wins by capturing the Mobile Command!');
+        assert.equal(state.currentPlayer, 1);
+        assert.deepEqual(describeRow(state, 10), ['1:Tank#1', null, null, null, '1:Mobile Command#1', '2:Artillery#1', '1:Infantry#3', '1:Special Ops#1']);
+        assert.deepEqual(describeRow(state, 11), ['2:Infantry#1', '1:Infantry#1', '2:Tank#1', null, '2:Tank#2', null, '2:Infantry#3', '2:Special Ops#1']);
+        assert.deepEqual(getDefeatedNames(state), ['1:Infantry#2', '1:Artillery#1', '2:Infantry#2', '1:Tank#2', '2:Mobile Command#1']);
+    });
+
+    test('Player 1 wins by eliminating every unit but the Mobile Command', () => {
+        const state = playTurns(placeFacingRows(ATTRITION_ROWS), [
+            ...ATTRITION_OPENING,
+            [17, 11, 17, 10], // P2 Infantry #3 beats the Special Ops, 3 vs 1
+            [16, 10, 16, 11], // P1 Artillery beats Tank #2 through a Plains edge, 5 vs 4
+            [17, 10, 17, 11], // P2 Infantry #3 moves back down
+            [16, 11, 17, 11]  // P1 Artillery beats Infantry #3, leaving only the Mobile Command
+        ]);
+
+        assert.equal(state.phase, 'GAMEOVER');
+        assert.equal(winner(state), 1);
+        assert.equal(state.victoryType, 'elimination');
+        assert.equal(state.winMessage, 'Player 1 wins by eliminating all other movable units!');
+        assert.deepEqual(describeRow(state, 10), ['1:Infantry#1', null, '1:Tank#2', '1:Mobile Command#1', '1:Infantry#2', null, null, null]);
+        assert.deepEqual(describeRow(state, 11), [null, null, '1:Tank#1', '2:Mobile Command#1', null, '1:Infantry#3', null, '1:Artillery#1']);
+        assert.deepEqual(getDefeatedNames(state), [
+            '2:Artillery#1', '2:Infantry#1', '2:Tank#1', '2:Special Ops#1', '2:Infantry#2', '1:Special Ops#1', '2:Tank#2', '2:Infantry#3'
+        ]);
+    });
+
+    test('a Mobile Command that attacks and loses gives the win to its opponent', () => {
+        const state = playTurns(placeFacingRows(ATTRITION_ROWS), [
+            ...ATTRITION_OPENING,
+            [13, 11, 12, 11] // P2 Mobile Command attacks Tank #1 and loses, 1 vs 4
+        ]);
+
+        assert.equal(state.phase, 'GAMEOVER');
+        assert.equal(winner(state), 1);
+        assert.equal(state.victoryType, 'command');
+        assert.equal(state.currentPlayer, 2);
+        assert.deepEqual(describeRow(state, 11), [null, null, '1:Tank#1', null, null, '1:Infantry#3', '2:Tank#2', '2:Infantry#3']);
+    });
+});
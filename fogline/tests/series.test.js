@@ -0,0 +1,50 @@
+// Rematch series: the score both peers keep, and the checks on the score sent with a rematch
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SERIES_BEST_OF, createSeries, getSeriesWinner, recordSeriesWin, continueSeries, validateSeries, describeSeries
+} from '../series.js';
+
+const NAMES = { 1: 'Alice', 2: 'Bob' };
+
+describe('series score', () => {
+    test('counts wins until a player has most of the games', () => {
+        let series = createSeries();
+        assert.equal(series.bestOf, SERIES_BEST_OF);
+        series = recordSeriesWin(series, 2);
+        series = recordSeriesWin(series, 1);
+        assert.equal(getSeriesWinner(series), null);
+        series = recordSeriesWin(series, 1);
+        assert.equal(getSeriesWinner(series), 1);
+        assert.equal(recordSeriesWin(series, 2), series); // Decided: no more wins count
+    });
+
+    test('a rematch carries on the series, and starts a new one once it is decided', () => {
+        const ongoing = recordSeriesWin(createSeries(), 2);
+        assert.equal(continueSeries(ongoing), ongoing);
+        const decided = recordSeriesWin(recordSeriesWin(ongoing, 2), 1);
+        assert.deepEqual(continueSeries(decided), createSeries());
+        assert.deepEqual(continueSeries(recordSeriesWin(createSeries(1), 1)), createSeries(1));
+    });
+
+    test('describes the score with the players\' names', () => {
+        assert.equal(describeSeries(createSeries(), NAMES), '');
+        const series = recordSeriesWin(createSeries(), 2);
+        assert.equal(describeSeries(series, NAMES), 'Best of 3: Alice 0 – 1 Bob');
+        assert.equal(describeSeries(recordSeriesWin(series, 2), NAMES), 'Bob wins the series 2 – 0 (best of 3)');
+    });
+});
+
+describe('series validation', () => {
+    test('accepts a series under way', () => {
+        assert.equal(validateSeries(createSeries()), null);
+        assert.equal(validateSeries({ bestOf: 5, wins: { 1: 2, 2: 2 } }), null);
+    });
+
+    test('rejects malformed or decided series', () => {
+        assert.equal(validateSeries(null), 'Missing series score.');
+        assert.match(validateSeries({ bestOf: 4, wins: { 1: 0, 2: 0 } }), /odd number of games/);
+        assert.equal(validateSeries({ bestOf: 3, wins: { 1: -1, 2: 0 } }), 'Invalid series score.');
+        assert.equal(validateSeries({ bestOf: 3, wins: { 1: 2, 2: 0 } }), 'The series is already decided.');
+    });
+});
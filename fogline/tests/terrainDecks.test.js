@@ -0,0 +1,77 @@
+// Terrain deck presets, the checks on custom decks, and dealing from them
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { TERRAIN_TYPES, STANDARD_TERRAIN_DECK, getTerrainCard, createInitialState } from '../rules.js';
+import {
+    TERRAIN_DECK_PRESETS, TERRAIN_DECK_LIMITS, validateTerrainDeck, normalizeTerrainDeck, parseTerrainDeck, isSameTerrainCard
+} from '../terrainDecks.js';
+
+const { PLAINS, FOREST, RIVER, BRIDGE, HILL } = TERRAIN_TYPES;
+
+// A small custom deck with one card of each new edge type
+const DELTA = {
+    name: 'Delta',
+    cards: [
+        { top: RIVER, right: BRIDGE, bottom: RIVER, left: PLAINS },
+        { top: HILL, right: PLAINS, bottom: FOREST, left: PLAINS }
+    ]
+};
+
+function withCard(card) {
+    return { ...DELTA, cards: [...DELTA.cards, card] };
+}
+
+describe('terrain deck validation', () => {
+    test('accepts every preset', () => {
+        Object.values(TERRAIN_DECK_PRESETS).forEach(terrainDeck => assert.equal(validateTerrainDeck(terrainDeck), null, terrainDeck.name));
+    });
+
+    test('accepts a custom deck', () => {
+        assert.equal(validateTerrainDeck(DELTA), null);
+    });
+
+    test('rejects unknown edge types and missing edges', () => {
+        assert.match(validateTerrainDeck(withCard({ top: 'Swamp', right: PLAINS, bottom: PLAINS, left: PLAINS })), /card #3 needs/);
+        assert.match(validateTerrainDeck(withCard({ top: PLAINS, right: PLAINS, bottom: PLAINS })), /card #3 needs/);
+        assert.match(validateTerrainDeck(withCard(null)), /card #3 needs/);
+    });
+
+    test('rejects cards surrounded by rivers', () => {
+        assert.match(validateTerrainDeck(withCard({ top: RIVER, right: RIVER, bottom: RIVER, left: RIVER })), /not a River/);
+    });
+
+    test('rejects empty or oversized decks and names that are not plain text', () => {
+        assert.match(validateTerrainDeck({ ...DELTA, cards: [] }), /1 to 16 cards/);
+        assert.match(validateTerrainDeck({ ...DELTA, cards: Array(TERRAIN_DECK_LIMITS.maxCards + 1).fill(DELTA.cards[1]) }), /1 to 16 cards/);
+        assert.match(validateTerrainDeck({ ...DELTA, name: '<b>Delta</b>' }), /needs a name/);
+        assert.equal(validateTerrainDeck(null), 'Missing terrain deck.');
+    });
+
+    test('parses a custom deck, keeping only the edges', () => {
+        const terrainDeck = parseTerrainDeck(JSON.stringify(withCard({ top: PLAINS, right: HILL, bottom: PLAINS, left: PLAINS, imagePath: 'x.webp' })));
+        assert.deepEqual(terrainDeck.cards[2], { top: PLAINS, right: HILL, bottom: PLAINS, left: PLAINS });
+        assert.throws(() => parseTerrainDeck('{ not json'), /not valid JSON/);
+        assert.throws(() => parseTerrainDeck(JSON.stringify({ ...DELTA, cards: [] })), /1 to 16 cards/);
+    });
+});
+
+describe('dealing from a terrain deck', () => {
+    test('deals a short deck again from the start', () => {
+        assert.equal(getTerrainCard(DELTA, 0), DELTA.cards[0]);
+        assert.equal(getTerrainCard(DELTA, 3), DELTA.cards[1]);
+        assert.equal(getTerrainCard(DELTA, 1.5), null);
+    });
+
+    test('spots a card that another deck deals at the same index', () => {
+        const delta = normalizeTerrainDeck(DELTA);
+        assert.equal(isSameTerrainCard(getTerrainCard(delta, 0), getTerrainCard(DELTA, 0)), true);
+        assert.equal(isSameTerrainCard(getTerrainCard(STANDARD_TERRAIN_DECK, 0), getTerrainCard(DELTA, 0)), false);
+        assert.equal(isSameTerrainCard(undefined, getTerrainCard(DELTA, 0)), false);
+    });
+
+    test('the game state keeps the deck it is dealt from', () => {
+        const empty = { 1: [], 2: [] };
+        assert.equal(createInitialState({ units: empty, terrains: empty }).terrainDeck, STANDARD_TERRAIN_DECK);
+        assert.equal(createInitialState({ units: empty, terrains: empty, terrainDeck: DELTA }).terrainDeck, DELTA);
+    });
+});
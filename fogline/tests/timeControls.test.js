@@ -0,0 +1,109 @@
+// Time controls: the setup checks, the clock arithmetic both peers share, and the pass and timeout actions
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { NO_VARIANTS, STANDARD_ARMY, COMMAND_UNIT_NAME, applyAction, validateAction } from '../rules.js';
+import {
+    NO_TIME_CONTROL, TIME_CONTROL_LIMITS, CLOCK_TOLERANCE_MS, validateTimeControl, normalizeTimeControl, describeTimeControl,
+    createClocks, chargeTurn, checkTurnDuration, formatClock
+} from '../timeControls.js';
+import { createUnit, createEdgeTerrain, createCard } from './helpers.js';
+
+const PER_TURN = { ...NO_TIME_CONTROL, mode: 'perTurn', turnSeconds: 30 };
+const CLOCK = { ...NO_TIME_CONTROL, mode: 'clock', totalSeconds: 300, incrementSeconds: 5 };
+
+// A gameplay state on a single row; `cards` are [owner, unitName, gridX]
+function createRowState(cards, variants = NO_VARIANTS) {
+    const plains = createEdgeTerrain({});
+    const board = cards.map(([owner, unitName, gridX], id) => createCard(id, owner, unitName ? createUnit(unitName, id + 1) : null, plains, gridX, 10));
+    return {
+        phase: 'GAMEPLAY', currentPlayer: 1, board,
+        available: { units: { 1: [], 2: [] }, terrains: { 1: [], 2: [] } },
+        defeatedUnits: [], army: STANDARD_ARMY, variants, turnCount: 0,
+        placedCount: 16, nextCardId: board.length, winner: null, victoryType: null, winMessage: ''
+    };
+}
+
+const ROW = [[1, 'Tank', 10], [null, null, 11], [2, 'Infantry', 12], [2, COMMAND_UNIT_NAME, 13], [1, COMMAND_UNIT_NAME, 9]];
+
+describe('time control validation', () => {
+    test('accepts no time limit, a time limit per turn and a chess clock', () => {
+        assert.equal(validateTimeControl(NO_TIME_CONTROL), null);
+        assert.equal(validateTimeControl(PER_TURN), null);
+        assert.equal(validateTimeControl(CLOCK), null);
+    });
+
+    test('rejects unknown modes and out-of-range settings', () => {
+        assert.equal(validateTimeControl(null), 'Missing time control.');
+        assert.equal(validateTimeControl({ ...CLOCK, mode: 'hourglass' }), 'Unknown time control.');
+        assert.match(validateTimeControl({ ...PER_TURN, turnSeconds: TIME_CONTROL_LIMITS.minTurnSeconds - 1 }), /time limit per turn/);
+        assert.match(validateTimeControl({ ...CLOCK, totalSeconds: 90.5 }), /chess clock/);
+        assert.match(validateTimeControl({ ...CLOCK, incrementSeconds: -1 }), /increment/);
+    });
+
+    test('keeps only the settings the mode uses, and describes them', () => {
+        assert.deepEqual(normalizeTimeControl({ ...PER_TURN, totalSeconds: 600, extra: true }), PER_TURN);
+        assert.deepEqual(normalizeTimeControl({ ...NO_TIME_CONTROL, turnSeconds: 30 }), NO_TIME_CONTROL);
+        assert.equal(describeTimeControl(NO_TIME_CONTROL), '');
+        assert.equal(describeTimeControl(PER_TURN), '30 seconds per turn');
+        assert.equal(describeTimeControl(CLOCK), 'Chess clock: 5:00 per player, +5 s per turn');
+    });
+});
+
+describe('clocks', () => {
+    test('a chess clock loses the turn\'s time and gains the increment', () => {
+        const clocks = createClocks(CLOCK);
+        assert.deepEqual(clocks, { 1: 300000, 2: 300000 });
+        assert.deepEqual(chargeTurn(CLOCK, clocks, 1, 12000), { 1: 293000, 2: 300000 });
+        assert.deepEqual(clocks, { 1: 300000, 2: 300000 }); // Left untouched
+        assert.deepEqual(chargeTurn(CLOCK, { 1: 2000, 2: 300000 }, 1, 4000), { 1: 5000, 2: 300000 }); // Never below 0:00
+    });
+
+    test('a time limit per turn starts over each turn', () => {
+        const clocks = createClocks(PER_TURN);
+        assert.deepEqual(chargeTurn(PER_TURN, clocks, 2, 25000), { 1: 30000, 2: 30000 });
+        assert.equal(createClocks(NO_TIME_CONTROL), null);
+    });
+
+    test('a reported turn must agree with the local measure', () => {
+        assert.equal(checkTurnDuration(12000, 12000 - CLOCK_TOLERANCE_MS), null);
+        assert.match(checkTurnDuration(2000, 12000), /took 0:12 here, not 0:02/);
+        assert.equal(checkTurnDuration(NaN, 1000), 'Invalid turn duration.');
+    });
+
+    test('formats like a game clock', () => {
+        assert.equal(formatClock(65000), '1:05');
+        assert.equal(formatClock(400), '0:01');
+        assert.equal(formatClock(-3000), '0:00');
+    });
+});
+
+describe('running out of time', () => {
+    test('a pass ends the turn without moving', () => {
+        const state = createRowState(ROW);
+        assert.match(validateAction(state, { type: 'pass', player: 2 }), /Player 1's turn/);
+        const after = applyAction(state, { type: 'pass', player: 1 });
+        assert.equal(after.currentPlayer, 2);
+        assert.equal(after.turnCount, 1);
+        assert.deepEqual(after.board, state.board);
+        assert.match(validateAction({ ...state, phase: 'PLACEMENT' }, { type: 'pass', player: 1 }), /gameplay phase/);
+    });
+
+    test('a pass counts towards the command survival objective', () => {
+        const after = applyAction(createRowState(ROW, { ...NO_VARIANTS, commandSurvivalTurns: 1 }), { type: 'pass', player: 1 });
+        assert.equal(after.phase, 'GAMEOVER');
+        assert.equal(after.victoryType, 'survival');
+    });
+
+    test('a timeout loses the game, in placement or gameplay', () => {
+        const state = createRowState(ROW);
+        assert.match(validateAction(state, { type: 'timeout', player: 2 }), /Player 1's clock/);
+        const after = applyAction(state, { type: 'timeout', player: 1 });
+        assert.equal(after.phase, 'GAMEOVER');
+        assert.equal(after.winner, 2);
+        assert.equal(after.currentPlayer, 2);
+        assert.equal(after.victoryType, 'time');
+        assert.equal(after.winMessage, 'Player 2 wins on time!');
+        assert.equal(applyAction({ ...state, phase: 'PLACEMENT', currentPlayer: 2 }, { type: 'timeout', player: 2 }).winner, 1);
+        assert.equal(validateAction(after, { type: 'timeout', player: 2 }), 'The game is over.');
+    });
+});
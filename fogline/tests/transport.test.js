@@ -0,0 +1,115 @@
+// Transports: the signaling settings read from the URL, and the loopback transport that stands in for PeerJS offline
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_TRANSPORT_CONFIG, parsePeerServerUrl, parseTransportConfig, describeTransport, withTransportParams,
+    createTransport, createLoopbackTransport
+} from '../transport.js';
+
+// Resolves with the arguments of the next `event` of a peer or connection
+function nextEvent(emitter, event) {
+    return new Promise(resolve => emitter.on(event, (...args) => resolve(args)));
+}
+
+describe('signaling settings', () => {
+    test('PeerJS cloud server by default', () => {
+        assert.deepEqual(parseTransportConfig(new URLSearchParams('')), DEFAULT_TRANSPORT_CONFIG);
+        assert.equal(describeTransport(DEFAULT_TRANSPORT_CONFIG), 'PeerJS cloud server');
+    });
+
+    test('reads a self-hosted PeerServer', () => {
+        assert.deepEqual(parsePeerServerUrl('https://peers.example.com:9000/fogline'), {
+            host: 'peers.example.com', port: 9000, path: '/fogline', secure: true
+        });
+        assert.deepEqual(parsePeerServerUrl('http://localhost'), { host: 'localhost', port: 80, path: '/', secure: false });
+        const config = parseTransportConfig(new URLSearchParams({ peerServer: 'https://peers.example.com' }));
+        assert.equal(describeTransport(config), 'PeerServer at peers.example.com:443/');
+    });
+
+    test('rejects unknown transports and invalid servers', () => {
+        assert.throws(() => parseTransportConfig(new URLSearchParams('signal=carrier-pigeon')), /Unknown signaling transport/);
+        assert.throws(() => parsePeerServerUrl('peers.example.com'), /Invalid PeerServer URL/);
+        assert.throws(() => parsePeerServerUrl('ftp://peers.example.com'), /use http or https/);
+    });
+
+    test('links keep the signaling parameters of the page', () => {
+        const link = withTransportParams('https://example.com/spectate.html?watch=K7P-M3Q', 'https://example.com/?signal=loopback&mode=bot');
+        const params = new URL(link).searchParams;
+        assert.equal(params.get('watch'), 'K7P-M3Q');
+        assert.equal(params.get('signal'), 'loopback');
+        assert.equal(params.has('mode'), false);
+    });
+
+    test('the loopback is picked by ?signal=loopback', () => {
+        assert.equal(createTransport(parseTransportConfig(new URLSearchParams('signal=loopback'))).kind, 'loopback');
+    });
+});
+
+describe('loopback transport', () => {
+    test('connects two peers and carries data both ways, with metadata', async () => {
+        const transport = createLoopbackTransport();
+        const host = transport.createPeer('fogline-k7pm3q');
+        assert.deepEqual(await nextEvent(host, 'open'), ['fogline-k7pm3q']);
+        const guest = transport.createPeer();
+        await nextEvent(guest, 'open');
+
+        const guestConn = guest.connect('fogline-k7pm3q', { reliable: true, metadata: { role: 'spectator' } });
+        const [hostConn] = await nextEvent(host, 'connection');
+        assert.equal(hostConn.peer, guest.id);
+        assert.deepEqual(hostConn.metadata, { role: 'spectator' });
+        await Promise.all([nextEvent(guestConn, 'open'), nextEvent(hostConn, 'open')]);
+
+        const message = { type: 'displayName', payload: { name: 'Alice' } };
+        guestConn.send(message);
+        const [received] = await nextEvent(hostConn, 'data');
+        assert.deepEqual(received, message);
+        assert.notEqual(received, message); // Cloned, as if serialized
+        hostConn.send('gg');
+        assert.deepEqual(await nextEvent(guestConn, 'data'), ['gg']);
+    });
+
+    test('closing a connection closes both ends', async () => {
+        const transport = createLoopbackTransport();
+        const host = transport.createPeer('host');
+        const guest = transport.createPeer('guest');
+        await Promise.all([nextEvent(host, 'open'), nextEvent(guest, 'open')]);
+        const guestConn = guest.connect('host');
+        const [hostConn] = await nextEvent(host, 'connection');
+        await nextEvent(guestConn, 'open');
+
+        const hostClosed = nextEvent(hostConn, 'close');
+        guestConn.close();
+        await hostClosed;
+        assert.equal(guestConn.open, false);
+        assert.equal(hostConn.open, false);
+
+        const guestConnAgain = guest.connect('host');
+        const [hostConnAgain] = await nextEvent(host, 'connection');
+        await nextEvent(guestConnAgain, 'open');
+        const guestClosed = nextEvent(guestConnAgain, 'close');
+        host.destroy(); // Closes its connections, and frees its ID
+        await guestClosed;
+        assert.equal(hostConnAgain.open, false);
+        await nextEvent(transport.createPeer('host'), 'open');
+    });
+
+    test('reports taken IDs and missing peers like PeerJS', async () => {
+        const transport = createLoopbackTransport();
+        await nextEvent(transport.createPeer('host'), 'open');
+        const [takenError] = await nextEvent(transport.createPeer('host'), 'error');
+        assert.equal(takenError.type, 'unavailable-id');
+
+        const guest = transport.createPeer();
+        await nextEvent(guest, 'open');
+        guest.connect('nobody');
+        const [missingError] = await nextEvent(guest, 'error');
+        assert.equal(missingError.type, 'peer-unavailable');
+    });
+
+    test('separate loopback transports do not share peers', async () => {
+        const first = createLoopbackTransport();
+        const second = createLoopbackTransport();
+        await nextEvent(first.createPeer('host'), 'open');
+        await nextEvent(second.createPeer('host'), 'open');
+    });
+});
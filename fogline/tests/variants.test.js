@@ -0,0 +1,155 @@
+// Rule variants: ranged Artillery, attacker wins ties, reveal on adjacency and command survival
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    NO_VARIANTS, STANDARD_ARMY, COMMAND_UNIT_NAME, classifyTarget, resolveCombat, forecastAttack, legalActions, applyAction,
+    validateAttackResult, getAttackCardIds, getSurvivalVictory
+} from '../rules.js';
+import { VARIANT_LIMITS, validateVariants, normalizeVariants, describeVariants } from '../variants.js';
+import { createUnit, createEdgeTerrain, createCard } from './helpers.js';
+
+const plains = createEdgeTerrain({});
+
+function withVariants(variants) {
+    return { ...NO_VARIANTS, ...variants };
+}
+
+// A gameplay state on a single row; `cards` are [owner, unitName, gridX, hidden?]
+function createRowState(cards, variants) {
+    const board = cards.map(([owner, unitName, gridX, hidden = false], id) =>
+        createCard(id, owner, unitName ? createUnit(unitName, id + 1) : null, plains, gridX, 10, hidden));
+    return {
+        phase: 'GAMEPLAY', currentPlayer: 1, board,
+        available: { units: { 1: [], 2: [] }, terrains: { 1: [], 2: [] } },
+        defeatedUnits: [], army: STANDARD_ARMY, variants: withVariants(variants), turnCount: 0,
+        placedCount: 16, nextCardId: board.length, winner: null, victoryType: null, winMessage: ''
+    };
+}
+
+describe('variant validation', () => {
+    test('accepts the standard rules and any combination of variants', () => {
+        assert.equal(validateVariants(NO_VARIANTS), null);
+        assert.equal(validateVariants(withVariants({ rangedArtillery: true, revealOnAdjacency: true, commandSurvivalTurns: 12 })), null);
+    });
+
+    test('rejects missing flags and out-of-range survival turns', () => {
+        assert.equal(validateVariants(null), 'Missing rule variants.');
+        assert.match(validateVariants({ ...NO_VARIANTS, attackerWinsTies: 'yes' }), /attackerWinsTies variant/);
+        assert.match(validateVariants(withVariants({ commandSurvivalTurns: VARIANT_LIMITS.maxSurvivalTurns + 1 })), /0 \(off\) to 50 turns/);
+        assert.match(validateVariants(withVariants({ commandSurvivalTurns: 2.5 })), /survival objective/);
+    });
+
+    test('keeps only the known variants and describes the ones turned on', () => {
+        assert.deepEqual(normalizeVariants({ ...NO_VARIANTS, fogOfWar: true }), NO_VARIANTS);
+        assert.deepEqual(describeVariants(NO_VARIANTS, 'Mobile Command'), []);
+        assert.deepEqual(describeVariants(withVariants({ attackerWinsTies: true, commandSurvivalTurns: 8 }), 'Flagship'), [
+            'Attacker wins ties',
+            'The second player wins if the Flagship survives 8 turns'
+        ]);
+    });
+});
+
+describe('variant: attacker wins ties', () => {
+    test('an attack equal to the defense wins', () => {
+        const { board } = createRowState([[1, 'Infantry', 10], [2, 'Infantry', 11], [1, 'Tank', 9], [2, 'Tank', 12]]);
+        assert.equal(resolveCombat(board, board[0], board[1]).attackerWins, false); // 3 vs 3
+        const combat = resolveCombat(board, board[0], board[1], withVariants({ attackerWinsTies: true }));
+        assert.equal(combat.attackerWins, true);
+        assert.equal(combat.attackerMoved, true);
+    });
+
+    test('the forecast follows the same rule', () => {
+        const state = createRowState([[1, 'Infantry', 10], [2, 'Infantry', 11], [1, 'Tank', 9], [2, 'Tank', 12]], { attackerWinsTies: true });
+        assert.equal(forecastAttack(state, state.board[0], state.board[1]).defender.attackerWins, true);
+    });
+});
+
+describe('variant: ranged artillery', () => {
+    // Artillery (attack 5) two tiles from an enemy Tank (defense 4), with an Infantry in between
+    const cards = [[1, 'Artillery', 10], [2, 'Infantry', 11], [2, 'Tank', 12], [2, COMMAND_UNIT_NAME, 13], [1, COMMAND_UNIT_NAME, 9]];
+
+    test('Artillery may only target units two tiles away when the variant is on', () => {
+        const state = createRowState(cards, { rangedArtillery: true });
+        const [artillery, , tank] = state.board;
+        assert.equal(classifyTarget(artillery, tank).kind, null);
+        assert.deepEqual(
+            { kind: classifyTarget(artillery, tank, state.variants).kind, ranged: classifyTarget(artillery, tank, state.variants).ranged },
+            { kind: 'attack', ranged: true }
+        );
+        assert.ok(legalActions(state).some(action => action.type === 'attack' && action.targetCardId === tank.id));
+        // Other units and diagonals are out of range
+        const tankRow = createRowState([[2, 'Tank', 10], [1, 'Infantry', 12]], { rangedArtillery: true });
+        assert.equal(classifyTarget(tankRow.board[0], tankRow.board[1], tankRow.variants).kind, null);
+    });
+
+    test('a hit defeats the target without moving the Artillery', () => {
+        const state = applyAction(createRowState(cards, { rangedArtillery: true }), { type: 'attack', attackerCardId: 0, targetCardId: 2 });
+        assert.equal(state.board[0].unitData.unitName, 'Artillery');
+        assert.equal(state.board[2].unitData, null);
+        assert.equal(state.defeatedUnits[0].unitData.unitName, 'Tank');
+        assert.equal(state.currentPlayer, 2);
+    });
+
+    test('a miss defeats nobody and leaves the target revealed', () => {
+        const missCards = [[1, 'Artillery', 10], [2, 'Infantry', 11], [2, 'Tank', 12, true], [2, COMMAND_UNIT_NAME, 13], [1, COMMAND_UNIT_NAME, 9]];
+        const state = createRowState(missCards, { rangedArtillery: true });
+        state.board[2].unitData.stats = { attack: 4, defense: 6 }; // Out of the Artillery's reach
+        const combat = resolveCombat(state.board, state.board[0], state.board[2], state.variants);
+        assert.equal(combat.ranged, true);
+        assert.equal(combat.loserCardId, null);
+        assert.equal(combat.defeatedUnitData, null);
+
+        const after = applyAction(state, { type: 'attack', attackerCardId: 0, targetCardId: 2 });
+        assert.equal(after.board[0].unitData.unitName, 'Artillery');
+        assert.equal(after.board[2].hidden, false);
+        assert.deepEqual(after.defeatedUnits, []);
+    });
+
+    test('ranged results name both cards and must be reported as ranged', () => {
+        const state = createRowState(cards, { rangedArtillery: true });
+        const combat = resolveCombat(state.board, state.board[0], state.board[2], state.variants);
+        const result = {
+            winnerCardId: combat.winnerCardId, loserCardId: combat.loserCardId, attackerMoved: false, gameOver: false,
+            ranged: true, attackerCardId: 0, targetCardId: 2
+        };
+        assert.deepEqual(getAttackCardIds(result), { attackerCardId: 0, targetCardId: 2 });
+        assert.equal(validateAttackResult(state, result), null);
+    });
+});
+
+describe('variant: reveal on adjacency', () => {
+    test('moving next to face-down enemy units reveals them', () => {
+        const state = createRowState([[1, 'Tank', 10], [null, null, 11], [2, 'Infantry', 12, true], [2, COMMAND_UNIT_NAME, 13, true], [1, COMMAND_UNIT_NAME, 9, true]], { revealOnAdjacency: true });
+        const after = applyAction(state, { type: 'move', attackerCardId: 0, targetCardId: 1 });
+        assert.equal(after.board[2].hidden, false);
+        assert.equal(after.board[3].hidden, true); // Not adjacent
+        assert.equal(after.board[4].hidden, true); // Own units stay face-down
+
+        const standard = applyAction({ ...state, variants: NO_VARIANTS }, { type: 'move', attackerCardId: 0, targetCardId: 1 });
+        assert.equal(standard.board[2].hidden, true);
+    });
+});
+
+describe('variant: command survival', () => {
+    test('Player 2 wins once Player 1 has played its turns', () => {
+        const cards = [[1, 'Tank', 10], [null, null, 11], [2, 'Infantry', 14], [2, COMMAND_UNIT_NAME, 15], [1, COMMAND_UNIT_NAME, 9]];
+        let state = createRowState(cards, { commandSurvivalTurns: 1 });
+        assert.equal(getSurvivalVictory(state), null);
+        state = applyAction(state, { type: 'move', attackerCardId: 0, targetCardId: 1 });
+        assert.equal(state.turnCount, 1);
+        assert.equal(state.phase, 'GAMEOVER');
+        assert.equal(state.victoryType, 'survival');
+        assert.equal(state.winner, 2);
+        assert.equal(state.winMessage, 'Player 2 wins: the Mobile Command survived!');
+
+        const longer = applyAction(createRowState(cards, { commandSurvivalTurns: 2 }), { type: 'move', attackerCardId: 0, targetCardId: 1 });
+        assert.equal(longer.phase, 'GAMEPLAY');
+    });
+
+    test('Player 1 defends the command when Player 2 moves first', () => {
+        const cards = [[2, 'Tank', 10], [null, null, 11], [1, 'Infantry', 14], [1, COMMAND_UNIT_NAME, 15], [2, COMMAND_UNIT_NAME, 9]];
+        const state = applyAction({ ...createRowState(cards, { commandSurvivalTurns: 1 }), currentPlayer: 2, firstPlayer: 2 }, { type: 'move', attackerCardId: 0, targetCardId: 1 });
+        assert.equal(state.winner, 1);
+        assert.equal(state.winMessage, 'Player 1 wins: the Mobile Command survived!');
+    });
+});
@@ -0,0 +1,133 @@
+// --- Time Controls ---
+// Optional limits the host picks at setup, so a player who walks away cannot stall the game:
+// a time limit per turn, after which the turn is played automatically (a random placement, or a
+// pass), or a chess clock with an increment, where running out of time loses the game. Like the
+// rule variants, they travel in the setup message, so the peer checks them here. DOM-free, like rules.js.
+//
+// timeControl = {
+//     mode: 'none' | 'perTurn' | 'clock',
+//     turnSeconds, // perTurn: the time each turn may take
+//     totalSeconds, incrementSeconds // clock: each player's time for the game, and the time added after each of its turns
+// }
+// clocks = { 1: ms, 2: ms } // The time each player has per turn (perTurn) or left for the game (clock)
+
+export const TIME_CONTROL_MODES = {
+    none: 'No time limit',
+    perTurn: 'Time limit per turn (then the turn is played for you)',
+    clock: 'Chess clock with increment (out of time loses)'
+};
+
+export const NO_TIME_CONTROL = Object.freeze({ mode: 'none', turnSeconds: 0, totalSeconds: 0, incrementSeconds: 0 });
+
+export const TIME_CONTROL_LIMITS = {
+    minTurnSeconds: 5,
+    maxTurnSeconds: 600,
+    minTotalSeconds: 30,
+    maxTotalSeconds: 7200,
+    maxIncrementSeconds: 60
+};
+
+// How far the two peers' measures of the same turn may differ: the messages take time to arrive
+export const CLOCK_TOLERANCE_MS = 5000;
+
+function isIntegerBetween(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Checks a time control, typically one received from the peer.
+ * @param {object} timeControl - { mode, turnSeconds, totalSeconds, incrementSeconds }
+ * @returns {string|null} Why the time control cannot be played, or null if it can.
+ */
+export function validateTimeControl(timeControl) {
+    if (!timeControl || typeof timeControl !== 'object') return 'Missing time control.';
+    if (!Object.hasOwn(TIME_CONTROL_MODES, timeControl.mode)) return 'Unknown time control.';
+    const { minTurnSeconds, maxTurnSeconds, minTotalSeconds, maxTotalSeconds, maxIncrementSeconds } = TIME_CONTROL_LIMITS;
+    if (timeControl.mode === 'perTurn' && !isIntegerBetween(timeControl.turnSeconds, minTurnSeconds, maxTurnSeconds)) {
+        return `The time limit per turn needs ${minTurnSeconds} to ${maxTurnSeconds} seconds.`;
+    }
+    if (timeControl.mode === 'clock') {
+        if (!isIntegerBetween(timeControl.totalSeconds, minTotalSeconds, maxTotalSeconds)) {
+            return `The chess clock needs ${minTotalSeconds} to ${maxTotalSeconds} seconds per player.`;
+        }
+        if (!isIntegerBetween(timeControl.incrementSeconds, 0, maxIncrementSeconds)) {
+            return `The increment needs 0 to ${maxIncrementSeconds} seconds.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Copies a valid time control, keeping only the settings its mode uses.
+ * @param {object} timeControl - A time control that passed validateTimeControl.
+ * @returns {object} The clean time control.
+ */
+export function normalizeTimeControl(timeControl) {
+    if (timeControl.mode === 'perTurn') return { ...NO_TIME_CONTROL, mode: 'perTurn', turnSeconds: timeControl.turnSeconds };
+    if (timeControl.mode === 'clock') {
+        return { ...NO_TIME_CONTROL, mode: 'clock', totalSeconds: timeControl.totalSeconds, incrementSeconds: timeControl.incrementSeconds };
+    }
+    return NO_TIME_CONTROL;
+}
+
+/**
+ * Formats a duration like a game clock.
+ * @param {number} ms - May be negative once a clock ran out.
+ * @returns {string} "m:ss", rounded up to the second and never below 0:00.
+ */
+export function formatClock(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Describes the time control in play, for both players to see.
+ * @param {object} timeControl - A valid time control.
+ * @returns {string} One short line, or '' without a time limit.
+ */
+export function describeTimeControl(timeControl) {
+    if (timeControl.mode === 'perTurn') return `${timeControl.turnSeconds} seconds per turn`;
+    if (timeControl.mode === 'clock') {
+        return `Chess clock: ${formatClock(timeControl.totalSeconds * 1000)} per player, +${timeControl.incrementSeconds} s per turn`;
+    }
+    return '';
+}
+
+/**
+ * Sets both clocks at the start of a game.
+ * @param {object} timeControl - A valid time control.
+ * @returns {object|null} The clocks, or null without a time limit.
+ */
+export function createClocks(timeControl) {
+    if (timeControl.mode === 'perTurn') return { 1: timeControl.turnSeconds * 1000, 2: timeControl.turnSeconds * 1000 };
+    if (timeControl.mode === 'clock') return { 1: timeControl.totalSeconds * 1000, 2: timeControl.totalSeconds * 1000 };
+    return null;
+}
+
+/**
+ * Charges a finished turn to its player's clock.
+ * @param {object} timeControl - A valid time control.
+ * @param {object} clocks - The clocks before the turn (left untouched).
+ * @param {1|2} player - The player who played the turn.
+ * @param {number} elapsedMs - How long the turn took.
+ * @returns {object} The new clocks: a chess clock loses the turn's time (down to 0:00) and gains the
+ *   increment; a time limit per turn starts over with each turn, so it is unchanged.
+ */
+export function chargeTurn(timeControl, clocks, player, elapsedMs) {
+    if (timeControl.mode !== 'clock') return clocks;
+    return { ...clocks, [player]: Math.max(0, clocks[player] - elapsedMs) + timeControl.incrementSeconds * 1000 };
+}
+
+/**
+ * Checks the duration the peer reports for its turn against the one measured here.
+ * @param {number} reportedMs - Between the turn's start and end on the peer's machine.
+ * @param {number} measuredMs - Since the turn started on this machine.
+ * @returns {string|null} Why the duration cannot be right, or null if the two agree.
+ */
+export function checkTurnDuration(reportedMs, measuredMs) {
+    if (!Number.isFinite(reportedMs) || reportedMs < 0) return 'Invalid turn duration.';
+    if (Math.abs(reportedMs - measuredMs) > CLOCK_TOLERANCE_MS) {
+        return `The turn took ${formatClock(measuredMs)} here, not ${formatClock(reportedMs)}.`;
+    }
+    return null;
+}
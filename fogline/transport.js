@@ -0,0 +1,216 @@
+// --- Transports ---
+// The signaling layer behind online games and spectators. A transport creates peers with the
+// surface of a PeerJS Peer, which the rest of the client is written against:
+//
+// peer = {
+//     id, open, destroyed,
+//     on(event, handler), // 'open' (id), 'connection' (conn), 'close', 'disconnected', 'error' (err with a PeerJS err.type)
+//     connect(peerId, { reliable, metadata }), // Returns a conn
+//     destroy()
+// }
+// conn = { peer, metadata, open, on(event, handler), send(data), close() } // Events: 'open', 'data' (data), 'close', 'error'
+//
+// Transports: 'peerjs' through the public PeerJS cloud server or a self-hosted PeerServer
+// (?peerServer=https://host:port/path), and 'loopback' (?signal=loopback), where the peers of one
+// JavaScript process reach each other without any network, for offline testing.
+
+export const TRANSPORT_KINDS = ['peerjs', 'loopback'];
+export const DEFAULT_TRANSPORT_CONFIG = { signal: 'peerjs', peerServer: null };
+// The URL parameters that pick the transport; invite and spectator links keep them
+export const TRANSPORT_PARAMS = ['signal', 'peerServer'];
+
+const LOOPBACK_DELAY_MS = 0; // Events arrive on a later tick, as they would over a network
+
+/**
+ * Reads the address of a self-hosted PeerServer.
+ * @param {string} url - e.g. 'https://peers.example.com:9000/fogline'.
+ * @returns {object} The PeerJS options { host, port, path, secure }.
+ * @throws {Error} If the URL is not an http(s) URL.
+ */
+export function parsePeerServerUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        throw new Error(`Invalid PeerServer URL "${url}".`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error(`Invalid PeerServer URL "${url}": use http or https.`);
+    const secure = parsed.protocol === 'https:';
+    return {
+        host: parsed.hostname,
+        port: Number(parsed.port) || (secure ? 443 : 80),
+        path: parsed.pathname,
+        secure
+    };
+}
+
+/**
+ * Reads the transport picked by the page's URL parameters.
+ * @param {URLSearchParams} params
+ * @returns {object} { signal, peerServer } where peerServer holds PeerJS options, or null for the cloud server.
+ * @throws {Error} If the transport is unknown or the PeerServer URL is invalid.
+ */
+export function parseTransportConfig(params) {
+    const signal = params.get('signal') || DEFAULT_TRANSPORT_CONFIG.signal;
+    if (!TRANSPORT_KINDS.includes(signal)) throw new Error(`Unknown signaling transport "${signal}".`);
+    const peerServerUrl = params.get('peerServer');
+    return { signal, peerServer: signal === 'peerjs' && peerServerUrl ? parsePeerServerUrl(peerServerUrl) : null };
+}
+
+/**
+ * @param {object} config - From parseTransportConfig.
+ * @returns {string} Where the peers meet, for the connection panel.
+ */
+export function describeTransport({ signal, peerServer }) {
+    if (signal === 'loopback') return 'Loopback (this page only, no network)';
+    if (!peerServer) return 'PeerJS cloud server';
+    return `PeerServer at ${peerServer.host}:${peerServer.port}${peerServer.path}`;
+}
+
+/**
+ * Keeps the transport parameters of `fromUrl` on a link, so whoever opens it meets on the same server.
+ * @param {string} link - An absolute URL.
+ * @param {string} fromUrl - The URL of the current page.
+ * @returns {string}
+ */
+export function withTransportParams(link, fromUrl) {
+    const url = new URL(link);
+    const from = new URL(fromUrl).searchParams;
+    TRANSPORT_PARAMS.forEach(param => {
+        if (from.has(param)) url.searchParams.set(param, from.get(param));
+    });
+    return url.href;
+}
+
+/**
+ * @param {object} config - From parseTransportConfig.
+ * @returns {object} A transport: { kind, createPeer(id) }; without an ID, the peer gets a random one.
+ */
+export function createTransport(config) {
+    return config.signal === 'loopback' ? createLoopbackTransport() : createPeerJsTransport(config.peerServer);
+}
+
+/**
+ * PeerJS, loaded by the page from its CDN as the global Peer.
+ * @param {object|null} [peerServer] - PeerJS options of a self-hosted PeerServer; the cloud server when null.
+ */
+export function createPeerJsTransport(peerServer = null) {
+    return {
+        kind: 'peerjs',
+        createPeer(id) {
+            const Peer = globalThis.Peer;
+            if (typeof Peer !== 'function') throw new Error('PeerJS is not loaded.');
+            const options = peerServer ? { ...peerServer } : {};
+            return id ? new Peer(id, options) : new Peer(options);
+        }
+    };
+}
+
+function createEmitter(target) {
+    const handlers = {};
+    target.on = (event, handler) => {
+        (handlers[event] = handlers[event] || []).push(handler);
+        return target;
+    };
+    return (event, ...args) => (handlers[event] || []).forEach(handler => handler(...args));
+}
+
+function createPeerError(type, message) {
+    return Object.assign(new Error(message), { type });
+}
+
+/**
+ * Peers that live in this JavaScript process and reach each other through a shared registry.
+ * Data is cloned on the way, as it would be serialized over a data channel.
+ * @returns {object} A transport; each call makes a separate network.
+ */
+export function createLoopbackTransport() {
+    const peers = new Map(); // id -> { peer, accept(conn) }
+    let nextPeerNumber = 1;
+    const later = callback => setTimeout(callback, LOOPBACK_DELAY_MS);
+
+    function createConnectionEnd(remoteId, metadata) {
+        const conn = { peer: remoteId, metadata, open: false };
+        const emit = createEmitter(conn);
+        let other = null;
+        const end = {
+            conn,
+            emit,
+            link: otherEnd => { other = otherEnd; },
+            shut: () => {
+                if (!conn.open) return;
+                conn.open = false;
+                emit('close');
+            }
+        };
+        conn.send = data => {
+            if (!conn.open) return;
+            const copy = structuredClone(data);
+            later(() => { if (other.conn.open) other.emit('data', copy); });
+        };
+        conn.close = () => {
+            if (!conn.open) return;
+            end.shut();
+            later(() => other.shut());
+        };
+        return end;
+    }
+
+    return {
+        kind: 'loopback',
+        createPeer(id) {
+            const peer = { id: id || `loopback-${nextPeerNumber++}`, open: false, destroyed: false };
+            const emit = createEmitter(peer);
+            const connections = [];
+
+            peer.connect = (remoteId, { metadata } = {}) => {
+                const local = createConnectionEnd(remoteId, metadata);
+                later(() => {
+                    const remote = peers.get(remoteId);
+                    if (!peer.open || !remote) {
+                        emit('error', createPeerError('peer-unavailable', `Could not connect to peer ${remoteId}`));
+                        return;
+                    }
+                    const remoteEnd = createConnectionEnd(peer.id, metadata);
+                    local.link(remoteEnd);
+                    remoteEnd.link(local);
+                    connections.push(local);
+                    remote.accept(remoteEnd);
+                    later(() => {
+                        [local, remoteEnd].forEach(end => { end.conn.open = true; });
+                        local.emit('open');
+                        remoteEnd.emit('open');
+                    });
+                });
+                return local.conn;
+            };
+
+            peer.destroy = () => {
+                if (peer.destroyed) return;
+                connections.forEach(end => end.conn.close());
+                if (peers.get(peer.id)?.peer === peer) peers.delete(peer.id);
+                peer.destroyed = true;
+                peer.open = false;
+                emit('close');
+            };
+
+            later(() => {
+                if (peer.destroyed) return;
+                if (peers.has(peer.id)) {
+                    emit('error', createPeerError('unavailable-id', `ID "${peer.id}" is taken`));
+                    return;
+                }
+                peers.set(peer.id, {
+                    peer,
+                    accept: end => {
+                        connections.push(end);
+                        emit('connection', end.conn);
+                    }
+                });
+                peer.open = true;
+                emit('open', peer.id);
+            });
+            return peer;
+        }
+    };
+}
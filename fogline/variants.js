@@ -0,0 +1,57 @@
+// --- Rule Variants ---
+// House rules the host turns on at setup. Like the army and the terrain deck, they travel in the
+// setup message, so the peer checks them here before playing by them. DOM-free, like rules.js.
+//
+// variants = {
+//     rangedArtillery, attackerWinsTies, revealOnAdjacency, // Booleans
+//     commandSurvivalTurns // 0 (off), or the number of turns the first player has to capture the command unit
+// }
+import { NO_VARIANTS, RANGED_UNIT_NAME } from './rules.js';
+
+export const VARIANT_LIMITS = {
+    maxSurvivalTurns: 50
+};
+
+const FLAGS = ['rangedArtillery', 'attackerWinsTies', 'revealOnAdjacency'];
+
+/**
+ * Checks a set of rule variants, typically one received from the peer.
+ * @param {object} variants - { rangedArtillery, attackerWinsTies, revealOnAdjacency, commandSurvivalTurns }
+ * @returns {string|null} Why the variants cannot be played, or null if they can.
+ */
+export function validateVariants(variants) {
+    if (!variants || typeof variants !== 'object') return 'Missing rule variants.';
+    const flag = FLAGS.find(name => typeof variants[name] !== 'boolean');
+    if (flag) return `The ${flag} variant must be on or off.`;
+    const turns = variants.commandSurvivalTurns;
+    if (!Number.isInteger(turns) || turns < 0 || turns > VARIANT_LIMITS.maxSurvivalTurns) {
+        return `The command survival objective needs 0 (off) to ${VARIANT_LIMITS.maxSurvivalTurns} turns.`;
+    }
+    return null;
+}
+
+/**
+ * Copies valid rule variants, keeping only the known ones.
+ * @param {object} variants - Variants that passed validateVariants.
+ * @returns {object} The clean variants.
+ */
+export function normalizeVariants(variants) {
+    const clean = {};
+    Object.keys(NO_VARIANTS).forEach(name => { clean[name] = variants[name]; });
+    return clean;
+}
+
+/**
+ * Describes the variants in play, for both players to see.
+ * @param {object} variants - Valid rule variants.
+ * @param {string} commandName - The army's command unit, which custom armies may rename.
+ * @returns {Array<string>} One short line per variant turned on (empty for the standard rules).
+ */
+export function describeVariants(variants, commandName) {
+    const lines = [];
+    if (variants.rangedArtillery) lines.push(`${RANGED_UNIT_NAME} attacks two tiles away without moving`);
+    if (variants.attackerWinsTies) lines.push('Attacker wins ties');
+    if (variants.revealOnAdjacency) lines.push('Units are revealed when an enemy moves next to them');
+    if (variants.commandSurvivalTurns) lines.push(`The second player wins if the ${commandName} survives ${variants.commandSurvivalTurns} turns`);
+    return lines;
+}